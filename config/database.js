@@ -1,5 +1,6 @@
 const mysql = require('mysql2/promise');
 const { databaseErrorHandler } = require('../utils/databaseErrorHandler');
+const IdempotencyScope = require('../utils/idempotencyScope');
 require('dotenv').config();
 
 // Database connection configuration
@@ -32,7 +33,8 @@ async function getConnection() {
     }
     
     console.log('Database connection established');
-    return connection;
+    // commit ภายในคำขอที่มี Idempotency-Key บันทึกสถานะ key ใน transaction เดียวกัน
+    return IdempotencyScope.bindCommit(connection);
   }, 'getConnection');
 }
 
@@ -55,10 +57,10 @@ async function validateAndFixDatabase() {
     const enumValues = statusColumn.Type;
     console.log('📝 Current status ENUM:', enumValues);
     
-    if (!enumValues.includes('claimed')) {
-      console.log('🔧 Fixing status ENUM to include "claimed"...');
+    if (!enumValues.includes('claimed') || !enumValues.includes('reserved')) {
+      console.log('🔧 Fixing status ENUM to include "claimed" and "reserved"...');
       await connection.execute(
-        "ALTER TABLE Ticket MODIFY COLUMN status ENUM('available', 'sold', 'claimed') DEFAULT 'available'"
+        "ALTER TABLE Ticket MODIFY COLUMN status ENUM('available', 'sold', 'claimed', 'reserved') DEFAULT 'available'"
       );
       console.log('✅ Status ENUM updated successfully');
     } else {
@@ -27,9 +27,148 @@ module.exports = {
   TICKET_STATUS: {
     AVAILABLE: 'available',
     SOLD: 'sold',
+    CLAIMED: 'claimed',
     RESERVED: 'reserved'
   },
 
+  // Ticket transfer (TicketTransfer.status)
+  TRANSFER_STATUS: {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    DECLINED: 'declined',
+    CANCELLED: 'cancelled'
+  },
+
+  // Resale listing (ResaleListing.status)
+  LISTING_STATUS: {
+    ACTIVE: 'active',
+    SOLD: 'sold',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired' // ปิดอัตโนมัติเมื่องวดปิดการขาย
+  },
+
+  // Resale marketplace - ปรับได้ด้วย env: RESALE_MAX_PRICE, RESALE_FEE_PERCENT
+  RESALE: {
+    MAX_PRICE: 80.00, // ราคาควบคุมต่อใบ
+    FEE_PERCENT: 0 // ค่าธรรมเนียมที่หักจากผู้ขาย
+  },
+
+  // Number waitlist (NumberWaitlist.status)
+  WAITLIST_STATUS: {
+    WAITING: 'waiting',
+    RESERVED: 'reserved', // จองตั๋วที่กลับมาว่างไว้ในตะกร้าของผู้รอ
+    FULFILLED: 'fulfilled',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired' // ไม่ชำระเงินภายในเวลาจอง หรืองวดปิดการขาย
+  },
+
+  // Number waitlist - ปรับได้ด้วย env: WAITLIST_HOLD_MINUTES
+  WAITLIST: {
+    HOLD_MINUTES: 30,
+    MAX_ENTRIES_PER_USER: 20
+  },
+
+  // In-app notification types (Notification.type)
+  NOTIFICATION_TYPE: {
+    WAITLIST_RESERVED: 'waitlist_reserved',
+    WAITLIST_RESALE: 'waitlist_resale'
+  },
+
+  // Lottery sets (ลอตเตอรี่ชุด): copies of the same number in one round, told apart by Ticket.set_no
+  TICKET_SETS: {
+    DEFAULT_COPIES: 1,
+    MAX_COPIES: 5
+  },
+
+  // Ticket issuance batches (TicketBatch.mode)
+  ISSUANCE_MODE: {
+    INITIAL: 'initial', // ต้องยังไม่มีตั๋วในงวด (หรือในคลังตั๋วที่ไม่มีงวด)
+    APPEND: 'append', // เพิ่มเข้าคลังตั๋วที่มีอยู่ ข้ามเลขที่มีแล้ว
+    IMPORT: 'import' // นำเข้าจากไฟล์ CSV ของผู้จัดจำหน่าย (หนึ่ง batch ต่องวดต่อราคา)
+  },
+
+  // Ticket issuance limits
+  ISSUANCE: {
+    MAX_COUNT: 10000, // เลขต่อหนึ่ง batch
+    MAX_RANGE: 100000, // ขนาดช่วงเลขที่ระบุได้
+    MAX_EXCLUDE: 1000,
+    MAX_IMPORT_ROWS: 10000, // แถวต่อหนึ่งไฟล์ CSV
+    EXPORT_CHUNK: 500 // แถวที่อ่านจากฐานข้อมูลต่อครั้งตอนส่งออก
+  },
+
+  // Receipt verification result (GET /api/tickets/verify/:token)
+  RECEIPT_STATUS: {
+    VALID: 'valid', // ผู้ถือใบรับรองเป็นเจ้าของปัจจุบัน
+    CLAIMED: 'claimed', // ขึ้นรางวัลแล้ว
+    OWNERSHIP_CHANGED: 'ownership_changed', // โอนหรือขายต่อให้ผู้อื่นแล้ว
+    VOIDED: 'voided', // การซื้อนี้ไม่มีผลแล้ว (ตั๋วกลับเข้าคลัง)
+    TICKET_NOT_FOUND: 'ticket_not_found'
+  },
+
+  // Receipt QR codes
+  RECEIPT: {
+    ISSUER: 'lotto-receipt',
+    QR_FORMATS: ['svg', 'png'],
+    QR_PNG_WIDTH: 320
+  },
+
+  // Ticket search (GET /api/tickets)
+  TICKET_SEARCH: {
+    NUMBER_DIGITS: 6,
+    DEFAULT_LIMIT: 100,
+    MAX_LIMIT: 500
+  },
+
+  // Purchase status after cancellations (Purchase.status)
+  PURCHASE_STATUS: {
+    COMPLETED: 'completed',
+    PARTIALLY_REFUNDED: 'partially_refunded', // ยกเลิกบางใบ
+    REFUNDED: 'refunded' // ยกเลิกครบทุกใบ
+  },
+
+  // Round (งวด) Status
+  ROUND_STATUS: {
+    SCHEDULED: 'scheduled',
+    ON_SALE: 'on_sale',
+    CLOSED: 'closed',
+    DRAWN: 'drawn',
+    SETTLED: 'settled'
+  },
+
+  // Wallet ledger entry types (WalletTransaction.type)
+  WALLET_TRANSACTION_TYPE: {
+    TICKET_PURCHASE: 'ticket_purchase',
+    PRIZE_CLAIM: 'prize_claim',
+    PRIZE_REVERSAL: 'prize_reversal',
+    RESALE_PURCHASE: 'resale_purchase',
+    RESALE_SALE: 'resale_sale',
+    PURCHASE_REFUND: 'purchase_refund',
+    RECEIVABLE_RECOVERY: 'receivable_recovery' // เรียกเก็บยอดค้าง (WalletReceivable) จากยอดเงินภายหลัง
+  },
+
+  // Amounts owed back by a user that the wallet could not cover (WalletReceivable.status)
+  RECEIVABLE_STATUS: {
+    OPEN: 'open',
+    SETTLED: 'settled'
+  },
+
+  // Prize pool ledger entry types (PrizePoolEntry.type)
+  PRIZE_POOL_ENTRY_TYPE: {
+    ROLLOVER: 'rollover', // เงินรางวัลที่ไม่มีผู้ถูกเข้ากองกลาง
+    PAYOUT: 'payout', // จ่ายเงินสะสมให้ผู้ถูกรางวัลของงวดถัดไป
+    ADJUSTMENT: 'adjustment', // admin เติม/ถอนเงินสะสม
+    VOID_REVERSAL: 'void_reversal' // ยกเลิกผลงวดที่สร้างรายการนั้น
+  },
+
+  // Rollover targets - เงินรางวัลที่ไม่มีผู้ถูกไปที่ไหน
+  // next_round = สะสมให้รางวัลเดียวกันของงวดถัดไป, jackpot = เข้ากองรางวัลสะสมที่ตั้งชื่อไว้,
+  // none = ไม่สะสม (เงินคงอยู่กับระบบ)
+  ROLLOVER_TARGET: {
+    NEXT_ROUND: 'next_round',
+    JACKPOT: 'jackpot',
+    NONE: 'none'
+  },
+
   // Prize Ranks
   PRIZE_RANKS: {
     FIRST: 1,
@@ -39,11 +178,92 @@ module.exports = {
     FIFTH: 5
   },
 
+  // Prize Tables - rank ตามลำดับในตาราง, amount คือเงินรางวัลต่อหนึ่งเลขที่ถูก
+  // match: exact = ตรงทั้ง 6 หลัก, adjacent = ข้างเคียงรางวัลที่ 1,
+  //        prefix = เลขหน้า, suffix = เลขท้าย (ตามจำนวน digits)
+  // drawFrom (exact): pool = สุ่มจากเลขของตั๋วใน pool (ค่าเริ่มต้น มีผู้ถูกรางวัลเสมอ),
+  //        full = สุ่มจาก 000000-999999 แล้วตรวจกับตั๋ว แบบสลากกินแบ่งรัฐบาล
+  PRIZE_TABLES: {
+    // ตารางรางวัลสลากกินแบ่งรัฐบาล (สำนักงานสลากกินแบ่งรัฐบาล)
+    glo: [
+      { rank: 1, key: 'first', name: 'รางวัลที่ 1', match: 'exact', drawFrom: 'full', digits: 6, count: 1, amount: 6000000 },
+      { rank: 2, key: 'adjacent', name: 'รางวัลข้างเคียงรางวัลที่ 1', match: 'adjacent', digits: 6, count: 2, amount: 100000 },
+      { rank: 3, key: 'second', name: 'รางวัลที่ 2', match: 'exact', drawFrom: 'full', digits: 6, count: 5, amount: 200000 },
+      { rank: 4, key: 'third', name: 'รางวัลที่ 3', match: 'exact', drawFrom: 'full', digits: 6, count: 10, amount: 80000 },
+      { rank: 5, key: 'fourth', name: 'รางวัลที่ 4', match: 'exact', drawFrom: 'full', digits: 6, count: 50, amount: 40000 },
+      { rank: 6, key: 'fifth', name: 'รางวัลที่ 5', match: 'exact', drawFrom: 'full', digits: 6, count: 100, amount: 20000 },
+      { rank: 7, key: 'front3', name: 'รางวัลเลขหน้า 3 ตัว', match: 'prefix', digits: 3, count: 2, amount: 4000 },
+      { rank: 8, key: 'last3', name: 'รางวัลเลขท้าย 3 ตัว', match: 'suffix', digits: 3, count: 2, amount: 4000 },
+      { rank: 9, key: 'last2', name: 'รางวัลเลขท้าย 2 ตัว', match: 'suffix', digits: 2, count: 1, amount: 2000 }
+    ],
+    // ตาราง 5 รางวัลแบบเดิม (rewards เป็น array 5 ค่า)
+    classic: [
+      { rank: 1, key: 'first', name: 'รางวัลที่ 1', match: 'exact', digits: 6, count: 1, amount: 1000000 },
+      { rank: 2, key: 'second', name: 'รางวัลที่ 2', match: 'exact', digits: 6, count: 1, amount: 500000 },
+      { rank: 3, key: 'third', name: 'รางวัลที่ 3', match: 'exact', digits: 6, count: 1, amount: 100000 },
+      { rank: 4, key: 'last3', name: 'รางวัลเลขท้าย 3 ตัว', match: 'suffix', digits: 3, count: 1, amount: 50000 },
+      { rank: 5, key: 'last2', name: 'รางวัลเลขท้าย 2 ตัว', match: 'suffix', digits: 2, count: 1, amount: 10000 }
+    ]
+  },
+
+  // Draw Schedule - ออกรางวัลทุกวันที่ 1 และ 16 ตามเวลาประเทศไทย
+  // ปรับได้ด้วย env: DRAW_TIME, SALES_CUTOFF_MINUTES, DRAW_SCHEDULER_INTERVAL_MS, DRAW_SCHEDULER_ENABLED=false
+  DRAW_SCHEDULE: {
+    TIMEZONE: 'Asia/Bangkok',
+    UTC_OFFSET: '+07:00',
+    DAYS_OF_MONTH: [1, 16],
+    DRAW_TIME: '16:00',
+    SALES_CUTOFF_MINUTES: 60, // ปิดการขายก่อนเวลาออกรางวัล
+    CHECK_INTERVAL_MS: 60 * 1000,
+    MAX_ATTEMPTS: 5,
+    RETRY_BASE_MS: 60 * 1000 // 1, 2, 4, 8 นาที ...
+  },
+
+  // Public entropy beacon for draws - ปรับได้ด้วย env: ENTROPY_BEACON_URL
+  ENTROPY_BEACON: {
+    URL: 'https://mempool.space/api', // block explorer API (Esplora/mempool.space)
+    TIMEOUT_MS: 10 * 1000
+  },
+
+  // Cart holds - ปรับได้ด้วย env: CART_HOLD_MINUTES, CART_SWEEP_INTERVAL_MS
+  CART: {
+    HOLD_MINUTES: 10, // จองตั๋วไว้ในตะกร้ากี่นาที
+    MAX_TICKETS: 20,
+    SWEEP_INTERVAL_MS: 60 * 1000 // ปล่อยตั๋วที่หมดเวลาจองทุกๆ
+  },
+
+  // Live Events (SSE) - ปรับได้ด้วย env: DRAW_REVEAL_INTERVAL_MS, SALES_CLOSING_SOON_MINUTES
+  LIVE_EVENTS: {
+    REVEAL_INTERVAL_MS: 3000, // เวลาระหว่างการเปิดเผยแต่ละรางวัล
+    CLOSING_SOON_MINUTES: 15, // แจ้งเตือนก่อนปิดการขาย
+    HEARTBEAT_MS: 25 * 1000,
+    RETRY_MS: 5000, // ให้ client ต่อใหม่หลังหลุด
+    BUFFER_SIZE: 100 // จำนวนเหตุการณ์ล่าสุดที่ส่งย้อนหลังให้ client ที่ต่อใหม่
+  },
+
+  // Idempotency-Key on money-moving requests - ปรับได้ด้วย env: IDEMPOTENCY_KEY_TTL_HOURS
+  IDEMPOTENCY: {
+    HEADER: 'Idempotency-Key',
+    REPLAY_HEADER: 'Idempotent-Replayed', // ตอบกลับด้วยผลลัพธ์เดิมที่เก็บไว้
+    MAX_KEY_LENGTH: 255,
+    TTL_HOURS: 24, // ใช้ key เดิมซ้ำได้หลังหมดอายุ
+    STALE_MINUTES: 10 // key ที่ค้างนานกว่านี้ถือว่าคำขอแรกหยุดทำงานไปแล้ว
+  },
+
+  // Idempotency key state (IdempotencyKey.status)
+  IDEMPOTENCY_STATUS: {
+    PROCESSING: 'processing', // คำขอแรกยังทำงานอยู่ และยังไม่มี transaction ใดที่ commit
+    COMMITTED: 'committed', // transaction ของคำขอแรก commit แล้ว แต่ยังไม่ได้เก็บผลลัพธ์
+    COMPLETED: 'completed'
+  },
+
   // Default Values
   DEFAULTS: {
     TICKET_PRICE: 80.00,
     INITIAL_WALLET: 0,
     TICKET_COUNT: 120,
+    PRIZE_TABLE: 'glo',
+    ROLLOVER_TARGET: 'next_round', // ใช้กับรางวัลที่ยังไม่ได้ตั้งกฎ
     RATE_LIMIT_WINDOW: 15 * 60 * 1000, // 15 minutes
     RATE_LIMIT_MAX: 100 // requests per window
   },
@@ -1,8 +1,22 @@
 const express = require('express');
 const { getConnection } = require('../dbconnect');
 const DrawService = require('../services/DrawService');
+const PrizeStructureService = require('../services/PrizeStructureService');
+const RoundService = require('../services/RoundService');
+const DrawScheduleService = require('../services/DrawScheduleService');
+const PrizePoolService = require('../services/PrizePoolService');
+const IssuanceService = require('../services/IssuanceService');
+const TicketService = require('../services/TicketService');
+const RefundService = require('../services/RefundService');
+const WalletService = require('../services/WalletService');
 const { requireAdmin, authenticateToken } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { asyncHandler, sendSuccess, sendError } = require('../middleware/errorHandler');
+const { validateForcedRefund } = require('../middleware/validation');
+const { SystemValidator } = require('../utils/businessLogicValidator');
+const { DEFAULTS, ISSUANCE_MODE, RECEIVABLE_STATUS, TICKET_SETS } = require('../constants');
+const { formatCsvRow } = require('../utils/csv');
+const { EXPORT_COLUMNS } = require('../utils/ticketCsv');
 
 const router = express.Router();
 
@@ -30,11 +44,14 @@ router.get('/stats', authenticateToken, requireAdmin, asyncHandler(async (req, r
       'SELECT SUM(price) as total FROM Ticket WHERE status = "sold"'
     );
 
+    const prizePools = await PrizePoolService.getSummary();
+
     const stats = {
       totalMembers: memberCount[0].total,
       ticketsSold: soldTickets[0].total,
       ticketsLeft: totalTickets[0].total - soldTickets[0].total,
       totalValue: parseFloat(totalValue[0].total) || 0,
+      prizePoolBalance: prizePools.totalBalance,
       activeConnections: 0, // Not applicable in REST API mode
       authenticatedUsers: 0 // Not applicable in REST API mode
     };
@@ -71,6 +88,7 @@ router.post('/reset', authenticateToken, requireAdmin, asyncHandler(async (req,
 
         // 2. ลบข้อมูลทั้งหมดตามลำดับ (เพื่อหลีกเลี่ยง foreign key constraints)
         console.log('\n   🗑️ ADMIN RESET: Deleting Purchase records...');
+        await connection.execute('DELETE FROM PurchaseRefund');
         const [deletedPurchases] = await connection.execute('DELETE FROM Purchase');
         console.log(`   ✅ ADMIN RESET: Deleted ${deletedPurchases.affectedRows} purchases`);
         
@@ -78,6 +96,9 @@ router.post('/reset', authenticateToken, requireAdmin, asyncHandler(async (req,
         await connection.execute('ALTER TABLE Purchase AUTO_INCREMENT = 1');
         console.log('   ✅ ADMIN RESET: Purchase AUTO_INCREMENT reset to 1');
 
+        console.log('   🗑️ ADMIN RESET: Deleting TicketPrize records...');
+        await connection.execute('DELETE FROM TicketPrize');
+
         console.log('   🗑️ ADMIN RESET: Deleting Prize records...');
         const [deletedPrizes] = await connection.execute('DELETE FROM Prize');
         console.log(`   ✅ ADMIN RESET: Deleted ${deletedPrizes.affectedRows} prizes`);
@@ -86,13 +107,40 @@ router.post('/reset', authenticateToken, requireAdmin, asyncHandler(async (req,
         await connection.execute('ALTER TABLE Prize AUTO_INCREMENT = 1');
         console.log('   ✅ ADMIN RESET: Prize AUTO_INCREMENT reset to 1');
 
+        console.log('   🗑️ ADMIN RESET: Deleting WalletTransaction records...');
+        await connection.execute('DELETE FROM WalletTransaction');
+        await connection.execute('DELETE FROM IdempotencyKey');
+
+        console.log('   🗑️ ADMIN RESET: Clearing prize pool balances...');
+        await connection.execute('DELETE FROM PrizePoolEntry');
+        await connection.execute('UPDATE PrizePool SET balance = 0');
+
+        console.log('   🗑️ ADMIN RESET: Deleting DrawResult records...');
+        const [deletedDraws] = await connection.execute('DELETE FROM DrawResult');
+        await connection.execute('ALTER TABLE DrawResult AUTO_INCREMENT = 1');
+        console.log(`   ✅ ADMIN RESET: Deleted ${deletedDraws.affectedRows} draws`);
+
+        await connection.execute('DELETE FROM TicketTransfer');
+        await connection.execute('DELETE FROM ResaleListing');
+        await connection.execute('DELETE FROM NumberWaitlist');
+        await connection.execute('DELETE FROM Notification');
+
         console.log('   🗑️ ADMIN RESET: Deleting Ticket records...');
         const [deletedTickets] = await connection.execute('DELETE FROM Ticket');
+        await connection.execute('DELETE FROM TicketBatch');
         console.log(`   ✅ ADMIN RESET: Deleted ${deletedTickets.affectedRows} tickets`);
         
         console.log('   🔄 ADMIN RESET: Resetting Ticket AUTO_INCREMENT to 1...');
         await connection.execute('ALTER TABLE Ticket AUTO_INCREMENT = 1');
         console.log('   ✅ ADMIN RESET: Ticket AUTO_INCREMENT reset to 1');
+
+        console.log('   🗑️ ADMIN RESET: Deleting DrawScheduleRun records...');
+        await connection.execute('DELETE FROM DrawScheduleRun');
+
+        console.log('   🗑️ ADMIN RESET: Deleting Round records...');
+        const [deletedRounds] = await connection.execute('DELETE FROM Round');
+        await connection.execute('ALTER TABLE Round AUTO_INCREMENT = 1');
+        console.log(`   ✅ ADMIN RESET: Deleted ${deletedRounds.affectedRows} rounds`);
         
         console.log('   🗑️ ADMIN RESET: Deleting non-admin users...');
         const [deletedUsers] = await connection.execute(
@@ -116,6 +164,7 @@ router.post('/reset', authenticateToken, requireAdmin, asyncHandler(async (req,
         console.log(`   📊 ADMIN RESET: Summary:`);
         console.log(`   - Deleted ${deletedPurchases.affectedRows} purchases`);
         console.log(`   - Deleted ${deletedPrizes.affectedRows} prizes`);
+        console.log(`   - Deleted ${deletedDraws.affectedRows} draws`);
         console.log(`   - Deleted ${deletedTickets.affectedRows} tickets`);
         console.log(`   - Deleted ${deletedUsers.affectedRows} member users`);
         console.log(`   - Preserved admin: ${adminUsername}`);
@@ -123,7 +172,9 @@ router.post('/reset', authenticateToken, requireAdmin, asyncHandler(async (req,
         sendSuccess(res, {
           deletedPurchases: deletedPurchases.affectedRows,
           deletedPrizes: deletedPrizes.affectedRows,
+          deletedDraws: deletedDraws.affectedRows,
           deletedTickets: deletedTickets.affectedRows,
+          deletedRounds: deletedRounds.affectedRows,
           deletedUsers: deletedUsers.affectedRows,
           adminPreserved: adminUsername
         }, `รีเซ็ทระบบเรียบร้อย ลบข้อมูลทั้งหมด เหลือเฉพาะ admin: ${adminUsername}`);
@@ -186,61 +237,29 @@ router.post('/create-tickets', authenticateToken, requireAdmin, asyncHandler(asy
       await connection.execute('ALTER TABLE Ticket AUTO_INCREMENT = 1');
       console.log('✅ ADMIN CREATE TICKETS: AUTO_INCREMENT reset to 1');
 
-      // 4. สร้างตั๋ว 120 ใบ
-      console.log('4️⃣ ADMIN CREATE TICKETS: Generating tickets...');
-      const desiredCount = 120;
-      const price = 80.00;
-      const numbersSet = new Set();
-
-      // Generate unique 6-digit numbers
-      while (numbersSet.size < desiredCount) {
-        const n = Math.floor(Math.random() * 1000000);
-        const s = n.toString().padStart(6, '0');
-        numbersSet.add(s);
-      }
-
-      const numbers = Array.from(numbersSet);
-      console.log(`✅ ADMIN CREATE TICKETS: Generated ${numbers.length} unique numbers`);
-
-      // 5. Insert ตั๋วเป็น batch
-      console.log('5️⃣ ADMIN CREATE TICKETS: Inserting tickets...');
-      const batchSize = 50;
-      let inserted = 0;
-
-      for (let i = 0; i < numbers.length; i += batchSize) {
-        const batch = numbers.slice(i, i + batchSize);
-        const placeholders = batch.map(() => '(?, ?, ?)').join(',');
-        const values = [];
-
-        for (const num of batch) {
-          values.push(num, price, adminUserId);
-        }
-
-        await connection.execute(
-          `INSERT INTO Ticket (number, price, created_by) VALUES ${placeholders}`,
-          values
-        );
-        inserted += batch.length;
-        console.log(`   📝 ADMIN CREATE TICKETS: Inserted batch ${Math.ceil((i + batchSize) / batchSize)} (${inserted}/${desiredCount})`);
-      }
+      // 4. ออกตั๋วชุดเริ่มต้นผ่าน IssuanceService
+      console.log('4️⃣ ADMIN CREATE TICKETS: Issuing initial batch...');
+      const batch = await IssuanceService.issueBatch({
+        count: DEFAULTS.TICKET_COUNT,
+        mode: ISSUANCE_MODE.INITIAL,
+        createdBy: adminUserId
+      });
 
-      // 6. ตรวจสอบผลลัพธ์
-      console.log('6️⃣ ADMIN CREATE TICKETS: Verifying results...');
+      // 5. ตรวจสอบผลลัพธ์
+      console.log('5️⃣ ADMIN CREATE TICKETS: Verifying results...');
       const [finalCount] = await connection.execute('SELECT COUNT(*) as total FROM Ticket');
-      const [firstTicket] = await connection.execute('SELECT ticket_id, number FROM Ticket ORDER BY ticket_id LIMIT 1');
-      const [lastTicket] = await connection.execute('SELECT ticket_id, number FROM Ticket ORDER BY ticket_id DESC LIMIT 1');
       
-      console.log(`✅ ADMIN CREATE TICKETS: Created ${finalCount[0].total} tickets`);
-      console.log(`   📊 First ticket: ID ${firstTicket[0]?.ticket_id}, Number ${firstTicket[0]?.number}`);
-      console.log(`   📊 Last ticket: ID ${lastTicket[0]?.ticket_id}, Number ${lastTicket[0]?.number}`);
+      console.log(`✅ ADMIN CREATE TICKETS: Created ${batch.issued} tickets in batch ${batch.id}`);
+      console.log(`   📊 Ticket IDs: ${batch.firstTicketId} - ${batch.lastTicketId}`);
 
       sendSuccess(res, {
-        ticketsCreated: inserted,
+        ticketsCreated: batch.issued,
         totalTickets: finalCount[0].total,
-        firstTicketId: firstTicket[0]?.ticket_id,
-        lastTicketId: lastTicket[0]?.ticket_id,
-        pricePerTicket: price
-      }, `สร้างตั๋วลอตเตอรี่ใหม่ ${inserted} ใบเรียบร้อย (ID เริ่มจาก 1)`);
+        firstTicketId: batch.firstTicketId,
+        lastTicketId: batch.lastTicketId,
+        pricePerTicket: batch.price,
+        batch
+      }, `สร้างตั๋วลอตเตอรี่ใหม่ ${batch.issued} ใบเรียบร้อย (ID เริ่มจาก 1)`);
 
     } finally {
       await connection.end();
@@ -260,7 +279,12 @@ router.post('/reset-tickets', authenticateToken, requireAdmin, asyncHandler(asyn
     const connection = await getConnection();
     try {
       // Delete all existing tickets
+      await connection.execute('DELETE FROM TicketPrize');
+      await connection.execute('DELETE FROM TicketTransfer');
+      await connection.execute('DELETE FROM ResaleListing');
+      await connection.execute('DELETE FROM NumberWaitlist');
       await connection.execute('DELETE FROM Ticket');
+      await connection.execute('DELETE FROM TicketBatch');
 
       // Find admin user ID
       const [adminUser] = await connection.execute(
@@ -268,40 +292,16 @@ router.post('/reset-tickets', authenticateToken, requireAdmin, asyncHandler(asyn
       );
       const adminUserId = adminUser.length > 0 ? adminUser[0].user_id : 1;
 
-      const desiredCount = 120;
-      const price = 80.00;
-      const numbersSet = new Set();
-
-      // Generate unique 6-digit numbers
-      while (numbersSet.size < desiredCount) {
-        const n = Math.floor(Math.random() * 1000000);
-        const s = n.toString().padStart(6, '0');
-        numbersSet.add(s);
-      }
-
-      const numbers = Array.from(numbersSet);
-      const batchSize = 50;
-      let inserted = 0;
-
-      for (let i = 0; i < numbers.length; i += batchSize) {
-        const batch = numbers.slice(i, i + batchSize);
-        const placeholders = batch.map(() => '(?, ?, ?)').join(',');
-        const values = [];
-
-        for (const num of batch) {
-          values.push(num, price, adminUserId);
-        }
-
-        await connection.execute(
-          `INSERT INTO Ticket (number, price, created_by) VALUES ${placeholders}`,
-          values
-        );
-        inserted += batch.length;
-      }
+      const batch = await IssuanceService.issueBatch({
+        count: DEFAULTS.TICKET_COUNT,
+        mode: ISSUANCE_MODE.INITIAL,
+        createdBy: adminUserId
+      });
 
       sendSuccess(res, {
-        ticketsCreated: inserted
-      }, `สร้างตั๋วลอตเตอรี่ใหม่ ${inserted} ใบเรียบร้อย`);
+        ticketsCreated: batch.issued,
+        batch
+      }, `สร้างตั๋วลอตเตอรี่ใหม่ ${batch.issued} ใบเรียบร้อย`);
 
     } finally {
       await connection.end();
@@ -432,11 +432,11 @@ router.get('/overview', authenticateToken, requireAdmin, asyncHandler(async (req
 
     const [prizeStats] = await connection.execute(`
       SELECT 
-        COUNT(*) as total_prizes,
-        SUM(amount) as total_prize_amount,
-        COALESCE(SUM(CASE WHEN t.status = 'claimed' THEN p.amount ELSE 0 END), 0) as claimed_prize_amount
+        COUNT(DISTINCT p.prize_id) as total_prizes,
+        (SELECT SUM(amount) FROM Prize) as total_prize_amount,
+        COALESCE(SUM(CASE WHEN tp.status = 'claimed' THEN tp.amount ELSE 0 END), 0) as claimed_prize_amount
       FROM Prize p
-      LEFT JOIN Ticket t ON t.prize_id = p.prize_id
+      LEFT JOIN TicketPrize tp ON tp.prize_id = p.prize_id
     `);
 
     const [recentPurchases] = await connection.execute(`
@@ -445,6 +445,8 @@ router.get('/overview', authenticateToken, requireAdmin, asyncHandler(async (req
       WHERE date >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
     `);
 
+    const prizePools = await PrizePoolService.getSummary();
+
     const overview = {
       users: {
         total_members: memberCount[0].total,
@@ -470,6 +472,10 @@ router.get('/overview', authenticateToken, requireAdmin, asyncHandler(async (req
         claimed_prize_amount: parseFloat(prizeStats[0].claimed_prize_amount) || 0,
         unclaimed_prize_amount: parseFloat((prizeStats[0].total_prize_amount || 0) - (prizeStats[0].claimed_prize_amount || 0)) || 0
       },
+      prize_pools: {
+        total_balance: prizePools.totalBalance,
+        pools: prizePools.pools
+      },
       activity: {
         recent_purchases_24h: parseInt(recentPurchases[0].recent_purchases) || 0
       }
@@ -481,220 +487,160 @@ router.get('/overview', authenticateToken, requireAdmin, asyncHandler(async (req
   }
 }));
 
+// ✅ Commit server seed for the next draw (Admin only) - เผยแพร่ hash และแหล่ง public entropy ก่อนปิดการขาย
+router.post('/draws/commit', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const { poolType = 'sold', roundId } = req.body;
+
+  if (!['sold', 'all'].includes(poolType)) {
+    const error = new Error('ประเภทการออกรางวัลต้องเป็น "sold" หรือ "all"');
+    error.code = 'INVALID_POOL_TYPE';
+    throw error;
+  }
+
+  if (roundId !== undefined && (!Number.isInteger(roundId) || roundId <= 0)) {
+    const error = new Error('รหัสงวดต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'INVALID_ROUND_ID';
+    throw error;
+  }
+
+  const commitment = await DrawService.commitDraw({
+    poolType,
+    roundId,
+    createdBy: req.user.user_id
+  });
+
+  sendSuccess(res, { commitment }, `เผยแพร่ commitment ของงวดที่ ${commitment.round} เรียบร้อย`, 201);
+}));
+
 // ✅ Create New Draw (Admin only)
 router.post('/draws', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
   const { 
-    poolType = 'sold', 
-    rewards = [1000000, 500000, 100000, 50000, 10000]
+    poolType, 
+    roundId,
+    prizeTable,
+    rewards,
+    publicEntropy,
+    simulate
   } = req.body;
 
-  // Enhanced validation for draw creation
-  if (!['sold', 'all'].includes(poolType)) {
+  // Enhanced validation for draw creation (poolType defaults to the committed one)
+  if (poolType !== undefined && !['sold', 'all'].includes(poolType)) {
     const error = new Error('ประเภทการออกรางวัลต้องเป็น "sold" หรือ "all"');
     error.code = 'INVALID_POOL_TYPE';
     throw error;
   }
 
-  // Validate rewards array
-  if (!Array.isArray(rewards) || rewards.length !== 5) {
-    const error = new Error('กรุณาระบุรางวัล 5 รางวัล');
-    error.code = 'INVALID_REWARDS';
+  if (roundId !== undefined && (!Number.isInteger(roundId) || roundId <= 0)) {
+    const error = new Error('รหัสงวดต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'INVALID_ROUND_ID';
     throw error;
   }
 
-  // Validate each reward amount
-  for (let i = 0; i < rewards.length; i++) {
-    if (typeof rewards[i] !== 'number' || rewards[i] < 0) {
-      const error = new Error(`รางวัลที่ ${i + 1} ต้องเป็นตัวเลขที่มากกว่าหรือเท่ากับ 0`);
-      error.code = 'INVALID_REWARD_AMOUNT';
-      throw error;
-    }
+  if (prizeTable !== undefined && typeof prizeTable !== 'string') {
+    const error = new Error('prizeTable ต้องเป็นชื่อโครงสร้างรางวัล');
+    error.code = 'INVALID_PRIZE_TABLE';
+    throw error;
   }
 
-  try {
-    const connection = await getConnection();
-    try {
-      // Start transaction
-      await connection.beginTransaction();
-
-      // 1. ตรวจสอบจำนวนตั๋วที่มีตาม poolType
-      let ticketQuery = '';
-      if (poolType === 'sold') {
-        ticketQuery = 'SELECT ticket_id, number FROM Ticket WHERE status = "sold"';
-      } else {
-        // สุ่มจากตั๋วทั้งหมดในระบบ
-        ticketQuery = 'SELECT ticket_id, number FROM Ticket';
-      }
+  // rewards แบบ array 5 ค่า (รูปแบบเดิม) ใช้ตาราง classic, นอกนั้นใช้ตารางเริ่มต้น
+  const tableName = prizeTable || (Array.isArray(rewards) && rewards.length === 5 ? 'classic' : undefined);
 
-      const [availableTickets] = await connection.execute(ticketQuery);
-      
-      if (poolType === 'sold' && availableTickets.length < 5) {
-        const error = new Error(`ต้องมีตั๋วที่ขายแล้วอย่างน้อย 5 ใบ (มีอยู่ ${availableTickets.length} ใบ)`);
-        error.code = 'INSUFFICIENT_TICKETS';
-        throw error;
-      }
+  if (publicEntropy !== undefined && (typeof publicEntropy !== 'string' || publicEntropy.length > 255)) {
+    const error = new Error('public entropy ต้องเป็นข้อความความยาวไม่เกิน 255 ตัวอักษร');
+    error.code = 'INVALID_PUBLIC_ENTROPY';
+    throw error;
+  }
 
-      if (availableTickets.length < 5) {
-        const error = new Error(`ต้องมีตั๋วในระบบอย่างน้อย 5 ใบ (มีอยู่ ${availableTickets.length} ใบ)`);
-        error.code = 'INSUFFICIENT_TICKETS';
-        throw error;
-      }
+  if (simulate !== undefined && typeof simulate !== 'boolean') {
+    const error = new Error('simulate ต้องเป็น true หรือ false');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
 
-      // 2. สุ่มเลือกผู้ชนะ (5 รางวัล)
-      const shuffledTickets = [...availableTickets].sort(() => Math.random() - 0.5);
-      
-      // สุ่มรางวัลที่ 1-3 (รางวัลใหญ่) - เลือกตั๋วทั้งใบ
-      const mainWinners = shuffledTickets.slice(0, 3);
-      
-      // สุ่มเลขท้าย 3 ตัวและ 2 ตัว
-      const tail3Digits = String(Math.floor(Math.random() * 1000)).padStart(3, '0');
-      const tail2Digits = String(Math.floor(Math.random() * 100)).padStart(2, '0');
+  // simulate: ดูผลล่วงหน้าด้วย seed ชั่วคราว ไม่บันทึกอะไรลงฐานข้อมูล
+  if (simulate === true || req.query.simulate === 'true') {
+    const simulation = await DrawService.simulateDraw({
+      poolType,
+      roundId,
+      prizeTable: tableName,
+      rewards,
+      publicEntropy
+    });
 
-      // 3. สร้าง DrawResult ตามที่ Flutter app ต้องการ
-      const drawId = Date.now().toString();
-      const createdAt = new Date();
-      
-      // 4. สร้าง PrizeItem สำหรับแต่ละรางวัล
-      const prizes = [];
-      const winnersMap = {};
-      
-      // รางวัลที่ 1-3 (รางวัลใหญ่)
-      for (let i = 0; i < 3; i++) {
-        const prizeItem = {
-          tier: i + 1,
-          ticketId: mainWinners[i]?.number || '000000',
-          amount: rewards[i],
-          claimed: false
-        };
-        
-        prizes.push(prizeItem);
-        
-        // เพิ่มใน winners map
-        const tierName = `รางวัลที่ ${i + 1}`;
-        winnersMap[tierName] = [mainWinners[i]?.number || '000000'];
-      }
-      
-      // รางวัลเลขท้าย 3 ตัว (tier 4)
-      const tail3Winners = availableTickets.filter(ticket => 
-        ticket.number.slice(-3) === tail3Digits
-      );
-      
-      prizes.push({
-        tier: 4,
-        ticketId: `เลขท้าย 3 ตัว: ${tail3Digits}`,
-        amount: rewards[3],
-        claimed: false
-      });
-      
-      winnersMap['รางวัลเลขท้าย 3 ตัว'] = tail3Winners.length > 0 ? 
-        tail3Winners.map(t => t.number) : [`เลขท้าย: ${tail3Digits}`];
-      
-      // รางวัลเลขท้าย 2 ตัว (tier 5)
-      const tail2Winners = availableTickets.filter(ticket => 
-        ticket.number.slice(-2) === tail2Digits
-      );
-      
-      prizes.push({
-        tier: 5,
-        ticketId: `เลขท้าย 2 ตัว: ${tail2Digits}`,
-        amount: rewards[4],
-        claimed: false
-      });
-      
-      winnersMap['รางวัลเลขท้าย 2 ตัว'] = tail2Winners.length > 0 ? 
-        tail2Winners.map(t => t.number) : [`เลขท้าย: ${tail2Digits}`];
-
-      // 5. ส่งผลลัพธ์กลับไปยัง Flutter app
-      const drawResult = {
-        id: drawId,
-        poolType: poolType,
-        createdAt: createdAt,
-        prizes: prizes,
-        winners: winnersMap
-      };
-
-      // 6. บันทึกผลรางวัลลงในฐานข้อมูล (ใช้ prize_id foreign key)
-      // ลบรางวัลเก่าและรีเซ็ต prize_id ใน Ticket table
-      await connection.execute('UPDATE Ticket SET prize_id = NULL WHERE prize_id IS NOT NULL');
-      await connection.execute('DELETE FROM Prize');
-      
-      console.log('💾 ADMIN DRAW: Saving prizes to database...');
-      
-      // บันทึกรางวัลที่ 1-3 (รางวัลใหญ่)
-      for (let i = 0; i < 3; i++) {
-        console.log(`   - Saving Prize Tier ${prizes[i].tier}: ${prizes[i].amount} บาท`);
-        
-        // สร้างรางวัลใน Prize table
-        const [result] = await connection.execute(
-          'INSERT INTO Prize (amount, `rank`) VALUES (?, ?)',
-          [prizes[i].amount, prizes[i].tier]
-        );
-        
-        const prizeId = result.insertId;
-        console.log(`   - Created Prize ID: ${prizeId}`);
-        
-        // อัพเดท Ticket.prize_id เพื่อ link กับรางวัล
-        if (mainWinners[i]) {
-          await connection.execute(
-            'UPDATE Ticket SET prize_id = ? WHERE ticket_id = ?',
-            [prizeId, mainWinners[i].ticket_id]
-          );
-          console.log(`   - Linked Ticket ${mainWinners[i].number} to Prize ID ${prizeId}`);
-        }
-      }
-      
-      // บันทึกรางวัลเลขท้าย 3 ตัว (tier 4)
-      console.log(`   - Saving Prize Tier 4 (เลขท้าย 3 ตัว): ${prizes[3].amount} บาท`);
-      const [result4] = await connection.execute(
-        'INSERT INTO Prize (amount, `rank`) VALUES (?, ?)',
-        [prizes[3].amount, 4]
-      );
-      const prizeId4 = result4.insertId;
-      
-      // อัพเดทตั๋วที่ถูกเลขท้าย 3 ตัว
-      for (const winner of tail3Winners) {
-        await connection.execute(
-          'UPDATE Ticket SET prize_id = ? WHERE ticket_id = ?',
-          [prizeId4, winner.ticket_id]
-        );
-        console.log(`   - Linked Ticket ${winner.number} to Tail-3 Prize ID ${prizeId4}`);
-      }
-      
-      // บันทึกรางวัลเลขท้าย 2 ตัว (tier 5)
-      console.log(`   - Saving Prize Tier 5 (เลขท้าย 2 ตัว): ${prizes[4].amount} บาท`);
-      const [result5] = await connection.execute(
-        'INSERT INTO Prize (amount, `rank`) VALUES (?, ?)',
-        [prizes[4].amount, 5]
-      );
-      const prizeId5 = result5.insertId;
-      
-      // อัพเดทตั๋วที่ถูกเลขท้าย 2 ตัว
-      for (const winner of tail2Winners) {
-        await connection.execute(
-          'UPDATE Ticket SET prize_id = ? WHERE ticket_id = ?',
-          [prizeId5, winner.ticket_id]
-        );
-        console.log(`   - Linked Ticket ${winner.number} to Tail-2 Prize ID ${prizeId5}`);
-      }
+    return sendSuccess(res, { simulation }, `จำลองการออกรางวัล: ผู้ชนะ ${simulation.totalWinners} ใบ ยอดรางวัลรวม ${simulation.totalLiability} บาท`);
+  }
 
-      // Commit transaction
-      await connection.commit();
+  // public entropy ใช้ได้เฉพาะตอน simulate ตอนออกรางวัลจริงดึงจากแหล่งที่ commit ไว้ (createDraw ปฏิเสธ)
+  const { drawResult, totalWinners } = await DrawService.createDraw({
+    poolType,
+    roundId,
+    prizeTable: tableName,
+    rewards,
+    createdBy: req.user.user_id,
+    publicEntropy
+  });
+
+  sendSuccess(res, {
+    drawResult: drawResult
+  }, `ออกรางวัลงวดที่ ${drawResult.round} เรียบร้อย ผู้ชนะ ${totalWinners} คน`, 200);
+}));
 
-      // นับจำนวนผู้ชนะทั้งหมด
-      const totalWinners = mainWinners.length + tail3Winners.length + tail2Winners.length;
-      
-      sendSuccess(res, {
-        drawResult: drawResult
-      }, `ออกรางวัลเรียบร้อย ผู้ชนะ ${totalWinners} คน`, 200);
-    } catch (error) {
-      await connection.rollback();
-      throw error;
-    } finally {
-      await connection.end();
-    }
-  } finally {
-    // No cleanup needed
+// ✅ Import official results (Admin only) - ใช้ผลรางวัลจากการประกาศแทนการสุ่ม
+// รับ JSON { format: 'json', results } / { format: 'csv', data } หรือไฟล์ CSV ตรงๆ (Content-Type: text/csv)
+router.post('/draws/import', authenticateToken, requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), asyncHandler(async (req, res) => {
+  const isRawCsv = typeof req.body === 'string';
+  const options = isRawCsv ? req.query : req.body;
+  const format = isRawCsv ? 'csv' : options.format || (options.results !== undefined ? 'json' : 'csv');
+  const data = isRawCsv ? req.body : (format === 'json' ? options.results : options.data);
+
+  if (!['csv', 'json'].includes(format)) {
+    const error = new Error('format ต้องเป็น "csv" หรือ "json"');
+    error.code = 'INVALID_RESULT_FORMAT';
+    throw error;
+  }
+
+  if (format === 'csv' && (typeof data !== 'string' || data.trim() === '')) {
+    const error = new Error('กรุณาแนบผลรางวัลแบบ CSV ใน data');
+    error.code = 'INVALID_RESULT_FORMAT';
+    throw error;
+  }
+
+  if (format === 'json' && (!data || typeof data !== 'object')) {
+    const error = new Error('กรุณาระบุผลรางวัลใน results');
+    error.code = 'INVALID_RESULT_FORMAT';
+    throw error;
+  }
+
+  const roundId = options.roundId !== undefined ? parseInt(options.roundId) : undefined;
+  if (roundId !== undefined && (isNaN(roundId) || roundId <= 0)) {
+    const error = new Error('รหัสงวดต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'INVALID_ROUND_ID';
+    throw error;
+  }
+
+  if (options.poolType !== undefined && !['sold', 'all'].includes(options.poolType)) {
+    const error = new Error('ประเภทการออกรางวัลต้องเป็น "sold" หรือ "all"');
+    error.code = 'INVALID_POOL_TYPE';
+    throw error;
+  }
+
+  if (options.prizeTable !== undefined && typeof options.prizeTable !== 'string') {
+    const error = new Error('prizeTable ต้องเป็นชื่อโครงสร้างรางวัล');
+    error.code = 'INVALID_PRIZE_TABLE';
+    throw error;
   }
+
+  const { drawResult, totalWinners } = await DrawService.importDraw({
+    format,
+    data,
+    roundId,
+    poolType: options.poolType,
+    prizeTable: options.prizeTable,
+    rewards: isRawCsv ? undefined : options.rewards,
+    createdBy: req.user.user_id
+  });
+
+  sendSuccess(res, { drawResult }, `นำเข้าผลรางวัลงวดที่ ${drawResult.round} เรียบร้อย ผู้ชนะ ${totalWinners} คน`, 201);
 }));
 
 // ✅ Get Latest Draw Results
@@ -763,6 +709,71 @@ router.get('/draws/:drawId', authenticateToken, requireAdmin, asyncHandler(async
   sendSuccess(res, { draw }, 'ดึงผลรางวัลสำเร็จ');
 }));
 
+// ✅ Void a draw (Admin only) - เรียกคืนเงินรางวัลที่ขึ้นไปแล้ว และเปิดงวดให้ออกรางวัลใหม่
+router.post('/draws/:drawId/void', authenticateToken, requireAdmin, idempotent, asyncHandler(async (req, res) => {
+  const drawId = parseInt(req.params.drawId);
+  if (isNaN(drawId) || drawId <= 0) {
+    const error = new Error('รหัสการออกรางวัลต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'INVALID_DRAW_ID';
+    throw error;
+  }
+
+  const { reason } = req.body;
+  if (typeof reason !== 'string' || reason.trim() === '' || reason.length > 255) {
+    const error = new Error('กรุณาระบุเหตุผลการยกเลิกผล (ไม่เกิน 255 ตัวอักษร)');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const result = await DrawService.voidDraw(drawId, {
+    reason: reason.trim(),
+    voidedBy: req.user.user_id
+  });
+
+  const shortfall = result.totalShortfall > 0 ? ` (ยอดเงินไม่พอ บันทึกยอดค้าง ${result.totalShortfall} บาทไว้เรียกเก็บภายหลัง)` : '';
+  sendSuccess(res, result, `ยกเลิกผลงวดที่ ${result.drawResult.round} เรียบร้อย เรียกคืนเงินรางวัล ${result.reversals.length} รายการ รวม ${result.totalReversed} บาท${shortfall}`);
+}));
+
+// ✅ List receivables (Admin only) - ยอดค้างที่เรียกคืนจากกระเป๋าเงินไม่ได้ เช่นเงินรางวัลของงวดที่ยกเลิกผล
+router.get('/receivables', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const { status, userId } = req.query;
+
+  if (status !== undefined && !Object.values(RECEIVABLE_STATUS).includes(status)) {
+    const error = new Error(`สถานะต้องเป็น ${Object.values(RECEIVABLE_STATUS).join(', ')}`);
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  if (userId !== undefined && !/^[1-9]\d*$/.test(userId)) {
+    const error = new Error('รหัสผู้ใช้ต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'INVALID_USER_ID';
+    throw error;
+  }
+
+  const result = await WalletService.getReceivables({
+    userId: userId !== undefined ? parseInt(userId) : undefined,
+    status,
+    page: req.query.page,
+    limit: req.query.limit
+  });
+
+  sendSuccess(res, result, `ยอดค้างรวม ${result.totalOutstanding} บาท`);
+}));
+
+// ✅ Collect a user's open receivables from their current balance (Admin only)
+router.post('/users/:userId/receivables/recover', authenticateToken, requireAdmin, idempotent, asyncHandler(async (req, res) => {
+  const userId = parseInt(req.params.userId);
+  if (isNaN(userId) || userId <= 0) {
+    const error = new Error('รหัสผู้ใช้ต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'INVALID_USER_ID';
+    throw error;
+  }
+
+  const result = await WalletService.recoverReceivables(userId, { createdBy: req.user.user_id });
+
+  sendSuccess(res, result, `เรียกเก็บยอดค้าง ${result.recovered} บาท คงค้าง ${result.outstanding} บาท`);
+}));
+
 // ✅ Clear All Draws (Admin only)
 router.delete('/draws', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -782,6 +793,487 @@ router.delete('/draws', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// Check a YYYY-MM-DD date string
+function isDateString(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+// ✅ Create round (Admin only) - สร้างงวดใหม่พร้อมออกตั๋วของงวด
+// ถ้าไม่ระบุ drawDate จะใช้วันออกรางวัลถัดไปตามปฏิทินที่ยังไม่มีงวด
+router.post('/rounds', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const { name, ticketCount, range, copies, price, rules, seed } = req.body;
+
+  if (req.body.drawDate !== undefined && !isDateString(req.body.drawDate)) {
+    const error = new Error('วันออกรางวัลต้องอยู่ในรูปแบบ YYYY-MM-DD');
+    error.code = 'INVALID_DRAW_DATE';
+    throw error;
+  }
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '' || name.length > 100)) {
+    const error = new Error('ชื่องวดต้องเป็นข้อความความยาวไม่เกิน 100 ตัวอักษร');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  if (ticketCount !== undefined && (!Number.isInteger(ticketCount) || ticketCount < 1 || ticketCount > 10000)) {
+    const error = new Error('จำนวนตั๋วต้องเป็นจำนวนเต็มระหว่าง 1-10000');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  if (copies !== undefined && (!Number.isInteger(copies) || copies < 1 || copies > TICKET_SETS.MAX_COPIES)) {
+    const error = new Error(`จำนวนใบต่อเลขต้องเป็นจำนวนเต็มระหว่าง 1-${TICKET_SETS.MAX_COPIES}`);
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  if (price !== undefined && (typeof price !== 'number' || price <= 0)) {
+    const error = new Error('ราคาตั๋วต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const drawDate = req.body.drawDate || await DrawScheduleService.getNextOpenDrawDate();
+
+  const round = await RoundService.createRound({
+    drawDate,
+    name,
+    ticketCount,
+    range,
+    copies,
+    price,
+    rules,
+    seed,
+    createdBy: req.user.user_id
+  });
+
+  sendSuccess(res, { round }, `สร้าง${round.name} พร้อมตั๋ว ${round.totalTickets} ใบเรียบร้อย`, 201);
+}));
+
+// ✅ Open / close / settle round (Admin only)
+const roundActions = {
+  open: { run: id => RoundService.openRound(id), message: 'เปิดขาย' },
+  close: { run: id => RoundService.closeRound(id), message: 'ปิดการขาย' },
+  settle: { run: id => RoundService.settleRound(id), message: 'ปิดงวด' }
+};
+
+router.post('/rounds/:roundId/:action(open|close|settle)', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const roundId = parseInt(req.params.roundId);
+  if (isNaN(roundId) || roundId <= 0) {
+    const error = new Error('รหัสงวดต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'INVALID_ROUND_ID';
+    throw error;
+  }
+
+  const action = roundActions[req.params.action];
+  const round = await action.run(roundId);
+
+  sendSuccess(res, { round }, `${action.message}${round.name} เรียบร้อย`);
+}));
+
+// ✅ Issue a ticket batch (Admin only) - ออกตั๋วเพิ่มตามจำนวน/ช่วงเลข/pattern
+// mode append (ค่าเริ่มต้น) ข้ามเลขที่มีแล้ว, mode initial ต้องยังไม่มีตั๋ว
+router.post('/ticket-batches', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const { roundId, count, range, copies, price, rules, seed, mode } = req.body;
+
+  const batch = await IssuanceService.issueBatch({
+    roundId,
+    count,
+    range,
+    copies,
+    price,
+    rules,
+    seed,
+    mode,
+    createdBy: req.user.user_id
+  });
+
+  sendSuccess(res, { batch }, `ออกตั๋ว ${batch.issued} ใบ (${batch.count} เลข) เรียบร้อย`, 201);
+}));
+
+// ✅ List ticket batches (Admin only)
+router.get('/ticket-batches', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const { roundId, page, limit } = req.query;
+
+  let parsedRoundId;
+  if (roundId !== undefined) {
+    parsedRoundId = parseInt(roundId);
+    if (isNaN(parsedRoundId) || parsedRoundId <= 0) {
+      const error = new Error('รหัสงวดต้องเป็นตัวเลขที่มากกว่า 0');
+      error.code = 'INVALID_ROUND_ID';
+      throw error;
+    }
+  }
+
+  const result = await IssuanceService.listBatches({ roundId: parsedRoundId, page, limit });
+  sendSuccess(res, result, 'ดึงรายการชุดการออกตั๋วสำเร็จ');
+}));
+
+// ✅ Get a ticket batch (Admin only)
+router.get('/ticket-batches/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const batchId = parseInt(req.params.id);
+  if (isNaN(batchId) || batchId <= 0) {
+    const error = new Error('รหัสชุดการออกตั๋วต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const batch = await IssuanceService.getBatch(batchId);
+  if (!batch) {
+    const error = new Error('ไม่พบชุดการออกตั๋ว');
+    error.code = 'TICKET_BATCH_NOT_FOUND';
+    throw error;
+  }
+
+  sendSuccess(res, { batch }, 'ดึงข้อมูลชุดการออกตั๋วสำเร็จ');
+}));
+
+/**
+ * Read a ticket CSV upload: raw text/csv (options in the query) or JSON { data, ... }
+ * @param {Object} req - Express request
+ * @returns {Object} { data, roundId, skipDuplicates }
+ */
+function readTicketCsv(req) {
+  const isRawCsv = typeof req.body === 'string';
+  const options = isRawCsv ? req.query : req.body;
+  const data = isRawCsv ? req.body : options.data;
+
+  if (typeof data !== 'string' || data.trim() === '') {
+    const error = new Error('กรุณาแนบไฟล์ตั๋วแบบ CSV (Content-Type: text/csv) หรือส่งใน data');
+    error.code = 'INVALID_TICKET_IMPORT';
+    throw error;
+  }
+
+  const roundId = options.roundId !== undefined ? parseInt(options.roundId) : undefined;
+  if (roundId !== undefined && (isNaN(roundId) || roundId <= 0)) {
+    const error = new Error('รหัสงวดต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'INVALID_ROUND_ID';
+    throw error;
+  }
+
+  return {
+    data,
+    roundId,
+    skipDuplicates: options.skipDuplicates === true || options.skipDuplicates === 'true'
+  };
+}
+
+const ticketCsvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+// ✅ Preview a ticket CSV import (Admin only) - แสดงแถวที่ไม่ถูกต้องและเลขที่มีอยู่แล้ว ยังไม่บันทึก
+// คอลัมน์: number, set, price, round (ดู utils/ticketCsv)
+router.post('/tickets/import/preview', authenticateToken, requireAdmin, ticketCsvBody, asyncHandler(async (req, res) => {
+  const { data, roundId } = readTicketCsv(req);
+
+  const preview = await IssuanceService.previewImport(data, { roundId });
+  const message = preview.errors.length > 0
+    ? `พบแถวที่ไม่ถูกต้อง ${preview.errors.length} แถว`
+    : `พร้อมนำเข้า ${preview.ready} ใบ (มีอยู่แล้ว ${preview.duplicates.length} ใบ)`;
+
+  sendSuccess(res, preview, message);
+}));
+
+// ✅ Import tickets from CSV (Admin only)
+router.post('/tickets/import', authenticateToken, requireAdmin, ticketCsvBody, asyncHandler(async (req, res) => {
+  const { data, roundId, skipDuplicates } = readTicketCsv(req);
+
+  const result = await IssuanceService.importTickets(data, {
+    roundId,
+    skipDuplicates,
+    createdBy: req.user.user_id
+  });
+
+  sendSuccess(res, result, `นำเข้าตั๋ว ${result.imported} ใบเรียบร้อย${result.skipped > 0 ? ` (ข้ามที่มีอยู่แล้ว ${result.skipped} ใบ)` : ''}`, 201);
+}));
+
+// ✅ Export tickets as CSV (Admin only) - list=inventory (ค่าเริ่มต้น) หรือ sold, ส่งทีละช่วง
+router.get('/tickets/export', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const { list = 'inventory' } = req.query;
+
+  if (!['inventory', 'sold'].includes(list)) {
+    const error = new Error('list ต้องเป็น "inventory" หรือ "sold"');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const roundId = req.query.roundId !== undefined ? parseInt(req.query.roundId) : undefined;
+  if (roundId !== undefined && (isNaN(roundId) || roundId <= 0)) {
+    const error = new Error('รหัสงวดต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'INVALID_ROUND_ID';
+    throw error;
+  }
+
+  // อ่านแถวแรกก่อนส่ง header เพื่อให้ข้อผิดพลาดของฐานข้อมูลยังตอบเป็น JSON ได้
+  const rows = TicketService.exportTickets({ list, roundId });
+  let next = await rows.next();
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="tickets-${list}${roundId ? `-round-${roundId}` : ''}.csv"`);
+  // BOM ให้ Excel อ่านภาษาไทยได้
+  res.write('\uFEFF' + formatCsvRow(EXPORT_COLUMNS));
+
+  try {
+    while (!next.done) {
+      const row = next.value;
+      const written = res.write(formatCsvRow([
+        row.ticket_id, row.round_id, row.number, row.set_no, row.price, row.status, row.batch_id, row.owner, row.purchased_at
+      ]));
+
+      // รอให้ client อ่านทัน (หรือหยุดเมื่อ client ตัดการเชื่อมต่อ)
+      if (!written) {
+        await new Promise(resolve => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+
+      if (res.destroyed) {
+        await rows.return();
+        return;
+      }
+      next = await rows.next();
+    }
+    res.end();
+  } catch (error) {
+    // ส่ง header ไปแล้ว ตอบเป็น JSON ไม่ได้ จึงตัดการเชื่อมต่อให้ไฟล์ไม่สมบูรณ์ชัดเจน
+    console.error('❌ Ticket export failed:', error.message);
+    res.destroy(error);
+  }
+}));
+
+// ✅ Draw schedule overview (Admin only) - วันออกรางวัลถัดไป, วันที่ย้าย และบันทึกการทำงานอัตโนมัติ
+router.get('/draw-schedule', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const { status, limit } = req.query;
+
+  if (status !== undefined && !['pending', 'running', 'succeeded', 'failed'].includes(status)) {
+    const error = new Error('สถานะต้องเป็น pending, running, succeeded หรือ failed');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const schedule = await DrawScheduleService.getSchedule();
+  if (status !== undefined || limit !== undefined) {
+    schedule.runs = await DrawScheduleService.listRuns({ status, limit });
+  }
+
+  sendSuccess(res, schedule, 'ดึงกำหนดการออกรางวัลสำเร็จ');
+}));
+
+// ✅ Move a draw date for a holiday (Admin only)
+router.post('/draw-schedule/overrides', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const { originalDate, drawDate, reason } = req.body;
+
+  if (!isDateString(originalDate) || !isDateString(drawDate)) {
+    const error = new Error('originalDate และ drawDate ต้องอยู่ในรูปแบบ YYYY-MM-DD');
+    error.code = 'INVALID_SCHEDULE_DATE';
+    throw error;
+  }
+
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 255)) {
+    const error = new Error('เหตุผลต้องเป็นข้อความความยาวไม่เกิน 255 ตัวอักษร');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const result = await DrawScheduleService.setOverride({
+    originalDate,
+    drawDate,
+    reason,
+    createdBy: req.user.user_id
+  });
+
+  sendSuccess(res, result, `ย้ายวันออกรางวัล ${originalDate} เป็น ${drawDate} เรียบร้อย`, 201);
+}));
+
+// ✅ Remove a holiday override (Admin only) - งวดที่ยังไม่ปิดการขายจะกลับไปใช้วันปกติ
+router.delete('/draw-schedule/overrides/:originalDate', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const { originalDate } = req.params;
+
+  if (!isDateString(originalDate)) {
+    const error = new Error('วันที่ต้องอยู่ในรูปแบบ YYYY-MM-DD');
+    error.code = 'INVALID_SCHEDULE_DATE';
+    throw error;
+  }
+
+  const result = await DrawScheduleService.removeOverride(originalDate);
+  sendSuccess(res, result, `ยกเลิกการย้ายวันออกรางวัล ${originalDate} เรียบร้อย`);
+}));
+
+// ✅ Retry a failed scheduler run (Admin only) - ทำงานใหม่ใน tick ถัดไป
+router.post('/draw-schedule/runs/:runId/retry', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const runId = parseInt(req.params.runId);
+  if (isNaN(runId) || runId <= 0) {
+    const error = new Error('รหัสงานต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const run = await DrawScheduleService.retryRun(runId);
+  sendSuccess(res, { run }, 'ตั้งงานให้ลองใหม่เรียบร้อย');
+}));
+
+// ✅ List prize structures (Admin only) - ตาราง built-in และที่ admin สร้างเอง
+router.get('/prize-structures', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const structures = await PrizeStructureService.listStructures();
+  sendSuccess(res, { structures }, 'ดึงรายการโครงสร้างรางวัลสำเร็จ');
+}));
+
+// ✅ Get prize structure (Admin only)
+router.get('/prize-structures/:name', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const structure = await PrizeStructureService.getStructure(req.params.name);
+
+  if (!structure) {
+    return sendError(res, 'PRIZE_STRUCTURE_NOT_FOUND', null, 404);
+  }
+
+  sendSuccess(res, { structure }, 'ดึงโครงสร้างรางวัลสำเร็จ');
+}));
+
+// ✅ Create prize structure (Admin only) - ใช้กับ POST /draws ผ่าน prizeTable
+router.post('/prize-structures', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const { name, description, tiers } = req.body;
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 255)) {
+    const error = new Error('คำอธิบายต้องเป็นข้อความความยาวไม่เกิน 255 ตัวอักษร');
+    error.code = 'INVALID_PRIZE_STRUCTURE';
+    throw error;
+  }
+
+  const structure = await PrizeStructureService.createStructure({
+    name,
+    description,
+    tiers,
+    createdBy: req.user.user_id
+  });
+
+  sendSuccess(res, { structure }, `สร้างโครงสร้างรางวัล "${structure.name}" เรียบร้อย`, 201);
+}));
+
+// ✅ Update prize structure (Admin only)
+router.put('/prize-structures/:name', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const { description, tiers } = req.body;
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 255)) {
+    const error = new Error('คำอธิบายต้องเป็นข้อความความยาวไม่เกิน 255 ตัวอักษร');
+    error.code = 'INVALID_PRIZE_STRUCTURE';
+    throw error;
+  }
+
+  const structure = await PrizeStructureService.updateStructure(req.params.name, { description, tiers });
+
+  sendSuccess(res, { structure }, `แก้ไขโครงสร้างรางวัล "${structure.name}" เรียบร้อย`);
+}));
+
+// ✅ Delete prize structure (Admin only)
+router.delete('/prize-structures/:name', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  await PrizeStructureService.deleteStructure(req.params.name);
+  sendSuccess(res, null, `ลบโครงสร้างรางวัล "${req.params.name}" เรียบร้อย`);
+}));
+
+// ✅ List prize pools and rollover rules (Admin only) - เงินรางวัลที่ไม่มีผู้ถูกสะสมไว้ที่นี่
+router.get('/prize-pools', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const result = await PrizePoolService.listPools();
+  sendSuccess(res, result, 'ดึงรายการกองรางวัลสะสมสำเร็จ');
+}));
+
+// ✅ Create a named jackpot (Admin only)
+router.post('/prize-pools', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const { name, payoutTier, description } = req.body;
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 255)) {
+    const error = new Error('คำอธิบายต้องเป็นข้อความความยาวไม่เกิน 255 ตัวอักษร');
+    error.code = 'INVALID_PRIZE_POOL';
+    throw error;
+  }
+
+  const pool = await PrizePoolService.createPool({
+    name,
+    payoutTier,
+    description,
+    createdBy: req.user.user_id
+  });
+
+  sendSuccess(res, { pool }, `สร้างกองรางวัลสะสม "${pool.name}" เรียบร้อย`, 201);
+}));
+
+// ✅ Prize pool ledger (Admin only)
+router.get('/prize-pools/:poolId/entries', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const poolId = parseInt(req.params.poolId);
+  if (isNaN(poolId) || poolId <= 0) {
+    const error = new Error('รหัสกองรางวัลต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const result = await PrizePoolService.getEntries(poolId, {
+    page: req.query.page,
+    limit: req.query.limit
+  });
+
+  sendSuccess(res, result, 'ดึงรายการเคลื่อนไหวของกองรางวัลสำเร็จ');
+}));
+
+// ✅ Top up or withdraw from a prize pool (Admin only)
+router.post('/prize-pools/:poolId/adjust', authenticateToken, requireAdmin, idempotent, asyncHandler(async (req, res) => {
+  const poolId = parseInt(req.params.poolId);
+  if (isNaN(poolId) || poolId <= 0) {
+    const error = new Error('รหัสกองรางวัลต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const { amount, reason } = req.body;
+  if (typeof reason !== 'string' || reason.trim() === '' || reason.length > 255) {
+    const error = new Error('กรุณาระบุเหตุผล (ไม่เกิน 255 ตัวอักษร)');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const result = await PrizePoolService.adjustPool(poolId, {
+    amount,
+    reason: reason.trim(),
+    createdBy: req.user.user_id
+  });
+
+  sendSuccess(res, result, `ปรับยอดกองรางวัล "${result.pool.name}" เรียบร้อย คงเหลือ ${result.pool.balance} บาท`);
+}));
+
+// ✅ Set the rollover rule of a tier (Admin only) - next_round, jackpot (poolId) หรือ none
+router.put('/prize-pools/rules/:tierKey', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const { target, poolId } = req.body;
+
+  const rule = await PrizePoolService.setRule(req.params.tierKey, {
+    target,
+    poolId,
+    updatedBy: req.user.user_id
+  });
+
+  sendSuccess(res, { rule }, `ตั้งกฎการสะสมของรางวัล "${rule.tierKey}" เรียบร้อย`);
+}));
+
+// ✅ Remove the rollover rule of a tier (Admin only) - กลับไปใช้ค่าเริ่มต้น
+router.delete('/prize-pools/rules/:tierKey', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  await PrizePoolService.removeRule(req.params.tierKey);
+  sendSuccess(res, null, `ลบกฎการสะสมของรางวัล "${req.params.tierKey}" เรียบร้อย`);
+}));
+
+// ✅ Forced refund (Admin only) - กรณีข้อพิพาท คืนได้ก่อนปิดการขาย หรือหลังออกรางวัลเฉพาะตั๋วที่ไม่ถูกรางวัล
+router.post('/purchases/:id/refund', authenticateToken, requireAdmin, idempotent, validateForcedRefund, asyncHandler(async (req, res) => {
+  const { ticketIds, reason } = req.body;
+
+  const result = await RefundService.forceRefund(req.user.user_id, parseInt(req.params.id), {
+    ticketIds: ticketIds ? ticketIds.map(Number) : undefined,
+    reason
+  });
+
+  sendSuccess(res, result, `คืนเงินรายการซื้อ #${req.params.id} จำนวน ${result.refundedTickets.length} ใบ รวม ${result.refundedAmount} บาท`);
+}));
+
 // ✅ Get detailed user information with purchase history (Admin only)
 router.get('/users/:userId/details', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
   const userId = parseInt(req.params.userId);
@@ -819,13 +1311,14 @@ router.get('/users/:userId/details', authenticateToken, requireAdmin, asyncHandl
 
     // Get user's winning tickets
     const [winnings] = await connection.execute(`
-      SELECT pr.prize_id, pr.amount, pr.rank, pr.claimed, pr.draw_date,
+      SELECT tp.prize_id, tp.amount, pr.rank, tp.status = 'claimed' as claimed, d.revealed_at as draw_date,
              t.number as winning_number
-      FROM Prize pr
-      JOIN Ticket t ON pr.ticket_id = t.ticket_id
-      JOIN Purchase p ON t.purchase_id = p.purchase_id
-      WHERE p.user_id = ?
-      ORDER BY pr.draw_date DESC
+      FROM TicketPrize tp
+      JOIN Prize pr ON pr.prize_id = tp.prize_id
+      JOIN DrawResult d ON d.draw_id = tp.draw_id
+      JOIN Ticket t ON tp.ticket_id = t.ticket_id
+      WHERE t.created_by = ? AND t.purchase_id IS NOT NULL AND tp.status <> 'voided'
+      ORDER BY d.revealed_at DESC, pr.rank ASC
     `, [userId]);
 
     const userDetails = {
@@ -857,7 +1350,7 @@ router.get('/users/:userId/details', authenticateToken, requireAdmin, asyncHandl
         prize_id: w.prize_id,
         amount: parseFloat(w.amount),
         rank: w.rank,
-        claimed: w.claimed,
+        claimed: Boolean(w.claimed),
         draw_date: w.draw_date,
         winning_number: w.winning_number
       }))
@@ -891,15 +1384,14 @@ router.get('/activity', authenticateToken, requireAdmin, asyncHandler(async (req
 
     // Get recent prize claims
     const [recentClaims] = await connection.execute(`
-      SELECT 'claim' as activity_type, pr.draw_date as activity_date,
-             u.username, pr.amount, 
+      SELECT 'claim' as activity_type, tp.claimed_at as activity_date,
+             u.username, tp.amount, 
              CONCAT('ขึ้นเงินรางวัลอันดับ ', pr.rank) as description
-      FROM Prize pr
-      JOIN Ticket t ON pr.ticket_id = t.ticket_id
-      JOIN Purchase p ON t.purchase_id = p.purchase_id
-      JOIN User u ON p.user_id = u.user_id
-      WHERE pr.claimed = 1
-      ORDER BY pr.draw_date DESC
+      FROM TicketPrize tp
+      JOIN Prize pr ON pr.prize_id = tp.prize_id
+      JOIN User u ON tp.claimed_by = u.user_id
+      WHERE tp.status = 'claimed'
+      ORDER BY tp.claimed_at DESC
       LIMIT ? OFFSET ?
     `, [limit, offset]);
 
@@ -0,0 +1,59 @@
+const express = require('express');
+const CartService = require('../services/CartService');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { asyncHandler, sendSuccess } = require('../middleware/errorHandler');
+const { validateTicketPurchase } = require('../middleware/validation');
+
+const router = express.Router();
+
+// ✅ Get the user's cart (authenticated)
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const cart = await CartService.getCart(req.user.user_id);
+  sendSuccess(res, { cart }, 'ดึงตะกร้าสำเร็จ');
+}));
+
+// ✅ Add tickets to the cart, holding them for CART_HOLD_MINUTES (authenticated)
+router.post('/items', authenticateToken, validateTicketPurchase, asyncHandler(async (req, res) => {
+  const cart = await CartService.addToCart(req.user.user_id, req.body.ticketIds);
+  sendSuccess(res, { cart }, `จองลอตเตอรี่ไว้ในตะกร้า ${cart.holdMinutes} นาที`);
+}));
+
+// ✅ Remove a ticket from the cart (authenticated)
+router.delete('/items/:ticketId', authenticateToken, asyncHandler(async (req, res) => {
+  const ticketId = parseInt(req.params.ticketId);
+  if (isNaN(ticketId) || ticketId <= 0) {
+    const error = new Error('รหัสลอตเตอรี่ต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const cart = await CartService.removeFromCart(req.user.user_id, ticketId);
+  sendSuccess(res, { cart }, 'นำลอตเตอรี่ออกจากตะกร้าสำเร็จ');
+}));
+
+// ✅ Empty the cart (authenticated)
+router.delete('/', authenticateToken, asyncHandler(async (req, res) => {
+  const released = await CartService.clearCart(req.user.user_id);
+  sendSuccess(res, { released }, `ล้างตะกร้าสำเร็จ (${released} ใบ)`);
+}));
+
+// ✅ Buy every ticket held in the cart (authenticated)
+router.post('/checkout', authenticateToken, idempotent, asyncHandler(async (req, res) => {
+  const result = await CartService.checkout(req.user.user_id);
+
+  sendSuccess(res, {
+    purchaseId: result.purchaseId,
+    roundId: result.roundId,
+    purchasedTickets: result.purchasedTickets.map(t => ({
+      id: t.ticket_id,
+      number: t.number,
+      price: t.price
+    })),
+    totalCost: result.totalCost,
+    remainingWallet: result.remainingWallet,
+    receipts: result.receipts
+  }, `ซื้อลอตเตอรี่ ${result.purchasedTickets.length} ใบ เป็นเงิน ${result.totalCost} บาท สำเร็จ`);
+}));
+
+module.exports = router;
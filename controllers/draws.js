@@ -0,0 +1,52 @@
+const express = require('express');
+const DrawService = require('../services/DrawService');
+const LiveEventService = require('../services/LiveEventService');
+const { asyncHandler, sendSuccess, sendError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// ✅ Get the published commitment for the next draw, or of ?roundId= (public)
+router.get('/commitment', asyncHandler(async (req, res) => {
+  const roundId = req.query.roundId !== undefined ? parseInt(req.query.roundId) : undefined;
+  if (roundId !== undefined && (isNaN(roundId) || roundId <= 0)) {
+    const error = new Error('รหัสงวดต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'INVALID_ROUND_ID';
+    throw error;
+  }
+
+  const commitment = await DrawService.getPendingCommitment(roundId);
+
+  if (!commitment) {
+    return sendSuccess(res, { commitment: null }, 'ยังไม่มี commitment สำหรับงวดถัดไป');
+  }
+
+  sendSuccess(res, { commitment }, 'ดึง commitment ของงวดถัดไปสำเร็จ');
+}));
+
+// ✅ Live stream of draw reveals and round events via Server-Sent Events (public)
+// Events: draw.started, draw.tier, draw.result, round.opened, round.closed, sales.closing_soon
+router.get('/stream', (req, res) => {
+  LiveEventService.subscribe(req, res);
+});
+
+// ✅ Verify a draw by recomputing it from the revealed seed (public)
+router.get('/:id/verify', asyncHandler(async (req, res) => {
+  const drawId = parseInt(req.params.id);
+  if (isNaN(drawId) || drawId <= 0) {
+    const error = new Error('รหัสการออกรางวัลต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'INVALID_DRAW_ID';
+    throw error;
+  }
+
+  const verification = await DrawService.verifyDraw(drawId);
+
+  if (!verification) {
+    return sendError(res, 'DRAW_NOT_FOUND');
+  }
+
+  sendSuccess(res, { verification }, verification.verified
+    ? 'ตรวจสอบผลรางวัลถูกต้อง'
+    : 'ไม่สามารถยืนยันผลรางวัลได้');
+}));
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const NotificationService = require('../services/NotificationService');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, sendSuccess } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// ✅ List the user's notifications, newest first (authenticated)
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const { unread, page, limit } = req.query;
+
+  const result = await NotificationService.listNotifications(req.user.user_id, {
+    unreadOnly: unread === 'true',
+    page,
+    limit
+  });
+
+  sendSuccess(res, result, 'ดึงการแจ้งเตือนสำเร็จ');
+}));
+
+// ✅ Mark every notification as read (authenticated)
+router.post('/read-all', authenticateToken, asyncHandler(async (req, res) => {
+  const marked = await NotificationService.markAllRead(req.user.user_id);
+  sendSuccess(res, { marked }, `อ่านการแจ้งเตือนแล้ว ${marked} รายการ`);
+}));
+
+// ✅ Mark one notification as read (authenticated)
+router.post('/:id/read', authenticateToken, asyncHandler(async (req, res) => {
+  const notificationId = parseInt(req.params.id);
+  if (isNaN(notificationId) || notificationId <= 0) {
+    const error = new Error('รหัสการแจ้งเตือนต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const notification = await NotificationService.markRead(req.user.user_id, notificationId);
+  sendSuccess(res, { notification }, 'อ่านการแจ้งเตือนแล้ว');
+}));
+
+module.exports = router;
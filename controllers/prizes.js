@@ -3,6 +3,8 @@ const { getConnection } = require('../dbconnect');
 const { PrizeService } = require('../services/PrizeService');
 const DrawService = require('../services/DrawService');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { validatePrizeClaim } = require('../middleware/validation');
 const { asyncHandler, sendSuccess, sendError } = require('../middleware/errorHandler');
 const { BusinessLogicError, TicketValidator, PrizeValidator } = require('../utils/businessLogicValidator');
 
@@ -21,32 +23,21 @@ router.get('/by-rank', asyncHandler(async (req, res) => {
 }));
 
 // ✅ Claim Prize - Main functionality (authenticated)
-router.post('/claim', authenticateToken, asyncHandler(async (req, res) => {
-  const { ticketNumber } = req.body;
-
-
-
-  // Enhanced input validation
-  if (!ticketNumber) {
-    throw new BusinessLogicError('กรุณาระบุหมายเลขลอตเตอรี่', 'MISSING_TICKET_NUMBER');
-  }
-
-  // Validate ticket number format
-  if (typeof ticketNumber !== 'string' || !/^[0-9]{6}$/.test(ticketNumber)) {
-    throw new BusinessLogicError('หมายเลขลอตเตอรี่ต้องเป็นตัวเลข 6 หลัก', 'INVALID_TICKET_NUMBER_FORMAT');
-  }
-
-  const result = await PrizeService.claimPrize(req.user.user_id, ticketNumber);
-  
-
+// Body: { ticketId } หรือ { ticketNumber } (รูปแบบเดิม) - ขึ้นเงินทุกใบของเลขนั้นในงวดเดียวกันที่ผู้ใช้ถืออยู่ (ลอตเตอรี่ชุด)
+router.post('/claim', validatePrizeClaim, authenticateToken, idempotent, asyncHandler(async (req, res) => {
+  const { ticketId, ticketNumber } = req.body;
+  const result = await PrizeService.claimPrize(req.user.user_id, ticketId !== undefined ? { ticketId: parseInt(ticketId) } : { ticketNumber: String(ticketNumber) });
 
   sendSuccess(res, {
     prizeAmount: result.prizeAmount,
     prizeRank: result.prizeRank,
+    prizes: result.prizes,
     newWallet: result.newWallet,
+    ticketId: result.ticketId,
     ticketNumber: result.ticketNumber,
+    copies: result.copies,
     drawId: result.drawId
-  }, `ขึ้นเงินรางวัลที่ ${result.prizeRank} จำนวน ${result.prizeAmount} บาท เรียบร้อย`);
+  }, `ขึ้นเงินรางวัลที่ ${[...new Set(result.prizes.map(prize => prize.rank))].join(', ')}${result.copies > 1 ? ` (${result.copies} ใบ)` : ''} รวม ${result.prizeAmount} บาท เรียบร้อย`);
 }));
 
 // ✅ Check if ticket is winner (public endpoint)
@@ -70,7 +61,7 @@ router.get('/check/:ticketNumber', asyncHandler(async (req, res) => {
       isWinner: true,
       ticketNumber: ticketNumber,
       prizeInfo: winnerInfo
-    }, `ลอตเตอรี่หมายเลข ${ticketNumber} ถูกรางวัลที่ ${winnerInfo.rank} จำนวน ${winnerInfo.amount} บาท`);
+    }, `ลอตเตอรี่หมายเลข ${ticketNumber} ถูก${winnerInfo.name} จำนวน ${winnerInfo.amount} บาท`);
   }
 
   return sendSuccess(res, {
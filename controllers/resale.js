@@ -0,0 +1,72 @@
+const express = require('express');
+const ResaleService = require('../services/ResaleService');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { asyncHandler, sendSuccess } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * Parse a positive integer ID
+ * @param {*} value - Raw value
+ * @param {string} label - Thai label for the error message
+ * @returns {number} Parsed ID
+ */
+function parseId(value, label) {
+  const id = parseInt(value);
+  if (isNaN(id) || id <= 0) {
+    const error = new Error(`${label}ต้องเป็นตัวเลขที่มากกว่า 0`);
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+  return id;
+}
+
+// ✅ Browse active resale listings, cheapest first (public)
+router.get('/', asyncHandler(async (req, res) => {
+  const { roundId, maxPrice, page, limit } = req.query;
+
+  if (maxPrice !== undefined && (maxPrice === '' || isNaN(Number(maxPrice)) || Number(maxPrice) < 0)) {
+    const error = new Error('maxPrice ต้องเป็นตัวเลขที่ไม่ติดลบ');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const result = await ResaleService.listActive({
+    roundId: roundId !== undefined ? parseId(roundId, 'รหัสงวด') : undefined,
+    maxPrice: maxPrice !== undefined ? Number(maxPrice) : undefined,
+    page,
+    limit
+  });
+
+  sendSuccess(res, { ...result, maxPrice: ResaleService.getMaxPrice(), feePercent: ResaleService.getFeePercent() },
+    'ดึงรายการขายต่อสำเร็จ');
+}));
+
+// ✅ Listings the member created (authenticated)
+router.get('/my-listings', authenticateToken, asyncHandler(async (req, res) => {
+  const listings = await ResaleService.listBySeller(req.user.user_id);
+  sendSuccess(res, { listings }, 'ดึงประกาศขายของฉันสำเร็จ');
+}));
+
+// ✅ List a purchased ticket for resale (authenticated)
+router.post('/', authenticateToken, asyncHandler(async (req, res) => {
+  const { ticketId, price } = req.body;
+
+  const listing = await ResaleService.createListing(parseId(ticketId, 'รหัสลอตเตอรี่'), req.user.user_id, price);
+  sendSuccess(res, { listing }, `ประกาศขายลอตเตอรี่ ${listing.ticketNumber} ราคา ${listing.price} บาท แล้ว`, 201);
+}));
+
+// ✅ Buy a listed ticket (authenticated)
+router.post('/:id/buy', authenticateToken, idempotent, asyncHandler(async (req, res) => {
+  const { listing, remainingWallet } = await ResaleService.buyListing(parseId(req.params.id, 'รหัสประกาศขาย'), req.user.user_id);
+  sendSuccess(res, { listing, remainingWallet }, `ซื้อลอตเตอรี่ ${listing.ticketNumber} ราคา ${listing.price} บาท สำเร็จ`);
+}));
+
+// ✅ Withdraw a listing (authenticated, seller)
+router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const listing = await ResaleService.cancelListing(parseId(req.params.id, 'รหัสประกาศขาย'), req.user.user_id);
+  sendSuccess(res, { listing }, 'ยกเลิกประกาศขายแล้ว');
+}));
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const RoundService = require('../services/RoundService');
+const { ROUND_STATUS } = require('../constants');
+const { asyncHandler, sendSuccess, sendError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// ✅ List rounds (public)
+router.get('/', asyncHandler(async (req, res) => {
+  const { status, page, limit } = req.query;
+
+  if (status !== undefined && !Object.values(ROUND_STATUS).includes(status)) {
+    const error = new Error(`สถานะงวดต้องเป็น ${Object.values(ROUND_STATUS).join(', ')}`);
+    error.code = 'INVALID_ROUND_STATUS';
+    throw error;
+  }
+
+  const result = await RoundService.listRounds({ status, page, limit });
+  sendSuccess(res, result, 'ดึงรายการงวดสำเร็จ');
+}));
+
+// ✅ Get the round currently on sale (public)
+router.get('/current', asyncHandler(async (req, res) => {
+  const round = await RoundService.getOpenRound();
+
+  if (!round) {
+    return sendSuccess(res, { round: null }, 'ยังไม่มีงวดที่เปิดขาย');
+  }
+
+  sendSuccess(res, { round }, 'ดึงงวดที่เปิดขายสำเร็จ');
+}));
+
+// ✅ Get round by ID (public)
+router.get('/:id', asyncHandler(async (req, res) => {
+  const roundId = parseInt(req.params.id);
+  if (isNaN(roundId) || roundId <= 0) {
+    const error = new Error('รหัสงวดต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'INVALID_ROUND_ID';
+    throw error;
+  }
+
+  const round = await RoundService.getRoundById(roundId);
+
+  if (!round) {
+    return sendError(res, 'ROUND_NOT_FOUND');
+  }
+
+  sendSuccess(res, { round }, 'ดึงข้อมูลงวดสำเร็จ');
+}));
+
+module.exports = router;
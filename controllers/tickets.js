@@ -1,15 +1,65 @@
 const express = require('express');
 const TicketService = require('../services/TicketService');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { asyncHandler, sendSuccess, sendError } = require('../middleware/errorHandler');
 const { validateTicketPurchase, validateUserId } = require('../middleware/validation');
+const PrizeTable = require('../utils/prizeTable');
+const { parseSearchQuery } = require('../utils/ticketSearch');
+const RoundService = require('../services/RoundService');
+const IssuanceService = require('../services/IssuanceService');
+const ReceiptService = require('../services/ReceiptService');
+const { DEFAULTS, ISSUANCE_MODE, RECEIPT, RECEIPT_STATUS, TICKET_SETS } = require('../constants');
 
 const router = express.Router();
 
-// ✅ GET all tickets (public endpoint with optional auth)
+/**
+ * Resolve the round of a request: the given roundId, or the round on sale
+ * @param {*} value - Raw roundId from the query or body
+ * @returns {Promise<Object|null>} Round, or null when no round is on sale (tickets issued before rounds existed)
+ */
+async function resolveRound(value) {
+  if (value === undefined) {
+    return RoundService.getOpenRound();
+  }
+
+  const roundId = parseInt(value);
+  if (isNaN(roundId) || roundId <= 0) {
+    const error = new Error('รหัสงวดต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'INVALID_ROUND_ID';
+    throw error;
+  }
+
+  const round = await RoundService.getRoundById(roundId);
+  if (!round) {
+    const error = new Error('ไม่พบงวด');
+    error.code = 'ROUND_NOT_FOUND';
+    throw error;
+  }
+  return round;
+}
+
+/**
+ * Check a 6-digit ticket number
+ * @param {*} number - Raw ticket number
+ */
+function assertTicketNumber(number) {
+  if (typeof number !== 'string' || !/^[0-9]{6}$/.test(number)) {
+    const error = new Error('หมายเลขลอตเตอรี่ต้องเป็นตัวเลข 6 หลัก');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+}
+
+// ✅ GET tickets of a round, defaults to the round on sale (public endpoint with optional auth)
+// Query: status, minPrice, maxPrice, pattern | prefix | suffix | contains, sort, limit, cursor
 router.get('/', optionalAuth, asyncHandler(async (req, res) => {
-  const tickets = await TicketService.getAllTickets();
-  sendSuccess(res, { tickets }, 'ดึงรายการลอตเตอรี่สำเร็จ');
+  const options = parseSearchQuery(req.query);
+  const round = await resolveRound(req.query.roundId);
+
+  // ไม่มีงวดที่เปิดขาย: แสดงตั๋วที่ออกก่อนมีระบบงวด
+  const { tickets, pagination } = await TicketService.searchTickets(round ? round.id : null, options);
+  sendSuccess(res, { round: round || null, tickets, pagination }, 'ดึงรายการลอตเตอรี่สำเร็จ');
 }));
 
 // ✅ GET user tickets (authenticated)
@@ -32,7 +82,7 @@ router.get('/user/:userId', validateUserId, authenticateToken, asyncHandler(asyn
 }));
 
 // ✅ Purchase tickets (authenticated)
-router.post('/purchase', validateTicketPurchase, authenticateToken, asyncHandler(async (req, res) => {
+router.post('/purchase', validateTicketPurchase, authenticateToken, idempotent, asyncHandler(async (req, res) => {
   const { ticketIds } = req.body;
 
   const result = await TicketService.purchaseTickets(ticketIds, req.user.user_id);
@@ -50,6 +100,7 @@ router.post('/purchase', validateTicketPurchase, authenticateToken, asyncHandler
   
   sendSuccess(res, {
     purchaseId: result.purchaseId,
+    roundId: result.roundId,
     purchasedTickets: result.purchasedTickets.map(t => ({
       id: t.ticket_id,
       number: t.number,
@@ -57,10 +108,134 @@ router.post('/purchase', validateTicketPurchase, authenticateToken, asyncHandler
     })),
     totalCost: result.totalCost,
     remainingWallet: result.remainingWallet,
+    receipts: result.receipts,
     user: updatedUser 
   }, `ซื้อลอตเตอรี่ ${result.purchasedTickets.length} ใบ เป็นเงิน ${result.totalCost} บาท สำเร็จ`);
 }));
 
+// ✅ GET every copy of a number in a round, defaults to the round on sale (public)
+router.get('/sets/:number', asyncHandler(async (req, res) => {
+  assertTicketNumber(req.params.number);
+  const round = await resolveRound(req.query.roundId);
+
+  const set = await TicketService.getSet(round ? round.id : null, req.params.number);
+  if (!set) {
+    return sendError(res, 'TICKET_NOT_FOUND');
+  }
+
+  sendSuccess(res, { round: round || null, set }, `ลอตเตอรี่เลข ${set.number} มี ${set.copies} ใบ เหลือ ${set.available} ใบ`);
+}));
+
+// ✅ Verify a receipt token from a QR code (public) - ตรวจว่าเป็นของจริงและสถานะปัจจุบันของตั๋ว
+router.get('/verify/:token', asyncHandler(async (req, res) => {
+  const result = await ReceiptService.verify(req.params.token);
+
+  const messages = {
+    [RECEIPT_STATUS.VALID]: `ใบรับรองถูกต้อง ลอตเตอรี่ ${result.ticket.number} เป็นของผู้ถือใบรับรอง`,
+    [RECEIPT_STATUS.CLAIMED]: `ใบรับรองถูกต้อง ลอตเตอรี่ ${result.ticket.number} ขึ้นรางวัลแล้ว`,
+    [RECEIPT_STATUS.OWNERSHIP_CHANGED]: `ใบรับรองเป็นของจริง แต่ลอตเตอรี่ ${result.ticket.number} เปลี่ยนเจ้าของแล้ว`,
+    [RECEIPT_STATUS.VOIDED]: `ใบรับรองเป็นของจริง แต่การซื้อลอตเตอรี่ ${result.ticket.number} ไม่มีผลแล้ว`,
+    [RECEIPT_STATUS.TICKET_NOT_FOUND]: `ใบรับรองเป็นของจริง แต่ไม่พบลอตเตอรี่ ${result.ticket.number} ในระบบ`
+  };
+
+  sendSuccess(res, result, messages[result.status]);
+}));
+
+// ✅ Receipt of an owned ticket with its QR code (authenticated) - ?format=svg|png ส่งเป็นรูป QR
+router.get('/:id/receipt', authenticateToken, asyncHandler(async (req, res) => {
+  const ticketId = parseInt(req.params.id);
+  if (isNaN(ticketId) || ticketId <= 0) {
+    const error = new Error('รหัสลอตเตอรี่ต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const { format } = req.query;
+  if (format !== undefined && !RECEIPT.QR_FORMATS.includes(format)) {
+    const error = new Error(`format ต้องเป็น ${RECEIPT.QR_FORMATS.join(' หรือ ')}`);
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const receipt = await ReceiptService.getReceipt(req.user.user_id, ticketId);
+
+  if (format) {
+    const qr = await ReceiptService.renderQr(receipt.verifyUrl, format);
+    res.type(format === 'png' ? 'image/png' : 'image/svg+xml');
+    return res.send(qr);
+  }
+
+  sendSuccess(res, {
+    receipt: { ...receipt, qrSvg: await ReceiptService.renderQr(receipt.verifyUrl, 'svg') }
+  }, `ใบรับรองลอตเตอรี่ ${receipt.ticket.number}`);
+}));
+
+// ✅ Purchase a full set, or `quantity` copies of one number (authenticated)
+router.post('/purchase-set', authenticateToken, idempotent, asyncHandler(async (req, res) => {
+  const { number, quantity } = req.body;
+  assertTicketNumber(number);
+
+  if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 1 || quantity > TICKET_SETS.MAX_COPIES)) {
+    const error = new Error(`จำนวนใบต้องเป็นจำนวนเต็มระหว่าง 1-${TICKET_SETS.MAX_COPIES}`);
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const round = await resolveRound(req.body.roundId);
+  const result = await TicketService.purchaseSet(req.user.user_id, { roundId: round ? round.id : null, number, quantity });
+
+  sendSuccess(res, {
+    purchaseId: result.purchaseId,
+    roundId: result.roundId,
+    set: result.set,
+    purchasedTickets: result.purchasedTickets.map(t => ({
+      id: t.ticket_id,
+      number: t.number,
+      set_no: t.set_no,
+      price: t.price
+    })),
+    totalCost: result.totalCost,
+    remainingWallet: result.remainingWallet,
+    receipts: result.receipts
+  }, `ซื้อลอตเตอรี่เลข ${number} ${result.purchasedTickets.length} ใบ เป็นเงิน ${result.totalCost} บาท สำเร็จ`);
+}));
+
+// ✅ Request a specific number: buy a copy if one is free, otherwise join its waitlist (authenticated)
+router.post('/request-number', authenticateToken, idempotent, asyncHandler(async (req, res) => {
+  const { number } = req.body;
+  assertTicketNumber(number);
+
+  const round = await resolveRound(req.body.roundId);
+  if (!round) {
+    const error = new Error('ไม่มีงวดที่เปิดขายอยู่');
+    error.code = 'NO_ROUND_ON_SALE';
+    throw error;
+  }
+
+  const result = await TicketService.requestNumber(req.user.user_id, round, number);
+
+  if (result.purchased) {
+    const { purchase } = result;
+    return sendSuccess(res, {
+      purchased: true,
+      purchaseId: purchase.purchaseId,
+      roundId: purchase.roundId,
+      purchasedTickets: purchase.purchasedTickets.map(t => ({
+        id: t.ticket_id,
+        number: t.number,
+        set_no: t.set_no,
+        price: t.price
+      })),
+      totalCost: purchase.totalCost,
+      remainingWallet: purchase.remainingWallet,
+      receipts: purchase.receipts
+    }, `ซื้อลอตเตอรี่เลข ${number} เป็นเงิน ${purchase.totalCost} บาท สำเร็จ`);
+  }
+
+  sendSuccess(res, { purchased: false, waitlist: result.waitlist },
+    `ลอตเตอรี่เลข ${number} ขายหมดแล้ว เข้าคิวรอลำดับที่ ${result.waitlist.position}`, 201);
+}));
+
 // ✅ Create tickets (public endpoint - anyone can create tickets if none exist)
 router.post('/create', asyncHandler(async (req, res) => {
   const { getConnection } = require('../dbconnect');
@@ -97,61 +272,29 @@ router.post('/create', asyncHandler(async (req, res) => {
       await connection.execute('ALTER TABLE Ticket AUTO_INCREMENT = 1');
       console.log('✅ PUBLIC CREATE TICKETS: AUTO_INCREMENT reset to 1');
 
-      // 4. สร้างตั๋ว 120 ใบ
-      console.log('4️⃣ PUBLIC CREATE TICKETS: Generating tickets...');
-      const desiredCount = 120;
-      const price = 80.00;
-      const numbersSet = new Set();
-
-      // Generate unique 6-digit numbers
-      while (numbersSet.size < desiredCount) {
-        const n = Math.floor(Math.random() * 1000000);
-        const s = n.toString().padStart(6, '0');
-        numbersSet.add(s);
-      }
-
-      const numbers = Array.from(numbersSet);
-      console.log(`✅ PUBLIC CREATE TICKETS: Generated ${numbers.length} unique numbers`);
-
-      // 5. Insert ตั๋วเป็น batch
-      console.log('5️⃣ PUBLIC CREATE TICKETS: Inserting tickets...');
-      const batchSize = 50;
-      let inserted = 0;
-
-      for (let i = 0; i < numbers.length; i += batchSize) {
-        const batch = numbers.slice(i, i + batchSize);
-        const placeholders = batch.map(() => '(?, ?, ?)').join(',');
-        const values = [];
-
-        for (const num of batch) {
-          values.push(num, price, adminUserId);
-        }
-
-        await connection.execute(
-          `INSERT INTO Ticket (number, price, created_by) VALUES ${placeholders}`,
-          values
-        );
-        inserted += batch.length;
-        console.log(`   📝 PUBLIC CREATE TICKETS: Inserted batch ${Math.ceil((i + batchSize) / batchSize)} (${inserted}/${desiredCount})`);
-      }
+      // 4. ออกตั๋วชุดเริ่มต้นผ่าน IssuanceService
+      console.log('4️⃣ PUBLIC CREATE TICKETS: Issuing initial batch...');
+      const batch = await IssuanceService.issueBatch({
+        count: DEFAULTS.TICKET_COUNT,
+        mode: ISSUANCE_MODE.INITIAL,
+        createdBy: adminUserId
+      });
 
-      // 6. ตรวจสอบผลลัพธ์
-      console.log('6️⃣ PUBLIC CREATE TICKETS: Verifying results...');
+      // 5. ตรวจสอบผลลัพธ์
+      console.log('5️⃣ PUBLIC CREATE TICKETS: Verifying results...');
       const [finalCount] = await connection.execute('SELECT COUNT(*) as total FROM Ticket');
-      const [firstTicket] = await connection.execute('SELECT ticket_id, number FROM Ticket ORDER BY ticket_id LIMIT 1');
-      const [lastTicket] = await connection.execute('SELECT ticket_id, number FROM Ticket ORDER BY ticket_id DESC LIMIT 1');
       
-      console.log(`✅ PUBLIC CREATE TICKETS: Created ${finalCount[0].total} tickets`);
-      console.log(`   📊 First ticket: ID ${firstTicket[0]?.ticket_id}, Number ${firstTicket[0]?.number}`);
-      console.log(`   📊 Last ticket: ID ${lastTicket[0]?.ticket_id}, Number ${lastTicket[0]?.number}`);
+      console.log(`✅ PUBLIC CREATE TICKETS: Created ${batch.issued} tickets in batch ${batch.id}`);
+      console.log(`   📊 Ticket IDs: ${batch.firstTicketId} - ${batch.lastTicketId}`);
 
       sendSuccess(res, {
-        ticketsCreated: inserted,
+        ticketsCreated: batch.issued,
         totalTickets: finalCount[0].total,
-        firstTicketId: firstTicket[0]?.ticket_id,
-        lastTicketId: lastTicket[0]?.ticket_id,
-        pricePerTicket: price
-      }, `สร้างตั๋วลอตเตอรี่ใหม่ ${inserted} ใบเรียบร้อย`);
+        firstTicketId: batch.firstTicketId,
+        lastTicketId: batch.lastTicketId,
+        pricePerTicket: batch.price,
+        batch
+      }, `สร้างตั๋วลอตเตอรี่ใหม่ ${batch.issued} ใบเรียบร้อย`);
 
   } finally {
     await connection.end();
@@ -166,7 +309,7 @@ router.get('/check-prize/:ticketNumber', authenticateToken, asyncHandler(async (
   console.log(`🎯 CHECKING PRIZE for ticket: ${ticketNumber}`);
   
   try {
-    // 1. ตรวจสอบว่าตั๋วนี้เป็นของผู้ใช้หรือไม่
+    // 1. ตรวจสอบว่าตั๋วนี้เป็นของผู้ใช้หรือไม่ (เลขเดียวกันอาจซื้อได้หลายงวด ใช้ใบล่าสุด)
     const userTickets = await TicketService.getUserTickets(req.user.user_id);
     const userTicket = userTickets.find(t => t.number === ticketNumber);
     
@@ -175,8 +318,10 @@ router.get('/check-prize/:ticketNumber', authenticateToken, asyncHandler(async (
       return sendError(res, 'TICKET_NOT_FOUND', null, 404);
     }
     
-    // 2. ดึงผลรางวัลล่าสุด
-    const latestDraw = await DrawService.getLatestDraw();
+    // 2. ดึงผลรางวัลของงวดที่ตั๋วนี้อยู่ (ตั๋วก่อนมีระบบงวดใช้ผลล่าสุด)
+    const latestDraw = userTicket.round_id
+      ? await DrawService.getDrawForRound(userTicket.round_id)
+      : await DrawService.getLatestDraw();
     
     if (!latestDraw) {
       console.log(`❌ TICKET CHECK: No draw results found`);
@@ -190,84 +335,43 @@ router.get('/check-prize/:ticketNumber', authenticateToken, asyncHandler(async (
     
     console.log(`🎲 DRAW INFO: Found draw with ${latestDraw.prizes.length} prizes`);
     
-    // 3. ตรวจสอบรางวัลใหญ่ (tier 1-3)
-    for (const [prizeType, winningNumbers] of Object.entries(latestDraw.winners)) {
-      if (winningNumbers.includes(ticketNumber)) {
-        const prizeIndex = prizeType.includes('เลขท้าย 3 ตัว') ? 4 :
-                          prizeType.includes('เลขท้าย 2 ตัว') ? 5 :
-                          parseInt(prizeType.replace(/\D/g, '')) || 1;
-        
-        const prizeItem = latestDraw.prizes.find(p => p.tier === prizeIndex);
-        
-        console.log(`🏆 WINNER FOUND: ${ticketNumber} won ${prizeType} - ${prizeItem?.amount} บาท`);
-        
-        return sendSuccess(res, {
-          ticketNumber: ticketNumber,
-          isWinner: true,
-          prizeInfo: {
-            type: prizeType,
-            amount: prizeItem?.amount || 0,
-            tier: prizeIndex
-          }
-        }, `ยินดีด้วย! ถูกรางวัล ${prizeType}`);
-      }
-    }
-    
-    // 4. ตรวจสอบเลขท้าย 3 ตัว
-    const tail3Prize = latestDraw.prizes.find(p => p.tier === 4);
-    if (tail3Prize && tail3Prize.amount > 0) {
-      const match = tail3Prize.ticketId.match(/เลขท้าย 3 ตัว: (\d{3})/);
-      if (match) {
-        const winningTail3 = match[1];
-        const ticketTail3 = ticketNumber.slice(-3);
-        
-        console.log(`🔍 TAIL-3 CHECK: Ticket ${ticketNumber} tail: ${ticketTail3}, Winning tail: ${winningTail3}`);
-        
-        if (ticketTail3 === winningTail3) {
-          console.log(`🏆 TAIL-3 WINNER: ${ticketNumber} won เลขท้าย 3 ตัว - ${tail3Prize.amount} บาท`);
-          
-          return sendSuccess(res, {
-            ticketNumber: ticketNumber,
-            isWinner: true,
-            prizeInfo: {
-              type: 'รางวัลเลขท้าย 3 ตัว',
-              amount: tail3Prize.amount,
-              tier: 4,
-              winningDigits: winningTail3
-            }
-          }, `ยินดีด้วย! ถูกรางวัลเลขท้าย 3 ตัว (${winningTail3})`);
-        }
-      }
-    }
+    // 3. เทียบเลขกับทุกรางวัลในตารางของงวดนี้ (หนึ่งใบอาจถูกได้หลายรางวัล)
+    //    รางวัลแบบ shared ได้ส่วนแบ่งตามจำนวนใบที่ถูกเลขเดียวกัน ไม่ใช่เงินรางวัลเต็ม
+    const matches = PrizeTable.matchTicket(latestDraw.prizeTable.tiers, latestDraw.winningNumbers, ticketNumber)
+      .map(match => {
+        const tier = latestDraw.prizeTable.tiers.find(t => t.rank === match.rank);
+        const label = PrizeTable.formatWinningNumber(tier, match.winningDigits);
+        const shared = latestDraw.prizes.find(p => p.tier === match.rank && p.ticketId === label && p.amountPerWinner !== undefined);
+        return shared ? { ...match, amount: shared.amountPerWinner } : match;
+      });
     
-    // 5. ตรวจสอบเลขท้าย 2 ตัว
-    const tail2Prize = latestDraw.prizes.find(p => p.tier === 5);
-    if (tail2Prize && tail2Prize.amount > 0) {
-      const match = tail2Prize.ticketId.match(/เลขท้าย 2 ตัว: (\d{2})/);
-      if (match) {
-        const winningTail2 = match[1];
-        const ticketTail2 = ticketNumber.slice(-2);
-        
-        console.log(`🔍 TAIL-2 CHECK: Ticket ${ticketNumber} tail: ${ticketTail2}, Winning tail: ${winningTail2}`);
-        
-        if (ticketTail2 === winningTail2) {
-          console.log(`🏆 TAIL-2 WINNER: ${ticketNumber} won เลขท้าย 2 ตัว - ${tail2Prize.amount} บาท`);
-          
-          return sendSuccess(res, {
-            ticketNumber: ticketNumber,
-            isWinner: true,
-            prizeInfo: {
-              type: 'รางวัลเลขท้าย 2 ตัว',
-              amount: tail2Prize.amount,
-              tier: 5,
-              winningDigits: winningTail2
-            }
-          }, `ยินดีด้วย! ถูกรางวัลเลขท้าย 2 ตัว (${winningTail2})`);
-        }
-      }
+    if (matches.length > 0) {
+      const [bestMatch] = matches;
+      const amountPerTicket = matches.reduce((sum, match) => sum + match.amount, 0);
+      // ลอตเตอรี่ชุด: ทุกใบของเลขนี้ในงวดเดียวกันที่ผู้ใช้ถืออยู่ได้รางวัลเท่ากัน
+      const copies = userTickets.filter(t => t.number === ticketNumber && t.round_id === userTicket.round_id).length;
+      const totalAmount = Math.round(amountPerTicket * copies * 100) / 100;
+      
+      console.log(`🏆 WINNER FOUND: ${ticketNumber} x${copies} won ${matches.map(m => m.name).join(', ')} - ${totalAmount} บาท`);
+      
+      return sendSuccess(res, {
+        ticketNumber: ticketNumber,
+        isWinner: true,
+        prizeInfo: {
+          type: bestMatch.name,
+          key: bestMatch.key,
+          amount: bestMatch.amount,
+          tier: bestMatch.rank,
+          winningDigits: bestMatch.winningDigits
+        },
+        matches: matches,
+        copies: copies,
+        amountPerTicket: amountPerTicket,
+        totalAmount: totalAmount
+      }, `ยินดีด้วย! ถูก${matches.map(m => m.name).join(' และ ')}`);
     }
     
-    // 6. ไม่ถูกรางวัล
+    // 4. ไม่ถูกรางวัล
     console.log(`❌ NO PRIZE: ${ticketNumber} did not win any prize`);
     
     return sendSuccess(res, {
@@ -0,0 +1,93 @@
+const express = require('express');
+const TransferService = require('../services/TransferService');
+const { TRANSFER_STATUS } = require('../constants');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, sendSuccess, sendError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * Parse a positive integer route parameter
+ * @param {string} value - Route parameter
+ * @param {string} label - Thai label for the error message
+ * @returns {number} Parsed ID
+ */
+function parseId(value, label) {
+  const id = parseInt(value);
+  if (isNaN(id) || id <= 0) {
+    const error = new Error(`${label}ต้องเป็นตัวเลขที่มากกว่า 0`);
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+  return id;
+}
+
+// ✅ List transfers the user sent or received (authenticated)
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const { direction, status } = req.query;
+
+  if (direction !== undefined && !['incoming', 'outgoing'].includes(direction)) {
+    const error = new Error('direction ต้องเป็น incoming หรือ outgoing');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  if (status !== undefined && !Object.values(TRANSFER_STATUS).includes(status)) {
+    const error = new Error(`สถานะการโอนต้องเป็น ${Object.values(TRANSFER_STATUS).join(', ')}`);
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const transfers = await TransferService.listTransfers(req.user.user_id, { direction, status });
+  sendSuccess(res, { transfers }, 'ดึงรายการโอนลอตเตอรี่สำเร็จ');
+}));
+
+// ✅ Offer a ticket to another user by username or phone (authenticated)
+router.post('/', authenticateToken, asyncHandler(async (req, res) => {
+  const { ticketId, username, phone, message } = req.body;
+
+  if (message !== undefined && (typeof message !== 'string' || message.length > 255)) {
+    const error = new Error('ข้อความต้องไม่เกิน 255 ตัวอักษร');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const transfer = await TransferService.createTransfer(parseId(ticketId, 'รหัสลอตเตอรี่'), req.user.user_id, {
+    username: typeof username === 'string' ? username.trim() : undefined,
+    phone: typeof phone === 'string' ? phone.trim() : undefined,
+    message
+  });
+
+  sendSuccess(res, { transfer }, `ส่งคำขอโอนลอตเตอรี่ ${transfer.ticketNumber} ให้ ${transfer.toUsername} แล้ว`, 201);
+}));
+
+// ✅ Accept a transfer, the ticket becomes the recipient's (authenticated)
+router.post('/:id/accept', authenticateToken, asyncHandler(async (req, res) => {
+  const transfer = await TransferService.acceptTransfer(parseId(req.params.id, 'รหัสคำขอโอน'), req.user.user_id);
+  sendSuccess(res, { transfer }, `รับโอนลอตเตอรี่ ${transfer.ticketNumber} สำเร็จ`);
+}));
+
+// ✅ Decline a transfer (authenticated, recipient)
+router.post('/:id/decline', authenticateToken, asyncHandler(async (req, res) => {
+  const transfer = await TransferService.declineTransfer(parseId(req.params.id, 'รหัสคำขอโอน'), req.user.user_id);
+  sendSuccess(res, { transfer }, 'ปฏิเสธการรับโอนแล้ว');
+}));
+
+// ✅ Cancel a transfer before the recipient responds (authenticated, sender)
+router.post('/:id/cancel', authenticateToken, asyncHandler(async (req, res) => {
+  const transfer = await TransferService.cancelTransfer(parseId(req.params.id, 'รหัสคำขอโอน'), req.user.user_id);
+  sendSuccess(res, { transfer }, 'ยกเลิกคำขอโอนแล้ว');
+}));
+
+// ✅ Ownership history of a ticket (authenticated, current or previous owners)
+router.get('/tickets/:ticketId/history', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await TransferService.getOwnershipHistory(parseId(req.params.ticketId, 'รหัสลอตเตอรี่'), req.user.user_id);
+
+  if (!result) {
+    return sendError(res, 'TICKET_NOT_FOUND');
+  }
+
+  sendSuccess(res, result, 'ดึงประวัติเจ้าของลอตเตอรี่สำเร็จ');
+}));
+
+module.exports = router;
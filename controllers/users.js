@@ -1,8 +1,12 @@
 const express = require('express');
 const UserService = require('../services/UserService');
+const WalletService = require('../services/WalletService');
+const RefundService = require('../services/RefundService');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { asyncHandler, sendSuccess, sendError } = require('../middleware/errorHandler');
 const { BusinessLogicError } = require('../utils/businessLogicValidator');
+const { validatePurchaseRefund } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -34,8 +38,15 @@ router.get('/wallet', authenticateToken, asyncHandler(async (req, res) => {
   sendSuccess(res, { wallet: parseFloat(wallet) }, 'ดึงข้อมูลกระเป๋าเงินสำเร็จ');
 }));
 
+// ✅ Get user wallet ledger (ขึ้นรางวัล, เรียกคืนเงินรางวัล ฯลฯ)
+router.get('/wallet/transactions', authenticateToken, asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const result = await WalletService.getTransactions(req.user.user_id, { page, limit });
+  sendSuccess(res, result, 'ดึงรายการเคลื่อนไหวกระเป๋าเงินสำเร็จ');
+}));
+
 // ✅ Update user wallet (admin only)
-router.put('/wallet/:userId', requireAdmin, asyncHandler(async (req, res) => {
+router.put('/wallet/:userId', authenticateToken, requireAdmin, idempotent, asyncHandler(async (req, res) => {
   const userId = parseInt(req.params.userId);
   const { amount, operation } = req.body; // operation: 'add' or 'set'
 
@@ -190,7 +201,7 @@ router.get('/purchases', authenticateToken, asyncHandler(async (req, res) => {
   
   try {
     const [purchases] = await connection.execute(`
-      SELECT p.purchase_id, p.date, p.total_price,
+      SELECT p.purchase_id, p.date, p.total_price, p.status, p.refunded_amount,
              COUNT(t.ticket_id) as ticket_count,
              GROUP_CONCAT(t.number ORDER BY t.number) as ticket_numbers
       FROM Purchase p
@@ -200,24 +211,48 @@ router.get('/purchases', authenticateToken, asyncHandler(async (req, res) => {
       ORDER BY p.date DESC
     `, [req.user.user_id]);
 
+    // ใบที่ยกเลิกแล้วไม่ผูกกับรายการซื้อ จึงแสดงแยกใน refunds
+    const refunds = await RefundService.getRefundsByPurchase(
+      connection,
+      purchases.map(p => p.purchase_id)
+    );
+
     const formattedPurchases = purchases.map(p => ({
       purchase_id: p.purchase_id,
       date: p.date,
       total_price: parseFloat(p.total_price),
+      status: p.status,
+      refunded_amount: parseFloat(p.refunded_amount || 0),
       ticket_count: p.ticket_count,
-      ticket_numbers: p.ticket_numbers ? p.ticket_numbers.split(',') : []
+      ticket_numbers: p.ticket_numbers ? p.ticket_numbers.split(',') : [],
+      refunds: refunds.get(p.purchase_id) || []
     }));
 
     sendSuccess(res, { 
       purchases: formattedPurchases,
       total_purchases: purchases.length,
-      total_spent: purchases.reduce((sum, p) => sum + parseFloat(p.total_price), 0)
+      total_spent: purchases.reduce(
+        (sum, p) => sum + parseFloat(p.total_price) - parseFloat(p.refunded_amount || 0),
+        0
+      )
     }, 'ดึงประวัติการซื้อสำเร็จ');
   } finally {
     await connection.end();
   }
 }));
 
+// ✅ Cancel a purchase (ทั้งรายการ หรือเฉพาะ ticketIds) before the round closes
+router.post('/purchases/:id/cancel', authenticateToken, idempotent, validatePurchaseRefund, asyncHandler(async (req, res) => {
+  const { ticketIds, reason } = req.body;
+
+  const result = await RefundService.cancelPurchase(req.user.user_id, parseInt(req.params.id), {
+    ticketIds: ticketIds ? ticketIds.map(Number) : undefined,
+    reason
+  });
+
+  sendSuccess(res, result, `ยกเลิกการซื้อ ${result.refundedTickets.length} ใบ คืนเงิน ${result.refundedAmount} บาท`);
+}));
+
 // ✅ Get user's winning history
 router.get('/winnings', authenticateToken, asyncHandler(async (req, res) => {
   const { getConnection } = require('../config/database');
@@ -225,20 +260,21 @@ router.get('/winnings', authenticateToken, asyncHandler(async (req, res) => {
   
   try {
     const [winnings] = await connection.execute(`
-      SELECT pr.prize_id, pr.amount, pr.rank, pr.claimed, pr.draw_date,
+      SELECT tp.prize_id, tp.amount, pr.rank, tp.status = 'claimed' as claimed, d.revealed_at as draw_date,
              t.number as winning_number, t.ticket_id
-      FROM Prize pr
-      JOIN Ticket t ON pr.ticket_id = t.ticket_id
-      JOIN Purchase p ON t.purchase_id = p.purchase_id
-      WHERE p.user_id = ?
-      ORDER BY pr.draw_date DESC
+      FROM TicketPrize tp
+      JOIN Prize pr ON pr.prize_id = tp.prize_id
+      JOIN DrawResult d ON d.draw_id = tp.draw_id
+      JOIN Ticket t ON tp.ticket_id = t.ticket_id
+      WHERE t.created_by = ? AND t.purchase_id IS NOT NULL AND tp.status <> 'voided'
+      ORDER BY d.revealed_at DESC, pr.rank ASC
     `, [req.user.user_id]);
 
     const formattedWinnings = winnings.map(w => ({
       prize_id: w.prize_id,
       amount: parseFloat(w.amount),
       rank: w.rank,
-      claimed: w.claimed,
+      claimed: Boolean(w.claimed),
       draw_date: w.draw_date,
       winning_number: w.winning_number,
       ticket_id: w.ticket_id
@@ -254,7 +290,7 @@ router.get('/winnings', authenticateToken, asyncHandler(async (req, res) => {
         total_winnings: totalWinnings,
         claimed_winnings: claimedWinnings,
         unclaimed_winnings: unclaimedWinnings,
-        total_winning_tickets: winnings.length
+        total_winning_tickets: new Set(winnings.map(w => w.ticket_id)).size
       }
     }, 'ดึงประวัติการชนะรางวัลสำเร็จ');
   } finally {
@@ -0,0 +1,36 @@
+const express = require('express');
+const WaitlistService = require('../services/WaitlistService');
+const { WAITLIST_STATUS } = require('../constants');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, sendSuccess } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// ✅ List the user's waitlisted numbers (authenticated)
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  if (status !== undefined && !Object.values(WAITLIST_STATUS).includes(status)) {
+    const error = new Error(`สถานะคิวต้องเป็น ${Object.values(WAITLIST_STATUS).join(', ')}`);
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const waitlist = await WaitlistService.listWaitlist(req.user.user_id, { status });
+  sendSuccess(res, { waitlist, holdMinutes: WaitlistService.getHoldMinutes() }, 'ดึงคิวรอเลขสำเร็จ');
+}));
+
+// ✅ Leave the waitlist of a number (authenticated)
+router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const waitlistId = parseInt(req.params.id);
+  if (isNaN(waitlistId) || waitlistId <= 0) {
+    const error = new Error('รหัสคิวรอเลขต้องเป็นตัวเลขที่มากกว่า 0');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const entry = await WaitlistService.cancelEntry(req.user.user_id, waitlistId);
+  sendSuccess(res, { waitlist: entry }, `ออกจากคิวรอเลข ${entry.number} แล้ว`);
+}));
+
+module.exports = router;
@@ -9,8 +9,97 @@
 
 CREATE TABLE `Prize` (
   `prize_id` int NOT NULL,
+  `draw_id` int DEFAULT NULL,
   `amount` decimal(10,2) NOT NULL,
-  `rank` int NOT NULL
+  `rank` int NOT NULL,
+  `payout_mode` enum('fixed','shared') NOT NULL DEFAULT 'fixed',
+  `shares` json DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `DrawResult`
+--
+
+CREATE TABLE `DrawResult` (
+  `draw_id` int NOT NULL,
+  `round_number` int NOT NULL,
+  `round_id` int DEFAULT NULL,
+  `status` enum('committed','completed','voided') NOT NULL DEFAULT 'completed',
+  `source` enum('rng','official') NOT NULL DEFAULT 'rng',
+  `pool_type` enum('sold','all') NOT NULL DEFAULT 'sold',
+  `created_by` int DEFAULT NULL,
+  `winning_numbers` json DEFAULT NULL,
+  `winners` json DEFAULT NULL,
+  `prize_table` json DEFAULT NULL,
+  `rollover` json DEFAULT NULL,
+  `server_seed` char(64) DEFAULT NULL,
+  `server_seed_hash` char(64) DEFAULT NULL,
+  `entropy_source` varchar(255) DEFAULT NULL,
+  `public_entropy` varchar(255) DEFAULT NULL,
+  `pool_hash` char(64) DEFAULT NULL,
+  `pool_snapshot` longtext,
+  `committed_at` datetime DEFAULT NULL,
+  `precommitted` tinyint(1) NOT NULL DEFAULT '1',
+  `revealed_at` datetime DEFAULT NULL,
+  `void_reason` varchar(255) DEFAULT NULL,
+  `voided_by` int DEFAULT NULL,
+  `voided_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `PrizePool`
+--
+
+CREATE TABLE `PrizePool` (
+  `pool_id` int NOT NULL,
+  `name` varchar(50) NOT NULL,
+  `payout_tier` varchar(30) NOT NULL,
+  `balance` decimal(14,2) NOT NULL DEFAULT '0.00',
+  `description` varchar(255) DEFAULT NULL,
+  `created_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `PrizePoolEntry`
+--
+
+CREATE TABLE `PrizePoolEntry` (
+  `entry_id` int NOT NULL,
+  `pool_id` int NOT NULL,
+  `amount` decimal(14,2) NOT NULL,
+  `balance_after` decimal(14,2) NOT NULL,
+  `type` varchar(30) NOT NULL,
+  `draw_id` int DEFAULT NULL,
+  `tier_key` varchar(30) DEFAULT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  `created_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `PrizeStructure`
+--
+
+CREATE TABLE `PrizeStructure` (
+  `structure_id` int NOT NULL,
+  `name` varchar(50) NOT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  `tiers` json NOT NULL,
+  `created_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 
 -- --------------------------------------------------------
@@ -22,8 +111,145 @@ CREATE TABLE `Prize` (
 CREATE TABLE `Purchase` (
   `purchase_id` int NOT NULL,
   `user_id` int NOT NULL,
+  `round_id` int DEFAULT NULL,
   `date` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
-  `total_price` decimal(10,2) NOT NULL
+  `total_price` decimal(10,2) NOT NULL,
+  `status` enum('completed','partially_refunded','refunded') NOT NULL DEFAULT 'completed',
+  `refunded_amount` decimal(10,2) NOT NULL DEFAULT '0.00'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `PurchaseRefund`
+--
+
+CREATE TABLE `PurchaseRefund` (
+  `refund_id` int NOT NULL,
+  `purchase_id` int NOT NULL,
+  `user_id` int NOT NULL,
+  `ticket_id` int DEFAULT NULL,
+  `number` varchar(10) NOT NULL,
+  `set_no` tinyint unsigned NOT NULL DEFAULT '1',
+  `round_id` int DEFAULT NULL,
+  `amount` decimal(8,2) NOT NULL,
+  `forced` tinyint(1) NOT NULL DEFAULT '0',
+  `reason` varchar(255) DEFAULT NULL,
+  `created_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `IdempotencyKey`
+--
+
+CREATE TABLE `IdempotencyKey` (
+  `idempotency_id` int NOT NULL,
+  `user_id` int NOT NULL,
+  `idem_key` varchar(255) NOT NULL,
+  `method` varchar(10) NOT NULL,
+  `path` varchar(255) NOT NULL,
+  `request_hash` char(64) NOT NULL,
+  `status` enum('processing','committed','completed') NOT NULL DEFAULT 'processing',
+  `response_status` smallint DEFAULT NULL,
+  `response_body` json DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `completed_at` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `WalletReceivable`
+--
+
+CREATE TABLE `WalletReceivable` (
+  `receivable_id` int NOT NULL,
+  `user_id` int NOT NULL,
+  `amount` decimal(12,2) NOT NULL,
+  `outstanding` decimal(12,2) NOT NULL,
+  `status` enum('open','settled') NOT NULL DEFAULT 'open',
+  `draw_id` int DEFAULT NULL,
+  `ticket_id` int DEFAULT NULL,
+  `transaction_id` int DEFAULT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  `created_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `settled_at` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `Round`
+--
+
+CREATE TABLE `Round` (
+  `round_id` int NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `draw_date` date NOT NULL,
+  `status` enum('scheduled','on_sale','closed','drawn','settled') NOT NULL DEFAULT 'scheduled',
+  `created_by` int DEFAULT NULL,
+  `opened_at` datetime DEFAULT NULL,
+  `closed_at` datetime DEFAULT NULL,
+  `drawn_at` datetime DEFAULT NULL,
+  `settled_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `DrawScheduleOverride`
+--
+
+CREATE TABLE `DrawScheduleOverride` (
+  `override_id` int NOT NULL,
+  `original_date` date NOT NULL,
+  `draw_date` date NOT NULL,
+  `reason` varchar(255) DEFAULT NULL,
+  `created_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `DrawScheduleRun`
+--
+
+CREATE TABLE `DrawScheduleRun` (
+  `run_id` int NOT NULL,
+  `round_id` int NOT NULL,
+  `action` enum('commit','close','draw') NOT NULL,
+  `status` enum('pending','running','succeeded','failed') NOT NULL DEFAULT 'pending',
+  `attempts` int NOT NULL DEFAULT '0',
+  `scheduled_for` datetime NOT NULL,
+  `next_attempt_at` datetime DEFAULT NULL,
+  `last_error` text,
+  `draw_id` int DEFAULT NULL,
+  `started_at` datetime DEFAULT NULL,
+  `finished_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `RolloverRule`
+--
+
+CREATE TABLE `RolloverRule` (
+  `rule_id` int NOT NULL,
+  `tier_key` varchar(30) NOT NULL,
+  `target` enum('next_round','jackpot','none') NOT NULL,
+  `pool_id` int DEFAULT NULL,
+  `updated_by` int DEFAULT NULL,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 
 -- --------------------------------------------------------
@@ -35,8 +261,14 @@ CREATE TABLE `Purchase` (
 CREATE TABLE `Ticket` (
   `ticket_id` int NOT NULL,
   `number` varchar(10) NOT NULL,
+  `set_no` tinyint unsigned NOT NULL DEFAULT '1',
+  `number_reversed` varchar(10) GENERATED ALWAYS AS (reverse(`number`)) STORED,
+  `round_id` int DEFAULT NULL,
   `price` decimal(8,2) NOT NULL DEFAULT '80.00',
-  `status` enum('available','sold','claimed') DEFAULT 'available',
+  `status` enum('available','sold','claimed','reserved') DEFAULT 'available',
+  `reserved_by` int DEFAULT NULL,
+  `reserved_until` datetime DEFAULT NULL,
+  `batch_id` int DEFAULT NULL,
   `created_by` int DEFAULT NULL,
   `purchase_id` int DEFAULT NULL,
   `prize_id` int DEFAULT NULL,
@@ -46,6 +278,117 @@ CREATE TABLE `Ticket` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `TicketPrize`
+--
+
+CREATE TABLE `TicketPrize` (
+  `ticket_prize_id` int NOT NULL,
+  `ticket_id` int NOT NULL,
+  `prize_id` int NOT NULL,
+  `draw_id` int DEFAULT NULL,
+  `amount` decimal(12,2) NOT NULL,
+  `status` enum('unclaimed','claimed','voided') NOT NULL DEFAULT 'unclaimed',
+  `claimed_by` int DEFAULT NULL,
+  `claimed_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `TicketTransfer`
+--
+
+CREATE TABLE `TicketTransfer` (
+  `transfer_id` int NOT NULL,
+  `ticket_id` int NOT NULL,
+  `from_user_id` int NOT NULL,
+  `to_user_id` int NOT NULL,
+  `status` enum('pending','accepted','declined','cancelled') NOT NULL DEFAULT 'pending',
+  `message` varchar(255) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `responded_at` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `ResaleListing`
+--
+
+CREATE TABLE `ResaleListing` (
+  `listing_id` int NOT NULL,
+  `ticket_id` int NOT NULL,
+  `seller_id` int NOT NULL,
+  `price` decimal(10,2) NOT NULL,
+  `fee` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `status` enum('active','sold','cancelled','expired') NOT NULL DEFAULT 'active',
+  `buyer_id` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `sold_at` datetime DEFAULT NULL,
+  `closed_at` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `NumberWaitlist`
+--
+
+CREATE TABLE `NumberWaitlist` (
+  `waitlist_id` int NOT NULL,
+  `user_id` int NOT NULL,
+  `round_id` int NOT NULL,
+  `number` varchar(10) NOT NULL,
+  `status` enum('waiting','reserved','fulfilled','cancelled','expired') NOT NULL DEFAULT 'waiting',
+  `ticket_id` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `reserved_at` datetime DEFAULT NULL,
+  `closed_at` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `Notification`
+--
+
+CREATE TABLE `Notification` (
+  `notification_id` int NOT NULL,
+  `user_id` int NOT NULL,
+  `type` varchar(30) NOT NULL,
+  `title` varchar(100) NOT NULL,
+  `message` varchar(255) NOT NULL,
+  `data` json DEFAULT NULL,
+  `read_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `TicketBatch`
+--
+
+CREATE TABLE `TicketBatch` (
+  `batch_id` int NOT NULL,
+  `round_id` int DEFAULT NULL,
+  `mode` enum('initial','append','import') NOT NULL DEFAULT 'append',
+  `ticket_count` int NOT NULL,
+  `copies` tinyint unsigned NOT NULL DEFAULT '1',
+  `price` decimal(8,2) NOT NULL,
+  `range_from` char(6) DEFAULT NULL,
+  `range_to` char(6) DEFAULT NULL,
+  `rules` json DEFAULT NULL,
+  `seed` varchar(64) DEFAULT NULL,
+  `issued` int NOT NULL DEFAULT '0',
+  `created_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `User`
 --
@@ -67,6 +410,25 @@ CREATE TABLE `User` (
 INSERT INTO `User` (`user_id`, `username`, `email`, `phone`, `role`, `password`, `wallet`) VALUES
 (142, 'admin', 'admin@gmail.com', '0000000000', 'admin', 'admin1234', 0.00);
 
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `WalletTransaction`
+--
+
+CREATE TABLE `WalletTransaction` (
+  `transaction_id` int NOT NULL,
+  `user_id` int NOT NULL,
+  `amount` decimal(12,2) NOT NULL,
+  `balance_after` decimal(12,2) NOT NULL,
+  `type` varchar(30) NOT NULL,
+  `draw_id` int DEFAULT NULL,
+  `ticket_id` int DEFAULT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  `created_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
 --
 -- Indexes for dumped tables
 --
@@ -76,27 +438,171 @@ INSERT INTO `User` (`user_id`, `username`, `email`, `phone`, `role`, `password`,
 --
 ALTER TABLE `Prize`
   ADD PRIMARY KEY (`prize_id`),
-  ADD KEY `idx_prize_rank` (`rank`);
+  ADD KEY `idx_prize_rank` (`rank`),
+  ADD KEY `idx_prize_draw` (`draw_id`);
+
+--
+-- Indexes for table `DrawResult`
+--
+ALTER TABLE `DrawResult`
+  ADD PRIMARY KEY (`draw_id`),
+  ADD KEY `idx_draw_round` (`round_number`),
+  ADD KEY `idx_draw_status` (`status`),
+  ADD KEY `idx_draw_round_id` (`round_id`);
+
+--
+-- Indexes for table `PrizeStructure`
+--
+ALTER TABLE `PrizeStructure`
+  ADD PRIMARY KEY (`structure_id`),
+  ADD UNIQUE KEY `uniq_prize_structure_name` (`name`);
 
 --
 -- Indexes for table `Purchase`
 --
 ALTER TABLE `Purchase`
   ADD PRIMARY KEY (`purchase_id`),
-  ADD KEY `idx_user_date` (`user_id`,`date`);
+  ADD KEY `idx_user_date` (`user_id`,`date`),
+  ADD KEY `idx_purchase_round` (`round_id`);
+
+--
+-- Indexes for table `PurchaseRefund`
+--
+ALTER TABLE `PurchaseRefund`
+  ADD PRIMARY KEY (`refund_id`),
+  ADD KEY `idx_refund_purchase` (`purchase_id`),
+  ADD KEY `idx_refund_user` (`user_id`,`created_at`),
+  ADD KEY `idx_refund_ticket` (`ticket_id`);
+
+--
+-- Indexes for table `IdempotencyKey`
+--
+ALTER TABLE `IdempotencyKey`
+  ADD PRIMARY KEY (`idempotency_id`),
+  ADD UNIQUE KEY `uniq_idempotency_user_key` (`user_id`,`idem_key`),
+  ADD KEY `idx_idempotency_created` (`created_at`);
+
+--
+-- Indexes for table `WalletReceivable`
+--
+ALTER TABLE `WalletReceivable`
+  ADD PRIMARY KEY (`receivable_id`),
+  ADD KEY `idx_receivable_user` (`user_id`,`status`),
+  ADD KEY `idx_receivable_draw` (`draw_id`);
+
+--
+-- Indexes for table `PrizePool`
+--
+ALTER TABLE `PrizePool`
+  ADD PRIMARY KEY (`pool_id`),
+  ADD UNIQUE KEY `uniq_prize_pool_name` (`name`),
+  ADD KEY `idx_prize_pool_tier` (`payout_tier`);
+
+--
+-- Indexes for table `PrizePoolEntry`
+--
+ALTER TABLE `PrizePoolEntry`
+  ADD PRIMARY KEY (`entry_id`),
+  ADD KEY `idx_pool_entry_pool` (`pool_id`,`entry_id`),
+  ADD KEY `idx_pool_entry_draw` (`draw_id`);
+
+--
+-- Indexes for table `RolloverRule`
+--
+ALTER TABLE `RolloverRule`
+  ADD PRIMARY KEY (`rule_id`),
+  ADD UNIQUE KEY `uniq_rollover_tier` (`tier_key`);
+
+--
+-- Indexes for table `Round`
+--
+ALTER TABLE `Round`
+  ADD PRIMARY KEY (`round_id`),
+  ADD UNIQUE KEY `uniq_round_draw_date` (`draw_date`),
+  ADD KEY `idx_round_status` (`status`);
+
+--
+-- Indexes for table `DrawScheduleOverride`
+--
+ALTER TABLE `DrawScheduleOverride`
+  ADD PRIMARY KEY (`override_id`),
+  ADD UNIQUE KEY `uniq_schedule_original_date` (`original_date`);
+
+--
+-- Indexes for table `DrawScheduleRun`
+--
+ALTER TABLE `DrawScheduleRun`
+  ADD PRIMARY KEY (`run_id`),
+  ADD UNIQUE KEY `uniq_schedule_round_action` (`round_id`,`action`),
+  ADD KEY `idx_schedule_run_status` (`status`);
 
 --
 -- Indexes for table `Ticket`
 --
 ALTER TABLE `Ticket`
   ADD PRIMARY KEY (`ticket_id`),
-  ADD UNIQUE KEY `number` (`number`),
+  ADD UNIQUE KEY `uniq_round_number_set` (`round_id`,`number`,`set_no`),
   ADD KEY `created_by` (`created_by`),
   ADD KEY `purchase_id` (`purchase_id`),
   ADD KEY `idx_number` (`number`),
   ADD KEY `idx_status` (`status`),
+  ADD KEY `idx_ticket_round_reversed` (`round_id`,`number_reversed`),
+  ADD KEY `idx_ticket_round_price` (`round_id`,`price`,`ticket_id`),
+  ADD KEY `idx_ticket_reserved_by` (`reserved_by`),
+  ADD KEY `idx_ticket_reserved_until` (`status`,`reserved_until`),
+  ADD KEY `idx_ticket_batch` (`batch_id`),
   ADD KEY `prize_id` (`prize_id`);
 
+--
+-- Indexes for table `TicketPrize`
+--
+ALTER TABLE `TicketPrize`
+  ADD PRIMARY KEY (`ticket_prize_id`),
+  ADD UNIQUE KEY `uniq_ticket_prize` (`ticket_id`,`prize_id`),
+  ADD KEY `idx_ticket_prize_prize` (`prize_id`),
+  ADD KEY `idx_ticket_prize_draw` (`draw_id`);
+
+--
+-- Indexes for table `TicketTransfer`
+--
+ALTER TABLE `TicketTransfer`
+  ADD PRIMARY KEY (`transfer_id`),
+  ADD KEY `idx_transfer_ticket` (`ticket_id`,`status`),
+  ADD KEY `idx_transfer_from` (`from_user_id`),
+  ADD KEY `idx_transfer_to` (`to_user_id`,`status`);
+
+--
+-- Indexes for table `ResaleListing`
+--
+ALTER TABLE `ResaleListing`
+  ADD PRIMARY KEY (`listing_id`),
+  ADD KEY `idx_listing_ticket` (`ticket_id`,`status`),
+  ADD KEY `idx_listing_status_price` (`status`,`price`),
+  ADD KEY `idx_listing_seller` (`seller_id`);
+
+--
+-- Indexes for table `NumberWaitlist`
+--
+ALTER TABLE `NumberWaitlist`
+  ADD PRIMARY KEY (`waitlist_id`),
+  ADD KEY `idx_waitlist_match` (`round_id`,`number`,`status`),
+  ADD KEY `idx_waitlist_user` (`user_id`,`status`),
+  ADD KEY `idx_waitlist_ticket` (`ticket_id`);
+
+--
+-- Indexes for table `Notification`
+--
+ALTER TABLE `Notification`
+  ADD PRIMARY KEY (`notification_id`),
+  ADD KEY `idx_notification_user` (`user_id`,`read_at`);
+
+--
+-- Indexes for table `TicketBatch`
+--
+ALTER TABLE `TicketBatch`
+  ADD PRIMARY KEY (`batch_id`),
+  ADD KEY `idx_batch_round` (`round_id`);
+
 --
 -- Indexes for table `User`
 --
@@ -106,6 +612,15 @@ ALTER TABLE `User`
   ADD UNIQUE KEY `uniq_user_email` (`email`),
   ADD UNIQUE KEY `uniq_user_phone` (`phone`);
 
+--
+-- Indexes for table `WalletTransaction`
+--
+ALTER TABLE `WalletTransaction`
+  ADD PRIMARY KEY (`transaction_id`),
+  ADD KEY `idx_wallet_tx_user` (`user_id`,`transaction_id`),
+  ADD KEY `idx_wallet_tx_draw` (`draw_id`),
+  ADD KEY `idx_wallet_tx_ticket` (`ticket_id`);
+
 --
 -- AUTO_INCREMENT for dumped tables
 --
@@ -116,38 +631,246 @@ ALTER TABLE `User`
 ALTER TABLE `Prize`
   MODIFY `prize_id` int NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `DrawResult`
+--
+ALTER TABLE `DrawResult`
+  MODIFY `draw_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `PrizeStructure`
+--
+ALTER TABLE `PrizeStructure`
+  MODIFY `structure_id` int NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `Purchase`
 --
 ALTER TABLE `Purchase`
   MODIFY `purchase_id` int NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `PurchaseRefund`
+--
+ALTER TABLE `PurchaseRefund`
+  MODIFY `refund_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `IdempotencyKey`
+--
+ALTER TABLE `IdempotencyKey`
+  MODIFY `idempotency_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `WalletReceivable`
+--
+ALTER TABLE `WalletReceivable`
+  MODIFY `receivable_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `PrizePool`
+--
+ALTER TABLE `PrizePool`
+  MODIFY `pool_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `PrizePoolEntry`
+--
+ALTER TABLE `PrizePoolEntry`
+  MODIFY `entry_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `RolloverRule`
+--
+ALTER TABLE `RolloverRule`
+  MODIFY `rule_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `Round`
+--
+ALTER TABLE `Round`
+  MODIFY `round_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `DrawScheduleOverride`
+--
+ALTER TABLE `DrawScheduleOverride`
+  MODIFY `override_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `DrawScheduleRun`
+--
+ALTER TABLE `DrawScheduleRun`
+  MODIFY `run_id` int NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `Ticket`
 --
 ALTER TABLE `Ticket`
   MODIFY `ticket_id` int NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `TicketPrize`
+--
+ALTER TABLE `TicketPrize`
+  MODIFY `ticket_prize_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `TicketTransfer`
+--
+ALTER TABLE `TicketTransfer`
+  MODIFY `transfer_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `ResaleListing`
+--
+ALTER TABLE `ResaleListing`
+  MODIFY `listing_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `NumberWaitlist`
+--
+ALTER TABLE `NumberWaitlist`
+  MODIFY `waitlist_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `Notification`
+--
+ALTER TABLE `Notification`
+  MODIFY `notification_id` int NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `TicketBatch`
+--
+ALTER TABLE `TicketBatch`
+  MODIFY `batch_id` int NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `User`
 --
 ALTER TABLE `User`
   MODIFY `user_id` int NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `WalletTransaction`
+--
+ALTER TABLE `WalletTransaction`
+  MODIFY `transaction_id` int NOT NULL AUTO_INCREMENT;
+
 --
 -- Constraints for dumped tables
 --
 
+--
+-- Constraints for table `DrawScheduleRun`
+--
+ALTER TABLE `DrawScheduleRun`
+  ADD CONSTRAINT `DrawScheduleRun_ibfk_1` FOREIGN KEY (`round_id`) REFERENCES `Round` (`round_id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `DrawScheduleRun_ibfk_2` FOREIGN KEY (`draw_id`) REFERENCES `DrawResult` (`draw_id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `Prize`
+--
+ALTER TABLE `Prize`
+  ADD CONSTRAINT `Prize_ibfk_1` FOREIGN KEY (`draw_id`) REFERENCES `DrawResult` (`draw_id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `PrizePoolEntry`
+--
+ALTER TABLE `PrizePoolEntry`
+  ADD CONSTRAINT `PrizePoolEntry_ibfk_1` FOREIGN KEY (`pool_id`) REFERENCES `PrizePool` (`pool_id`) ON DELETE CASCADE;
+
 --
 -- Constraints for table `Purchase`
 --
 ALTER TABLE `Purchase`
-  ADD CONSTRAINT `Purchase_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `User` (`user_id`) ON DELETE CASCADE;
+  ADD CONSTRAINT `Purchase_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `User` (`user_id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `Purchase_ibfk_2` FOREIGN KEY (`round_id`) REFERENCES `Round` (`round_id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `PurchaseRefund`
+--
+ALTER TABLE `PurchaseRefund`
+  ADD CONSTRAINT `PurchaseRefund_ibfk_1` FOREIGN KEY (`purchase_id`) REFERENCES `Purchase` (`purchase_id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `PurchaseRefund_ibfk_2` FOREIGN KEY (`user_id`) REFERENCES `User` (`user_id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `PurchaseRefund_ibfk_3` FOREIGN KEY (`ticket_id`) REFERENCES `Ticket` (`ticket_id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `PurchaseRefund_ibfk_4` FOREIGN KEY (`created_by`) REFERENCES `User` (`user_id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `IdempotencyKey`
+--
+ALTER TABLE `IdempotencyKey`
+  ADD CONSTRAINT `IdempotencyKey_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `User` (`user_id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `WalletReceivable`
+--
+ALTER TABLE `WalletReceivable`
+  ADD CONSTRAINT `WalletReceivable_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `User` (`user_id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `RolloverRule`
+--
+ALTER TABLE `RolloverRule`
+  ADD CONSTRAINT `RolloverRule_ibfk_1` FOREIGN KEY (`pool_id`) REFERENCES `PrizePool` (`pool_id`) ON DELETE SET NULL;
 
 --
 -- Constraints for table `Ticket`
 --
 ALTER TABLE `Ticket`
   ADD CONSTRAINT `Ticket_ibfk_2` FOREIGN KEY (`purchase_id`) REFERENCES `Purchase` (`purchase_id`) ON DELETE SET NULL,
-  ADD CONSTRAINT `Ticket_ibfk_3` FOREIGN KEY (`prize_id`) REFERENCES `Prize` (`prize_id`) ON DELETE SET NULL;
+  ADD CONSTRAINT `Ticket_ibfk_3` FOREIGN KEY (`prize_id`) REFERENCES `Prize` (`prize_id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `Ticket_ibfk_4` FOREIGN KEY (`round_id`) REFERENCES `Round` (`round_id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `Ticket_ibfk_5` FOREIGN KEY (`reserved_by`) REFERENCES `User` (`user_id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `Ticket_ibfk_6` FOREIGN KEY (`batch_id`) REFERENCES `TicketBatch` (`batch_id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `TicketPrize`
+--
+ALTER TABLE `TicketPrize`
+  ADD CONSTRAINT `TicketPrize_ibfk_1` FOREIGN KEY (`ticket_id`) REFERENCES `Ticket` (`ticket_id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `TicketPrize_ibfk_2` FOREIGN KEY (`prize_id`) REFERENCES `Prize` (`prize_id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `TicketTransfer`
+--
+ALTER TABLE `TicketTransfer`
+  ADD CONSTRAINT `TicketTransfer_ibfk_1` FOREIGN KEY (`ticket_id`) REFERENCES `Ticket` (`ticket_id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `TicketTransfer_ibfk_2` FOREIGN KEY (`from_user_id`) REFERENCES `User` (`user_id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `TicketTransfer_ibfk_3` FOREIGN KEY (`to_user_id`) REFERENCES `User` (`user_id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `ResaleListing`
+--
+ALTER TABLE `ResaleListing`
+  ADD CONSTRAINT `ResaleListing_ibfk_1` FOREIGN KEY (`ticket_id`) REFERENCES `Ticket` (`ticket_id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `ResaleListing_ibfk_2` FOREIGN KEY (`seller_id`) REFERENCES `User` (`user_id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `ResaleListing_ibfk_3` FOREIGN KEY (`buyer_id`) REFERENCES `User` (`user_id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `NumberWaitlist`
+--
+ALTER TABLE `NumberWaitlist`
+  ADD CONSTRAINT `NumberWaitlist_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `User` (`user_id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `NumberWaitlist_ibfk_2` FOREIGN KEY (`round_id`) REFERENCES `Round` (`round_id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `NumberWaitlist_ibfk_3` FOREIGN KEY (`ticket_id`) REFERENCES `Ticket` (`ticket_id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `Notification`
+--
+ALTER TABLE `Notification`
+  ADD CONSTRAINT `Notification_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `User` (`user_id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `TicketBatch`
+--
+ALTER TABLE `TicketBatch`
+  ADD CONSTRAINT `TicketBatch_ibfk_1` FOREIGN KEY (`round_id`) REFERENCES `Round` (`round_id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `TicketBatch_ibfk_2` FOREIGN KEY (`created_by`) REFERENCES `User` (`user_id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `WalletTransaction`
+--
+ALTER TABLE `WalletTransaction`
+  ADD CONSTRAINT `WalletTransaction_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `User` (`user_id`) ON DELETE CASCADE;
 COMMIT;
\ No newline at end of file
@@ -2,10 +2,124 @@
 -- Converted from MySQL schema
 
 -- Create tables
+CREATE TABLE IF NOT EXISTS "Round" (
+  round_id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  draw_date DATE NOT NULL UNIQUE,
+  status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'on_sale', 'closed', 'drawn', 'settled')),
+  created_by INTEGER,
+  opened_at TIMESTAMP,
+  closed_at TIMESTAMP,
+  drawn_at TIMESTAMP,
+  settled_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "DrawResult" (
+  draw_id SERIAL PRIMARY KEY,
+  round_number INTEGER NOT NULL,
+  round_id INTEGER REFERENCES "Round"(round_id),
+  status VARCHAR(20) NOT NULL DEFAULT 'completed' CHECK (status IN ('committed', 'completed', 'voided')),
+  source VARCHAR(10) NOT NULL DEFAULT 'rng' CHECK (source IN ('rng', 'official')),
+  pool_type VARCHAR(10) NOT NULL DEFAULT 'sold' CHECK (pool_type IN ('sold', 'all')),
+  created_by INTEGER,
+  winning_numbers JSONB,
+  winners JSONB,
+  prize_table JSONB,
+  rollover JSONB,
+  server_seed CHAR(64),
+  server_seed_hash CHAR(64),
+  entropy_source VARCHAR(255),
+  public_entropy VARCHAR(255),
+  pool_hash CHAR(64),
+  pool_snapshot TEXT,
+  committed_at TIMESTAMP,
+  precommitted BOOLEAN NOT NULL DEFAULT TRUE,
+  revealed_at TIMESTAMP,
+  void_reason VARCHAR(255),
+  voided_by INTEGER,
+  voided_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
 CREATE TABLE IF NOT EXISTS "Prize" (
   prize_id SERIAL PRIMARY KEY,
+  draw_id INTEGER REFERENCES "DrawResult"(draw_id) ON DELETE CASCADE,
   amount DECIMAL(10,2) NOT NULL,
-  rank INTEGER NOT NULL UNIQUE
+  rank INTEGER NOT NULL,
+  payout_mode VARCHAR(10) NOT NULL DEFAULT 'fixed' CHECK (payout_mode IN ('fixed', 'shared')),
+  shares JSONB
+);
+
+CREATE TABLE IF NOT EXISTS "PrizeStructure" (
+  structure_id SERIAL PRIMARY KEY,
+  name VARCHAR(50) NOT NULL UNIQUE,
+  description VARCHAR(255),
+  tiers JSONB NOT NULL,
+  created_by INTEGER,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "PrizePool" (
+  pool_id SERIAL PRIMARY KEY,
+  name VARCHAR(50) NOT NULL UNIQUE,
+  payout_tier VARCHAR(30) NOT NULL,
+  balance DECIMAL(14,2) NOT NULL DEFAULT 0.00,
+  description VARCHAR(255),
+  created_by INTEGER,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "PrizePoolEntry" (
+  entry_id SERIAL PRIMARY KEY,
+  pool_id INTEGER NOT NULL REFERENCES "PrizePool"(pool_id) ON DELETE CASCADE,
+  amount DECIMAL(14,2) NOT NULL,
+  balance_after DECIMAL(14,2) NOT NULL,
+  type VARCHAR(30) NOT NULL,
+  draw_id INTEGER,
+  tier_key VARCHAR(30),
+  description VARCHAR(255),
+  created_by INTEGER,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "RolloverRule" (
+  rule_id SERIAL PRIMARY KEY,
+  tier_key VARCHAR(30) NOT NULL UNIQUE,
+  target VARCHAR(20) NOT NULL CHECK (target IN ('next_round', 'jackpot', 'none')),
+  pool_id INTEGER REFERENCES "PrizePool"(pool_id) ON DELETE SET NULL,
+  updated_by INTEGER,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "DrawScheduleOverride" (
+  override_id SERIAL PRIMARY KEY,
+  original_date DATE NOT NULL UNIQUE,
+  draw_date DATE NOT NULL,
+  reason VARCHAR(255),
+  created_by INTEGER,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "DrawScheduleRun" (
+  run_id SERIAL PRIMARY KEY,
+  round_id INTEGER NOT NULL REFERENCES "Round"(round_id) ON DELETE CASCADE,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('commit', 'close', 'draw')),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  scheduled_for TIMESTAMP NOT NULL,
+  next_attempt_at TIMESTAMP,
+  last_error TEXT,
+  draw_id INTEGER REFERENCES "DrawResult"(draw_id) ON DELETE SET NULL,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (round_id, action)
 );
 
 CREATE TABLE IF NOT EXISTS "User" (
@@ -18,30 +132,211 @@ CREATE TABLE IF NOT EXISTS "User" (
   wallet DECIMAL(10,2) DEFAULT 0.00
 );
 
+CREATE TABLE IF NOT EXISTS "WalletTransaction" (
+  transaction_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES "User"(user_id) ON DELETE CASCADE,
+  amount DECIMAL(12,2) NOT NULL,
+  balance_after DECIMAL(12,2) NOT NULL,
+  type VARCHAR(30) NOT NULL,
+  draw_id INTEGER,
+  ticket_id INTEGER,
+  description VARCHAR(255),
+  created_by INTEGER,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
 CREATE TABLE IF NOT EXISTS "Purchase" (
   purchase_id SERIAL PRIMARY KEY,
   user_id INTEGER NOT NULL REFERENCES "User"(user_id) ON DELETE CASCADE,
+  round_id INTEGER REFERENCES "Round"(round_id) ON DELETE SET NULL,
   date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
-  total_price DECIMAL(10,2) NOT NULL
+  total_price DECIMAL(10,2) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'completed' CHECK (status IN ('completed', 'partially_refunded', 'refunded')),
+  refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00
+);
+
+CREATE TABLE IF NOT EXISTS "TicketBatch" (
+  batch_id SERIAL PRIMARY KEY,
+  round_id INTEGER REFERENCES "Round"(round_id) ON DELETE CASCADE,
+  mode VARCHAR(10) NOT NULL DEFAULT 'append' CHECK (mode IN ('initial', 'append', 'import')),
+  ticket_count INTEGER NOT NULL,
+  copies SMALLINT NOT NULL DEFAULT 1,
+  price DECIMAL(8,2) NOT NULL,
+  range_from CHAR(6),
+  range_to CHAR(6),
+  rules JSONB,
+  seed VARCHAR(64),
+  issued INTEGER NOT NULL DEFAULT 0,
+  created_by INTEGER REFERENCES "User"(user_id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE TABLE IF NOT EXISTS "Ticket" (
   ticket_id SERIAL PRIMARY KEY,
-  number VARCHAR(10) NOT NULL UNIQUE,
+  number VARCHAR(10) NOT NULL,
+  set_no SMALLINT NOT NULL DEFAULT 1,
+  number_reversed VARCHAR(10) GENERATED ALWAYS AS (reverse(number)) STORED,
+  round_id INTEGER REFERENCES "Round"(round_id) ON DELETE CASCADE,
   price DECIMAL(8,2) NOT NULL DEFAULT 80.00,
-  status VARCHAR(20) DEFAULT 'available' CHECK (status IN ('available', 'sold', 'claimed')),
+  status VARCHAR(20) DEFAULT 'available' CHECK (status IN ('available', 'sold', 'claimed', 'reserved')),
+  reserved_by INTEGER REFERENCES "User"(user_id) ON DELETE SET NULL,
+  reserved_until TIMESTAMP,
+  batch_id INTEGER REFERENCES "TicketBatch"(batch_id) ON DELETE SET NULL,
   created_by INTEGER REFERENCES "User"(user_id),
   purchase_id INTEGER REFERENCES "Purchase"(purchase_id) ON DELETE SET NULL,
   prize_id INTEGER REFERENCES "Prize"(prize_id) ON DELETE SET NULL,
   start_date DATE,
-  end_date DATE
+  end_date DATE,
+  UNIQUE (round_id, number, set_no)
+);
+
+CREATE TABLE IF NOT EXISTS "PurchaseRefund" (
+  refund_id SERIAL PRIMARY KEY,
+  purchase_id INTEGER NOT NULL REFERENCES "Purchase"(purchase_id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES "User"(user_id) ON DELETE CASCADE,
+  ticket_id INTEGER REFERENCES "Ticket"(ticket_id) ON DELETE SET NULL,
+  number VARCHAR(10) NOT NULL,
+  set_no SMALLINT NOT NULL DEFAULT 1,
+  round_id INTEGER,
+  amount DECIMAL(8,2) NOT NULL,
+  forced BOOLEAN NOT NULL DEFAULT FALSE,
+  reason VARCHAR(255),
+  created_by INTEGER REFERENCES "User"(user_id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "IdempotencyKey" (
+  idempotency_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES "User"(user_id) ON DELETE CASCADE,
+  idem_key VARCHAR(255) NOT NULL,
+  method VARCHAR(10) NOT NULL,
+  path VARCHAR(255) NOT NULL,
+  request_hash CHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'committed', 'completed')),
+  response_status SMALLINT,
+  response_body JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  UNIQUE (user_id, idem_key)
+);
+
+CREATE TABLE IF NOT EXISTS "WalletReceivable" (
+  receivable_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES "User"(user_id) ON DELETE CASCADE,
+  amount DECIMAL(12,2) NOT NULL,
+  outstanding DECIMAL(12,2) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'settled')),
+  draw_id INTEGER,
+  ticket_id INTEGER,
+  transaction_id INTEGER,
+  description VARCHAR(255),
+  created_by INTEGER,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  settled_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "TicketPrize" (
+  ticket_prize_id SERIAL PRIMARY KEY,
+  ticket_id INTEGER NOT NULL REFERENCES "Ticket"(ticket_id) ON DELETE CASCADE,
+  prize_id INTEGER NOT NULL REFERENCES "Prize"(prize_id) ON DELETE CASCADE,
+  draw_id INTEGER,
+  amount DECIMAL(12,2) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'unclaimed' CHECK (status IN ('unclaimed', 'claimed', 'voided')),
+  claimed_by INTEGER,
+  claimed_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (ticket_id, prize_id)
+);
+
+CREATE TABLE IF NOT EXISTS "TicketTransfer" (
+  transfer_id SERIAL PRIMARY KEY,
+  ticket_id INTEGER NOT NULL REFERENCES "Ticket"(ticket_id) ON DELETE CASCADE,
+  from_user_id INTEGER NOT NULL REFERENCES "User"(user_id) ON DELETE CASCADE,
+  to_user_id INTEGER NOT NULL REFERENCES "User"(user_id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+  message VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  responded_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "ResaleListing" (
+  listing_id SERIAL PRIMARY KEY,
+  ticket_id INTEGER NOT NULL REFERENCES "Ticket"(ticket_id) ON DELETE CASCADE,
+  seller_id INTEGER NOT NULL REFERENCES "User"(user_id) ON DELETE CASCADE,
+  price DECIMAL(10,2) NOT NULL,
+  fee DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'sold', 'cancelled', 'expired')),
+  buyer_id INTEGER REFERENCES "User"(user_id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sold_at TIMESTAMP,
+  closed_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "NumberWaitlist" (
+  waitlist_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES "User"(user_id) ON DELETE CASCADE,
+  round_id INTEGER NOT NULL REFERENCES "Round"(round_id) ON DELETE CASCADE,
+  number VARCHAR(10) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'reserved', 'fulfilled', 'cancelled', 'expired')),
+  ticket_id INTEGER REFERENCES "Ticket"(ticket_id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  reserved_at TIMESTAMP,
+  closed_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "Notification" (
+  notification_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES "User"(user_id) ON DELETE CASCADE,
+  type VARCHAR(30) NOT NULL,
+  title VARCHAR(100) NOT NULL,
+  message VARCHAR(255) NOT NULL,
+  data JSONB,
+  read_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Create indexes
 CREATE INDEX IF NOT EXISTS idx_prize_rank ON "Prize"(rank);
+CREATE INDEX IF NOT EXISTS idx_prize_draw ON "Prize"(draw_id);
+CREATE INDEX IF NOT EXISTS idx_draw_round ON "DrawResult"(round_number);
+CREATE INDEX IF NOT EXISTS idx_draw_status ON "DrawResult"(status);
+CREATE INDEX IF NOT EXISTS idx_draw_round_id ON "DrawResult"(round_id);
+CREATE INDEX IF NOT EXISTS idx_prize_pool_tier ON "PrizePool"(payout_tier);
+CREATE INDEX IF NOT EXISTS idx_pool_entry_pool ON "PrizePoolEntry"(pool_id, entry_id);
+CREATE INDEX IF NOT EXISTS idx_pool_entry_draw ON "PrizePoolEntry"(draw_id);
+CREATE INDEX IF NOT EXISTS idx_round_status ON "Round"(status);
+CREATE INDEX IF NOT EXISTS idx_schedule_run_status ON "DrawScheduleRun"(status);
+CREATE INDEX IF NOT EXISTS idx_purchase_round ON "Purchase"(round_id);
 CREATE INDEX IF NOT EXISTS idx_user_date ON "Purchase"(user_id, date);
 CREATE INDEX IF NOT EXISTS idx_ticket_number ON "Ticket"(number);
 CREATE INDEX IF NOT EXISTS idx_ticket_status ON "Ticket"(status);
+CREATE INDEX IF NOT EXISTS idx_ticket_round_reversed ON "Ticket"(round_id, number_reversed);
+CREATE INDEX IF NOT EXISTS idx_ticket_round_price ON "Ticket"(round_id, price, ticket_id);
+CREATE INDEX IF NOT EXISTS idx_ticket_reserved_by ON "Ticket"(reserved_by);
+CREATE INDEX IF NOT EXISTS idx_ticket_reserved_until ON "Ticket"(status, reserved_until);
+CREATE INDEX IF NOT EXISTS idx_ticket_batch ON "Ticket"(batch_id);
+CREATE INDEX IF NOT EXISTS idx_ticket_prize_prize ON "TicketPrize"(prize_id);
+CREATE INDEX IF NOT EXISTS idx_ticket_prize_draw ON "TicketPrize"(draw_id);
+CREATE INDEX IF NOT EXISTS idx_wallet_tx_user ON "WalletTransaction"(user_id, transaction_id);
+CREATE INDEX IF NOT EXISTS idx_wallet_tx_draw ON "WalletTransaction"(draw_id);
+CREATE INDEX IF NOT EXISTS idx_wallet_tx_ticket ON "WalletTransaction"(ticket_id);
+CREATE INDEX IF NOT EXISTS idx_transfer_ticket ON "TicketTransfer"(ticket_id, status);
+CREATE INDEX IF NOT EXISTS idx_transfer_from ON "TicketTransfer"(from_user_id);
+CREATE INDEX IF NOT EXISTS idx_transfer_to ON "TicketTransfer"(to_user_id, status);
+CREATE INDEX IF NOT EXISTS idx_listing_ticket ON "ResaleListing"(ticket_id, status);
+CREATE INDEX IF NOT EXISTS idx_listing_status_price ON "ResaleListing"(status, price);
+CREATE INDEX IF NOT EXISTS idx_listing_seller ON "ResaleListing"(seller_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_match ON "NumberWaitlist"(round_id, number, status);
+CREATE INDEX IF NOT EXISTS idx_waitlist_user ON "NumberWaitlist"(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_waitlist_ticket ON "NumberWaitlist"(ticket_id);
+CREATE INDEX IF NOT EXISTS idx_notification_user ON "Notification"(user_id, read_at);
+CREATE INDEX IF NOT EXISTS idx_batch_round ON "TicketBatch"(round_id);
+CREATE INDEX IF NOT EXISTS idx_refund_purchase ON "PurchaseRefund"(purchase_id);
+CREATE INDEX IF NOT EXISTS idx_refund_user ON "PurchaseRefund"(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_refund_ticket ON "PurchaseRefund"(ticket_id);
+CREATE INDEX IF NOT EXISTS idx_idempotency_created ON "IdempotencyKey"(created_at);
+CREATE INDEX IF NOT EXISTS idx_receivable_user ON "WalletReceivable"(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_receivable_draw ON "WalletReceivable"(draw_id);
 
 -- Insert default admin user
 INSERT INTO "User" (user_id, username, email, phone, role, password, wallet) 
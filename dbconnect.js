@@ -2,6 +2,7 @@ const mysql = require('mysql2/promise');
 const { Pool } = require('pg'); // For PostgreSQL support
 const configLoader = require('./config-loader');
 const { databaseErrorHandler } = require('./utils/databaseErrorHandler');
+const IdempotencyScope = require('./utils/idempotencyScope');
 
 // Load environment variables
 if (process.env.NODE_ENV === 'production') {
@@ -69,7 +70,8 @@ async function getConnection() {
       const connection = await mysql.createConnection(dbConfig);
       await connection.execute('SELECT 1');
       console.log('✅ MySQL connection successful');
-      return connection;
+      // commit ภายในคำขอที่มี Idempotency-Key บันทึกสถานะ key ใน transaction เดียวกัน
+      return IdempotencyScope.bindCommit(connection);
     }
   }, 'getConnection');
 }
@@ -87,9 +89,9 @@ async function validateAndFixDatabase() {
     const statusColumn = columns[0];
     const enumValues = statusColumn.Type;
 
-    if (!enumValues.includes('claimed')) {
+    if (!enumValues.includes('claimed') || !enumValues.includes('reserved')) {
       await connection.execute(
-        "ALTER TABLE Ticket MODIFY COLUMN status ENUM('available', 'sold', 'claimed') DEFAULT 'available'"
+        "ALTER TABLE Ticket MODIFY COLUMN status ENUM('available', 'sold', 'claimed', 'reserved') DEFAULT 'available'"
       );
     }
 
@@ -49,6 +49,115 @@ const ERROR_MAPPINGS = {
   'ALREADY_CLAIMED': { status: HTTP_STATUS.CONFLICT, message: 'รางวัลถูกขึ้นเงินแล้ว' },
   'NOT_WINNER': { status: HTTP_STATUS.UNPROCESSABLE_ENTITY, message: 'ลอตเตอรี่นี้ไม่ถูกรางวัล' },
   'DUPLICATE_ENTRY': { status: HTTP_STATUS.CONFLICT, message: 'ข้อมูลซ้ำ' },
+  'INVALID_TICKET_SEARCH': { status: HTTP_STATUS.BAD_REQUEST, message: 'เงื่อนไขการค้นหาลอตเตอรี่ไม่ถูกต้อง' },
+  'INVALID_CURSOR': { status: HTTP_STATUS.BAD_REQUEST, message: 'cursor ไม่ถูกต้อง' },
+  'SET_NOT_AVAILABLE': { status: HTTP_STATUS.CONFLICT, message: 'ลอตเตอรี่ชุดเหลือไม่พอ' },
+  
+  // Draw errors
+  'INVALID_DRAW_ID': { status: HTTP_STATUS.BAD_REQUEST, message: 'รหัสการออกรางวัลไม่ถูกต้อง' },
+  'DRAW_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่พบผลการออกรางวัล' },
+  'COMMITMENT_EXISTS': { status: HTTP_STATUS.CONFLICT, message: 'งวดนี้มี commitment อยู่แล้ว' },
+  'COMMITMENT_MISSING': { status: HTTP_STATUS.CONFLICT, message: 'ไม่มี commitment ที่เผยแพร่ไว้ก่อนปิดการขาย' },
+  'POOL_TYPE_MISMATCH': { status: HTTP_STATUS.CONFLICT, message: 'ประเภทการออกรางวัลไม่ตรงกับที่ commit ไว้' },
+  'COMMITMENT_CHANGED': { status: HTTP_STATUS.CONFLICT, message: 'commitment ของงวดนี้เปลี่ยนระหว่างดึง public entropy' },
+  'DRAW_NOT_REVEALED': { status: HTTP_STATUS.CONFLICT, message: 'งวดนี้ยังไม่ได้ออกรางวัล ยังไม่สามารถตรวจสอบได้' },
+  'PUBLIC_ENTROPY_FIXED': { status: HTTP_STATUS.BAD_REQUEST, message: 'public entropy มาจากแหล่งที่ commit ไว้' },
+  'ENTROPY_NOT_AVAILABLE': { status: HTTP_STATUS.CONFLICT, message: 'ยังไม่มีบล็อกที่ใช้เป็น public entropy กรุณาลองใหม่ภายหลัง' },
+  'ENTROPY_BEACON_UNAVAILABLE': { status: HTTP_STATUS.SERVICE_UNAVAILABLE, message: 'ดึง public entropy ไม่สำเร็จ' },
+  'INVALID_ENTROPY_SOURCE': { status: HTTP_STATUS.INTERNAL_SERVER_ERROR, message: 'แหล่ง public entropy ที่ commit ไว้ไม่ถูกต้อง' },
+  'INVALID_POOL_TYPE': { status: HTTP_STATUS.BAD_REQUEST, message: 'ประเภทการออกรางวัลไม่ถูกต้อง' },
+  'INVALID_PRIZE_TABLE': { status: HTTP_STATUS.BAD_REQUEST, message: 'ตารางรางวัลไม่ถูกต้อง' },
+  'INVALID_REWARDS': { status: HTTP_STATUS.BAD_REQUEST, message: 'รางวัลไม่ถูกต้อง' },
+  'INVALID_REWARD_AMOUNT': { status: HTTP_STATUS.BAD_REQUEST, message: 'จำนวนเงินรางวัลไม่ถูกต้อง' },
+  'INSUFFICIENT_TICKETS': { status: HTTP_STATUS.UNPROCESSABLE_ENTITY, message: 'จำนวนตั๋วไม่พอสำหรับการออกรางวัล' },
+  'DRAW_NOT_VOIDABLE': { status: HTTP_STATUS.CONFLICT, message: 'ยกเลิกผลได้เฉพาะงวดที่ออกรางวัลแล้ว' },
+  'INVALID_OFFICIAL_RESULT': { status: HTTP_STATUS.UNPROCESSABLE_ENTITY, message: 'ผลรางวัลที่นำเข้าไม่ถูกต้อง' },
+  'INVALID_RESULT_FORMAT': { status: HTTP_STATUS.BAD_REQUEST, message: 'รูปแบบไฟล์ผลรางวัลไม่ถูกต้อง' },
+  
+  // Round errors
+  'INVALID_ROUND_ID': { status: HTTP_STATUS.BAD_REQUEST, message: 'รหัสงวดไม่ถูกต้อง' },
+  'INVALID_ROUND_STATUS': { status: HTTP_STATUS.BAD_REQUEST, message: 'สถานะงวดไม่ถูกต้อง' },
+  'INVALID_DRAW_DATE': { status: HTTP_STATUS.BAD_REQUEST, message: 'วันออกรางวัลไม่ถูกต้อง' },
+  'ROUND_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่พบงวด' },
+  'ROUND_EXISTS': { status: HTTP_STATUS.CONFLICT, message: 'มีงวดของวันออกรางวัลนี้อยู่แล้ว' },
+  'ROUND_ALREADY_OPEN': { status: HTTP_STATUS.CONFLICT, message: 'มีงวดที่เปิดขายอยู่แล้ว' },
+  'INVALID_ROUND_STATE': { status: HTTP_STATUS.CONFLICT, message: 'สถานะงวดไม่ถูกต้องสำหรับการดำเนินการนี้' },
+  'ROUND_NOT_ON_SALE': { status: HTTP_STATUS.CONFLICT, message: 'งวดนี้ไม่ได้เปิดขายอยู่' },
+  'MIXED_ROUNDS': { status: HTTP_STATUS.BAD_REQUEST, message: 'ไม่สามารถซื้อลอตเตอรี่ต่างงวดในครั้งเดียวกันได้' },
+  
+  // Cart errors
+  'CART_EMPTY': { status: HTTP_STATUS.UNPROCESSABLE_ENTITY, message: 'ไม่มีลอตเตอรี่ในตะกร้า' },
+  'CART_FULL': { status: HTTP_STATUS.CONFLICT, message: 'ตะกร้าเต็มแล้ว' },
+  'CART_ITEM_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่มีลอตเตอรี่นี้ในตะกร้า' },
+  
+  // Transfer errors
+  'INVALID_TRANSFER': { status: HTTP_STATUS.BAD_REQUEST, message: 'ข้อมูลการโอนไม่ถูกต้อง' },
+  'NOT_TICKET_OWNER': { status: HTTP_STATUS.FORBIDDEN, message: 'ไม่ใช่เจ้าของลอตเตอรี่' },
+  'TRANSFER_NOT_ALLOWED': { status: HTTP_STATUS.CONFLICT, message: 'ลอตเตอรี่ใบนี้โอนไม่ได้' },
+  'TRANSFER_PENDING': { status: HTTP_STATUS.CONFLICT, message: 'มีคำขอโอนที่รอผู้รับตอบอยู่แล้ว' },
+  'TRANSFER_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่พบคำขอโอน' },
+  'TRANSFER_NOT_PENDING': { status: HTTP_STATUS.CONFLICT, message: 'คำขอโอนนี้ไม่ได้รอการตอบแล้ว' },
+  
+  // Resale errors
+  'INVALID_RESALE_PRICE': { status: HTTP_STATUS.BAD_REQUEST, message: 'ราคาขายต่อไม่ถูกต้อง' },
+  'INVALID_RESALE_PURCHASE': { status: HTTP_STATUS.BAD_REQUEST, message: 'ไม่สามารถซื้อประกาศนี้ได้' },
+  'TICKET_ALREADY_LISTED': { status: HTTP_STATUS.CONFLICT, message: 'ลอตเตอรี่ใบนี้ประกาศขายอยู่แล้ว' },
+  'LISTING_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่พบประกาศขาย' },
+  'LISTING_NOT_ACTIVE': { status: HTTP_STATUS.CONFLICT, message: 'ประกาศขายนี้ปิดแล้ว' },
+  
+  // Waitlist errors
+  'NO_ROUND_ON_SALE': { status: HTTP_STATUS.CONFLICT, message: 'ไม่มีงวดที่เปิดขายอยู่' },
+  'WAITLIST_EXISTS': { status: HTTP_STATUS.CONFLICT, message: 'อยู่ในคิวรอเลขนี้แล้ว' },
+  'WAITLIST_FULL': { status: HTTP_STATUS.CONFLICT, message: 'คิวรอเลขเต็มแล้ว' },
+  'WAITLIST_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่พบคิวรอเลข' },
+  'WAITLIST_CLOSED': { status: HTTP_STATUS.CONFLICT, message: 'คิวรอเลขนี้ปิดแล้ว' },
+  
+  // Notification errors
+  'NOTIFICATION_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่พบการแจ้งเตือน' },
+  
+  // Ticket issuance errors
+  'INVALID_TICKET_BATCH': { status: HTTP_STATUS.BAD_REQUEST, message: 'ข้อมูลการออกตั๋วไม่ถูกต้อง' },
+  'TICKETS_ALREADY_EXIST': { status: HTTP_STATUS.BAD_REQUEST, message: 'ระบบมีตั๋วอยู่แล้ว' },
+  'TICKET_BATCH_EXHAUSTED': { status: HTTP_STATUS.CONFLICT, message: 'เลขที่ตรงเงื่อนไขเหลือไม่พอ' },
+  'TICKET_BATCH_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่พบชุดการออกตั๋ว' },
+  'INVALID_TICKET_IMPORT': { status: HTTP_STATUS.UNPROCESSABLE_ENTITY, message: 'ไฟล์ตั๋วที่นำเข้าไม่ถูกต้อง' },
+  'TICKET_IMPORT_DUPLICATES': { status: HTTP_STATUS.CONFLICT, message: 'มีตั๋วบางใบอยู่ในระบบแล้ว' },
+  
+  // Refund errors
+  'PURCHASE_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่พบรายการซื้อ' },
+  'REFUND_NOT_ALLOWED': { status: HTTP_STATUS.CONFLICT, message: 'ยกเลิกการซื้อนี้ไม่ได้' },
+  'REFUND_WINDOW_CLOSED': { status: HTTP_STATUS.CONFLICT, message: 'เลยเวลาปิดการขาย ยกเลิกการซื้อไม่ได้แล้ว' },
+  
+  // Receipt errors
+  'INVALID_RECEIPT': { status: HTTP_STATUS.BAD_REQUEST, message: 'ใบรับรองไม่ถูกต้อง' },
+  
+  // Idempotency errors
+  'INVALID_IDEMPOTENCY_KEY': { status: HTTP_STATUS.BAD_REQUEST, message: 'Idempotency-Key ไม่ถูกต้อง' },
+  'IDEMPOTENCY_KEY_REUSED': { status: HTTP_STATUS.UNPROCESSABLE_ENTITY, message: 'Idempotency-Key นี้ถูกใช้กับคำขออื่นแล้ว' },
+  'IDEMPOTENCY_KEY_IN_PROGRESS': { status: HTTP_STATUS.CONFLICT, message: 'คำขอที่ใช้ Idempotency-Key นี้กำลังดำเนินการ' },
+  'IDEMPOTENCY_KEY_COMMITTED': { status: HTTP_STATUS.CONFLICT, message: 'คำขอที่ใช้ Idempotency-Key นี้ดำเนินการสำเร็จแล้ว' },
+  
+  // Draw schedule errors
+  'INVALID_SCHEDULE_DATE': { status: HTTP_STATUS.BAD_REQUEST, message: 'วันออกรางวัลตามกำหนดการไม่ถูกต้อง' },
+  'SCHEDULE_OVERRIDE_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่พบการย้ายวันออกรางวัล' },
+  'SCHEDULE_RUN_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่พบงานตามกำหนดการ' },
+  'SCHEDULE_RUN_NOT_FAILED': { status: HTTP_STATUS.CONFLICT, message: 'สั่งลองใหม่ได้เฉพาะงานที่ล้มเหลว' },
+  
+  // Prize structure errors
+  'INVALID_PRIZE_STRUCTURE': { status: HTTP_STATUS.BAD_REQUEST, message: 'โครงสร้างรางวัลไม่ถูกต้อง' },
+  'INVALID_PRIZE_AMOUNT': { status: HTTP_STATUS.BAD_REQUEST, message: 'จำนวนเงินรางวัลไม่ถูกต้อง' },
+  'PRIZE_AMOUNT_EXCEEDS_LIMIT': { status: HTTP_STATUS.BAD_REQUEST, message: 'จำนวนเงินรางวัลเกินขีดจำกัดที่อนุญาต' },
+  'PRIZE_STRUCTURE_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่พบโครงสร้างรางวัล' },
+  'PRIZE_STRUCTURE_EXISTS': { status: HTTP_STATUS.CONFLICT, message: 'มีโครงสร้างรางวัลชื่อนี้อยู่แล้ว' },
+  'PRIZE_STRUCTURE_READ_ONLY': { status: HTTP_STATUS.CONFLICT, message: 'ตารางรางวัลของระบบไม่สามารถแก้ไขได้' },
+  
+  // Prize pool errors
+  'INVALID_PRIZE_POOL': { status: HTTP_STATUS.BAD_REQUEST, message: 'ข้อมูลกองรางวัลสะสมไม่ถูกต้อง' },
+  'PRIZE_POOL_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่พบกองรางวัลสะสม' },
+  'PRIZE_POOL_EXISTS': { status: HTTP_STATUS.CONFLICT, message: 'มีกองรางวัลสะสมชื่อนี้อยู่แล้ว' },
+  'INSUFFICIENT_POOL_BALANCE': { status: HTTP_STATUS.CONFLICT, message: 'ยอดเงินสะสมไม่เพียงพอ' },
+  'INVALID_ROLLOVER_RULE': { status: HTTP_STATUS.BAD_REQUEST, message: 'กฎการสะสมเงินรางวัลไม่ถูกต้อง' },
+  'ROLLOVER_RULE_NOT_FOUND': { status: HTTP_STATUS.NOT_FOUND, message: 'ไม่พบกฎการสะสมเงินรางวัล' },
   
   // System errors
   'DATABASE_ERROR': { status: HTTP_STATUS.SERVICE_UNAVAILABLE, message: 'เกิดข้อผิดพลาดในระบบฐานข้อมูล' },
@@ -181,14 +290,22 @@ const errorHandler = (err, req, res, next) => {
   // Get error information
   const errorInfo = getErrorInfo(err);
   
+  // Per-field/per-line validation errors are always returned so the client can fix its input
+  let details = err.validationErrors ? { errors: err.validationErrors } : null;
+
+  if (process.env.NODE_ENV === 'development') {
+    details = {
+      ...details,
+      originalMessage: err.message,
+      stack: err.stack
+    };
+  }
+
   // Create error response
   const errorResponse = createErrorResponse(
     err.code || 'INTERNAL_ERROR',
     errorInfo.message,
-    process.env.NODE_ENV === 'development' ? { 
-      originalMessage: err.message,
-      stack: err.stack 
-    } : null,
+    details,
     requestId
   );
   
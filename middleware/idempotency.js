@@ -0,0 +1,81 @@
+const IdempotencyService = require('../services/IdempotencyService');
+const IdempotencyScope = require('../utils/idempotencyScope');
+const { IDEMPOTENCY } = require('../constants');
+
+/**
+ * Middleware for money-moving endpoints - รองรับ header Idempotency-Key
+ * ใช้หลัง authenticateToken (key ผูกกับผู้ใช้) คำขอที่ไม่มี header ทำงานตามปกติ
+ * คำขอซ้ำที่ใช้ key เดิมได้ผลลัพธ์เดิมพร้อม header Idempotent-Replayed: true
+ * transaction ที่ commit ระหว่างคำขอบันทึกสถานะ key ไปพร้อมกัน (utils/idempotencyScope)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+async function idempotent(req, res, next) {
+  try {
+    const header = req.get(IDEMPOTENCY.HEADER);
+    if (header === undefined || !req.user) {
+      return next();
+    }
+
+    const key = header.trim();
+    if (!key || key.length > IDEMPOTENCY.MAX_KEY_LENGTH || !/^[\x21-\x7E]+$/.test(key)) {
+      const error = new Error(`Idempotency-Key ต้องเป็นตัวอักษร ASCII ไม่เกิน ${IDEMPOTENCY.MAX_KEY_LENGTH} ตัว`);
+      error.code = 'INVALID_IDEMPOTENCY_KEY';
+      throw error;
+    }
+
+    const path = `${req.baseUrl}${req.path}`;
+    const result = await IdempotencyService.begin(req.user.user_id, {
+      key,
+      method: req.method,
+      path,
+      requestHash: IdempotencyService.hashRequest(req.method, path, req.query, req.body)
+    });
+
+    if (result.replay) {
+      res.set(IDEMPOTENCY.REPLAY_HEADER, 'true');
+      return res.status(result.replay.status).json(result.replay.body);
+    }
+
+    // ปิด key ครั้งเดียวต่อคำขอ: 2xx เก็บผลลัพธ์ไว้ตอบคำขอซ้ำ
+    // นอกนั้นคืน key ให้ลองใหม่ได้ ยกเว้นมี transaction ที่ commit ไปแล้ว (release เก็บผลลัพธ์ไว้แทน)
+    const scope = IdempotencyScope.createScope(result.idempotencyId);
+    let settled = null;
+    const settle = (status, body) => {
+      if (!settled) {
+        scope.closed = true;
+        const succeeded = status >= 200 && status < 300;
+        settled = (succeeded
+          ? IdempotencyService.complete(result.idempotencyId, status, body)
+          : IdempotencyService.release(result.idempotencyId, status, body)
+        ).catch(error => console.error('❌ Idempotency key update failed:', error));
+      }
+      return settled;
+    };
+
+    // เก็บผลลัพธ์ก่อนส่งให้ client: ถ้า client ได้คำตอบ คำขอซ้ำจะได้คำตอบเดียวกัน
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+      settle(res.statusCode, body).then(() => json(body));
+      return res;
+    };
+
+    // คำตอบที่ไม่ได้ส่งผ่าน res.json (send/end, error handler ของ Express) หรือการเชื่อมต่อที่ขาดระหว่างส่ง
+    // error ที่ส่งต่อไป errorHandler จะตอบผ่าน res.json และคืน key ตามสถานะ 4xx/5xx
+    // ถ้ายังไม่เริ่มตอบ ไม่คืน key ตอน close: handler อาจยังทำงานอยู่และจะปิด key ผ่าน res.json เอง
+    res.on('finish', () => settle(res.statusCode));
+    res.on('close', () => {
+      if (res.headersSent) {
+        settle(res.statusCode);
+      }
+    });
+
+    IdempotencyScope.run(scope, next);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = { idempotent };
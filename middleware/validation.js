@@ -105,12 +105,23 @@ const validateTicketPurchase = [
  * Validation rules for prize claiming
  */
 const validatePrizeClaim = [
+  // เลขเดียวกันมีได้หลายงวดและหลายชุด จึงระบุใบด้วย ticketId
+  // ticketNumber ยังรับได้เพื่อ client เดิม (ใช้ตั๋วของผู้ใช้ในงวดล่าสุดที่ออกรางวัลแล้ว)
+  body('ticketId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('รหัสลอตเตอรี่ต้องเป็นตัวเลขที่มากกว่า 0'),
+
   body('ticketNumber')
-    .notEmpty()
-    .withMessage('กรุณาระบุหมายเลขลอตเตอรี่')
+    .optional()
     .matches(/^[0-9]{6}$/)
     .withMessage('หมายเลขลอตเตอรี่ต้องเป็นตัวเลข 6 หลัก'),
-  
+
+  body('ticketId')
+    .if(body('ticketNumber').not().exists())
+    .exists()
+    .withMessage('กรุณาระบุ ticketId หรือหมายเลขลอตเตอรี่'),
+
   handleValidationErrors
 ];
 
@@ -170,6 +181,48 @@ const validateUserId = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for cancelling a purchase (ทั้งรายการ หรือบางใบด้วย ticketIds)
+ */
+const validatePurchaseRefund = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('รหัสรายการซื้อต้องเป็นตัวเลขที่มากกว่า 0'),
+
+  body('ticketIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('ticketIds ต้องเป็นรายการลอตเตอรี่อย่างน้อย 1 ใบ'),
+
+  body('ticketIds.*')
+    .isInt({ min: 1 })
+    .withMessage('รหัสลอตเตอรี่ต้องเป็นตัวเลขที่มากกว่า 0'),
+
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('เหตุผลต้องเป็นข้อความไม่เกิน 255 ตัวอักษร')
+    .isLength({ max: 255 })
+    .withMessage('เหตุผลต้องเป็นข้อความไม่เกิน 255 ตัวอักษร'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for an admin forced refund (ต้องระบุเหตุผล)
+ */
+const validateForcedRefund = [
+  body('reason')
+    .isString()
+    .withMessage('กรุณาระบุเหตุผลของการคืนเงิน')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('กรุณาระบุเหตุผลของการคืนเงิน'),
+
+  ...validatePurchaseRefund
+];
+
 /**
  * Validation rules for pagination
  */
@@ -219,6 +272,8 @@ module.exports = {
   validateWalletUpdate,
   validateTicketNumber,
   validateUserId,
+  validatePurchaseRefund,
+  validateForcedRefund,
   validatePagination,
   validateTokenRefresh,
   validateTokenVerification
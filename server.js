@@ -13,6 +13,7 @@ const config = configLoader.loadConfig();
 // Import modular components
 const { getConnection, validateAndFixDatabase } = require('./dbconnect');
 const { errorHandler, requestLogger, notFoundHandler, rateLimit } = require('./middleware');
+const { DEFAULTS, IDEMPOTENCY, ISSUANCE_MODE } = require('./constants');
 
 // Import controllers
 const authController = require('./controllers/auth');
@@ -20,6 +21,18 @@ const ticketsController = require('./controllers/tickets');
 const adminController = require('./controllers/admin');
 const prizesController = require('./controllers/prizes');
 const usersController = require('./controllers/users');
+const drawsController = require('./controllers/draws');
+const roundsController = require('./controllers/rounds');
+const cartController = require('./controllers/cart');
+const transfersController = require('./controllers/transfers');
+const resaleController = require('./controllers/resale');
+const waitlistController = require('./controllers/waitlist');
+const notificationsController = require('./controllers/notifications');
+
+// Import services
+const DrawScheduleService = require('./services/DrawScheduleService');
+const CartService = require('./services/CartService');
+const IssuanceService = require('./services/IssuanceService');
 
 // Create Express app
 const app = express();
@@ -29,7 +42,7 @@ const PORT = process.env.PORT || configLoader.serverPort || 3000;
 console.log('🚀 Lotto REST API Server starting...');
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: [IDEMPOTENCY.REPLAY_HEADER] })); // browser clients can see replayed responses
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(requestLogger);
@@ -54,22 +67,78 @@ app.get('/api', (req, res) => {
         profile: 'GET /api/users/profile',
         wallet: 'GET /api/users/wallet',
         purchases: 'GET /api/users/purchases',
+        cancelPurchase: 'POST /api/users/purchases/:id/cancel',
         winnings: 'GET /api/users/winnings'
       },
       tickets: {
-        list: 'GET /api/tickets',
+        list: 'GET /api/tickets?status=&minPrice=&maxPrice=&pattern=|prefix=|suffix=|contains=&sort=&limit=&cursor=',
         myTickets: 'GET /api/tickets/my-tickets',
-        purchase: 'POST /api/tickets/purchase'
+        purchase: 'POST /api/tickets/purchase',
+        set: 'GET /api/tickets/sets/:number?roundId=',
+        purchaseSet: 'POST /api/tickets/purchase-set',
+        requestNumber: 'POST /api/tickets/request-number',
+        receipt: 'GET /api/tickets/:id/receipt?format=svg|png',
+        verifyReceipt: 'GET /api/tickets/verify/:token'
+      },
+      cart: {
+        get: 'GET /api/cart',
+        add: 'POST /api/cart/items',
+        remove: 'DELETE /api/cart/items/:ticketId',
+        clear: 'DELETE /api/cart',
+        checkout: 'POST /api/cart/checkout'
+      },
+      transfers: {
+        list: 'GET /api/transfers?direction=incoming|outgoing&status=',
+        create: 'POST /api/transfers',
+        accept: 'POST /api/transfers/:id/accept',
+        decline: 'POST /api/transfers/:id/decline',
+        cancel: 'POST /api/transfers/:id/cancel',
+        history: 'GET /api/transfers/tickets/:ticketId/history'
+      },
+      resale: {
+        list: 'GET /api/resale?roundId=&maxPrice=&page=&limit=',
+        mine: 'GET /api/resale/my-listings',
+        create: 'POST /api/resale',
+        buy: 'POST /api/resale/:id/buy',
+        cancel: 'DELETE /api/resale/:id'
+      },
+      waitlist: {
+        list: 'GET /api/waitlist?status=',
+        cancel: 'DELETE /api/waitlist/:id'
+      },
+      notifications: {
+        list: 'GET /api/notifications?unread=&page=&limit=',
+        read: 'POST /api/notifications/:id/read',
+        readAll: 'POST /api/notifications/read-all'
       },
       prizes: {
         list: 'GET /api/prizes',
         claim: 'POST /api/prizes/claim',
         checkWinner: 'GET /api/prizes/check/:ticketNumber'
       },
+      draws: {
+        commitment: 'GET /api/draws/commitment',
+        stream: 'GET /api/draws/stream (Server-Sent Events)',
+        verify: 'GET /api/draws/:id/verify'
+      },
+      rounds: {
+        list: 'GET /api/rounds',
+        current: 'GET /api/rounds/current',
+        byId: 'GET /api/rounds/:id'
+      },
       admin: {
         stats: 'GET /api/admin/stats',
         users: 'GET /api/admin/users',
-        draws: 'GET /api/admin/draws'
+        draws: 'GET /api/admin/draws',
+        commitDraw: 'POST /api/admin/draws/commit',
+        rounds: 'POST /api/admin/rounds',
+        roundLifecycle: 'POST /api/admin/rounds/:roundId/(open|close|settle)',
+        ticketBatches: 'GET|POST /api/admin/ticket-batches',
+        importTickets: 'POST /api/admin/tickets/import(/preview)',
+        exportTickets: 'GET /api/admin/tickets/export',
+        refundPurchase: 'POST /api/admin/purchases/:id/refund',
+        prizeStructures: 'GET /api/admin/prize-structures',
+        prizePools: 'GET /api/admin/prize-pools'
       }
     }
   });
@@ -81,6 +150,13 @@ app.use('/api/tickets', ticketsController);
 app.use('/api/admin', adminController);
 app.use('/api/prizes', prizesController);
 app.use('/api/users', usersController);
+app.use('/api/draws', drawsController);
+app.use('/api/rounds', roundsController);
+app.use('/api/cart', cartController);
+app.use('/api/transfers', transfersController);
+app.use('/api/resale', resaleController);
+app.use('/api/waitlist', waitlistController);
+app.use('/api/notifications', notificationsController);
 
 // Direct registration endpoint (legacy support)
 const UserService = require('./services/UserService');
@@ -191,13 +267,45 @@ app.get('/health', (req, res) => {
       // User endpoints
       profile: '/api/users/profile',
       wallet: '/api/users/wallet',
+      walletTransactions: '/api/users/wallet/transactions',
       purchases: '/api/users/purchases',
+      cancelPurchase: '/api/users/purchases/:id/cancel (POST)',
       winnings: '/api/users/winnings',
       
       // Ticket endpoints
-      tickets: '/api/tickets',
+      tickets: '/api/tickets (status, minPrice, maxPrice, pattern/prefix/suffix/contains, sort, limit, cursor)',
       myTickets: '/api/tickets/my-tickets',
       purchase: '/api/tickets/purchase',
+      ticketSet: '/api/tickets/sets/:number',
+      purchaseSet: '/api/tickets/purchase-set (POST)',
+      requestNumber: '/api/tickets/request-number (POST)',
+      ticketReceipt: '/api/tickets/:id/receipt',
+      verifyReceipt: '/api/tickets/verify/:token',
+      
+      // Cart endpoints (tickets are held for CART_HOLD_MINUTES)
+      cart: '/api/cart (GET, DELETE)',
+      cartItems: '/api/cart/items (POST), /api/cart/items/:ticketId (DELETE)',
+      checkout: '/api/cart/checkout (POST)',
+      
+      // Transfer endpoints (ก่อนปิดการขาย และลอตเตอรี่ยังไม่ถูกรางวัล)
+      transfers: '/api/transfers (GET, POST)',
+      respondTransfer: '/api/transfers/:id/accept|decline|cancel (POST)',
+      ticketHistory: '/api/transfers/tickets/:ticketId/history',
+      
+      // Resale endpoints (ราคาไม่เกิน RESALE_MAX_PRICE ปิดอัตโนมัติเมื่อปิดการขาย)
+      resale: '/api/resale (GET, POST)',
+      myListings: '/api/resale/my-listings',
+      buyListing: '/api/resale/:id/buy (POST)',
+      cancelListing: '/api/resale/:id (DELETE)',
+      
+      // Number waitlist (ตั๋วที่กลับมาว่างถูกจองให้ผู้รอ WAITLIST_HOLD_MINUTES นาที)
+      waitlist: '/api/waitlist',
+      leaveWaitlist: '/api/waitlist/:id (DELETE)',
+      
+      // Notifications
+      notifications: '/api/notifications',
+      readNotification: '/api/notifications/:id/read (POST)',
+      readAllNotifications: '/api/notifications/read-all (POST)',
       
       // Prize endpoints
       prizes: '/api/prizes',
@@ -210,13 +318,44 @@ app.get('/health', (req, res) => {
       adminUsers: '/api/admin/users',
       adminTickets: '/api/admin/tickets',
       adminPurchases: '/api/admin/purchases',
+      adminRefundPurchase: '/api/admin/purchases/:id/refund (POST)',
       adminActivity: '/api/admin/activity',
       adminUserDetails: '/api/admin/users/:userId/details',
       
       // Draw management
       draws: '/api/admin/draws',
       latestDraw: '/api/admin/draws/latest',
+      drawById: '/api/admin/draws/:drawId',
+      voidDraw: '/api/admin/draws/:drawId/void (POST)',
+      receivables: '/api/admin/receivables',
+      recoverReceivables: '/api/admin/users/:userId/receivables/recover (POST)',
       createDraw: '/api/admin/draws (POST)',
+      simulateDraw: '/api/admin/draws?simulate=true (POST)',
+      importDraw: '/api/admin/draws/import (POST, JSON or text/csv)',
+      commitDraw: '/api/admin/draws/commit (POST)',
+      drawCommitment: '/api/draws/commitment',
+      drawStream: '/api/draws/stream (Server-Sent Events)',
+      verifyDraw: '/api/draws/:id/verify',
+      rounds: '/api/rounds',
+      currentRound: '/api/rounds/current',
+      roundById: '/api/rounds/:id',
+      createRound: '/api/admin/rounds (POST)',
+      roundLifecycle: '/api/admin/rounds/:roundId/(open|close|settle) (POST)',
+      ticketBatches: '/api/admin/ticket-batches (GET, POST)',
+      ticketBatchById: '/api/admin/ticket-batches/:id',
+      previewTicketImport: '/api/admin/tickets/import/preview (POST, JSON or text/csv)',
+      importTickets: '/api/admin/tickets/import (POST, JSON or text/csv)',
+      exportTickets: '/api/admin/tickets/export?list=inventory|sold (CSV)',
+      prizeStructures: '/api/admin/prize-structures',
+      prizeStructureByName: '/api/admin/prize-structures/:name',
+      drawSchedule: '/api/admin/draw-schedule',
+      drawScheduleOverrides: '/api/admin/draw-schedule/overrides (POST)',
+      drawScheduleOverrideByDate: '/api/admin/draw-schedule/overrides/:originalDate (DELETE)',
+      retryScheduleRun: '/api/admin/draw-schedule/runs/:runId/retry (POST)',
+      prizePools: '/api/admin/prize-pools (GET, POST)',
+      prizePoolEntries: '/api/admin/prize-pools/:poolId/entries',
+      adjustPrizePool: '/api/admin/prize-pools/:poolId/adjust (POST)',
+      rolloverRule: '/api/admin/prize-pools/rules/:tierKey (PUT, DELETE)',
       
       // System management
       reset: '/api/admin/reset',
@@ -232,6 +371,22 @@ app.use(notFoundHandler);
 app.use(errorHandler);
 
 // Database initialization functions
+
+// Add a column to an existing table if it is not there yet, returns true when added
+async function addColumnIfMissing(connection, table, column, definition) {
+  const [columns] = await connection.query(
+    `SHOW COLUMNS FROM \`${table}\` WHERE Field = ?`,
+    [column]
+  );
+
+  if (columns.length > 0) {
+    return false;
+  }
+
+  await connection.execute(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+  return true;
+}
+
 async function initializeDatabase() {
   try {
     const connection = await getConnection();
@@ -245,9 +400,578 @@ async function initializeDatabase() {
         await connection.execute(`
           CREATE TABLE Prize (
             prize_id INT AUTO_INCREMENT PRIMARY KEY,
+            draw_id INT DEFAULT NULL,
             amount DECIMAL(10,2) NOT NULL,
             \`rank\` INT NOT NULL,
-            UNIQUE KEY unique_rank (\`rank\`)
+            payout_mode ENUM('fixed', 'shared') NOT NULL DEFAULT 'fixed',
+            shares JSON DEFAULT NULL,
+            KEY idx_prize_draw (draw_id)
+          )
+        `);
+      }
+
+      // Check if Round table exists (งวดที่เปิดขาย)
+      const [roundTables] = await connection.execute(
+        "SHOW TABLES LIKE 'Round'"
+      );
+
+      if (roundTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE Round (
+            round_id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            draw_date DATE NOT NULL,
+            status ENUM('scheduled', 'on_sale', 'closed', 'drawn', 'settled') NOT NULL DEFAULT 'scheduled',
+            created_by INT DEFAULT NULL,
+            opened_at DATETIME DEFAULT NULL,
+            closed_at DATETIME DEFAULT NULL,
+            drawn_at DATETIME DEFAULT NULL,
+            settled_at DATETIME DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_round_draw_date (draw_date),
+            KEY idx_round_status (status)
+          )
+        `);
+      }
+
+      // Check if DrawResult table exists (ประวัติการออกรางวัลทุกงวด)
+      const [drawTables] = await connection.execute(
+        "SHOW TABLES LIKE 'DrawResult'"
+      );
+
+      if (drawTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE DrawResult (
+            draw_id INT AUTO_INCREMENT PRIMARY KEY,
+            round_number INT NOT NULL,
+            round_id INT DEFAULT NULL,
+            status ENUM('committed', 'completed', 'voided') NOT NULL DEFAULT 'completed',
+            source ENUM('rng', 'official') NOT NULL DEFAULT 'rng',
+            pool_type ENUM('sold', 'all') NOT NULL DEFAULT 'sold',
+            created_by INT DEFAULT NULL,
+            winning_numbers JSON DEFAULT NULL,
+            winners JSON DEFAULT NULL,
+            prize_table JSON DEFAULT NULL,
+            rollover JSON DEFAULT NULL,
+            server_seed CHAR(64) DEFAULT NULL,
+            server_seed_hash CHAR(64) DEFAULT NULL,
+            entropy_source VARCHAR(255) DEFAULT NULL,
+            public_entropy VARCHAR(255) DEFAULT NULL,
+            pool_hash CHAR(64) DEFAULT NULL,
+            pool_snapshot LONGTEXT DEFAULT NULL,
+            committed_at DATETIME DEFAULT NULL,
+            precommitted TINYINT(1) NOT NULL DEFAULT 1,
+            revealed_at DATETIME DEFAULT NULL,
+            void_reason VARCHAR(255) DEFAULT NULL,
+            voided_by INT DEFAULT NULL,
+            voided_at DATETIME DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            KEY idx_draw_round (round_number),
+            KEY idx_draw_round_id (round_id)
+          )
+        `);
+      }
+
+      // Prize rows are kept per draw, so rank is no longer unique
+      if (await addColumnIfMissing(connection, 'Prize', 'draw_id', 'INT DEFAULT NULL AFTER prize_id')) {
+        await connection.execute('ALTER TABLE Prize ADD KEY idx_prize_draw (draw_id)');
+      }
+
+      const [uniqueRankIndex] = await connection.execute(
+        "SHOW INDEX FROM Prize WHERE Key_name = 'unique_rank'"
+      );
+
+      if (uniqueRankIndex.length > 0) {
+        await connection.execute('ALTER TABLE Prize DROP INDEX unique_rank');
+      }
+
+      // Commit–reveal columns for provably fair draws
+      await addColumnIfMissing(connection, 'DrawResult', 'status', "ENUM('committed', 'completed') NOT NULL DEFAULT 'completed' AFTER round_number");
+      await addColumnIfMissing(connection, 'DrawResult', 'server_seed', 'CHAR(64) DEFAULT NULL');
+      await addColumnIfMissing(connection, 'DrawResult', 'server_seed_hash', 'CHAR(64) DEFAULT NULL');
+      await addColumnIfMissing(connection, 'DrawResult', 'public_entropy', 'VARCHAR(255) DEFAULT NULL');
+      await addColumnIfMissing(connection, 'DrawResult', 'pool_hash', 'CHAR(64) DEFAULT NULL');
+      await addColumnIfMissing(connection, 'DrawResult', 'pool_snapshot', 'LONGTEXT DEFAULT NULL');
+      await addColumnIfMissing(connection, 'DrawResult', 'committed_at', 'DATETIME DEFAULT NULL');
+      await addColumnIfMissing(connection, 'DrawResult', 'revealed_at', 'DATETIME DEFAULT NULL');
+
+      // Draws whose commitment was not published before the sales cutoff are not provably fair
+      if (await addColumnIfMissing(connection, 'DrawResult', 'precommitted', 'TINYINT(1) NOT NULL DEFAULT 1 AFTER committed_at')) {
+        // งวดที่ออกรางวัลไปแล้วก่อนมีคอลัมน์นี้ใช้ public entropy ที่ผู้ออกรางวัลกำหนดเอง จึงพิสูจน์ไม่ได้ทุกงวด
+        await connection.execute(
+          "UPDATE DrawResult SET precommitted = 0 WHERE status <> 'committed'"
+        );
+      }
+
+      // Public entropy comes from a source committed with the seed (first Bitcoin block after the cutoff)
+      if (await addColumnIfMissing(connection, 'DrawResult', 'entropy_source', 'VARCHAR(255) DEFAULT NULL AFTER server_seed_hash')) {
+        // งวดก่อนหน้าใช้ hash ของตั๋วที่ขายเป็น public entropy ผู้ถือ seed เลือกผลได้ด้วยการซื้อหรือยกเลิกตั๋ว จึงพิสูจน์ไม่ได้
+        await connection.execute(
+          "UPDATE DrawResult SET precommitted = 0 WHERE status <> 'committed'"
+        );
+      }
+      await connection.execute('ALTER TABLE DrawResult MODIFY COLUMN winning_numbers JSON DEFAULT NULL');
+      await connection.execute('ALTER TABLE DrawResult MODIFY COLUMN winners JSON DEFAULT NULL');
+
+      // Prize table snapshot (GLO full table / classic 5 tiers)
+      await addColumnIfMissing(connection, 'DrawResult', 'prize_table', 'JSON DEFAULT NULL AFTER winners');
+
+      // Tickets, purchases and draws belong to a round; a number is unique only within its round
+      if (await addColumnIfMissing(connection, 'DrawResult', 'round_id', 'INT DEFAULT NULL AFTER round_number')) {
+        await connection.execute('ALTER TABLE DrawResult ADD KEY idx_draw_round_id (round_id)');
+      }
+
+      if (await addColumnIfMissing(connection, 'Purchase', 'round_id', 'INT DEFAULT NULL AFTER user_id')) {
+        await connection.execute('ALTER TABLE Purchase ADD KEY idx_purchase_round (round_id)');
+      }
+
+      if (await addColumnIfMissing(connection, 'Ticket', 'round_id', 'INT DEFAULT NULL AFTER number')) {
+        await connection.execute('ALTER TABLE Ticket ADD UNIQUE KEY uniq_round_number (round_id, number)');
+      }
+
+      // Lottery sets (ลอตเตอรี่ชุด): several copies of a number per round, told apart by set_no
+      if (await addColumnIfMissing(connection, 'Ticket', 'set_no', 'TINYINT UNSIGNED NOT NULL DEFAULT 1 AFTER number')) {
+        await connection.execute('ALTER TABLE Ticket DROP INDEX uniq_round_number');
+        await connection.execute('ALTER TABLE Ticket ADD UNIQUE KEY uniq_round_number_set (round_id, number, set_no)');
+      }
+
+      // Reversed number for "ends in" searches, so suffix patterns can use an index
+      if (await addColumnIfMissing(connection, 'Ticket', 'number_reversed', 'VARCHAR(10) GENERATED ALWAYS AS (REVERSE(number)) STORED AFTER number')) {
+        await connection.execute('ALTER TABLE Ticket ADD KEY idx_ticket_round_reversed (round_id, number_reversed)');
+        await connection.execute('ALTER TABLE Ticket ADD KEY idx_ticket_round_price (round_id, price, ticket_id)');
+      }
+
+      // Cart holds: a reserved ticket is held for reserved_by until reserved_until
+      if (await addColumnIfMissing(connection, 'Ticket', 'reserved_by', 'INT DEFAULT NULL AFTER status')) {
+        await connection.execute('ALTER TABLE Ticket ADD KEY idx_ticket_reserved_by (reserved_by)');
+      }
+      if (await addColumnIfMissing(connection, 'Ticket', 'reserved_until', 'DATETIME DEFAULT NULL AFTER reserved_by')) {
+        await connection.execute('ALTER TABLE Ticket ADD KEY idx_ticket_reserved_until (status, reserved_until)');
+      }
+
+      // Purchase cancellation / refunds (PurchaseRefund keeps one row per refunded ticket)
+      await addColumnIfMissing(connection, 'Purchase', 'status', "ENUM('completed', 'partially_refunded', 'refunded') NOT NULL DEFAULT 'completed' AFTER total_price");
+      await addColumnIfMissing(connection, 'Purchase', 'refunded_amount', 'DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER status');
+
+      // Issuance batch each ticket came from (TicketBatch)
+      if (await addColumnIfMissing(connection, 'Ticket', 'batch_id', 'INT DEFAULT NULL AFTER reserved_until')) {
+        await connection.execute('ALTER TABLE Ticket ADD KEY idx_ticket_batch (batch_id)');
+      }
+
+      // Voided draws are kept with the reason for the audit trail
+      await connection.execute("ALTER TABLE DrawResult MODIFY COLUMN status ENUM('committed', 'completed', 'voided') NOT NULL DEFAULT 'completed'");
+      await addColumnIfMissing(connection, 'DrawResult', 'void_reason', 'VARCHAR(255) DEFAULT NULL AFTER revealed_at');
+      await addColumnIfMissing(connection, 'DrawResult', 'voided_by', 'INT DEFAULT NULL AFTER void_reason');
+      await addColumnIfMissing(connection, 'DrawResult', 'voided_at', 'DATETIME DEFAULT NULL AFTER voided_by');
+
+      // Draws imported from the official announcement are not RNG draws
+      await addColumnIfMissing(connection, 'DrawResult', 'source', "ENUM('rng', 'official') NOT NULL DEFAULT 'rng' AFTER status");
+
+      // Tier payout mode: fixed per ticket or shared between the tickets matching a number
+      await addColumnIfMissing(connection, 'Prize', 'payout_mode', "ENUM('fixed', 'shared') NOT NULL DEFAULT 'fixed' AFTER `rank`");
+      await addColumnIfMissing(connection, 'Prize', 'shares', 'JSON DEFAULT NULL AFTER payout_mode');
+
+      // Prize pool movements (carried in / rolled over) of each draw
+      await addColumnIfMissing(connection, 'DrawResult', 'rollover', 'JSON DEFAULT NULL AFTER prize_table');
+
+      const [uniqueNumberIndex] = await connection.execute(
+        "SHOW INDEX FROM Ticket WHERE Key_name = 'number'"
+      );
+
+      if (uniqueNumberIndex.length > 0) {
+        await connection.execute('ALTER TABLE Ticket DROP INDEX `number`');
+      }
+
+      // Check if PrizeStructure table exists (ตารางรางวัลที่ admin กำหนดเอง)
+      const [structureTables] = await connection.execute(
+        "SHOW TABLES LIKE 'PrizeStructure'"
+      );
+
+      if (structureTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE PrizeStructure (
+            structure_id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(50) NOT NULL,
+            description VARCHAR(255) DEFAULT NULL,
+            tiers JSON NOT NULL,
+            created_by INT DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_prize_structure_name (name)
+          )
+        `);
+      }
+      // Check if WalletTransaction table exists (รายการเคลื่อนไหวของกระเป๋าเงิน)
+      const [walletTransactionTables] = await connection.execute(
+        "SHOW TABLES LIKE 'WalletTransaction'"
+      );
+
+      if (walletTransactionTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE WalletTransaction (
+            transaction_id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            amount DECIMAL(12,2) NOT NULL,
+            balance_after DECIMAL(12,2) NOT NULL,
+            type VARCHAR(30) NOT NULL,
+            draw_id INT DEFAULT NULL,
+            ticket_id INT DEFAULT NULL,
+            description VARCHAR(255) DEFAULT NULL,
+            created_by INT DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            KEY idx_wallet_tx_user (user_id, transaction_id),
+            KEY idx_wallet_tx_draw (draw_id),
+            KEY idx_wallet_tx_ticket (ticket_id)
+          )
+        `);
+      }
+
+      // Check if TicketPrize table exists (ตั๋วหนึ่งใบถูกได้หลายรางวัล พร้อมสถานะการขึ้นเงิน)
+      const [ticketPrizeTables] = await connection.execute(
+        "SHOW TABLES LIKE 'TicketPrize'"
+      );
+
+      if (ticketPrizeTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE TicketPrize (
+            ticket_prize_id INT AUTO_INCREMENT PRIMARY KEY,
+            ticket_id INT NOT NULL,
+            prize_id INT NOT NULL,
+            draw_id INT DEFAULT NULL,
+            amount DECIMAL(12,2) NOT NULL,
+            status ENUM('unclaimed', 'claimed', 'voided') NOT NULL DEFAULT 'unclaimed',
+            claimed_by INT DEFAULT NULL,
+            claimed_at DATETIME DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_ticket_prize (ticket_id, prize_id),
+            KEY idx_ticket_prize_prize (prize_id),
+            KEY idx_ticket_prize_draw (draw_id)
+          )
+        `);
+
+        // ย้ายรางวัลเดิมจาก Ticket.prize_id (ข้อมูลเดิมเก็บได้แค่รางวัลเดียวต่อใบ)
+        await connection.execute(`
+          INSERT INTO TicketPrize (ticket_id, prize_id, draw_id, amount, status, claimed_by)
+          SELECT t.ticket_id, p.prize_id, p.draw_id, p.amount,
+                 IF(t.status = 'claimed', 'claimed', 'unclaimed'),
+                 IF(t.status = 'claimed', pur.user_id, NULL)
+          FROM Ticket t
+          JOIN Prize p ON p.prize_id = t.prize_id
+          LEFT JOIN Purchase pur ON pur.purchase_id = t.purchase_id
+        `);
+      }
+
+      // Check if PrizePool table exists (กองรางวัลสะสม)
+      const [prizePoolTables] = await connection.execute(
+        "SHOW TABLES LIKE 'PrizePool'"
+      );
+
+      if (prizePoolTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE PrizePool (
+            pool_id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(50) NOT NULL,
+            payout_tier VARCHAR(30) NOT NULL,
+            balance DECIMAL(14,2) NOT NULL DEFAULT 0.00,
+            description VARCHAR(255) DEFAULT NULL,
+            created_by INT DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_prize_pool_name (name),
+            KEY idx_prize_pool_tier (payout_tier)
+          )
+        `);
+      }
+
+      // Check if PrizePoolEntry table exists (รายการเคลื่อนไหวของกองรางวัลสะสม)
+      const [prizePoolEntryTables] = await connection.execute(
+        "SHOW TABLES LIKE 'PrizePoolEntry'"
+      );
+
+      if (prizePoolEntryTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE PrizePoolEntry (
+            entry_id INT AUTO_INCREMENT PRIMARY KEY,
+            pool_id INT NOT NULL,
+            amount DECIMAL(14,2) NOT NULL,
+            balance_after DECIMAL(14,2) NOT NULL,
+            type VARCHAR(30) NOT NULL,
+            draw_id INT DEFAULT NULL,
+            tier_key VARCHAR(30) DEFAULT NULL,
+            description VARCHAR(255) DEFAULT NULL,
+            created_by INT DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            KEY idx_pool_entry_pool (pool_id, entry_id),
+            KEY idx_pool_entry_draw (draw_id)
+          )
+        `);
+      }
+
+      // Check if RolloverRule table exists (กฎการสะสมเงินรางวัลที่ไม่มีผู้ถูก ต่อ tier key)
+      const [rolloverRuleTables] = await connection.execute(
+        "SHOW TABLES LIKE 'RolloverRule'"
+      );
+
+      if (rolloverRuleTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE RolloverRule (
+            rule_id INT AUTO_INCREMENT PRIMARY KEY,
+            tier_key VARCHAR(30) NOT NULL,
+            target ENUM('next_round', 'jackpot', 'none') NOT NULL,
+            pool_id INT DEFAULT NULL,
+            updated_by INT DEFAULT NULL,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_rollover_tier (tier_key)
+          )
+        `);
+      }
+
+      // Check if DrawScheduleOverride table exists (ย้ายวันออกรางวัลกรณีวันหยุด)
+      const [overrideTables] = await connection.execute(
+        "SHOW TABLES LIKE 'DrawScheduleOverride'"
+      );
+
+      if (overrideTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE DrawScheduleOverride (
+            override_id INT AUTO_INCREMENT PRIMARY KEY,
+            original_date DATE NOT NULL,
+            draw_date DATE NOT NULL,
+            reason VARCHAR(255) DEFAULT NULL,
+            created_by INT DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_schedule_original_date (original_date)
+          )
+        `);
+      }
+
+      // Check if DrawScheduleRun table exists (บันทึกการปิดการขาย/ออกรางวัลอัตโนมัติ)
+      const [scheduleRunTables] = await connection.execute(
+        "SHOW TABLES LIKE 'DrawScheduleRun'"
+      );
+
+      if (scheduleRunTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE DrawScheduleRun (
+            run_id INT AUTO_INCREMENT PRIMARY KEY,
+            round_id INT NOT NULL,
+            action ENUM('commit', 'close', 'draw') NOT NULL,
+            status ENUM('pending', 'running', 'succeeded', 'failed') NOT NULL DEFAULT 'pending',
+            attempts INT NOT NULL DEFAULT 0,
+            scheduled_for DATETIME NOT NULL,
+            next_attempt_at DATETIME DEFAULT NULL,
+            last_error TEXT,
+            draw_id INT DEFAULT NULL,
+            started_at DATETIME DEFAULT NULL,
+            finished_at DATETIME DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_schedule_round_action (round_id, action),
+            KEY idx_schedule_run_status (status)
+          )
+        `);
+      }
+      await connection.execute("ALTER TABLE DrawScheduleRun MODIFY COLUMN action ENUM('commit', 'close', 'draw') NOT NULL");
+
+      // Check if TicketTransfer table exists (โอน/ให้ลอตเตอรี่ และประวัติการเปลี่ยนเจ้าของ)
+      const [transferTables] = await connection.execute(
+        "SHOW TABLES LIKE 'TicketTransfer'"
+      );
+
+      if (transferTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE TicketTransfer (
+            transfer_id INT AUTO_INCREMENT PRIMARY KEY,
+            ticket_id INT NOT NULL,
+            from_user_id INT NOT NULL,
+            to_user_id INT NOT NULL,
+            status ENUM('pending', 'accepted', 'declined', 'cancelled') NOT NULL DEFAULT 'pending',
+            message VARCHAR(255) DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            responded_at DATETIME DEFAULT NULL,
+            KEY idx_transfer_ticket (ticket_id, status),
+            KEY idx_transfer_from (from_user_id),
+            KEY idx_transfer_to (to_user_id, status)
+          )
+        `);
+      }
+
+      // Check if ResaleListing table exists (ตลาดขายต่อลอตเตอรี่ระหว่างสมาชิก)
+      const [listingTables] = await connection.execute(
+        "SHOW TABLES LIKE 'ResaleListing'"
+      );
+
+      if (listingTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE ResaleListing (
+            listing_id INT AUTO_INCREMENT PRIMARY KEY,
+            ticket_id INT NOT NULL,
+            seller_id INT NOT NULL,
+            price DECIMAL(10,2) NOT NULL,
+            fee DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+            status ENUM('active', 'sold', 'cancelled', 'expired') NOT NULL DEFAULT 'active',
+            buyer_id INT DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            sold_at DATETIME DEFAULT NULL,
+            closed_at DATETIME DEFAULT NULL,
+            KEY idx_listing_ticket (ticket_id, status),
+            KEY idx_listing_status_price (status, price),
+            KEY idx_listing_seller (seller_id)
+          )
+        `);
+      }
+
+      // Check if NumberWaitlist table exists (คิวรอเลขที่ต้องการ)
+      const [waitlistTables] = await connection.execute(
+        "SHOW TABLES LIKE 'NumberWaitlist'"
+      );
+
+      if (waitlistTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE NumberWaitlist (
+            waitlist_id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            round_id INT NOT NULL,
+            number VARCHAR(10) NOT NULL,
+            status ENUM('waiting', 'reserved', 'fulfilled', 'cancelled', 'expired') NOT NULL DEFAULT 'waiting',
+            ticket_id INT DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            reserved_at DATETIME DEFAULT NULL,
+            closed_at DATETIME DEFAULT NULL,
+            KEY idx_waitlist_match (round_id, number, status),
+            KEY idx_waitlist_user (user_id, status),
+            KEY idx_waitlist_ticket (ticket_id)
+          )
+        `);
+      }
+
+      // Check if Notification table exists (การแจ้งเตือนในแอปของสมาชิก)
+      const [notificationTables] = await connection.execute(
+        "SHOW TABLES LIKE 'Notification'"
+      );
+
+      if (notificationTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE Notification (
+            notification_id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            type VARCHAR(30) NOT NULL,
+            title VARCHAR(100) NOT NULL,
+            message VARCHAR(255) NOT NULL,
+            data JSON DEFAULT NULL,
+            read_at DATETIME DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            KEY idx_notification_user (user_id, read_at)
+          )
+        `);
+      }
+
+      // Check if TicketBatch table exists (ชุดการออกตั๋ว ใช้ตรวจย้อนว่าตั๋วแต่ละใบมาจากไหน)
+      const [batchTables] = await connection.execute(
+        "SHOW TABLES LIKE 'TicketBatch'"
+      );
+
+      if (batchTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE TicketBatch (
+            batch_id INT AUTO_INCREMENT PRIMARY KEY,
+            round_id INT DEFAULT NULL,
+            mode ENUM('initial', 'append', 'import') NOT NULL DEFAULT 'append',
+            ticket_count INT NOT NULL,
+            copies TINYINT UNSIGNED NOT NULL DEFAULT 1,
+            price DECIMAL(8,2) NOT NULL,
+            range_from CHAR(6) DEFAULT NULL,
+            range_to CHAR(6) DEFAULT NULL,
+            rules JSON DEFAULT NULL,
+            seed VARCHAR(64) DEFAULT NULL,
+            issued INT NOT NULL DEFAULT 0,
+            created_by INT DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            KEY idx_batch_round (round_id)
+          )
+        `);
+      } else {
+        // Batches imported from CSV
+        await connection.execute("ALTER TABLE TicketBatch MODIFY COLUMN mode ENUM('initial', 'append', 'import') NOT NULL DEFAULT 'append'");
+      }
+
+      // Check if PurchaseRefund table exists (ยกเลิกการซื้อ/คืนเงิน รายใบ)
+      const [refundTables] = await connection.execute(
+        "SHOW TABLES LIKE 'PurchaseRefund'"
+      );
+
+      if (refundTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE PurchaseRefund (
+            refund_id INT AUTO_INCREMENT PRIMARY KEY,
+            purchase_id INT NOT NULL,
+            user_id INT NOT NULL,
+            ticket_id INT DEFAULT NULL,
+            number VARCHAR(10) NOT NULL,
+            set_no TINYINT UNSIGNED NOT NULL DEFAULT 1,
+            round_id INT DEFAULT NULL,
+            amount DECIMAL(8,2) NOT NULL,
+            forced TINYINT(1) NOT NULL DEFAULT 0,
+            reason VARCHAR(255) DEFAULT NULL,
+            created_by INT DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            KEY idx_refund_purchase (purchase_id),
+            KEY idx_refund_user (user_id, created_at),
+            KEY idx_refund_ticket (ticket_id)
+          )
+        `);
+      }
+
+      // Check if IdempotencyKey table exists (Idempotency-Key ของคำขอที่ใช้เงิน)
+      const [idempotencyTables] = await connection.execute(
+        "SHOW TABLES LIKE 'IdempotencyKey'"
+      );
+
+      if (idempotencyTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE IdempotencyKey (
+            idempotency_id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            idem_key VARCHAR(255) NOT NULL,
+            method VARCHAR(10) NOT NULL,
+            path VARCHAR(255) NOT NULL,
+            request_hash CHAR(64) NOT NULL,
+            status ENUM('processing', 'committed', 'completed') NOT NULL DEFAULT 'processing',
+            response_status SMALLINT DEFAULT NULL,
+            response_body JSON DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME DEFAULT NULL,
+            UNIQUE KEY uniq_idempotency_user_key (user_id, idem_key),
+            KEY idx_idempotency_created (created_at)
+          )
+        `);
+      }
+      await connection.execute("ALTER TABLE IdempotencyKey MODIFY COLUMN status ENUM('processing', 'committed', 'completed') NOT NULL DEFAULT 'processing'");
+
+      // Check if WalletReceivable table exists (ยอดค้างที่เรียกคืนจากกระเป๋าเงินไม่ได้ เช่นเงินรางวัลของงวดที่ยกเลิกผล)
+      const [receivableTables] = await connection.execute(
+        "SHOW TABLES LIKE 'WalletReceivable'"
+      );
+
+      if (receivableTables.length === 0) {
+        await connection.execute(`
+          CREATE TABLE WalletReceivable (
+            receivable_id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            amount DECIMAL(12,2) NOT NULL,
+            outstanding DECIMAL(12,2) NOT NULL,
+            status ENUM('open', 'settled') NOT NULL DEFAULT 'open',
+            draw_id INT DEFAULT NULL,
+            ticket_id INT DEFAULT NULL,
+            transaction_id INT DEFAULT NULL,
+            description VARCHAR(255) DEFAULT NULL,
+            created_by INT DEFAULT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            settled_at DATETIME DEFAULT NULL,
+            KEY idx_receivable_user (user_id, status),
+            KEY idx_receivable_draw (draw_id)
           )
         `);
       }
@@ -276,31 +1000,12 @@ async function initializeLotteryTickets() {
         );
         const adminUserId = adminUser.length > 0 ? adminUser[0].user_id : 1;
         
-        const desiredCount = 120;
-        const price = 80.00;
-        const numbersSet = new Set();
-        
-        // Generate unique 6-digit numbers
-        while (numbersSet.size < desiredCount) {
-          const n = Math.floor(Math.random() * 1000000);
-          const s = n.toString().padStart(6, '0');
-          numbersSet.add(s);
-        }
-        const numbers = Array.from(numbersSet);
-        
-        const batchSize = 50;
-        let inserted = 0;
-        for (let i = 0; i < numbers.length; i += batchSize) {
-          const batch = numbers.slice(i, i + batchSize);
-          const placeholders = batch.map(() => '(?, ?, ?)').join(',');
-          const values = [];
-          for (const num of batch) {
-            values.push(num, price, adminUserId);
-          }
-          await connection.execute(`INSERT INTO Ticket (number, price, created_by) VALUES ${placeholders}`, values);
-          inserted += batch.length;
-        }
-        console.log(`✅ Initialized ${inserted} lottery tickets`);
+        const batch = await IssuanceService.issueBatch({
+          count: DEFAULTS.TICKET_COUNT,
+          mode: ISSUANCE_MODE.INITIAL,
+          createdBy: adminUserId
+        });
+        console.log(`✅ Initialized ${batch.issued} lottery tickets (batch ${batch.id})`);
       }
     } finally {
       await connection.end();
@@ -331,6 +1036,16 @@ app.listen(PORT, async () => {
     await initializeLotteryTickets();
     console.log('✅ Lottery tickets initialized');
     
+    // Start the draw scheduler (ปิดการขาย/ออกรางวัลอัตโนมัติ)
+    if (process.env.DRAW_SCHEDULER_ENABLED !== 'false') {
+      await DrawScheduleService.start();
+      console.log('✅ Draw scheduler started');
+    }
+
+    // Release cart holds that have expired
+    await CartService.start();
+    console.log('✅ Cart hold sweeper started');
+    
     console.log('🎉 Server initialization completed successfully!');
   } catch (error) {
     console.error('❌ Server initialization failed:', error);
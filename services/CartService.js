@@ -0,0 +1,333 @@
+const { getConnection } = require('../config/database');
+const { CART, TICKET_STATUS } = require('../constants');
+const TicketService = require('./TicketService');
+const WaitlistService = require('./WaitlistService');
+
+/**
+ * Cart service - จองตั๋วไว้ในตะกร้าก่อนชำระเงิน
+ *
+ * ตั๋วที่อยู่ในตะกร้ามีสถานะ reserved พร้อม reserved_by และ reserved_until
+ * คนอื่นซื้อหรือจองไม่ได้จนกว่าจะหมดเวลาจอง ตั๋วที่หมดเวลาแล้วถูกปล่อยคืนโดย sweeper
+ * (และซื้อ/จองต่อได้ทันทีแม้ sweeper ยังไม่ได้ปล่อย)
+ * ตั๋วที่ถูกปล่อยคืนจะถูกจองต่อให้ผู้ที่รอเลขนั้นอยู่ก่อน (WaitlistService)
+ */
+
+let timer = null;
+
+class CartService {
+  /**
+   * Get the active holds of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Cart
+   */
+  static async getCart(userId) {
+    const connection = await getConnection();
+    try {
+      return await this.findCart(connection, userId);
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Reserve tickets for a user
+   * Tickets already in the user's cart keep their original hold, so re-adding cannot hold a ticket indefinitely
+   * @param {number} userId - User ID
+   * @param {Array<number>} ticketIds - Ticket IDs
+   * @returns {Promise<Object>} Cart
+   */
+  static async addToCart(userId, ticketIds) {
+    const ids = [...new Set(ticketIds.map(id => parseInt(id)))];
+    const holdMinutes = this.getHoldMinutes();
+
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // 1. ล็อกตั๋วที่ต้องการจอง
+      const placeholders = ids.map(() => '?').join(',');
+      const [tickets] = await connection.execute(
+        `SELECT t.ticket_id, t.number, t.status, t.round_id, t.reserved_by, t.reserved_until <= NOW() AS hold_expired,
+                r.status AS round_status, DATE_FORMAT(r.draw_date, '%Y-%m-%d') AS draw_date
+         FROM Ticket t
+         LEFT JOIN Round r ON r.round_id = t.round_id
+         WHERE t.ticket_id IN (${placeholders})
+         FOR UPDATE`,
+        ids
+      );
+
+      if (tickets.length !== ids.length) {
+        const found = tickets.map(t => t.ticket_id);
+        const error = new Error(`ไม่พบลอตเตอรี่ ${ids.filter(id => !found.includes(id)).join(', ')}`);
+        error.code = 'TICKET_NOT_FOUND';
+        throw error;
+      }
+
+      // 2. ต้องว่าง หรืออยู่ในตะกร้าของผู้ใช้นี้ หรือหมดเวลาจองของคนอื่นแล้ว
+      const unavailable = tickets.filter(t => !(
+        t.status === TICKET_STATUS.AVAILABLE ||
+        (t.status === TICKET_STATUS.RESERVED && (t.reserved_by === userId || t.hold_expired))
+      ));
+
+      if (unavailable.length > 0) {
+        const error = new Error(`ลอตเตอรี่ ${unavailable.map(t => t.number).join(', ')} ถูกจองหรือขายไปแล้ว`);
+        error.code = 'TICKET_NOT_AVAILABLE';
+        throw error;
+      }
+
+      // 3. ตั๋วในตะกร้าต้องอยู่งวดเดียวกันที่เปิดขายอยู่ (ชำระเงินทีละงวด)
+      const [held] = await connection.execute(
+        `SELECT ticket_id, round_id FROM Ticket
+         WHERE status = ? AND reserved_by = ? AND reserved_until > NOW()
+         FOR UPDATE`,
+        [TICKET_STATUS.RESERVED, userId]
+      );
+
+      const roundIds = new Set([...held, ...tickets].map(t => t.round_id));
+      if (roundIds.size > 1) {
+        const error = new Error('ตะกร้ามีลอตเตอรี่ได้เพียงงวดเดียว');
+        error.code = 'MIXED_ROUNDS';
+        throw error;
+      }
+
+      // ตั๋วที่จองหลังปิดการขายชำระเงินไม่ได้ แม้ scheduler ยังไม่ได้ปิดงวด
+      if (tickets.some(t => t.round_id !== null && TicketService.isPastSalesCutoff(t))) {
+        const error = new Error('งวดนี้ไม่ได้เปิดขายอยู่');
+        error.code = 'ROUND_NOT_ON_SALE';
+        throw error;
+      }
+
+      const cartSize = new Set([...held.map(t => t.ticket_id), ...ids]).size;
+      if (cartSize > CART.MAX_TICKETS) {
+        const error = new Error(`ตะกร้ามีลอตเตอรี่ได้ไม่เกิน ${CART.MAX_TICKETS} ใบ`);
+        error.code = 'CART_FULL';
+        throw error;
+      }
+
+      // 4. จองเฉพาะตั๋วที่ยังไม่อยู่ในตะกร้า ตั๋วที่จองไว้แล้วไม่ต่อเวลาให้
+      // holdMinutes is a validated integer, inlined into the interval
+      const newIds = tickets
+        .filter(t => !(t.status === TICKET_STATUS.RESERVED && t.reserved_by === userId && !t.hold_expired))
+        .map(t => t.ticket_id);
+
+      if (newIds.length > 0) {
+        await connection.execute(
+          `UPDATE Ticket
+           SET status = ?, reserved_by = ?, reserved_until = DATE_ADD(NOW(), INTERVAL ${holdMinutes} MINUTE)
+           WHERE ticket_id IN (${newIds.map(() => '?').join(',')})`,
+          [TICKET_STATUS.RESERVED, userId, ...newIds]
+        );
+      }
+
+      await connection.commit();
+
+      return await this.findCart(connection, userId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Release one ticket from a user's cart
+   * @param {number} userId - User ID
+   * @param {number} ticketId - Ticket ID
+   * @returns {Promise<Object>} Cart
+   */
+  static async removeFromCart(userId, ticketId) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        `UPDATE Ticket SET status = ?, reserved_by = NULL, reserved_until = NULL
+         WHERE ticket_id = ? AND status = ? AND reserved_by = ?`,
+        [TICKET_STATUS.AVAILABLE, ticketId, TICKET_STATUS.RESERVED, userId]
+      );
+
+      if (result.affectedRows === 0) {
+        const error = new Error(`ไม่มีลอตเตอรี่ ${ticketId} ในตะกร้า`);
+        error.code = 'CART_ITEM_NOT_FOUND';
+        throw error;
+      }
+
+      await WaitlistService.offerAvailable(connection);
+      await connection.commit();
+
+      return await this.findCart(connection, userId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Release every ticket in a user's cart
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Tickets released
+   */
+  static async clearCart(userId) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        `UPDATE Ticket SET status = ?, reserved_by = NULL, reserved_until = NULL
+         WHERE status = ? AND reserved_by = ?`,
+        [TICKET_STATUS.AVAILABLE, TICKET_STATUS.RESERVED, userId]
+      );
+
+      if (result.affectedRows > 0) {
+        await WaitlistService.offerAvailable(connection);
+      }
+
+      await connection.commit();
+      return result.affectedRows;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Buy every ticket still held in the cart in one transaction
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Purchase result (TicketService.completePurchase)
+   */
+  static async checkout(userId) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [held] = await connection.execute(
+        `SELECT ticket_id FROM Ticket
+         WHERE status = ? AND reserved_by = ? AND reserved_until > NOW()
+         ORDER BY ticket_id
+         FOR UPDATE`,
+        [TICKET_STATUS.RESERVED, userId]
+      );
+
+      if (held.length === 0) {
+        const error = new Error('ไม่มีลอตเตอรี่ในตะกร้า หรือหมดเวลาจองแล้ว');
+        error.code = 'CART_EMPTY';
+        throw error;
+      }
+
+      const result = await TicketService.completePurchase(connection, held.map(t => t.ticket_id), userId);
+
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Release every hold that has expired, then offer the released tickets to the number waitlist
+   * @returns {Promise<number>} Tickets released
+   */
+  static async releaseExpired() {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        `UPDATE Ticket SET status = ?, reserved_by = NULL, reserved_until = NULL
+         WHERE status = ? AND reserved_until <= NOW()`,
+        [TICKET_STATUS.AVAILABLE, TICKET_STATUS.RESERVED]
+      );
+
+      if (result.affectedRows > 0) {
+        console.log(`🛒 Released ${result.affectedRows} expired cart holds`);
+        await WaitlistService.offerAvailable(connection);
+      }
+
+      await connection.commit();
+      return result.affectedRows;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Start the in-process sweeper for expired holds
+   * @returns {Promise<void>}
+   */
+  static async start() {
+    if (timer) {
+      return;
+    }
+
+    const interval = parseInt(process.env.CART_SWEEP_INTERVAL_MS) || CART.SWEEP_INTERVAL_MS;
+    timer = setInterval(() => {
+      this.releaseExpired().catch(error => console.error('❌ Cart sweeper failed:', error));
+    }, interval);
+    timer.unref();
+
+    await this.releaseExpired();
+  }
+
+  /**
+   * Stop the sweeper
+   */
+  static stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  /**
+   * Minutes a ticket stays in the cart (CART_HOLD_MINUTES env overrides the default)
+   * @returns {number} Minutes
+   */
+  static getHoldMinutes() {
+    const minutes = parseInt(process.env.CART_HOLD_MINUTES);
+    return Number.isInteger(minutes) && minutes > 0 ? minutes : CART.HOLD_MINUTES;
+  }
+
+  /**
+   * Load a user's active holds
+   * @param {Object} connection - Database connection
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Cart
+   */
+  static async findCart(connection, userId) {
+    const [tickets] = await connection.execute(
+      `SELECT ticket_id, number, price, round_id, reserved_until
+       FROM Ticket
+       WHERE status = ? AND reserved_by = ? AND reserved_until > NOW()
+       ORDER BY reserved_until, ticket_id`,
+      [TICKET_STATUS.RESERVED, userId]
+    );
+
+    return {
+      tickets: tickets.map(ticket => ({
+        id: ticket.ticket_id,
+        number: ticket.number,
+        price: parseFloat(ticket.price),
+        round_id: ticket.round_id,
+        reservedUntil: ticket.reserved_until
+      })),
+      totalTickets: tickets.length,
+      totalPrice: tickets.reduce((sum, ticket) => sum + parseFloat(ticket.price), 0),
+      // ตั๋วใบแรกที่จะหมดเวลาจอง
+      expiresAt: tickets.length > 0 ? tickets[0].reserved_until : null,
+      holdMinutes: this.getHoldMinutes()
+    };
+  }
+}
+
+module.exports = CartService;
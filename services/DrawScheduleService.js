@@ -0,0 +1,639 @@
+const { getConnection } = require('../config/database');
+const { DRAW_SCHEDULE, ROUND_STATUS } = require('../constants');
+const DrawCalendar = require('../utils/drawCalendar');
+const RoundService = require('./RoundService');
+const DrawService = require('./DrawService');
+const LiveEventService = require('./LiveEventService');
+
+/**
+ * Draw schedule service - ปิดการขายและออกรางวัลอัตโนมัติตามปฏิทิน (วันที่ 1 และ 16)
+ *
+ * งวดที่เปิดขายจะถูก commit server seed ทันที (ต้องเผยแพร่ก่อนปิดการขายจึงพิสูจน์ความยุติธรรมได้)
+ * ทุก tick จะตรวจงวดที่ถึงเวลา commit/ปิดการขาย/ออกรางวัล แล้วบันทึกผลใน DrawScheduleRun
+ * งานละหนึ่งแถวต่อ (งวด, action) ถ้าล้มเหลวจะลองใหม่แบบ exponential backoff
+ * จนครบ MAX_ATTEMPTS แล้วจึงตั้งเป็น failed ให้ admin สั่งลองใหม่ได้
+ * งานที่เลยเวลาไปตอนเซิร์ฟเวอร์ปิดอยู่จะถูกทำใน tick แรกหลังเปิดเครื่อง
+ */
+
+const RUN_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// งานของแต่ละ action: งวดต้องอยู่ในสถานะ from และถึงเวลาตาม dueAt
+const ACTIONS = {
+  commit: {
+    from: ROUND_STATUS.ON_SALE,
+    dueAt: (times, round) => new Date(round.opened_at),
+    run: async roundId => {
+      // admin commit งวดนี้ไว้เองแล้ว
+      const pending = await DrawService.getPendingCommitment(roundId);
+      if (pending) {
+        return pending.drawId;
+      }
+
+      const commitment = await DrawService.commitDraw({ roundId, createdBy: null });
+      return commitment.drawId;
+    }
+  },
+  close: {
+    from: ROUND_STATUS.ON_SALE,
+    dueAt: times => times.closeAt,
+    run: async roundId => {
+      await RoundService.closeRound(roundId);
+      return null;
+    }
+  },
+  draw: {
+    from: ROUND_STATUS.CLOSED,
+    dueAt: times => times.drawAt,
+    run: async roundId => {
+      // ไม่ออกรางวัลอัตโนมัติด้วย commitment ที่สร้างตอนออกรางวัล (ผลพิสูจน์ไม่ได้) ให้ล้มเหลวเพื่อแจ้ง admin
+      const pending = await DrawService.getPendingCommitment(roundId);
+      if (!pending) {
+        const error = new Error(`งวด ${roundId} ไม่มี commitment ที่เผยแพร่ไว้ก่อนปิดการขาย กรุณาตรวจสอบและออกรางวัลด้วยตนเอง`);
+        error.code = 'COMMITMENT_MISSING';
+        throw error;
+      }
+
+      const { drawResult } = await DrawService.createDraw({ roundId, createdBy: null });
+      return drawResult.id;
+    }
+  }
+};
+
+let timer = null;
+let ticking = false;
+
+class DrawScheduleService {
+  /**
+   * Start the in-process scheduler
+   * @returns {Promise<void>}
+   */
+  static async start() {
+    if (timer) {
+      return;
+    }
+
+    // งานที่ค้างสถานะ running จากการปิดเครื่องกลางคันให้กลับไปรอทำใหม่
+    const connection = await getConnection();
+    try {
+      await connection.execute(
+        'UPDATE DrawScheduleRun SET status = ?, next_attempt_at = NOW() WHERE status = ?',
+        [RUN_STATUS.PENDING, RUN_STATUS.RUNNING]
+      );
+    } finally {
+      await connection.end();
+    }
+
+    const interval = parseInt(process.env.DRAW_SCHEDULER_INTERVAL_MS) || DRAW_SCHEDULE.CHECK_INTERVAL_MS;
+    timer = setInterval(() => this.tick(), interval);
+    timer.unref();
+
+    await this.tick();
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  static stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  /**
+   * Whether the scheduler is running in this process
+   * @returns {boolean} True if started
+   */
+  static isRunning() {
+    return timer !== null;
+  }
+
+  /**
+   * Commit, close and draw every round that is due
+   * @param {Date} [now] - Current time
+   * @returns {Promise<void>}
+   */
+  static async tick(now = new Date()) {
+    if (ticking) {
+      return;
+    }
+    ticking = true;
+
+    try {
+      const connection = await getConnection();
+      let rounds;
+      try {
+        [rounds] = await connection.execute(
+          `SELECT round_id, name, status, opened_at, DATE_FORMAT(draw_date, '%Y-%m-%d') AS draw_date
+           FROM Round
+           WHERE status IN (?, ?)
+           ORDER BY draw_date ASC`,
+          [ROUND_STATUS.ON_SALE, ROUND_STATUS.CLOSED]
+        );
+      } finally {
+        await connection.end();
+      }
+
+      for (const round of rounds) {
+        const times = DrawCalendar.getDrawTimes(round.draw_date);
+        let status = round.status;
+
+        if (status === ROUND_STATUS.ON_SALE) {
+          LiveEventService.announceClosingSoon(round, times.closeAt, now);
+        }
+
+        // งวดที่เลยเวลาออกรางวัลไปแล้วทั้งคู่จะปิดการขายและออกรางวัลใน tick เดียวกัน
+        for (const action of Object.keys(ACTIONS)) {
+          const { from, dueAt } = ACTIONS[action];
+          const scheduledFor = dueAt(times, round);
+
+          if (status !== from || now < scheduledFor) {
+            continue;
+          }
+
+          const succeeded = await this.runAction(round, action, scheduledFor, now);
+
+          // commit ที่ล้มเหลวไม่เลื่อนการปิดการขาย (งานออกรางวัลจะล้มเหลวและแจ้ง admin แทน)
+          if (action === 'commit') {
+            continue;
+          }
+          if (!succeeded) {
+            break;
+          }
+          status = action === 'close' ? ROUND_STATUS.CLOSED : ROUND_STATUS.DRAWN;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Draw scheduler tick failed:', error);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  /**
+   * Run one scheduled action for a round, recording the attempt
+   * @param {Object} round - Round row { round_id, name }
+   * @param {string} action - commit | close | draw
+   * @param {Date} scheduledFor - When the action was due
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} True if the action succeeded
+   */
+  static async runAction(round, action, scheduledFor, now) {
+    const connection = await getConnection();
+    try {
+      // 1. สร้างบันทึกงาน (ครั้งเดียวต่อ งวด/action)
+      await connection.execute(
+        `INSERT IGNORE INTO DrawScheduleRun (round_id, action, status, scheduled_for, next_attempt_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [round.round_id, action, RUN_STATUS.PENDING, scheduledFor, scheduledFor]
+      );
+
+      const [runs] = await connection.execute(
+        'SELECT * FROM DrawScheduleRun WHERE round_id = ? AND action = ?',
+        [round.round_id, action]
+      );
+      const run = runs[0];
+
+      if (run.status !== RUN_STATUS.PENDING || new Date(run.next_attempt_at) > now) {
+        return false;
+      }
+
+      // 2. จองงานด้วย conditional update กันการทำซ้ำ
+      const [claimed] = await connection.execute(
+        `UPDATE DrawScheduleRun
+         SET status = ?, attempts = attempts + 1, started_at = NOW()
+         WHERE run_id = ? AND status = ?`,
+        [RUN_STATUS.RUNNING, run.run_id, RUN_STATUS.PENDING]
+      );
+
+      if (claimed.affectedRows === 0) {
+        return false;
+      }
+
+      const attempts = run.attempts + 1;
+      const lateMinutes = Math.floor((now - scheduledFor) / 60000);
+      if (attempts === 1 && now - scheduledFor > DRAW_SCHEDULE.CHECK_INTERVAL_MS * 2) {
+        console.warn(`⚠️  Draw scheduler: ${action} for round ${round.round_id} (${round.name}) is running ${lateMinutes} minutes late`);
+      }
+
+      // 3. ทำงานและบันทึกผล
+      try {
+        const drawId = await ACTIONS[action].run(round.round_id);
+
+        await connection.execute(
+          `UPDATE DrawScheduleRun
+           SET status = ?, draw_id = ?, last_error = NULL, finished_at = NOW()
+           WHERE run_id = ?`,
+          [RUN_STATUS.SUCCEEDED, drawId, run.run_id]
+        );
+
+        console.log(`✅ Draw scheduler: ${action} for round ${round.round_id} (${round.name}) succeeded`);
+        return true;
+      } catch (error) {
+        const maxAttempts = DRAW_SCHEDULE.MAX_ATTEMPTS;
+        const lastError = `${error.code ? `${error.code}: ` : ''}${error.message}`.slice(0, 1000);
+
+        if (attempts >= maxAttempts) {
+          await connection.execute(
+            `UPDATE DrawScheduleRun
+             SET status = ?, last_error = ?, next_attempt_at = NULL, finished_at = NOW()
+             WHERE run_id = ?`,
+            [RUN_STATUS.FAILED, lastError, run.run_id]
+          );
+          console.error(`❌ Draw scheduler: ${action} for round ${round.round_id} (${round.name}) failed after ${attempts} attempts - ${lastError}`);
+        } else {
+          const retryAt = new Date(now.getTime() + DRAW_SCHEDULE.RETRY_BASE_MS * 2 ** (attempts - 1));
+          await connection.execute(
+            `UPDATE DrawScheduleRun
+             SET status = ?, last_error = ?, next_attempt_at = ?
+             WHERE run_id = ?`,
+            [RUN_STATUS.PENDING, lastError, retryAt, run.run_id]
+          );
+          console.error(`❌ Draw scheduler: ${action} for round ${round.round_id} (${round.name}) failed (attempt ${attempts}/${maxAttempts}), retrying at ${retryAt.toISOString()} - ${lastError}`);
+        }
+
+        return false;
+      }
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Schedule overview: upcoming draw dates, holiday overrides and recent runs
+   * @param {Object} [options] - { count, runLimit }
+   * @returns {Promise<Object>} Schedule overview
+   */
+  static async getSchedule({ count = 6, runLimit = 20 } = {}) {
+    const overrides = await this.listOverrides();
+    const overrideMap = Object.fromEntries(overrides.map(o => [o.originalDate, o.drawDate]));
+
+    const upcoming = DrawCalendar.getUpcomingDrawDates(DrawCalendar.toBangkokDate(), count, overrideMap)
+      .map(date => ({ ...date, ...DrawCalendar.getDrawTimes(date.drawDate) }));
+
+    return {
+      enabled: this.isRunning(),
+      timezone: DRAW_SCHEDULE.TIMEZONE,
+      drawTime: DrawCalendar.getDrawTime(),
+      salesCutoffMinutes: DrawCalendar.getSalesCutoffMinutes(),
+      upcoming,
+      overrides,
+      runs: await this.listRuns({ limit: runLimit })
+    };
+  }
+
+  /**
+   * Next scheduled draw date that has no round yet
+   * @returns {Promise<string>} YYYY-MM-DD
+   */
+  static async getNextOpenDrawDate() {
+    const overrides = await this.listOverrides();
+    const overrideMap = Object.fromEntries(overrides.map(o => [o.originalDate, o.drawDate]));
+
+    const connection = await getConnection();
+    try {
+      const [rounds] = await connection.execute(
+        "SELECT DATE_FORMAT(draw_date, '%Y-%m-%d') AS draw_date FROM Round WHERE draw_date >= ?",
+        [DrawCalendar.toBangkokDate()]
+      );
+      const taken = new Set(rounds.map(round => round.draw_date));
+
+      // หาในช่วงหนึ่งปีข้างหน้า (24 งวด) ก็เพียงพอ
+      const candidates = DrawCalendar.getUpcomingDrawDates(DrawCalendar.toBangkokDate(), 24, overrideMap);
+      const next = candidates.find(date => !taken.has(date.drawDate) && new Date() < DrawCalendar.getDrawTimes(date.drawDate).closeAt);
+
+      if (!next) {
+        const error = new Error('ไม่พบวันออกรางวัลที่ยังไม่มีงวดในหนึ่งปีข้างหน้า');
+        error.code = 'INVALID_DRAW_DATE';
+        throw error;
+      }
+
+      return next.drawDate;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * List holiday overrides
+   * @returns {Promise<Array>} Overrides ordered by original date
+   */
+  static async listOverrides() {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `SELECT override_id, reason, created_by, created_at,
+                DATE_FORMAT(original_date, '%Y-%m-%d') AS original_date,
+                DATE_FORMAT(draw_date, '%Y-%m-%d') AS draw_date
+         FROM DrawScheduleOverride
+         ORDER BY original_date ASC`
+      );
+      return rows.map(row => this.formatOverride(row));
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Move a regular draw date (e.g. for a public holiday)
+   * งวดที่ยังไม่ปิดการขายของวันนั้นจะถูกย้ายวันตามไปด้วย และ commitment ที่ค้างอยู่ถูกแทนด้วย commitment ใหม่
+   * ที่ใช้บล็อกหลังเวลาปิดการขายใหม่ (งวดที่ปิดการขายแล้วย้ายวันไม่ได้)
+   * @param {Object} data - Override data
+   * @param {string} data.originalDate - Regular draw date (1st or 16th, YYYY-MM-DD)
+   * @param {string} data.drawDate - New draw date (YYYY-MM-DD)
+   * @param {string} [data.reason] - Reason shown to admins
+   * @param {number} data.createdBy - Admin user ID
+   * @returns {Promise<Object>} { override, round }
+   */
+  static async setOverride({ originalDate, drawDate, reason, createdBy }) {
+    const day = parseInt(originalDate.slice(8, 10), 10);
+    if (!DRAW_SCHEDULE.DAYS_OF_MONTH.includes(day)) {
+      const error = new Error(`วันออกรางวัลปกติต้องเป็นวันที่ ${DRAW_SCHEDULE.DAYS_OF_MONTH.join(' หรือ ')} ของเดือน`);
+      error.code = 'INVALID_SCHEDULE_DATE';
+      throw error;
+    }
+
+    if (drawDate < DrawCalendar.toBangkokDate()) {
+      const error = new Error('ไม่สามารถย้ายวันออกรางวัลไปเป็นวันที่ผ่านมาแล้ว');
+      error.code = 'INVALID_SCHEDULE_DATE';
+      throw error;
+    }
+
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // 1. งวดที่ใช้วันนี้อยู่ (ตาม override เดิมหรือวันปกติ) ต้องยังไม่ออกรางวัล
+      const [previous] = await connection.execute(
+        "SELECT DATE_FORMAT(draw_date, '%Y-%m-%d') AS draw_date FROM DrawScheduleOverride WHERE original_date = ?",
+        [originalDate]
+      );
+      const currentDate = previous.length > 0 ? previous[0].draw_date : originalDate;
+
+      const [rounds] = await connection.execute(
+        'SELECT round_id, status FROM Round WHERE draw_date = ? FOR UPDATE',
+        [currentDate]
+      );
+
+      // หลังปิดการขาย ตั๋วและบล็อกที่ commit ไว้เป็น public entropy ถูกกำหนดแล้ว
+      if (rounds.length > 0 && ![ROUND_STATUS.SCHEDULED, ROUND_STATUS.ON_SALE].includes(rounds[0].status)) {
+        const error = new Error(`งวดวันที่ ${currentDate} ปิดการขายแล้ว (สถานะ ${rounds[0].status}) ไม่สามารถย้ายวันได้`);
+        error.code = 'INVALID_ROUND_STATE';
+        throw error;
+      }
+
+      const { closeAt } = DrawCalendar.getDrawTimes(drawDate);
+      if (rounds.length > 0 && new Date() >= closeAt) {
+        const error = new Error(`เวลาปิดการขายของวันที่ ${drawDate} ผ่านไปแล้ว`);
+        error.code = 'INVALID_SCHEDULE_DATE';
+        throw error;
+      }
+
+      if (drawDate !== currentDate) {
+        const [conflicts] = await connection.execute(
+          'SELECT round_id FROM Round WHERE draw_date = ?',
+          [drawDate]
+        );
+
+        if (conflicts.length > 0) {
+          const error = new Error(`มีงวดวันที่ ${drawDate} อยู่แล้ว`);
+          error.code = 'ROUND_EXISTS';
+          throw error;
+        }
+      }
+
+      // 2. บันทึก override และย้ายวันของงวดกับตั๋ว
+      await connection.execute(
+        `INSERT INTO DrawScheduleOverride (original_date, draw_date, reason, created_by)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE draw_date = VALUES(draw_date), reason = VALUES(reason), created_by = VALUES(created_by)`,
+        [originalDate, drawDate, reason || null, createdBy || null]
+      );
+
+      let roundId = null;
+      if (rounds.length > 0) {
+        roundId = rounds[0].round_id;
+        await connection.execute('UPDATE Round SET draw_date = ? WHERE round_id = ?', [drawDate, roundId]);
+        await connection.execute('UPDATE Ticket SET end_date = ? WHERE round_id = ?', [drawDate, roundId]);
+
+        // commitment เดิมผูกกับบล็อกหลังเวลาปิดการขายเดิม
+        if (drawDate !== currentDate) {
+          await DrawService.replaceCommitment(connection, roundId, closeAt, {
+            reason: `ย้ายวันออกรางวัลจาก ${currentDate} เป็น ${drawDate}`,
+            createdBy
+          });
+        }
+      }
+
+      await connection.commit();
+
+      const [rows] = await connection.execute(
+        `SELECT override_id, reason, created_by, created_at,
+                DATE_FORMAT(original_date, '%Y-%m-%d') AS original_date,
+                DATE_FORMAT(draw_date, '%Y-%m-%d') AS draw_date
+         FROM DrawScheduleOverride
+         WHERE original_date = ?`,
+        [originalDate]
+      );
+
+      return {
+        override: this.formatOverride(rows[0]),
+        round: roundId ? await RoundService.findRound(connection, roundId) : null
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Remove a holiday override, moving a round that is still on sale back to the regular date (with a fresh commitment)
+   * @param {string} originalDate - Regular draw date (YYYY-MM-DD)
+   * @returns {Promise<Object>} { round }
+   */
+  static async removeOverride(originalDate) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [overrides] = await connection.execute(
+        "SELECT override_id, DATE_FORMAT(draw_date, '%Y-%m-%d') AS draw_date FROM DrawScheduleOverride WHERE original_date = ? FOR UPDATE",
+        [originalDate]
+      );
+
+      if (overrides.length === 0) {
+        const error = new Error(`ไม่พบการย้ายวันออกรางวัลของวันที่ ${originalDate}`);
+        error.code = 'SCHEDULE_OVERRIDE_NOT_FOUND';
+        throw error;
+      }
+
+      const [rounds] = await connection.execute(
+        'SELECT round_id, status FROM Round WHERE draw_date = ? FOR UPDATE',
+        [overrides[0].draw_date]
+      );
+
+      if (rounds.length > 0 && rounds[0].status === ROUND_STATUS.CLOSED) {
+        const error = new Error(`งวดวันที่ ${overrides[0].draw_date} ปิดการขายแล้ว ไม่สามารถย้ายวันกลับได้`);
+        error.code = 'INVALID_ROUND_STATE';
+        throw error;
+      }
+
+      let roundId = null;
+      if (rounds.length > 0 && [ROUND_STATUS.SCHEDULED, ROUND_STATUS.ON_SALE].includes(rounds[0].status)) {
+        const { closeAt } = DrawCalendar.getDrawTimes(originalDate);
+        if (new Date() >= closeAt) {
+          const error = new Error(`เวลาปิดการขายของวันที่ ${originalDate} ผ่านไปแล้ว`);
+          error.code = 'INVALID_SCHEDULE_DATE';
+          throw error;
+        }
+
+        const [conflicts] = await connection.execute(
+          'SELECT round_id FROM Round WHERE draw_date = ? AND round_id <> ?',
+          [originalDate, rounds[0].round_id]
+        );
+
+        if (conflicts.length > 0) {
+          const error = new Error(`มีงวดวันที่ ${originalDate} อยู่แล้ว`);
+          error.code = 'ROUND_EXISTS';
+          throw error;
+        }
+
+        roundId = rounds[0].round_id;
+        await connection.execute('UPDATE Round SET draw_date = ? WHERE round_id = ?', [originalDate, roundId]);
+        await connection.execute('UPDATE Ticket SET end_date = ? WHERE round_id = ?', [originalDate, roundId]);
+
+        if (originalDate !== overrides[0].draw_date) {
+          await DrawService.replaceCommitment(connection, roundId, closeAt, {
+            reason: `ยกเลิกการย้ายวันออกรางวัลจาก ${overrides[0].draw_date} กลับเป็น ${originalDate}`,
+            createdBy: null
+          });
+        }
+      }
+
+      await connection.execute('DELETE FROM DrawScheduleOverride WHERE override_id = ?', [overrides[0].override_id]);
+      await connection.commit();
+
+      return { round: roundId ? await RoundService.findRound(connection, roundId) : null };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * List scheduler runs, newest first
+   * @param {Object} [filters] - { status, limit }
+   * @returns {Promise<Array>} Runs
+   */
+  static async listRuns({ status, limit = 20 } = {}) {
+    const safeLimit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const where = status ? 'WHERE r.status = ?' : '';
+    const params = status ? [status] : [];
+
+    const connection = await getConnection();
+    try {
+      // LIMIT is a validated integer, inlined to avoid prepared statement issues
+      const [rows] = await connection.execute(
+        `SELECT r.*, rd.name AS round_name
+         FROM DrawScheduleRun r
+         LEFT JOIN Round rd ON rd.round_id = r.round_id
+         ${where}
+         ORDER BY r.scheduled_for DESC, r.run_id DESC
+         LIMIT ${safeLimit}`,
+        params
+      );
+      return rows.map(row => this.formatRun(row));
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Put a failed run back in the queue for the next tick
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object>} Updated run
+   */
+  static async retryRun(runId) {
+    const connection = await getConnection();
+    try {
+      const [result] = await connection.execute(
+        `UPDATE DrawScheduleRun
+         SET status = ?, attempts = 0, next_attempt_at = NOW(), finished_at = NULL
+         WHERE run_id = ? AND status = ?`,
+        [RUN_STATUS.PENDING, runId, RUN_STATUS.FAILED]
+      );
+
+      if (result.affectedRows === 0) {
+        const [runs] = await connection.execute('SELECT status FROM DrawScheduleRun WHERE run_id = ?', [runId]);
+
+        const error = runs.length === 0
+          ? new Error(`ไม่พบงานตามกำหนดการ ${runId}`)
+          : new Error(`งานนี้อยู่ในสถานะ ${runs[0].status} สั่งลองใหม่ได้เฉพาะงานที่ล้มเหลว`);
+        error.code = runs.length === 0 ? 'SCHEDULE_RUN_NOT_FOUND' : 'SCHEDULE_RUN_NOT_FAILED';
+        throw error;
+      }
+
+      const [rows] = await connection.execute(
+        `SELECT r.*, rd.name AS round_name
+         FROM DrawScheduleRun r
+         LEFT JOIN Round rd ON rd.round_id = r.round_id
+         WHERE r.run_id = ?`,
+        [runId]
+      );
+      return this.formatRun(rows[0]);
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Format a DrawScheduleOverride row
+   * @param {Object} row - Override row with dates formatted as strings
+   * @returns {Object} Override
+   */
+  static formatOverride(row) {
+    return {
+      id: row.override_id,
+      originalDate: row.original_date,
+      drawDate: row.draw_date,
+      reason: row.reason,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Format a DrawScheduleRun row
+   * @param {Object} row - Run row joined with the round name
+   * @returns {Object} Run
+   */
+  static formatRun(row) {
+    return {
+      id: row.run_id,
+      roundId: row.round_id,
+      roundName: row.round_name,
+      action: row.action,
+      status: row.status,
+      attempts: row.attempts,
+      scheduledFor: row.scheduled_for,
+      nextAttemptAt: row.next_attempt_at,
+      lastError: row.last_error,
+      drawId: row.draw_id,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = DrawScheduleService;
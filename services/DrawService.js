@@ -1,102 +1,559 @@
 const { getConnection } = require('../dbconnect');
+const ProvablyFair = require('../utils/provablyFair');
+const EntropyBeacon = require('../utils/entropyBeacon');
+const DrawCalendar = require('../utils/drawCalendar');
+const PrizeTable = require('../utils/prizeTable');
+const { parseOfficialResult } = require('../utils/officialResult');
+const PrizeStructureService = require('./PrizeStructureService');
+const RoundService = require('./RoundService');
+const WalletService = require('./WalletService');
+const PrizePoolService = require('./PrizePoolService');
+const LiveEventService = require('./LiveEventService');
+const { ROUND_STATUS, TICKET_STATUS, WALLET_TRANSACTION_TYPE, PRIZE_POOL_ENTRY_TYPE } = require('../constants');
 
 class DrawService {
     /**
-     * Get latest lottery draw result
-     * @returns {Promise<Object|null>} Latest draw result or null
+     * Commit to a server seed and to the source of the public entropy for the next draw (commit–reveal)
+     * The entropy is the hash of the first Bitcoin block mined after the round's sales cutoff.
+     * @param {Object} options - Commit options
+     * @param {string} options.poolType - 'sold' or 'all'
+     * @param {number} [options.roundId] - Round the draw belongs to (must not be closed yet)
+     * @param {number} options.createdBy - Admin user ID
+     * @returns {Promise<Object>} Published commitment
      */
-    static async getLatestDraw() {
+    static async commitDraw({ poolType = 'sold', roundId, createdBy }) {
         const connection = await getConnection();
         try {
-            // Get all prizes with winning ticket numbers using JOIN
-            const [prizes] = await connection.execute(`
-                SELECT p.prize_id, p.amount, p.rank, t.number as winning_number
-                FROM Prize p 
-                LEFT JOIN Ticket t ON t.prize_id = p.prize_id
-                ORDER BY p.rank ASC
-            `);
-
-            console.log('🏆 DRAW SERVICE DEBUG: Raw prizes from database:');
-            prizes.forEach(prize => {
-                console.log(`   - Rank ${prize.rank}: ${prize.amount} บาท (Ticket: ${prize.winning_number || 'N/A'})`);
+            await connection.beginTransaction();
+
+            // commitment หนึ่งรายการต่องวด: งวดถัดไปเปิดขายและ commit ได้ระหว่างที่งวดก่อนปิดการขายรอออกรางวัล
+            const [pending] = await connection.execute(
+                'SELECT draw_id FROM DrawResult WHERE status = "committed" AND round_id <=> ? FOR UPDATE',
+                [roundId || null]
+            );
+
+            if (pending.length > 0) {
+                const error = new Error(`งวดนี้มี commitment อยู่แล้ว (draw ${pending[0].draw_id})`);
+                error.code = 'COMMITMENT_EXISTS';
+                throw error;
+            }
+
+            // ไม่มีงวด (ตั๋วที่ออกก่อนมีระบบงวด): ใช้บล็อกแรกหลัง commit แต่ไม่มีเวลาปิดการขาย จึงพิสูจน์ไม่ได้
+            let entropyAfter = new Date();
+
+            if (roundId) {
+                // ต้อง commit ก่อนปิดการขาย: หลังปิดการขายบล็อกที่ใช้เป็น public entropy อาจถูกขุดแล้ว
+                const [rounds] = await connection.execute(
+                    "SELECT status, DATE_FORMAT(draw_date, '%Y-%m-%d') AS draw_day FROM Round WHERE round_id = ?",
+                    [roundId]
+                );
+
+                if (rounds.length === 0) {
+                    const error = new Error(`ไม่พบงวด ${roundId}`);
+                    error.code = 'ROUND_NOT_FOUND';
+                    throw error;
+                }
+
+                entropyAfter = DrawCalendar.getDrawTimes(rounds[0].draw_day).closeAt;
+
+                if (![ROUND_STATUS.SCHEDULED, ROUND_STATUS.ON_SALE].includes(rounds[0].status) || new Date() >= entropyAfter) {
+                    const error = new Error(`งวดนี้อยู่ในสถานะ ${rounds[0].status} ต้อง commit ก่อนปิดการขาย`);
+                    error.code = 'INVALID_ROUND_STATE';
+                    throw error;
+                }
+            }
+
+            const serverSeed = ProvablyFair.generateServerSeed();
+            const drawId = await this.insertCommitment(connection, serverSeed, poolType, createdBy, roundId, EntropyBeacon.createSource(entropyAfter));
+
+            await connection.commit();
+
+            const [rows] = await connection.execute('SELECT * FROM DrawResult WHERE draw_id = ?', [drawId]);
+            return this.formatCommitment(rows[0]);
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    /**
+     * Get the published commitment of a round, if any
+     * @param {number|null} [roundId] - Round ID (null = tickets without a round); omitted = the next draw (oldest commitment)
+     * @returns {Promise<Object|null>} Commitment or null
+     */
+    static async getPendingCommitment(roundId) {
+        const connection = await getConnection();
+        try {
+            const [rows] = roundId === undefined ?
+                await connection.execute(
+                    'SELECT * FROM DrawResult WHERE status = "committed" ORDER BY draw_id ASC LIMIT 1'
+                ) :
+                await connection.execute(
+                    'SELECT * FROM DrawResult WHERE status = "committed" AND round_id <=> ? ORDER BY draw_id DESC LIMIT 1',
+                    [roundId]
+                );
+            return rows.length > 0 ? this.formatCommitment(rows[0]) : null;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    /**
+     * Reveal the committed seed and persist the draw as a DrawResult with its prizes.
+     * The public entropy is fetched from the source committed with the seed (the first Bitcoin block
+     * after the sales cutoff), so nobody - including the operator holding the seed - can know it
+     * while tickets can still be bought or refunded, and the sold tickets do not influence it.
+     * A draw whose commitment was not published before the round closed (or that had no
+     * commitment at all) is marked as not precommitted (verifyDraw reports it as not verifiable).
+     * @param {Object} options - Draw options
+     * @param {string} [options.poolType] - 'sold' or 'all' (defaults to the committed pool type)
+     * @param {number} [options.roundId] - Closed round to draw (defaults to the oldest closed round)
+     * @param {string} [options.prizeTable] - Built-in ('glo', 'classic') or admin-defined prize structure name
+     * @param {Array<number>|Object} [options.rewards] - Reward amounts overriding the table defaults
+     * @param {number} options.createdBy - Admin user ID running the draw
+     * @param {string} [options.publicEntropy] - Rejected: the entropy comes from the committed source
+     * @returns {Promise<Object>} { drawResult, totalWinners }
+     */
+    static async createDraw({ poolType, roundId, prizeTable, rewards, createdBy, publicEntropy }) {
+        if (publicEntropy !== undefined) {
+            const error = new Error('public entropy มาจากแหล่งที่ commit ไว้ (บล็อก Bitcoin หลังปิดการขาย) ไม่สามารถระบุเองได้');
+            error.code = 'PUBLIC_ENTROPY_FIXED';
+            throw error;
+        }
+
+        const table = PrizeTable.buildPrizeTable(await PrizeStructureService.resolvePrizeTable(prizeTable), rewards);
+
+        // ดึง public entropy ก่อนเปิด transaction: block explorer ที่ช้าหรือล่มต้องไม่ถือ lock ของ DrawResult และ Round ไว้
+        const prefetched = await this.prefetchEntropy(roundId);
+
+        const connection = await getConnection();
+        try {
+            await connection.beginTransaction();
+
+            // 1. ใช้ commitment ที่เผยแพร่ไว้ของงวดนี้ หรือสร้างใหม่ถ้ายังไม่มี
+            const round = await this.findRoundToDraw(connection, roundId);
+
+            const [pending] = await connection.execute(
+                'SELECT draw_id, server_seed, pool_type, committed_at, entropy_source FROM DrawResult WHERE status = "committed" AND round_id <=> ? FOR UPDATE',
+                [round ? round.round_id : null]
+            );
+
+            let drawId;
+            let serverSeed;
+            let entropySource;
+            let committedAt = null;
+
+            if (pending.length > 0) {
+                if (poolType && poolType !== pending[0].pool_type) {
+                    const error = new Error(`ประเภทการออกรางวัลต้องตรงกับที่ commit ไว้ (${pending[0].pool_type})`);
+                    error.code = 'POOL_TYPE_MISMATCH';
+                    throw error;
+                }
+                drawId = pending[0].draw_id;
+                serverSeed = pending[0].server_seed;
+                committedAt = pending[0].committed_at;
+                entropySource = pending[0].entropy_source;
+                poolType = pending[0].pool_type;
+            } else {
+                poolType = poolType || 'sold';
+                serverSeed = ProvablyFair.generateServerSeed();
+            }
+
+            if (!entropySource) {
+                // ไม่มี commitment หรือ commitment ที่สร้างก่อนมีแหล่ง entropy: ใช้บล็อกแรกหลังเวลาปิดการขายของงวด
+                // แหล่งนี้ไม่ได้เผยแพร่ไว้ล่วงหน้า ผลจึงพิสูจน์ไม่ได้ (precommitted = false)
+                if (!round) {
+                    const error = new Error('ตั๋วที่ไม่มีงวดต้อง commit พร้อมแหล่ง public entropy ก่อนออกรางวัล');
+                    error.code = 'COMMITMENT_MISSING';
+                    throw error;
+                }
+                entropySource = EntropyBeacon.createSource(DrawCalendar.getDrawTimes(round.draw_day).closeAt);
+                committedAt = null;
+            }
+
+            // แหล่งที่ดึง entropy มาก่อนเปิด transaction ต้องยังเป็นแหล่งเดิม (commitment หรือเวลาปิดการขายอาจเปลี่ยนระหว่างนั้น)
+            if (!prefetched || prefetched.entropySource !== entropySource) {
+                const error = new Error('commitment ของงวดนี้เปลี่ยนระหว่างดึง public entropy กรุณาลองใหม่');
+                error.code = 'COMMITMENT_CHANGED';
+                throw error;
+            }
+
+            if (pending.length === 0) {
+                drawId = await this.insertCommitment(connection, serverSeed, poolType, createdBy, round.round_id, entropySource);
+            }
+
+            // 2. ตรวจสอบจำนวนตั๋วที่มีตาม poolType (เฉพาะตั๋วของงวดนี้)
+            const availableTickets = await this.loadDrawPool(connection, round, poolType);
+
+            // 3. public entropy = hash ของบล็อกที่ commit ไว้เป็นแหล่ง (รู้ได้หลังปิดการขายเท่านั้น และไม่ขึ้นกับตั๋วที่ขาย)
+            // commitment ต้องเผยแพร่ก่อนปิดการขาย และเวลาปิดการขายต้องไม่ถูกเลื่อนไปหลังบล็อกนั้น
+            // ไม่เช่นนั้นผู้ถือ seed รู้ผลได้ขณะที่ยังซื้อหรือยกเลิกตั๋วได้
+            const poolNumbers = availableTickets.map(t => t.number);
+            const entropy = prefetched.entropy;
+            const source = EntropyBeacon.parseSource(entropySource);
+            const precommitted = committedAt !== null && round !== null && source !== null &&
+                DrawCalendar.getDrawTimes(round.draw_day).closeAt <= source.after &&
+                (!round.closed_at || new Date(committedAt) <= new Date(round.closed_at));
+
+            // 4. คำนวณเลขที่ออกของทุกรางวัลจาก seed ที่เปิดเผย + public entropy
+            const winningNumbers = ProvablyFair.deriveDrawOutcome({
+                serverSeed,
+                publicEntropy: entropy,
+                drawId,
+                poolNumbers,
+                tiers: table.tiers
             });
 
-            if (prizes.length === 0) {
-                return null;
+            // 5. บันทึก public entropy ที่ใช้และแหล่งของมัน
+            await connection.execute(
+                'UPDATE DrawResult SET entropy_source = ?, public_entropy = ?, precommitted = ? WHERE draw_id = ?',
+                [entropySource, entropy, precommitted ? 1 : 0, drawId]
+            );
+
+            // 6. บันทึกผล รางวัล และ link ตั๋วที่ถูกรางวัล
+            const totalWinners = await this.saveDrawOutcome(connection, drawId, {
+                round,
+                poolType,
+                createdBy,
+                table,
+                winningNumbers,
+                tickets: availableTickets
+            });
+
+            await connection.commit();
+
+            const draw = await this.findDraw(connection, drawId);
+
+            // เปิดเผยผลทีละรางวัลให้ผู้ชม live stream (ไม่รอให้จบ)
+            LiveEventService.revealDraw(draw);
+
+            return {
+                drawResult: draw,
+                totalWinners
+            };
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    /**
+     * Fetch the public entropy of the round a draw will use, outside any transaction
+     * createDraw checks the source again under its locks.
+     * @param {number} [roundId] - Round ID (defaults to the oldest closed round)
+     * @returns {Promise<Object|null>} { entropySource, entropy }, or null when there is no round or commitment to take it from
+     */
+    static async prefetchEntropy(roundId) {
+        const connection = await getConnection();
+        let entropySource;
+        try {
+            const round = await this.findRoundToDraw(connection, roundId);
+
+            const [pending] = await connection.execute(
+                'SELECT entropy_source FROM DrawResult WHERE status = "committed" AND round_id <=> ?',
+                [round ? round.round_id : null]
+            );
+
+            entropySource = pending.length > 0 && pending[0].entropy_source ? pending[0].entropy_source :
+                round ? EntropyBeacon.createSource(DrawCalendar.getDrawTimes(round.draw_day).closeAt) : null;
+        } finally {
+            await connection.end();
+        }
+
+        return entropySource ? { entropySource, entropy: await EntropyBeacon.fetchEntropy(entropySource) } : null;
+    }
+
+    /**
+     * Record a draw from the official announcement instead of the RNG
+     * Winner matching and Ticket.prize_id linking are the same as createDraw.
+     * @param {Object} options - Import options
+     * @param {string} options.format - 'csv' or 'json'
+     * @param {string|Object} options.data - CSV text or results object keyed by tier
+     * @param {number} [options.roundId] - Closed round (defaults to the oldest closed round)
+     * @param {string} [options.poolType] - Tickets to match: 'sold' (default) or 'all'
+     * @param {string} [options.prizeTable] - Prize structure name
+     * @param {Array<number>|Object} [options.rewards] - Reward amounts overriding the table defaults
+     * @param {number} options.createdBy - Admin user ID
+     * @returns {Promise<Object>} { drawResult, totalWinners }
+     */
+    static async importDraw({ format, data, roundId, poolType = 'sold', prizeTable, rewards, createdBy }) {
+        const table = PrizeTable.buildPrizeTable(await PrizeStructureService.resolvePrizeTable(prizeTable), rewards);
+        const winningNumbers = parseOfficialResult(table.tiers, { format, data });
+
+        const connection = await getConnection();
+        try {
+            await connection.beginTransaction();
+
+            // 1. งวดต้องปิดการขายแล้ว และไม่มี commitment ของการสุ่มค้างอยู่
+            const round = await this.findRoundToDraw(connection, roundId);
+
+            const [pending] = await connection.execute(
+                'SELECT draw_id FROM DrawResult WHERE status = "committed" AND round_id <=> ? FOR UPDATE',
+                [round ? round.round_id : null]
+            );
+
+            if (pending.length > 0) {
+                const error = new Error(`งวดนี้มี commitment ของการสุ่ม (draw ${pending[0].draw_id}) ค้างอยู่ กรุณาออกรางวัลด้วย commitment นั้นแทน`);
+                error.code = 'COMMITMENT_EXISTS';
+                throw error;
             }
 
-            // Create prize items and winners map
-            const prizeItems = [];
-            const winnersMap = {};
-            
-            // Group prizes by rank to handle multiple winners for tail numbers
-            const prizesByRank = {};
-            prizes.forEach(prize => {
-                if (!prizesByRank[prize.rank]) {
-                    prizesByRank[prize.rank] = [];
+            // 2. ตั๋วของงวดที่จะตรวจกับผลรางวัล (ไม่จำกัดจำนวนขั้นต่ำ)
+            const tickets = await this.loadDrawPool(connection, round, poolType, 0);
+
+            // 3. บันทึก DrawResult แบบ official แล้วใช้ขั้นตอนบันทึกผลเดียวกับการสุ่ม
+            const [lastRound] = await connection.execute(
+                'SELECT COALESCE(MAX(round_number), 0) AS last_round FROM DrawResult'
+            );
+
+            const [insert] = await connection.execute(
+                `INSERT INTO DrawResult (round_number, round_id, status, source, pool_type, created_by)
+                 VALUES (?, ?, "completed", "official", ?, ?)`,
+                [lastRound[0].last_round + 1, round ? round.round_id : null, poolType, createdBy || null]
+            );
+            const drawId = insert.insertId;
+
+            const totalWinners = await this.saveDrawOutcome(connection, drawId, {
+                round,
+                poolType,
+                createdBy,
+                table,
+                winningNumbers,
+                tickets,
+                source: 'official'
+            });
+
+            await connection.commit();
+
+            const draw = await this.findDraw(connection, drawId);
+            LiveEventService.revealDraw(draw);
+
+            return {
+                drawResult: draw,
+                totalWinners
+            };
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    /**
+     * Preview a draw without writing anything: same pool and winner selection as createDraw,
+     * but with a throwaway seed so the published commitment's outcome is not revealed.
+     * @param {Object} options - Same options as createDraw
+     * @param {string} [options.poolType] - 'sold' or 'all' (defaults to the committed pool type)
+     * @param {number} [options.roundId] - Closed round to simulate (defaults to the oldest closed round)
+     * @param {string} [options.prizeTable] - Prize structure name
+     * @param {Array<number>|Object} [options.rewards] - Reward amounts overriding the table defaults
+     * @param {string} [options.publicEntropy] - Public entropy mixed into the seed
+     * @returns {Promise<Object>} Simulation report: winners per tier, liability (including carried pool money), unwon amounts and tail-digit matches
+     */
+    static async simulateDraw({ poolType, roundId, prizeTable, rewards, publicEntropy }) {
+        const table = PrizeTable.buildPrizeTable(await PrizeStructureService.resolvePrizeTable(prizeTable), rewards);
+
+        const connection = await getConnection();
+        try {
+            // 1. ใช้ pool เดียวกับ commitment ที่เผยแพร่ไว้ของงวดนี้ (ถ้ามี)
+            const round = await this.findRoundToDraw(connection, roundId);
+
+            const [pending] = await connection.execute(
+                'SELECT draw_id, pool_type FROM DrawResult WHERE status = "committed" AND round_id <=> ?',
+                [round ? round.round_id : null]
+            );
+
+            if (pending.length > 0) {
+                if (poolType && poolType !== pending[0].pool_type) {
+                    const error = new Error(`ประเภทการออกรางวัลต้องตรงกับที่ commit ไว้ (${pending[0].pool_type})`);
+                    error.code = 'POOL_TYPE_MISMATCH';
+                    throw error;
                 }
-                prizesByRank[prize.rank].push(prize);
+                poolType = pending[0].pool_type;
+            } else {
+                poolType = poolType || 'sold';
+            }
+
+            const availableTickets = await this.loadDrawPool(connection, round, poolType);
+
+            // 2. สุ่มด้วย seed ใหม่ที่ทิ้งไป (ไม่ใช้ seed ที่ commit ไว้)
+            const winningNumbers = ProvablyFair.deriveDrawOutcome({
+                serverSeed: ProvablyFair.generateServerSeed(),
+                publicEntropy: publicEntropy || new Date().toISOString(),
+                drawId: 0,
+                poolNumbers: availableTickets.map(t => t.number),
+                tiers: table.tiers
             });
 
-            // Process prizes to create the proper structure
-            for (let rank = 1; rank <= 5; rank++) {
-                const rankPrizes = prizesByRank[rank] || [];
-                
-                if (rankPrizes.length === 0) continue;
-                
-                let tierName;
-                let ticketId;
-                let winningNumbers = [];
-                
-                if (rank <= 3) {
-                    // รางวัลที่ 1-3 (รางวัลใหญ่)
-                    tierName = `รางวัลที่ ${rank}`;
-                    ticketId = rankPrizes[0]?.winning_number || '000000';
-                    winningNumbers = [ticketId];
-                } else if (rank === 4) {
-                    // รางวัลเลขท้าย 3 ตัว
-                    tierName = 'รางวัลเลขท้าย 3 ตัว';
-                    winningNumbers = rankPrizes.map(p => p.winning_number).filter(n => n);
-                    
-                    if (winningNumbers.length > 0) {
-                        // ใช้เลขท้าย 3 ตัวจากตั๋วแรก
-                        const tailDigits = winningNumbers[0].slice(-3);
-                        ticketId = `เลขท้าย 3 ตัว: ${tailDigits}`;
-                    } else {
-                        ticketId = 'เลขท้าย 3 ตัว: ---';
-                    }
-                } else if (rank === 5) {
-                    // รางวัลเลขท้าย 2 ตัว
-                    tierName = 'รางวัลเลขท้าย 2 ตัว';
-                    winningNumbers = rankPrizes.map(p => p.winning_number).filter(n => n);
-                    
-                    if (winningNumbers.length > 0) {
-                        // ใช้เลขท้าย 2 ตัวจากตั๋วแรก
-                        const tailDigits = winningNumbers[0].slice(-2);
-                        ticketId = `เลขท้าย 2 ตัว: ${tailDigits}`;
-                    } else {
-                        ticketId = 'เลขท้าย 2 ตัว: --';
-                    }
+            const tierWinners = this.findTierWinners(table.tiers, winningNumbers, availableTickets);
+
+            // 3. ตั๋วหนึ่งใบได้ทุกรางวัลที่ถูก เหมือนตอนออกรางวัลจริง (TicketPrize)
+            //    รวมเงินสะสมที่จะจ่ายออก และยอดที่จะสะสมต่อจากเลขที่ไม่มีผู้ถูก
+            const carry = await PrizePoolService.loadCarry(connection, table.tiers);
+            const paidTickets = new Set();
+            let totalLiability = 0;
+            let totalUnwon = 0;
+            let tailDigitMatches = 0;
+
+            const tiers = table.tiers.map(tier => {
+                const winners = tierWinners[tier.rank];
+                winners.forEach(ticket => paidTickets.add(ticket.ticket_id));
+
+                const payout = PrizeTable.splitTierPayout(tier, winningNumbers[tier.rank], winners);
+                const carryPaid = PrizePoolService.splitCarry(carry[tier.key], winners.length)
+                    .reduce((sum, split) => sum + split.total, 0);
+                const unwonAmount = Math.round((tier.amount * payout.unwonNumbers.length + payout.remainder) * 100) / 100;
+
+                const liability = Math.round((payout.total + carryPaid) * 100) / 100;
+                totalLiability += liability;
+                totalUnwon += unwonAmount;
+                if (tier.match === 'suffix') {
+                    tailDigitMatches += winners.length;
                 }
-                
-                // Create prize item for the Flutter app
-                prizeItems.push({
-                    tier: rank,
-                    ticketId: ticketId,
-                    amount: parseFloat(rankPrizes[0].amount),
-                    claimed: false
-                });
-                
-                // Add to winners map
-                winnersMap[tierName] = winningNumbers.length > 0 ? winningNumbers : [ticketId];
+
+                return {
+                    rank: tier.rank,
+                    key: tier.key,
+                    name: tier.name,
+                    match: tier.match,
+                    amount: tier.amount,
+                    payout: tier.payout || 'fixed',
+                    shares: tier.payout === 'shared' ? payout.shares : undefined,
+                    winningNumbers: winningNumbers[tier.rank],
+                    winners: winners.map(t => t.number),
+                    matchCount: winners.length,
+                    paidCount: winners.length,
+                    carryPaid,
+                    unwonAmount,
+                    liability
+                };
+            });
+
+            return {
+                simulated: true,
+                roundId: round ? round.round_id : null,
+                poolType,
+                poolSize: availableTickets.length,
+                prizeTable: table.name,
+                tiers,
+                totalWinners: paidTickets.size,
+                totalLiability,
+                totalUnwon,
+                tailDigitMatches
+            };
+        } finally {
+            await connection.end();
+        }
+    }
+
+    /**
+     * Recompute a revealed draw from its published inputs
+     * @param {number} drawId - Draw ID
+     * @returns {Promise<Object|null>} Verification report or null if draw not found
+     */
+    static async verifyDraw(drawId) {
+        const connection = await getConnection();
+        try {
+            const [rows] = await connection.execute('SELECT * FROM DrawResult WHERE draw_id = ?', [drawId]);
+
+            if (rows.length === 0) {
+                return null;
             }
 
+            const draw = rows[0];
+
+            if (draw.status === 'committed') {
+                const error = new Error('งวดนี้ยังไม่ได้ออกรางวัล ยังไม่สามารถตรวจสอบได้');
+                error.code = 'DRAW_NOT_REVEALED';
+                throw error;
+            }
+
+            if (draw.source === 'official') {
+                return {
+                    drawId: draw.draw_id,
+                    verifiable: false,
+                    verified: false,
+                    reason: 'งวดนี้ใช้ผลรางวัลจากการประกาศอย่างเป็นทางการ ไม่ได้สุ่มด้วยระบบ commit–reveal'
+                };
+            }
+
+            if (!draw.entropy_source) {
+                return {
+                    drawId: draw.draw_id,
+                    verifiable: false,
+                    verified: false,
+                    reason: 'public entropy ของงวดนี้คำนวณจากตั๋วที่ขาย ผู้ถือ seed จึงเลือกผลได้ด้วยการซื้อหรือยกเลิกตั๋ว'
+                };
+            }
+
+            if (!draw.precommitted) {
+                return {
+                    drawId: draw.draw_id,
+                    verifiable: false,
+                    verified: false,
+                    reason: 'งวดนี้ไม่ได้เผยแพร่ commitment ก่อนปิดการขาย จึงพิสูจน์ไม่ได้ว่าผลไม่ได้ถูกเลือกไว้ก่อน'
+                };
+            }
+
+            if (!draw.server_seed || !draw.pool_snapshot) {
+                return {
+                    drawId: draw.draw_id,
+                    verifiable: false,
+                    verified: false,
+                    reason: 'งวดนี้ออกรางวัลก่อนเปิดใช้ระบบ commit–reveal'
+                };
+            }
+
+            const poolNumbers = parseJsonColumn(draw.pool_snapshot, []);
+            const winningNumbers = parseJsonColumn(draw.winning_numbers);
+            const table = PrizeTable.resolveDrawTable(parseJsonColumn(draw.prize_table, null));
+            const recomputedNumbers = ProvablyFair.deriveDrawOutcome({
+                serverSeed: draw.server_seed,
+                publicEntropy: draw.public_entropy,
+                drawId: draw.draw_id,
+                poolNumbers,
+                tiers: table.tiers
+            });
+
+            // ทุก pool type: public entropy ต้องเป็น hash ของบล็อกตามแหล่งที่ commit ไว้
+            // (ผู้ตรวจสอบเทียบค่ากับ block explorer ได้เองจาก inputs.entropySource)
+            const checks = {
+                seedMatchesCommitment: ProvablyFair.hashServerSeed(draw.server_seed) === draw.server_seed_hash,
+                poolMatchesHash: ProvablyFair.hashPool(poolNumbers) === draw.pool_hash,
+                entropyIsBlockHash: EntropyBeacon.isValidEntropy(draw.public_entropy),
+                numbersMatch: Object.keys(recomputedNumbers).every(tier =>
+                    JSON.stringify(recomputedNumbers[tier]) === JSON.stringify(winningNumbers[tier] || [])
+                )
+            };
+
             return {
-                id: `draw_${Date.now()}`,
-                poolType: 'sold',
-                createdAt: new Date(),
-                prizes: prizeItems,
-                winners: winnersMap
+                drawId: draw.draw_id,
+                round: draw.round_number,
+                verifiable: true,
+                verified: Object.values(checks).every(Boolean),
+                algorithm: ProvablyFair.ALGORITHM,
+                checks,
+                inputs: {
+                    serverSeed: draw.server_seed,
+                    serverSeedHash: draw.server_seed_hash,
+                    publicEntropy: draw.public_entropy,
+                    entropySource: draw.entropy_source,
+                    entropySourceDescription: EntropyBeacon.describeSource(draw.entropy_source),
+                    poolType: draw.pool_type,
+                    poolHash: draw.pool_hash,
+                    poolSize: poolNumbers.length,
+                    pool: poolNumbers,
+                    prizeTable: table,
+                    committedAt: draw.committed_at,
+                    revealedAt: draw.revealed_at
+                },
+                publishedNumbers: winningNumbers,
+                recomputedNumbers
             };
         } finally {
             await connection.end();
@@ -104,79 +561,772 @@ class DrawService {
     }
 
     /**
-     * Check if ticket is winner
+     * Get latest lottery draw result
+     * @returns {Promise<Object|null>} Latest draw result or null
+     */
+    static async getLatestDraw() {
+        const connection = await getConnection();
+        try {
+            const [draws] = await connection.execute(
+                'SELECT draw_id FROM DrawResult WHERE status = "completed" ORDER BY draw_id DESC LIMIT 1'
+            );
+
+            if (draws.length === 0) {
+                return null;
+            }
+
+            return await this.findDraw(connection, draws[0].draw_id);
+        } finally {
+            await connection.end();
+        }
+    }
+
+    /**
+     * Get the completed draw of a round
+     * @param {number} roundId - Round ID
+     * @returns {Promise<Object|null>} Draw result or null
+     */
+    static async getDrawForRound(roundId) {
+        const connection = await getConnection();
+        try {
+            const [draws] = await connection.execute(
+                'SELECT draw_id FROM DrawResult WHERE status = "completed" AND round_id = ? ORDER BY draw_id DESC LIMIT 1',
+                [roundId]
+            );
+
+            if (draws.length === 0) {
+                return null;
+            }
+
+            return await this.findDraw(connection, draws[0].draw_id);
+        } finally {
+            await connection.end();
+        }
+    }
+
+    /**
+     * Check if ticket is winner - every prize the number won in its latest draw
      * @param {string} ticketNumber - Ticket number to check
-     * @returns {Promise<Object|null>} Winner info or null
+     * @returns {Promise<Object|null>} Winner info (best prize, total amount and all prizes) or null
      */
     static async checkTicketWinner(ticketNumber) {
         const connection = await getConnection();
         try {
-            // Check if the ticket number matches any prize using JOIN
-            const [prizes] = await connection.execute(`
-                SELECT p.prize_id, p.amount, p.rank 
-                FROM Prize p 
-                JOIN Ticket t ON t.prize_id = p.prize_id 
-                WHERE t.number = ?
+            const [rows] = await connection.execute(`
+                SELECT tp.ticket_id, tp.prize_id, tp.draw_id, tp.amount, tp.status, p.rank, d.prize_table
+                FROM TicketPrize tp
+                JOIN Ticket t ON t.ticket_id = tp.ticket_id
+                JOIN Prize p ON p.prize_id = tp.prize_id
+                LEFT JOIN DrawResult d ON d.draw_id = tp.draw_id
+                WHERE t.number = ? AND tp.status <> "voided"
+                ORDER BY tp.draw_id DESC, p.rank ASC
             `, [ticketNumber]);
 
-            if (prizes.length > 0) {
+            if (rows.length === 0) {
+                return null;
+            }
+
+            // เลขเดียวกันอาจอยู่หลายงวด ใช้ผลของงวดล่าสุด (ลอตเตอรี่ชุด: ทุกใบได้รางวัลเท่ากัน แสดงต่อใบ)
+            const latest = rows.filter(row => row.draw_id === rows[0].draw_id && row.ticket_id === rows[0].ticket_id);
+            const copies = new Set(rows.filter(row => row.draw_id === rows[0].draw_id).map(row => row.ticket_id)).size;
+            const table = PrizeTable.resolveDrawTable(parseJsonColumn(latest[0].prize_table, null));
+
+            const prizes = latest.map(row => {
+                const tier = table.tiers.find(t => t.rank === row.rank);
                 return {
-                    prize_id: prizes[0].prize_id,
-                    amount: parseFloat(prizes[0].amount),
-                    rank: prizes[0].rank
+                    prize_id: row.prize_id,
+                    rank: row.rank,
+                    name: tier ? tier.name : `รางวัลที่ ${row.rank}`,
+                    amount: parseFloat(row.amount),
+                    claimed: row.status === 'claimed'
                 };
-            }
-            
-            return null;
+            });
+
+            return {
+                prize_id: prizes[0].prize_id,
+                draw_id: latest[0].draw_id,
+                ticket_id: latest[0].ticket_id,
+                amount: prizes.reduce((sum, prize) => sum + prize.amount, 0),
+                rank: prizes[0].rank,
+                name: prizes.map(prize => prize.name).join(' และ '),
+                copies,
+                prizes
+            };
         } finally {
             await connection.end();
         }
     }
 
     /**
-     * Get all draws (simplified)
+     * Get all draws, newest first
      * @param {number} page - Page number
      * @param {number} limit - Items per page
      * @returns {Promise<Object>} Paginated draws
      */
     static async getAllDraws(page = 1, limit = 10) {
-        // ไม่มี DrawResult table ใน database_me
-        return {
-            draws: [],
-            pagination: {
-                page,
-                limit,
-                total: 0,
-                totalPages: 0
+        const safePage = Math.max(1, parseInt(page) || 1);
+        const safeLimit = Math.min(100, Math.max(1, parseInt(limit) || 10));
+        const offset = (safePage - 1) * safeLimit;
+
+        const connection = await getConnection();
+        try {
+            const [countResult] = await connection.execute(
+                'SELECT COUNT(*) AS total FROM DrawResult WHERE status = "completed"'
+            );
+            const total = countResult[0].total;
+
+            // LIMIT/OFFSET are validated integers, inlined to avoid prepared statement issues
+            const [draws] = await connection.execute(
+                `SELECT * FROM DrawResult WHERE status = "completed" ORDER BY draw_id DESC LIMIT ${safeLimit} OFFSET ${offset}`
+            );
+
+            let prizes = [];
+            if (draws.length > 0) {
+                const placeholders = draws.map(() => '?').join(',');
+                [prizes] = await connection.execute(
+                    `SELECT prize_id, draw_id, amount, \`rank\`, payout_mode, shares FROM Prize WHERE draw_id IN (${placeholders}) ORDER BY \`rank\` ASC`,
+                    draws.map(d => d.draw_id)
+                );
             }
-        };
+
+            return {
+                draws: draws.map(draw => this.formatDraw(draw, prizes.filter(p => p.draw_id === draw.draw_id))),
+                pagination: {
+                    page: safePage,
+                    limit: safeLimit,
+                    total,
+                    totalPages: Math.ceil(total / safeLimit)
+                }
+            };
+        } finally {
+            await connection.end();
+        }
     }
 
     /**
-     * Get draw by ID (simplified)
+     * Get draw by ID
      * @param {number} drawId - Draw ID
      * @returns {Promise<Object|null>} Draw or null
      */
     static async getDrawById(drawId) {
-        // ไม่มี DrawResult table ใน database_me
-        return null;
+        const connection = await getConnection();
+        try {
+            return await this.findDraw(connection, drawId);
+        } finally {
+            await connection.end();
+        }
     }
 
     /**
-     * Clear all draws (simplified - ลบ Prize เท่านั้น)
-     * @returns {Promise<number>} Number of deleted records
+     * Void a completed draw: reverse claimed prizes and prize pool movements, unlink winning tickets and reopen the round for a fresh draw
+     * The DrawResult and its Prize rows are kept (status "voided") for the audit trail.
+     * A reversal never takes a wallet below zero: whatever the winner has already spent is recorded
+     * as an open WalletReceivable, collected later with WalletService.recoverReceivables.
+     * @param {number} drawId - Draw ID
+     * @param {Object} options - Void options
+     * @param {string} options.reason - Why the draw is voided
+     * @param {number} options.voidedBy - Admin user ID
+     * @returns {Promise<Object>} { drawResult, reversals, affectedUsers, unlinkedTickets, totalReversed, totalShortfall, poolReversals }
+     */
+    static async voidDraw(drawId, { reason, voidedBy }) {
+        const connection = await getConnection();
+        try {
+            await connection.beginTransaction();
+
+            // 1. ตรวจสอบสถานะงวด (void ได้เฉพาะงวดที่ออกรางวัลแล้ว)
+            const [draws] = await connection.execute(
+                'SELECT draw_id, round_number, round_id, status FROM DrawResult WHERE draw_id = ? FOR UPDATE',
+                [drawId]
+            );
+
+            if (draws.length === 0) {
+                const error = new Error(`ไม่พบการออกรางวัล ${drawId}`);
+                error.code = 'DRAW_NOT_FOUND';
+                throw error;
+            }
+
+            if (draws[0].status !== 'completed') {
+                const error = new Error(`การออกรางวัลนี้อยู่ในสถานะ ${draws[0].status} ไม่สามารถยกเลิกได้`);
+                error.code = 'DRAW_NOT_VOIDABLE';
+                throw error;
+            }
+
+            // 2. รางวัลทุกรายการของงวดนี้ (หนึ่งใบอาจถูกหลายรางวัล)
+            const [ticketPrizes] = await connection.execute(
+                `SELECT tp.ticket_prize_id, tp.ticket_id, tp.amount, tp.status, tp.claimed_by, t.number, pur.user_id
+                 FROM TicketPrize tp
+                 JOIN Ticket t ON t.ticket_id = tp.ticket_id
+                 LEFT JOIN Purchase pur ON t.purchase_id = pur.purchase_id
+                 WHERE tp.draw_id = ?
+                 FOR UPDATE`,
+                [drawId]
+            );
+
+            // 3. เรียกคืนเงินรางวัลที่ขึ้นไปแล้ว ผ่านรายการ prize_reversal
+            // เรียกคืนได้ไม่เกินยอดคงเหลือ ส่วนที่ผู้ถูกรางวัลใช้ไปแล้วบันทึกเป็นยอดค้าง (WalletReceivable) ไว้เรียกเก็บภายหลัง
+            const reversals = [];
+            const affectedUsers = new Map();
+            let totalReversed = 0;
+            let totalShortfall = 0;
+
+            for (const ticketPrize of ticketPrizes.filter(tp => tp.status === 'claimed')) {
+                const userId = ticketPrize.claimed_by || ticketPrize.user_id;
+                const amount = parseFloat(ticketPrize.amount);
+
+                if (userId) {
+                    const [users] = await connection.execute(
+                        'SELECT wallet FROM User WHERE user_id = ? FOR UPDATE',
+                        [userId]
+                    );
+                    const balance = users.length > 0 ? parseFloat(users[0].wallet) : 0;
+                    const recovered = Math.min(amount, Math.max(0, balance));
+                    const shortfall = Math.round((amount - recovered) * 100) / 100;
+
+                    const { transactionId, balanceAfter } = await WalletService.recordTransaction(connection, {
+                        userId,
+                        amount: -recovered,
+                        type: WALLET_TRANSACTION_TYPE.PRIZE_REVERSAL,
+                        drawId,
+                        ticketId: ticketPrize.ticket_id,
+                        description: `เรียกคืนเงินรางวัลงวดที่ ${draws[0].round_number} (ยกเลิกผล: ${reason})${shortfall > 0 ? ` ยอดค้าง ${shortfall} บาท` : ''}`.slice(0, 255),
+                        createdBy: voidedBy
+                    });
+
+                    const receivableId = shortfall > 0 ?
+                        await WalletService.recordReceivable(connection, {
+                            userId,
+                            amount: shortfall,
+                            drawId,
+                            ticketId: ticketPrize.ticket_id,
+                            transactionId,
+                            description: `เงินรางวัลงวดที่ ${draws[0].round_number} ที่ยกเลิกผล (${reason})`.slice(0, 255),
+                            createdBy: voidedBy
+                        }) :
+                        null;
+
+                    reversals.push({ ticketId: ticketPrize.ticket_id, ticketNumber: ticketPrize.number, userId, amount, recovered, shortfall, receivableId, balanceAfter, transactionId });
+                    totalReversed += recovered;
+                    totalShortfall += shortfall;
+
+                    const user = affectedUsers.get(userId) || { userId, reversed: 0, shortfall: 0, balanceAfter };
+                    user.reversed = Math.round((user.reversed + recovered) * 100) / 100;
+                    user.shortfall = Math.round((user.shortfall + shortfall) * 100) / 100;
+                    user.balanceAfter = balanceAfter;
+                    affectedUsers.set(userId, user);
+                }
+            }
+
+            // 4. คืนสถานะตั๋วและยกเลิกรางวัลของงวดนี้
+            await connection.execute(
+                'UPDATE TicketPrize SET status = "voided" WHERE draw_id = ?',
+                [drawId]
+            );
+
+            // ทุกใบที่มีรางวัลของงวดนี้ใน TicketPrize (รวมใบที่ถูกหลายรางวัล)
+            await connection.execute(
+                `UPDATE Ticket t
+                 JOIN TicketPrize tp ON tp.ticket_id = t.ticket_id
+                 SET t.status = ?
+                 WHERE tp.draw_id = ? AND t.status = ?`,
+                [TICKET_STATUS.SOLD, drawId, TICKET_STATUS.CLAIMED]
+            );
+
+            await connection.execute(
+                `UPDATE Ticket t
+                 JOIN Prize p ON t.prize_id = p.prize_id
+                 SET t.prize_id = NULL
+                 WHERE p.draw_id = ?`,
+                [drawId]
+            );
+
+            // 5. ยกเลิกรายการเงินสะสมที่งวดนี้สร้าง (ทั้งที่สะสมเข้าและที่จ่ายออก)
+            const poolReversals = await PrizePoolService.reverseDrawEntries(connection, drawId, voidedBy);
+
+            // 6. บันทึกการยกเลิกผล และเปิดงวดให้ออกรางวัลใหม่ได้
+            await connection.execute(
+                `UPDATE DrawResult
+                 SET status = "voided", void_reason = ?, voided_by = ?, voided_at = NOW()
+                 WHERE draw_id = ?`,
+                [reason, voidedBy || null, drawId]
+            );
+
+            if (draws[0].round_id) {
+                await connection.execute(
+                    'UPDATE Round SET status = ?, drawn_at = NULL, settled_at = NULL WHERE round_id = ? AND status IN (?, ?)',
+                    [ROUND_STATUS.CLOSED, draws[0].round_id, ROUND_STATUS.DRAWN, ROUND_STATUS.SETTLED]
+                );
+            }
+
+            await connection.commit();
+
+            totalReversed = Math.round(totalReversed * 100) / 100;
+            totalShortfall = Math.round(totalShortfall * 100) / 100;
+
+            console.log(`🚫 DRAW SERVICE: Voided draw ${drawId} (${reason}), reversed ${reversals.length} claims totalling ${totalReversed} บาท`);
+            if (totalShortfall > 0) {
+                console.warn(`⚠️  DRAW SERVICE: Draw ${drawId} void left ${totalShortfall} บาท unrecovered from ${[...affectedUsers.values()].filter(u => u.shortfall > 0).length} users`);
+            }
+
+            return {
+                drawResult: await this.findDraw(connection, drawId),
+                reversals,
+                affectedUsers: [...affectedUsers.values()],
+                unlinkedTickets: new Set(ticketPrizes.map(tp => tp.ticket_id)).size,
+                totalReversed,
+                totalShortfall,
+                poolReversals
+            };
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    /**
+     * Clear all draws together with their prizes
+     * @returns {Promise<number>} Number of deleted draws
      */
     static async clearAllDraws() {
         const connection = await getConnection();
         try {
-            const [result] = await connection.execute('DELETE FROM Prize');
+            await connection.execute('UPDATE Ticket SET prize_id = NULL WHERE prize_id IS NOT NULL');
+            await connection.execute('DELETE FROM TicketPrize');
+            await PrizePoolService.clearDrawEntries(connection);
+            await connection.execute('DELETE FROM Prize');
             await connection.execute('ALTER TABLE Prize AUTO_INCREMENT = 1');
 
+            const [result] = await connection.execute('DELETE FROM DrawResult');
+            await connection.execute('ALTER TABLE DrawResult AUTO_INCREMENT = 1');
+
             return result.affectedRows;
         } finally {
             await connection.end();
         }
     }
+
+    /**
+     * Replace a round's pending commitment after its sales cutoff moved
+     * The committed block source is tied to the old cutoff, so the old commitment is voided (kept for the audit trail)
+     * and a fresh seed is committed with a source for the new cutoff.
+     * @param {Object} connection - Database connection inside a transaction (the Round row locked)
+     * @param {number} roundId - Round ID
+     * @param {Date} closeAt - New sales cutoff
+     * @param {Object} options - { reason, createdBy }
+     * @returns {Promise<number|null>} New draw ID, or null if the round had no pending commitment
+     */
+    static async replaceCommitment(connection, roundId, closeAt, { reason, createdBy }) {
+        const [pending] = await connection.execute(
+            'SELECT draw_id, pool_type FROM DrawResult WHERE status = "committed" AND round_id = ? FOR UPDATE',
+            [roundId]
+        );
+
+        if (pending.length === 0) {
+            return null;
+        }
+
+        await connection.execute(
+            `UPDATE DrawResult
+             SET status = "voided", void_reason = ?, voided_by = ?, voided_at = NOW()
+             WHERE draw_id = ?`,
+            [reason.slice(0, 255), createdBy || null, pending[0].draw_id]
+        );
+
+        const serverSeed = ProvablyFair.generateServerSeed();
+        return this.insertCommitment(connection, serverSeed, pending[0].pool_type, createdBy, roundId, EntropyBeacon.createSource(closeAt));
+    }
+
+    /**
+     * Insert a committed (not yet drawn) DrawResult for the next round
+     * @param {Object} connection - Database connection inside a transaction
+     * @param {string} serverSeed - Secret server seed
+     * @param {string} poolType - 'sold' or 'all'
+     * @param {number} createdBy - Admin user ID
+     * @param {number} [roundId] - Round the draw belongs to
+     * @param {string} entropySource - Committed source of the public entropy (EntropyBeacon.createSource)
+     * @returns {Promise<number>} New draw ID
+     */
+    static async insertCommitment(connection, serverSeed, poolType, createdBy, roundId, entropySource) {
+        const [lastRound] = await connection.execute(
+            'SELECT COALESCE(MAX(round_number), 0) AS last_round FROM DrawResult'
+        );
+
+        const [result] = await connection.execute(
+            `INSERT INTO DrawResult (round_number, round_id, status, pool_type, created_by, server_seed, server_seed_hash, entropy_source, committed_at)
+             VALUES (?, ?, "committed", ?, ?, ?, ?, ?, NOW())`,
+            [lastRound[0].last_round + 1, roundId || null, poolType, createdBy || null, serverSeed, ProvablyFair.hashServerSeed(serverSeed), entropySource]
+        );
+
+        return result.insertId;
+    }
+
+    /**
+     * Save the outcome of a draw: winners, prize rows, ticket links, prize pool movements and the round status
+     * ใช้ร่วมกันระหว่างการออกรางวัลด้วย RNG และการนำเข้าผลรางวัลจริง
+     * @param {Object} connection - Database connection inside a transaction
+     * @param {number} drawId - DrawResult row to complete
+     * @param {Object} outcome - Draw outcome
+     * @param {Object|null} outcome.round - Round row, or null for tickets without a round
+     * @param {string} outcome.poolType - 'sold' or 'all'
+     * @param {number} outcome.createdBy - Admin user ID
+     * @param {Object} outcome.table - Prize table { name, tiers }
+     * @param {Object} outcome.winningNumbers - Winning numbers keyed by rank
+     * @param {Array<Object>} outcome.tickets - Pool tickets { ticket_id, number }
+     * @param {string} [outcome.source='rng'] - 'rng' or 'official' (official results never roll over)
+     * @returns {Promise<number>} Total winning matches
+     */
+    static async saveDrawOutcome(connection, drawId, { round, poolType, createdBy, table, winningNumbers, tickets, source = 'rng' }) {
+        // หาตั๋วใน pool ที่ถูกรางวัลแต่ละ tier
+        const tierWinners = this.findTierWinners(table.tiers, winningNumbers, tickets);
+        const winnersMap = {};
+
+        for (const tier of table.tiers) {
+            // ลอตเตอรี่ชุดมีหลายใบต่อเลข แสดงเลขที่ถูกครั้งเดียว
+            winnersMap[tier.name] = tierWinners[tier.rank].length > 0 ?
+                [...new Set(tierWinners[tier.rank].map(t => t.number))] :
+                winningNumbers[tier.rank].map(number => PrizeTable.formatWinningNumber(tier, number));
+        }
+
+        const poolNumbers = tickets.map(t => t.number);
+
+        await connection.execute(
+            `UPDATE DrawResult
+             SET status = "completed", round_id = ?, pool_type = ?, created_by = ?, winning_numbers = ?, winners = ?, prize_table = ?,
+                 pool_hash = ?, pool_snapshot = ?, revealed_at = NOW()
+             WHERE draw_id = ?`,
+            [
+                round ? round.round_id : null,
+                poolType,
+                createdBy || null,
+                JSON.stringify(winningNumbers),
+                JSON.stringify(winnersMap),
+                JSON.stringify(table),
+                ProvablyFair.hashPool(poolNumbers),
+                JSON.stringify(ProvablyFair.normalizePool(poolNumbers)),
+                drawId
+            ]
+        );
+
+        // บันทึกรางวัลของงวดนี้ ทุกรางวัลที่ตั๋วถูกเก็บใน TicketPrize (หนึ่งใบถูกได้หลายรางวัล)
+        // Ticket.prize_id ชี้ไปที่รางวัลที่สูงที่สุดเพื่อให้โค้ดเดิมยังใช้ได้
+        // เงินสะสมของรางวัลแบ่งให้ผู้ถูก ส่วนเลขที่ไม่มีผู้ถูกสะสมเข้ากองรางวัลตามกฎ
+        const carry = await PrizePoolService.loadCarry(connection, table.tiers, { forUpdate: true });
+        const rollover = { carried: [], rolledOver: [] };
+        const linkedTickets = new Set();
+        let totalWinners = 0;
+
+        for (const tier of table.tiers) {
+            const winners = tierWinners[tier.rank];
+            const payout = PrizeTable.splitTierPayout(tier, winningNumbers[tier.rank], winners);
+
+            const [prizeInsert] = await connection.execute(
+                'INSERT INTO Prize (draw_id, amount, `rank`, payout_mode, shares) VALUES (?, ?, ?, ?, ?)',
+                [drawId, tier.amount, tier.rank, tier.payout || 'fixed', tier.payout === 'shared' ? JSON.stringify(payout.shares) : null]
+            );
+            const prizeId = prizeInsert.insertId;
+
+            let bonus = 0;
+
+            for (const split of PrizePoolService.splitCarry(carry[tier.key], winners.length)) {
+                await PrizePoolService.recordEntry(connection, {
+                    poolId: split.pool.pool_id,
+                    amount: -split.total,
+                    type: PRIZE_POOL_ENTRY_TYPE.PAYOUT,
+                    drawId,
+                    tierKey: tier.key,
+                    description: `จ่ายเงินสะสมให้ผู้ถูก${tier.name} ${winners.length} ราย`,
+                    createdBy
+                });
+                rollover.carried.push({ tierKey: tier.key, pool: split.pool.name, perWinner: split.share, amount: split.total });
+                bonus += split.share;
+            }
+
+            // เลขที่ไม่มีผู้ถูก และเศษจากการแบ่งรางวัลแบบ shared สะสมเข้ากองรางวัลตามกฎ
+            // ผลรางวัลจริงที่นำเข้าไม่สะสม: เลขส่วนใหญ่ไม่ได้ขายในระบบนี้ เงินส่วนนั้นไม่ใช่ของกองรางวัล
+            const unwonAmount = Math.round((tier.amount * payout.unwonNumbers.length + payout.remainder) * 100) / 100;
+            const rolloverPool = unwonAmount > 0 && source !== 'official' ?
+                await PrizePoolService.findRolloverPool(connection, tier, createdBy) :
+                null;
+
+            if (rolloverPool) {
+                await PrizePoolService.recordEntry(connection, {
+                    poolId: rolloverPool.pool_id,
+                    amount: unwonAmount,
+                    type: PRIZE_POOL_ENTRY_TYPE.ROLLOVER,
+                    drawId,
+                    tierKey: tier.key,
+                    description: payout.unwonNumbers.length > 0 ?
+                        `${tier.name} ไม่มีผู้ถูก ${payout.unwonNumbers.length} เลข` :
+                        `เศษจากการแบ่ง${tier.name}`,
+                    createdBy
+                });
+                rollover.rolledOver.push({
+                    tierKey: tier.key,
+                    pool: rolloverPool.name,
+                    numbers: payout.unwonNumbers,
+                    remainder: payout.remainder,
+                    amount: unwonAmount
+                });
+            }
+
+            for (const { ticket: winner, amount } of payout.payouts) {
+                totalWinners++;
+
+                await connection.execute(
+                    'INSERT INTO TicketPrize (ticket_id, prize_id, draw_id, amount) VALUES (?, ?, ?, ?)',
+                    [winner.ticket_id, prizeId, drawId, Math.round((amount + bonus) * 100) / 100]
+                );
+
+                if (!linkedTickets.has(winner.ticket_id)) {
+                    linkedTickets.add(winner.ticket_id);
+                    await connection.execute(
+                        'UPDATE Ticket SET prize_id = ? WHERE ticket_id = ?',
+                        [prizeId, winner.ticket_id]
+                    );
+                }
+            }
+        }
+
+        await connection.execute(
+            'UPDATE DrawResult SET rollover = ? WHERE draw_id = ?',
+            [JSON.stringify(rollover), drawId]
+        );
+
+        if (round) {
+            await RoundService.transition(connection, round.round_id, ROUND_STATUS.DRAWN);
+        }
+
+        console.log(`💾 DRAW SERVICE: Saved draw ${drawId}: ${table.tiers.length} prizes, ${totalWinners} winning tickets`);
+        return totalWinners;
+    }
+
+    /**
+     * Load the ticket pool of a draw and check it is large enough
+     * @param {Object} connection - Database connection
+     * @param {Object|null} round - Round row, or null for tickets without a round
+     * @param {string} poolType - 'sold' or 'all'
+     * @param {number} [minTickets] - Smallest pool the draw accepts
+     * @returns {Promise<Array>} Tickets { ticket_id, number }
+     */
+    static async loadDrawPool(connection, round, poolType, minTickets = 5) {
+        const roundFilter = round ? 'round_id = ?' : 'round_id IS NULL';
+        const roundParams = round ? [round.round_id] : [];
+        let ticketQuery = '';
+        if (poolType === 'sold') {
+            ticketQuery = `SELECT ticket_id, number FROM Ticket WHERE status = "sold" AND ${roundFilter}`;
+        } else {
+            // สุ่มจากตั๋วทั้งหมดของงวด
+            ticketQuery = `SELECT ticket_id, number FROM Ticket WHERE ${roundFilter}`;
+        }
+
+        const [availableTickets] = await connection.execute(ticketQuery, roundParams);
+
+        if (poolType === 'sold' && availableTickets.length < minTickets) {
+            const error = new Error(`ต้องมีตั๋วที่ขายแล้วอย่างน้อย ${minTickets} ใบ (มีอยู่ ${availableTickets.length} ใบ)`);
+            error.code = 'INSUFFICIENT_TICKETS';
+            throw error;
+        }
+
+        if (availableTickets.length < minTickets) {
+            const error = new Error(`ต้องมีตั๋วในระบบอย่างน้อย ${minTickets} ใบ (มีอยู่ ${availableTickets.length} ใบ)`);
+            error.code = 'INSUFFICIENT_TICKETS';
+            throw error;
+        }
+
+        return availableTickets;
+    }
+
+    /**
+     * Tickets in the pool that win each tier (a ticket can appear in several tiers)
+     * @param {Array<Object>} tiers - Prize tiers
+     * @param {Object} winningNumbers - Winning numbers keyed by rank
+     * @param {Array<Object>} tickets - Pool tickets { ticket_id, number }
+     * @returns {Object} Winning tickets keyed by rank
+     */
+    static findTierWinners(tiers, winningNumbers, tickets) {
+        const tierWinners = {};
+
+        for (const tier of tiers) {
+            tierWinners[tier.rank] = [];
+        }
+
+        for (const ticket of tickets) {
+            for (const match of PrizeTable.matchTicket(tiers, winningNumbers, ticket.number)) {
+                tierWinners[match.rank].push(ticket);
+            }
+        }
+
+        return tierWinners;
+    }
+
+    /**
+     * Find the round to draw: the given round, or the oldest closed round.
+     * Returns null when there is no closed round (tickets issued before rounds existed).
+     * The row carries draw_day (YYYY-MM-DD) for DrawCalendar.
+     * @param {Object} connection - Database connection inside a transaction
+     * @param {number} [roundId] - Requested round ID
+     * @returns {Promise<Object|null>} Round row or null
+     */
+    static async findRoundToDraw(connection, roundId) {
+        if (!roundId) {
+            const [closedRounds] = await connection.execute(
+                "SELECT *, DATE_FORMAT(draw_date, '%Y-%m-%d') AS draw_day FROM Round WHERE status = ? ORDER BY draw_date ASC LIMIT 1 FOR UPDATE",
+                [ROUND_STATUS.CLOSED]
+            );
+            return closedRounds.length > 0 ? closedRounds[0] : null;
+        }
+
+        const [rounds] = await connection.execute(
+            "SELECT *, DATE_FORMAT(draw_date, '%Y-%m-%d') AS draw_day FROM Round WHERE round_id = ? FOR UPDATE",
+            [roundId]
+        );
+
+        if (rounds.length === 0) {
+            const error = new Error(`ไม่พบงวด ${roundId}`);
+            error.code = 'ROUND_NOT_FOUND';
+            throw error;
+        }
+
+        if (rounds[0].status !== ROUND_STATUS.CLOSED) {
+            const error = new Error(`ต้องปิดการขายของ${rounds[0].name}ก่อนออกรางวัล (สถานะ ${rounds[0].status})`);
+            error.code = 'INVALID_ROUND_STATE';
+            throw error;
+        }
+
+        return rounds[0];
+    }
+
+    /**
+     * Format a committed DrawResult row without exposing the seed
+     * @param {Object} draw - DrawResult row
+     * @returns {Object} Public commitment
+     */
+    static formatCommitment(draw) {
+        return {
+            drawId: draw.draw_id,
+            round: draw.round_number,
+            roundId: draw.round_id,
+            poolType: draw.pool_type,
+            serverSeedHash: draw.server_seed_hash,
+            entropySource: draw.entropy_source,
+            entropySourceDescription: EntropyBeacon.describeSource(draw.entropy_source),
+            algorithm: ProvablyFair.ALGORITHM,
+            committedAt: draw.committed_at
+        };
+    }
+
+    /**
+     * Load a single draw and its prizes using an open connection
+     * @param {Object} connection - Database connection
+     * @param {number} drawId - Draw ID
+     * @returns {Promise<Object|null>} Formatted draw or null
+     */
+    static async findDraw(connection, drawId) {
+        const [draws] = await connection.execute(
+            'SELECT * FROM DrawResult WHERE draw_id = ?',
+            [drawId]
+        );
+
+        if (draws.length === 0) {
+            return null;
+        }
+
+        const [prizes] = await connection.execute(
+            'SELECT prize_id, draw_id, amount, `rank`, payout_mode, shares FROM Prize WHERE draw_id = ? ORDER BY `rank` ASC',
+            [drawId]
+        );
+
+        return this.formatDraw(draws[0], prizes);
+    }
+
+    /**
+     * Format a DrawResult row into the structure used by the Flutter app
+     * @param {Object} draw - DrawResult row
+     * @param {Array} prizes - Prize rows belonging to the draw
+     * @returns {Object} Formatted draw result
+     */
+    static formatDraw(draw, prizes) {
+        const winningNumbers = parseJsonColumn(draw.winning_numbers);
+        const winners = parseJsonColumn(draw.winners);
+        const table = PrizeTable.resolveDrawTable(parseJsonColumn(draw.prize_table, null));
+
+        // หนึ่งรายการต่อหนึ่งเลขที่ออก เรียงตาม rank เหมือนที่ประกาศผล
+        const prizeItems = [];
+        for (const prize of prizes) {
+            const tier = table.tiers.find(t => t.rank === prize.rank) ||
+                { rank: prize.rank, key: null, name: `รางวัลที่ ${prize.rank}`, match: 'exact' };
+            const numbers = winningNumbers[prize.rank] || [];
+            const shares = parseJsonColumn(prize.shares, []);
+
+            for (const number of numbers.length > 0 ? numbers : ['000000']) {
+                const item = {
+                    tier: prize.rank,
+                    key: tier.key,
+                    name: tier.name,
+                    ticketId: PrizeTable.formatWinningNumber(tier, number),
+                    amount: parseFloat(prize.amount),
+                    payout: prize.payout_mode || 'fixed',
+                    claimed: false
+                };
+
+                // รางวัลแบบ shared: เงินที่แต่ละใบได้จริงหลังแบ่งกัน
+                const share = shares.find(entry => entry.number === number);
+                if (share) {
+                    item.winnerCount = share.winners;
+                    item.amountPerWinner = share.perWinner;
+                }
+
+                prizeItems.push(item);
+            }
+        }
+
+        return {
+            id: draw.draw_id,
+            round: draw.round_number,
+            roundId: draw.round_id,
+            status: draw.status,
+            source: draw.source || 'rng',
+            poolType: draw.pool_type,
+            createdBy: draw.created_by,
+            createdAt: draw.created_at,
+            updatedAt: draw.updated_at,
+            voidReason: draw.void_reason || null,
+            voidedBy: draw.voided_by || null,
+            voidedAt: draw.voided_at || null,
+            prizeTable: table,
+            winningNumbers: winningNumbers,
+            prizes: prizeItems,
+            winners: winners,
+            rollover: parseJsonColumn(draw.rollover, null),
+            fairness: {
+                algorithm: ProvablyFair.ALGORITHM,
+                serverSeedHash: draw.server_seed_hash,
+                // seed จะถูกเปิดเผยหลังออกรางวัลแล้วเท่านั้น
+                serverSeed: draw.status === 'committed' ? null : draw.server_seed,
+                publicEntropy: draw.public_entropy,
+                entropySource: draw.entropy_source || null,
+                poolHash: draw.pool_hash,
+                // false = commitment ไม่ได้เผยแพร่ก่อนปิดการขาย (ไม่ใช่ provably fair)
+                precommitted: draw.precommitted === undefined ? true : Boolean(draw.precommitted),
+                committedAt: draw.committed_at,
+                revealedAt: draw.revealed_at
+            }
+        };
+    }
+}
+
+/**
+ * JSON columns come back parsed from MySQL but as strings from some drivers
+ * @param {Object|string|null} value - Column value
+ * @param {*} fallback - Value returned for empty columns
+ * @returns {Object} Parsed object
+ */
+function parseJsonColumn(value, fallback = {}) {
+    if (!value) {
+        return fallback;
+    }
+    return typeof value === 'string' ? JSON.parse(value) : value;
 }
 
-module.exports = DrawService;
\ No newline at end of file
+module.exports = DrawService;
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const { getConnection } = require('../config/database');
+const { IDEMPOTENCY, IDEMPOTENCY_STATUS } = require('../constants');
+
+/**
+ * Idempotency key service - กันคำขอที่ใช้เงินซ้ำเมื่อ client ส่งซ้ำ (เครือข่ายไม่เสถียร)
+ *
+ * key ผูกกับผู้ใช้และลายนิ้วมือของคำขอ (method, path, query, body)
+ * คำขอแรกจอง key ไว้ (processing) จนได้ผลลัพธ์ ผลลัพธ์ที่สำเร็จ (2xx) ถูกเก็บไว้ส่งซ้ำให้คำขอที่ใช้ key เดิม
+ * ผลลัพธ์ที่ไม่สำเร็จและไม่มี transaction ที่ commit ไม่มีการเปลี่ยนแปลงเงิน จึงคืน key ให้ลองใหม่ได้
+ * key ถูกเปลี่ยนเป็น committed ใน transaction ของคำขอเอง (utils/idempotencyScope) ถ้าคำขอแรกหยุดไปก่อนเก็บผลลัพธ์
+ * key ที่ค้างเกิน IDEMPOTENCY.STALE_MINUTES จึงตัดสินได้: processing ลองใหม่ได้, committed ตอบว่าสำเร็จแล้ว
+ * key หมดอายุหลัง IDEMPOTENCY_KEY_TTL_HOURS ชั่วโมง
+ */
+class IdempotencyService {
+  /**
+   * Reserve a key for a request, or find the stored result of an earlier request with the same key
+   * @param {number} userId - User ID
+   * @param {Object} request - Request
+   * @param {string} request.key - Idempotency-Key header
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Request path (without query)
+   * @param {string} request.requestHash - Fingerprint from hashRequest
+   * @returns {Promise<Object>} { idempotencyId } for a new request, or { replay: { status, body } }
+   */
+  static async begin(userId, { key, method, path, requestHash }) {
+    const connection = await getConnection();
+    try {
+      // 1. key ที่หมดอายุแล้วใช้ใหม่ได้ เช่นเดียวกับ key ที่ค้างเป็น processing นานเกินไป
+      // (คำขอแรกหยุดไปก่อน commit จึงไม่มีการเปลี่ยนแปลงเงิน ถ้าคำขอแรกยังทำงานอยู่ จะ commit ไม่ได้เพราะ key ถูกลบแล้ว)
+      // TTL and stale minutes are validated integers, inlined into the intervals
+      await connection.execute(
+        `DELETE FROM IdempotencyKey
+         WHERE user_id = ? AND idem_key = ?
+           AND (created_at < DATE_SUB(NOW(), INTERVAL ${this.getTtlHours()} HOUR)
+             OR (status = ? AND created_at < DATE_SUB(NOW(), INTERVAL ${IDEMPOTENCY.STALE_MINUTES} MINUTE)))`,
+        [userId, key, IDEMPOTENCY_STATUS.PROCESSING]
+      );
+
+      // 2. จอง key (unique ต่อผู้ใช้ คำขอที่มาพร้อมกันได้ไปเพียงคำขอเดียว)
+      const [result] = await connection.execute(
+        `INSERT IGNORE INTO IdempotencyKey (user_id, idem_key, method, path, request_hash, status)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, key, method, path.slice(0, 255), requestHash, IDEMPOTENCY_STATUS.PROCESSING]
+      );
+
+      if (result.affectedRows === 1) {
+        return { idempotencyId: result.insertId };
+      }
+
+      // 3. key นี้เคยใช้แล้ว: ต้องเป็นคำขอเดิมเท่านั้น
+      const [rows] = await connection.execute(
+        `SELECT *, created_at < DATE_SUB(NOW(), INTERVAL ${IDEMPOTENCY.STALE_MINUTES} MINUTE) AS stale
+         FROM IdempotencyKey WHERE user_id = ? AND idem_key = ?`,
+        [userId, key]
+      );
+
+      // ถูกคืน key ไประหว่างนี้ (คำขอแรกไม่สำเร็จ) ให้ client ลองใหม่
+      if (rows.length === 0) {
+        const error = new Error('คำขอที่ใช้ Idempotency-Key นี้กำลังดำเนินการ กรุณาลองใหม่');
+        error.code = 'IDEMPOTENCY_KEY_IN_PROGRESS';
+        throw error;
+      }
+
+      const stored = rows[0];
+      if (stored.request_hash !== requestHash) {
+        const error = new Error('Idempotency-Key นี้ถูกใช้กับคำขออื่นแล้ว กรุณาใช้ key ใหม่');
+        error.code = 'IDEMPOTENCY_KEY_REUSED';
+        throw error;
+      }
+
+      // คำขอแรก commit แล้วแต่หยุดไปก่อนเก็บผลลัพธ์: ห้ามทำซ้ำ แจ้งว่าสำเร็จแล้ว
+      if (stored.status === IDEMPOTENCY_STATUS.COMMITTED && stored.stale) {
+        const error = new Error('คำขอที่ใช้ Idempotency-Key นี้ดำเนินการสำเร็จแล้ว แต่ไม่มีผลลัพธ์ที่เก็บไว้ กรุณาตรวจสอบรายการล่าสุด');
+        error.code = 'IDEMPOTENCY_KEY_COMMITTED';
+        throw error;
+      }
+
+      if (stored.status !== IDEMPOTENCY_STATUS.COMPLETED) {
+        const error = new Error('คำขอที่ใช้ Idempotency-Key นี้กำลังดำเนินการ กรุณาลองใหม่');
+        error.code = 'IDEMPOTENCY_KEY_IN_PROGRESS';
+        throw error;
+      }
+
+      return {
+        replay: {
+          status: stored.response_status,
+          body: typeof stored.response_body === 'string' ? JSON.parse(stored.response_body) : stored.response_body
+        }
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Store the successful response of a reserved key
+   * @param {number} idempotencyId - Reserved key
+   * @param {number} status - HTTP status
+   * @param {*} body - JSON response body
+   * @returns {Promise<void>}
+   */
+  static async complete(idempotencyId, status, body) {
+    const connection = await getConnection();
+    try {
+      await connection.execute(
+        `UPDATE IdempotencyKey
+         SET status = ?, response_status = ?, response_body = ?, completed_at = NOW()
+         WHERE idempotency_id = ?`,
+        [IDEMPOTENCY_STATUS.COMPLETED, status, JSON.stringify(body === undefined ? null : body), idempotencyId]
+      );
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Release a reserved key so the request can be retried (the request failed)
+   * A request that failed after one of its transactions committed must not run again, so its response is stored instead.
+   * @param {number} idempotencyId - Reserved key
+   * @param {number} status - HTTP status
+   * @param {*} body - JSON response body
+   * @returns {Promise<void>}
+   */
+  static async release(idempotencyId, status, body) {
+    const connection = await getConnection();
+    try {
+      const [result] = await connection.execute(
+        'DELETE FROM IdempotencyKey WHERE idempotency_id = ? AND status = ?',
+        [idempotencyId, IDEMPOTENCY_STATUS.PROCESSING]
+      );
+
+      if (result.affectedRows === 0) {
+        await connection.execute(
+          `UPDATE IdempotencyKey
+           SET status = ?, response_status = ?, response_body = ?, completed_at = NOW()
+           WHERE idempotency_id = ? AND status = ?`,
+          [IDEMPOTENCY_STATUS.COMPLETED, status, JSON.stringify(body === undefined ? null : body), idempotencyId, IDEMPOTENCY_STATUS.COMMITTED]
+        );
+      }
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Fingerprint of a request: the same key must come with the same request
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path (without query)
+   * @param {Object} query - Query parameters
+   * @param {*} body - Request body
+   * @returns {string} SHA-256 hex
+   */
+  static hashRequest(method, path, query, body) {
+    const payload = stableStringify([method.toUpperCase(), path, query || {}, body === undefined ? null : body]);
+    return crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * Hours a key is kept (IDEMPOTENCY_KEY_TTL_HOURS env overrides the default)
+   * @returns {number} Hours
+   */
+  static getTtlHours() {
+    const hours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+    return Number.isInteger(hours) && hours > 0 ? hours : IDEMPOTENCY.TTL_HOURS;
+  }
+}
+
+/**
+ * JSON with object keys sorted, so the same body always gives the same fingerprint
+ * @param {*} value - Value
+ * @returns {string} JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = IdempotencyService;
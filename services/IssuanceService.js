@@ -0,0 +1,654 @@
+const { getConnection } = require('../config/database');
+const { DEFAULTS, ISSUANCE, ISSUANCE_MODE, ROUND_STATUS, TICKET_SETS } = require('../constants');
+const { createSeededRng, getRng } = require('../utils/rng');
+const { parseTicketCsv } = require('../utils/ticketCsv');
+const WaitlistService = require('./WaitlistService');
+
+/**
+ * Ticket issuance service - ออกตั๋วเป็นชุด (TicketBatch)
+ *
+ * ทุกจุดที่สร้างตั๋ว (สร้างงวด, ตั๋วเริ่มต้นตอนเปิดเซิร์ฟเวอร์, admin) ใช้บริการนี้
+ * ตั๋วทุกใบเก็บ batch_id จึงตรวจย้อนได้ว่ามาจาก batch ไหน ใช้ seed อะไร
+ * - จำนวนเลข (count) สุ่มจากเลขที่ตรงเงื่อนไข หรือระบุช่วงเลข (range) ออกทุกเลขในช่วง
+ * - rules.pattern เช่น "12????" กำหนดหลักที่ตายตัว, rules.exclude ตัดเลขที่ไม่ต้องการออก
+ * - mode initial ต้องยังไม่มีตั๋ว, mode append เพิ่มเข้าคลังเดิมโดยข้ามเลขที่มีแล้ว
+ * - mode import นำเข้าเลขจากไฟล์ CSV ของผู้จัดจำหน่าย (importTickets)
+ */
+class IssuanceService {
+  /**
+   * Issue a batch in its own transaction
+   * @param {Object} options - Batch options (see parseOptions)
+   * @returns {Promise<Object>} Created batch
+   */
+  static async issueBatch(options) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+      const batch = await this.createBatch(connection, options);
+      await connection.commit();
+      return batch;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Issue a batch inside the caller's transaction
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Object} options - Batch options (see parseOptions)
+   * @returns {Promise<Object>} Created batch
+   */
+  static async createBatch(connection, options) {
+    const batch = this.parseOptions(options);
+
+    // 1. งวดต้องยังไม่ปิดการขาย (ไม่ระบุงวด = คลังตั๋วที่ออกก่อนมีระบบงวด)
+    let round = null;
+    if (batch.roundId) {
+      const [rounds] = await connection.execute(
+        'SELECT round_id, status, draw_date FROM Round WHERE round_id = ? FOR UPDATE',
+        [batch.roundId]
+      );
+
+      if (rounds.length === 0) {
+        const error = new Error('ไม่พบงวด');
+        error.code = 'ROUND_NOT_FOUND';
+        throw error;
+      }
+
+      round = rounds[0];
+      if (round.status !== ROUND_STATUS.SCHEDULED && round.status !== ROUND_STATUS.ON_SALE) {
+        const error = new Error('ออกตั๋วได้เฉพาะงวดที่ยังไม่ปิดการขาย');
+        error.code = 'INVALID_ROUND_STATE';
+        throw error;
+      }
+    }
+
+    // 2. เลขที่มีอยู่แล้ว: mode initial ต้องไม่มีเลย, mode append ข้ามเลขเหล่านี้
+    const [existing] = await connection.execute(
+      `SELECT DISTINCT number FROM Ticket WHERE ${round ? 'round_id = ?' : 'round_id IS NULL'}`,
+      round ? [round.round_id] : []
+    );
+
+    if (batch.mode === ISSUANCE_MODE.INITIAL && existing.length > 0) {
+      const error = new Error('ระบบมีตั๋วอยู่แล้ว ใช้ mode append เพื่อเพิ่มตั๋ว');
+      error.code = 'TICKETS_ALREADY_EXIST';
+      error.existingNumbers = existing.length;
+      throw error;
+    }
+
+    // 3. สุ่มเลข (ระบุ seed แล้วได้ผลเดิมทุกครั้งสำหรับคลังตั๋วเดียวกัน)
+    const rng = batch.seed ? createSeededRng(batch.seed, 'ticket-batch') : getRng();
+    const numbers = this.generateNumbers(batch, new Set(existing.map(row => row.number)), rng);
+
+    const [result] = await connection.execute(
+      `INSERT INTO TicketBatch (round_id, mode, ticket_count, copies, price, range_from, range_to, rules, seed, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        batch.roundId,
+        batch.mode,
+        numbers.length,
+        batch.copies,
+        batch.price,
+        batch.range ? batch.range.from : null,
+        batch.range ? batch.range.to : null,
+        batch.rules ? JSON.stringify(batch.rules) : null,
+        batch.seed,
+        batch.createdBy
+      ]
+    );
+    const batchId = result.insertId;
+
+    // 4. ออกตั๋วเลขละ copies ใบ (set_no 1..copies)
+    const tickets = numbers.flatMap(number => Array.from({ length: batch.copies }, (_, i) => ({ number, setNo: i + 1 })));
+    await this.insertTickets(connection, batchId, tickets, { round, price: batch.price, createdBy: batch.createdBy });
+
+    console.log(`🎫 Issued batch ${batchId}: ${numbers.length} numbers x ${batch.copies} = ${tickets.length} tickets`);
+
+    // 5. เติมตั๋วในงวดที่เปิดขาย: ให้ผู้ที่รอเลขเหล่านี้ก่อน
+    if (round && round.status === ROUND_STATUS.ON_SALE) {
+      await WaitlistService.offerAvailable(connection);
+    }
+
+    return await this.findBatch(connection, batchId);
+  }
+
+  /**
+   * Insert the tickets of a batch and record how many were issued
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {number} batchId - TicketBatch ID
+   * @param {Array<Object>} tickets - [{ number, setNo }]
+   * @param {Object} options - { round (row or null), price, createdBy }
+   * @returns {Promise<void>}
+   */
+  static async insertTickets(connection, batchId, tickets, { round, price, createdBy }) {
+    const chunkSize = 50;
+
+    // end_date = วันออกรางวัลของงวด
+    for (let i = 0; i < tickets.length; i += chunkSize) {
+      const chunk = tickets.slice(i, i + chunkSize);
+      const placeholders = chunk.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(',');
+      const values = [];
+
+      for (const { number, setNo } of chunk) {
+        values.push(number, setNo, price, createdBy, round ? round.round_id : null, round ? round.draw_date : null, batchId);
+      }
+
+      await connection.execute(
+        `INSERT INTO Ticket (number, set_no, price, created_by, round_id, end_date, batch_id) VALUES ${placeholders}`,
+        values
+      );
+    }
+
+    await connection.execute(
+      'UPDATE TicketBatch SET issued = ? WHERE batch_id = ?',
+      [tickets.length, batchId]
+    );
+  }
+
+  /**
+   * Check a ticket CSV against the database without writing anything
+   * @param {string} text - CSV text (see utils/ticketCsv)
+   * @param {Object} [options] - { roundId } for rows without a round
+   * @returns {Promise<Object>} Preview: malformed rows, duplicates and tickets per round
+   */
+  static async previewImport(text, { roundId } = {}) {
+    const connection = await getConnection();
+    try {
+      const check = await this.checkImport(connection, text, { roundId });
+      return {
+        rows: check.rows,
+        ready: check.ready,
+        errors: check.errors,
+        duplicates: check.duplicates,
+        rounds: check.rounds
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Import tickets from a CSV, one TicketBatch (mode import) per round and price
+   * ไม่นำเข้าเลยถ้ามีแถวที่ไม่ถูกต้อง, เลขที่มีอยู่แล้วข้ามได้เมื่อระบุ skipDuplicates
+   * @param {string} text - CSV text (see utils/ticketCsv)
+   * @param {Object} options - Import options
+   * @param {number} [options.roundId] - Round for rows without a round
+   * @param {boolean} [options.skipDuplicates] - Skip tickets that already exist instead of failing
+   * @param {number} options.createdBy - Admin user ID
+   * @returns {Promise<Object>} { imported, skipped, batches }
+   */
+  static async importTickets(text, { roundId, skipDuplicates = false, createdBy }) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // 1. ตรวจไฟล์อีกครั้งภายใน transaction (ล็อกงวดไว้ระหว่างนำเข้า)
+      const preview = await this.checkImport(connection, text, { roundId, lock: true });
+
+      if (preview.errors.length > 0) {
+        const error = new Error(`ไฟล์ตั๋วไม่ถูกต้อง ${preview.errors.length} แถว`);
+        error.code = 'INVALID_TICKET_IMPORT';
+        error.validationErrors = preview.errors;
+        throw error;
+      }
+
+      if (preview.duplicates.length > 0 && !skipDuplicates) {
+        const error = new Error(`มีตั๋ว ${preview.duplicates.length} ใบอยู่ในระบบแล้ว (ส่ง skipDuplicates เพื่อข้าม)`);
+        error.code = 'TICKET_IMPORT_DUPLICATES';
+        error.validationErrors = preview.duplicates.map(duplicate => ({
+          line: duplicate.line,
+          message: `เลข ${duplicate.number} ชุดที่ ${duplicate.setNo} มีอยู่แล้ว (ticket ${duplicate.ticketId})`
+        }));
+        throw error;
+      }
+
+      if (preview.entries.length === 0) {
+        const error = new Error('ไม่มีตั๋วใหม่ให้นำเข้า');
+        error.code = 'INVALID_TICKET_IMPORT';
+        throw error;
+      }
+
+      // 2. แยก batch ตามงวดและราคา
+      const groups = new Map();
+      for (const entry of preview.entries) {
+        const key = `${entry.roundId}:${entry.price}`;
+        if (!groups.has(key)) {
+          groups.set(key, { roundId: entry.roundId, price: entry.price, tickets: [] });
+        }
+        groups.get(key).tickets.push(entry);
+      }
+
+      const batchIds = [];
+      for (const group of groups.values()) {
+        const round = group.roundId ? preview.roundRows.get(group.roundId) : null;
+        const [result] = await connection.execute(
+          `INSERT INTO TicketBatch (round_id, mode, ticket_count, copies, price, created_by)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            group.roundId,
+            ISSUANCE_MODE.IMPORT,
+            new Set(group.tickets.map(ticket => ticket.number)).size,
+            Math.max(...group.tickets.map(ticket => ticket.setNo)),
+            group.price,
+            createdBy || null
+          ]
+        );
+
+        await this.insertTickets(connection, result.insertId, group.tickets, { round, price: group.price, createdBy: createdBy || null });
+        batchIds.push(result.insertId);
+      }
+
+      console.log(`📥 Imported ${preview.entries.length} tickets in ${batchIds.length} batches`);
+
+      // 3. เติมตั๋วในงวดที่เปิดขาย: ให้ผู้ที่รอเลขเหล่านี้ก่อน
+      if ([...preview.roundRows.values()].some(round => round.status === ROUND_STATUS.ON_SALE)) {
+        await WaitlistService.offerAvailable(connection);
+      }
+
+      await connection.commit();
+
+      const batches = [];
+      for (const batchId of batchIds) {
+        batches.push(await this.findBatch(connection, batchId));
+      }
+
+      return {
+        imported: preview.entries.length,
+        skipped: preview.duplicates.length,
+        batches
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Validate CSV rows against rounds and existing tickets
+   * @param {Object} connection - Database connection
+   * @param {string} text - CSV text
+   * @param {Object} options - { roundId, lock }
+   * @returns {Promise<Object>} { rows, ready, errors, duplicates, rounds, entries (new tickets), roundRows }
+   */
+  static async checkImport(connection, text, { roundId, lock = false }) {
+    const { rows, entries, errors } = parseTicketCsv(text, { roundId });
+
+    // 1. งวดต้องมีอยู่และยังไม่ปิดการขาย
+    const roundIds = [...new Set(entries.map(entry => entry.roundId).filter(Boolean))];
+    const roundRows = new Map();
+
+    if (roundIds.length > 0) {
+      const [rounds] = await connection.execute(
+        `SELECT round_id, name, status, draw_date FROM Round WHERE round_id IN (${roundIds.map(() => '?').join(',')})${lock ? ' FOR UPDATE' : ''}`,
+        roundIds
+      );
+      rounds.forEach(round => roundRows.set(round.round_id, round));
+    }
+
+    const valid = [];
+    for (const entry of entries) {
+      const round = entry.roundId ? roundRows.get(entry.roundId) : null;
+
+      if (entry.roundId && !round) {
+        errors.push({ line: entry.line, message: `ไม่พบงวด ${entry.roundId}` });
+      } else if (round && round.status !== ROUND_STATUS.SCHEDULED && round.status !== ROUND_STATUS.ON_SALE) {
+        errors.push({ line: entry.line, message: `${round.name} ปิดการขายแล้ว นำเข้าตั๋วไม่ได้` });
+      } else {
+        valid.push(entry);
+      }
+    }
+
+    // 2. เลขและชุดที่มีอยู่แล้วในงวดเดียวกัน
+    const existing = new Map();
+    for (const id of new Set(valid.map(entry => entry.roundId))) {
+      const [tickets] = await connection.execute(
+        `SELECT ticket_id, number, set_no FROM Ticket WHERE ${id ? 'round_id = ?' : 'round_id IS NULL'}`,
+        id ? [id] : []
+      );
+      tickets.forEach(ticket => existing.set(`${id}:${ticket.number}:${ticket.set_no}`, ticket.ticket_id));
+    }
+
+    const duplicates = [];
+    const fresh = [];
+    for (const entry of valid) {
+      const ticketId = existing.get(`${entry.roundId}:${entry.number}:${entry.setNo}`);
+      if (ticketId) {
+        duplicates.push({ line: entry.line, roundId: entry.roundId, number: entry.number, setNo: entry.setNo, ticketId });
+      } else {
+        fresh.push(entry);
+      }
+    }
+
+    // 3. สรุปต่องวด
+    const summary = new Map();
+    for (const entry of fresh) {
+      if (!summary.has(entry.roundId)) {
+        const round = entry.roundId ? roundRows.get(entry.roundId) : null;
+        summary.set(entry.roundId, { roundId: entry.roundId, name: round ? round.name : null, status: round ? round.status : null, tickets: 0 });
+      }
+      summary.get(entry.roundId).tickets++;
+    }
+
+    return {
+      rows,
+      ready: fresh.length,
+      errors: errors.sort((a, b) => a.line - b.line),
+      duplicates,
+      rounds: [...summary.values()],
+      entries: fresh,
+      roundRows
+    };
+  }
+
+  /**
+   * Validate and normalise batch options
+   * @param {Object} options - Raw options
+   * @param {number} [options.roundId] - Round to issue into, omit for tickets without a round
+   * @param {number} [options.count] - Numbers to pick at random (required without range)
+   * @param {Object} [options.range] - { from, to } 6-digit bounds, inclusive
+   * @param {number} [options.copies] - Copies of each number (ลอตเตอรี่ชุด)
+   * @param {number} [options.price] - Ticket price
+   * @param {Object} [options.rules] - { pattern: '12????', exclude: ['123456'] }
+   * @param {string} [options.seed] - Seed for a reproducible batch
+   * @param {string} [options.mode] - ISSUANCE_MODE, defaults to append
+   * @param {number} [options.createdBy] - Admin user ID
+   * @returns {Object} Normalised options
+   */
+  static parseOptions({ roundId, count, range, copies, price, rules, seed, mode, createdBy } = {}) {
+    const fail = message => {
+      const error = new Error(message);
+      error.code = 'INVALID_TICKET_BATCH';
+      throw error;
+    };
+
+    const batch = {
+      roundId: roundId || null,
+      count,
+      range: null,
+      copies: copies === undefined ? TICKET_SETS.DEFAULT_COPIES : copies,
+      price: price === undefined ? DEFAULTS.TICKET_PRICE : price,
+      rules: null,
+      seed: seed === undefined || seed === null ? null : seed,
+      mode: mode || ISSUANCE_MODE.APPEND,
+      createdBy: createdBy || null
+    };
+
+    if (batch.mode !== ISSUANCE_MODE.INITIAL && batch.mode !== ISSUANCE_MODE.APPEND) {
+      fail(`mode ต้องเป็น ${ISSUANCE_MODE.INITIAL} หรือ ${ISSUANCE_MODE.APPEND}`);
+    }
+
+    if (batch.roundId !== null && (!Number.isInteger(batch.roundId) || batch.roundId <= 0)) {
+      fail('รหัสงวดต้องเป็นตัวเลขที่มากกว่า 0');
+    }
+
+    if (range !== undefined && range !== null) {
+      const isDigits = value => typeof value === 'string' && /^[0-9]{6}$/.test(value);
+      if (typeof range !== 'object' || !isDigits(range.from) || !isDigits(range.to)) {
+        fail('ช่วงเลขต้องเป็น { from, to } ตัวเลข 6 หลัก');
+      }
+
+      const size = Number(range.to) - Number(range.from) + 1;
+      if (size < 1) {
+        fail('เลขเริ่มต้นต้องไม่มากกว่าเลขสุดท้าย');
+      }
+      if (size > ISSUANCE.MAX_RANGE) {
+        fail(`ช่วงเลขต้องไม่เกิน ${ISSUANCE.MAX_RANGE} เลข`);
+      }
+      batch.range = { from: range.from, to: range.to };
+    }
+
+    if (count === undefined || count === null) {
+      batch.count = null;
+      if (!batch.range) {
+        fail('ต้องระบุจำนวนเลข (count) หรือช่วงเลข (range)');
+      }
+    } else if (!Number.isInteger(count) || count < 1 || count > ISSUANCE.MAX_COUNT) {
+      fail(`จำนวนเลขต้องเป็นจำนวนเต็มระหว่าง 1-${ISSUANCE.MAX_COUNT}`);
+    }
+
+    if (!Number.isInteger(batch.copies) || batch.copies < 1 || batch.copies > TICKET_SETS.MAX_COPIES) {
+      fail(`จำนวนใบต่อเลขต้องเป็นจำนวนเต็มระหว่าง 1-${TICKET_SETS.MAX_COPIES}`);
+    }
+
+    if (typeof batch.price !== 'number' || !isFinite(batch.price) || batch.price <= 0) {
+      fail('ราคาตั๋วต้องเป็นตัวเลขที่มากกว่า 0');
+    }
+
+    if (batch.seed !== null && (typeof batch.seed !== 'string' || batch.seed.length === 0 || batch.seed.length > 64)) {
+      fail('seed ต้องเป็นข้อความยาว 1-64 ตัวอักษร');
+    }
+
+    if (rules !== undefined && rules !== null) {
+      if (typeof rules !== 'object' || Array.isArray(rules)) {
+        fail('rules ต้องเป็น object');
+      }
+
+      const { pattern, exclude } = rules;
+      if (pattern !== undefined && (typeof pattern !== 'string' || !/^[0-9?]{6}$/.test(pattern))) {
+        fail('pattern ต้องยาว 6 ตัว ประกอบด้วยตัวเลขหรือ ? แทนหลักที่สุ่ม');
+      }
+      if (exclude !== undefined && (!Array.isArray(exclude) || exclude.length > ISSUANCE.MAX_EXCLUDE ||
+          exclude.some(number => typeof number !== 'string' || !/^[0-9]{6}$/.test(number)))) {
+        fail(`exclude ต้องเป็นรายการเลข 6 หลัก ไม่เกิน ${ISSUANCE.MAX_EXCLUDE} เลข`);
+      }
+
+      batch.rules = {
+        ...(pattern !== undefined ? { pattern } : {}),
+        ...(exclude !== undefined ? { exclude: [...new Set(exclude)] } : {})
+      };
+    }
+
+    return batch;
+  }
+
+  /**
+   * Pick the numbers of a batch
+   * ช่วงเลขหรือ pattern ที่มีเลขเป็นไปได้ไม่เกิน MAX_RANGE ไล่ทุกเลขแล้วสุ่มเลือก
+   * นอกนั้นสุ่มหลักที่เป็น ? จนได้ครบ (ข้ามเลขที่ไม่ผ่านเงื่อนไข)
+   * @param {Object} batch - Normalised options (parseOptions)
+   * @param {Set<string>} taken - Numbers already in the inventory
+   * @param {Object} rng - RNG (utils/rng)
+   * @returns {Array<string>} Numbers to issue
+   */
+  static generateNumbers(batch, taken, rng) {
+    const pattern = (batch.rules && batch.rules.pattern) || '??????';
+    const excluded = new Set((batch.rules && batch.rules.exclude) || []);
+    const freeDigits = pattern.split('').filter(char => char === '?').length;
+    const usable = number => this.matchesPattern(number, pattern) && !excluded.has(number) && !taken.has(number);
+
+    const exhausted = available => {
+      const error = new Error(`เลขที่ตรงเงื่อนไขและยังไม่มีในคลังเหลือ ${available} เลข ไม่พอสำหรับ ${batch.count} เลข`);
+      error.code = 'TICKET_BATCH_EXHAUSTED';
+      throw error;
+    };
+
+    let candidates = null;
+    if (batch.range) {
+      candidates = [];
+      for (let value = Number(batch.range.from); value <= Number(batch.range.to); value++) {
+        const number = String(value).padStart(6, '0');
+        if (usable(number)) {
+          candidates.push(number);
+        }
+      }
+    } else if (Math.pow(10, freeDigits) <= ISSUANCE.MAX_RANGE) {
+      candidates = [];
+      for (let value = 0; value < Math.pow(10, freeDigits); value++) {
+        const number = this.fillPattern(pattern, String(value).padStart(freeDigits, '0'));
+        if (usable(number)) {
+          candidates.push(number);
+        }
+      }
+    }
+
+    if (candidates) {
+      if (batch.count === null) {
+        if (candidates.length === 0) {
+          exhausted(0);
+        }
+        return candidates;
+      }
+      if (candidates.length < batch.count) {
+        exhausted(candidates.length);
+      }
+      return rng.sample(candidates, batch.count);
+    }
+
+    // pattern กว้าง: สุ่มทีละเลข จำกัดจำนวนครั้งเผื่อคลังเกือบเต็ม
+    const numbers = new Set();
+    const maxAttempts = batch.count * 50;
+    for (let attempt = 0; numbers.size < batch.count; attempt++) {
+      if (attempt >= maxAttempts) {
+        exhausted(numbers.size);
+      }
+      const number = this.fillPattern(pattern, rng.randomDigits(freeDigits));
+      if (usable(number)) {
+        numbers.add(number);
+      }
+    }
+    return Array.from(numbers);
+  }
+
+  /**
+   * Check a number against a pattern of digits and ?
+   * @param {string} number - 6-digit number
+   * @param {string} pattern - Pattern, ? matches any digit
+   * @returns {boolean} True if the number fits
+   */
+  static matchesPattern(number, pattern) {
+    for (let i = 0; i < pattern.length; i++) {
+      if (pattern[i] !== '?' && pattern[i] !== number[i]) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Put digits into the ? positions of a pattern, left to right
+   * @param {string} pattern - Pattern
+   * @param {string} digits - One digit per ?
+   * @returns {string} Number
+   */
+  static fillPattern(pattern, digits) {
+    let next = 0;
+    return pattern.replace(/\?/g, () => digits[next++]);
+  }
+
+  /**
+   * List batches, newest first
+   * @param {Object} [filters] - { roundId, page, limit }
+   * @returns {Promise<Object>} Paginated batches
+   */
+  static async listBatches({ roundId, page = 1, limit = 20 } = {}) {
+    const safePage = Math.max(1, parseInt(page) || 1);
+    const safeLimit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const offset = (safePage - 1) * safeLimit;
+
+    const where = roundId ? 'WHERE b.round_id = ?' : '';
+    const params = roundId ? [roundId] : [];
+
+    const connection = await getConnection();
+    try {
+      const [countResult] = await connection.execute(
+        `SELECT COUNT(*) AS total FROM TicketBatch b ${where}`,
+        params
+      );
+
+      // LIMIT/OFFSET are validated integers, inlined to avoid prepared statement issues
+      const [rows] = await connection.execute(
+        `${this.selectSql()}
+         ${where}
+         GROUP BY b.batch_id
+         ORDER BY b.batch_id DESC
+         LIMIT ${safeLimit} OFFSET ${offset}`,
+        params
+      );
+
+      return {
+        batches: rows.map(row => this.formatBatch(row)),
+        pagination: {
+          page: safePage,
+          limit: safeLimit,
+          total: countResult[0].total,
+          totalPages: Math.ceil(countResult[0].total / safeLimit)
+        }
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Get a batch by ID
+   * @param {number} batchId - Batch ID
+   * @returns {Promise<Object|null>} Batch or null
+   */
+  static async getBatch(batchId) {
+    const connection = await getConnection();
+    try {
+      return await this.findBatch(connection, batchId);
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Load a batch with the ticket ID range it produced
+   * @param {Object} connection - Database connection
+   * @param {number} batchId - Batch ID
+   * @returns {Promise<Object|null>} Batch or null
+   */
+  static async findBatch(connection, batchId) {
+    const [rows] = await connection.execute(
+      `${this.selectSql()} WHERE b.batch_id = ? GROUP BY b.batch_id`,
+      [batchId]
+    );
+    return rows.length > 0 ? this.formatBatch(rows[0]) : null;
+  }
+
+  /**
+   * SELECT of a batch with its ticket ID range and sold count
+   * @returns {string} SQL without WHERE / GROUP BY
+   */
+  static selectSql() {
+    return `SELECT b.*, MIN(t.ticket_id) AS first_ticket_id, MAX(t.ticket_id) AS last_ticket_id,
+                   COUNT(t.ticket_id) AS remaining_tickets, SUM(t.status IN ('sold', 'claimed')) AS sold_tickets
+            FROM TicketBatch b
+            LEFT JOIN Ticket t ON t.batch_id = b.batch_id`;
+  }
+
+  /**
+   * Format a TicketBatch row
+   * @param {Object} row - Row from selectSql()
+   * @returns {Object} Batch
+   */
+  static formatBatch(row) {
+    return {
+      id: row.batch_id,
+      roundId: row.round_id,
+      mode: row.mode,
+      count: row.ticket_count,
+      copies: row.copies,
+      price: parseFloat(row.price),
+      range: row.range_from ? { from: row.range_from, to: row.range_to } : null,
+      rules: typeof row.rules === 'string' ? JSON.parse(row.rules) : row.rules,
+      seed: row.seed,
+      issued: row.issued,
+      // ตั๋วที่ยังอยู่ในระบบ (ถูกลบไปได้ด้วยการรีเซ็ท)
+      remainingTickets: Number(row.remaining_tickets) || 0,
+      soldTickets: Number(row.sold_tickets) || 0,
+      firstTicketId: row.first_ticket_id,
+      lastTicketId: row.last_ticket_id,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = IssuanceService;
@@ -0,0 +1,209 @@
+const { LIVE_EVENTS } = require('../constants');
+
+/**
+ * Live event service - ส่งเหตุการณ์ให้แอปผ่าน Server-Sent Events (GET /api/draws/stream)
+ *
+ * เหตุการณ์ทั้งหมดมี id เพิ่มขึ้นเรื่อยๆ และเก็บไว้ล่าสุด BUFFER_SIZE รายการ
+ * client ที่หลุดแล้วต่อใหม่ด้วย Last-Event-ID จะได้รับเหตุการณ์ที่พลาดไปย้อนหลัง
+ * การเปิดเผยผลรางวัลทำทีละรางวัลจากรางวัลเล็กไปรางวัลใหญ่ ห่างกัน DRAW_REVEAL_INTERVAL_MS
+ * ถ้ามีหลายงวดออกพร้อมกัน จะเปิดเผยต่อคิวกันไม่สลับกัน
+ *
+ * Events: round.opened, round.closed, sales.closing_soon, draw.started, draw.tier, draw.result
+ */
+
+const clients = new Set();
+const recentEvents = [];
+const announcedClosing = new Set();
+let nextEventId = 1;
+let heartbeat = null;
+let revealQueue = Promise.resolve();
+
+class LiveEventService {
+  /**
+   * Attach an SSE client and replay the events it missed
+   * @param {Object} req - Express request (Last-Event-ID header or ?lastEventId)
+   * @param {Object} res - Express response kept open for the stream
+   */
+  static subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${LIVE_EVENTS.RETRY_MS}\n\n`);
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (!isNaN(lastEventId)) {
+      recentEvents
+        .filter(event => event.id > lastEventId)
+        .forEach(event => res.write(event.payload));
+    }
+
+    clients.add(res);
+    this.startHeartbeat();
+
+    res.on('close', () => {
+      clients.delete(res);
+      if (clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+  }
+
+  /**
+   * Send an event to every connected client
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   * @returns {number} Event ID
+   */
+  static publish(event, data) {
+    const id = nextEventId++;
+    const payload = `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+    recentEvents.push({ id, payload });
+    if (recentEvents.length > LIVE_EVENTS.BUFFER_SIZE) {
+      recentEvents.shift();
+    }
+
+    for (const client of clients) {
+      client.write(payload);
+    }
+
+    return id;
+  }
+
+  /**
+   * Reveal a completed draw tier by tier, then push the full result
+   * Runs in the background after the draw is saved; reveals never overlap.
+   * @param {Object} draw - Formatted draw (DrawService.formatDraw)
+   * @returns {Promise<void>} Resolves when the final result has been pushed
+   */
+  static revealDraw(draw) {
+    const interval = this.getRevealInterval();
+    const tiers = [...draw.prizeTable.tiers].sort((a, b) => b.rank - a.rank);
+
+    revealQueue = revealQueue.then(async () => {
+      this.publish('draw.started', {
+        drawId: draw.id,
+        round: draw.round,
+        roundId: draw.roundId,
+        source: draw.source,
+        prizeTable: draw.prizeTable.name,
+        tierCount: tiers.length,
+        revealIntervalMs: interval
+      });
+
+      for (const tier of tiers) {
+        await wait(interval);
+        const items = draw.prizes.filter(prize => prize.tier === tier.rank);
+
+        this.publish('draw.tier', {
+          drawId: draw.id,
+          rank: tier.rank,
+          key: tier.key,
+          name: tier.name,
+          amount: tier.amount,
+          payout: tier.payout || 'fixed',
+          numbers: items.map(item => item.ticketId),
+          shares: items
+            .filter(item => item.amountPerWinner !== undefined)
+            .map(item => ({ number: item.ticketId, winnerCount: item.winnerCount, amountPerWinner: item.amountPerWinner }))
+        });
+      }
+
+      await wait(interval);
+      this.publish('draw.result', { drawResult: draw });
+    }).catch(error => {
+      console.error('❌ Live draw reveal failed:', error);
+    });
+
+    return revealQueue;
+  }
+
+  /**
+   * Announce once per round that sales close soon
+   * @param {Object} round - Round row { round_id, name }
+   * @param {Date} closeAt - When sales close
+   * @param {Date} [now] - Current time
+   * @returns {boolean} True if the event was sent
+   */
+  static announceClosingSoon(round, closeAt, now = new Date()) {
+    const minutesLeft = (closeAt - now) / 60000;
+
+    if (announcedClosing.has(round.round_id) || minutesLeft <= 0 || minutesLeft > this.getClosingSoonMinutes()) {
+      return false;
+    }
+
+    announcedClosing.add(round.round_id);
+    this.publish('sales.closing_soon', {
+      roundId: round.round_id,
+      name: round.name,
+      closeAt,
+      minutesLeft: Math.ceil(minutesLeft)
+    });
+    return true;
+  }
+
+  /**
+   * Milliseconds between tier reveals (DRAW_REVEAL_INTERVAL_MS env overrides the default)
+   * @returns {number} Milliseconds
+   */
+  static getRevealInterval() {
+    const ms = parseInt(process.env.DRAW_REVEAL_INTERVAL_MS);
+    return Number.isInteger(ms) && ms >= 0 ? ms : LIVE_EVENTS.REVEAL_INTERVAL_MS;
+  }
+
+  /**
+   * Minutes before the sales cutoff to announce closing (SALES_CLOSING_SOON_MINUTES env overrides the default)
+   * @returns {number} Minutes
+   */
+  static getClosingSoonMinutes() {
+    const minutes = parseInt(process.env.SALES_CLOSING_SOON_MINUTES);
+    return Number.isInteger(minutes) && minutes > 0 ? minutes : LIVE_EVENTS.CLOSING_SOON_MINUTES;
+  }
+
+  /**
+   * Number of connected clients
+   * @returns {number} Clients
+   */
+  static getClientCount() {
+    return clients.size;
+  }
+
+  /**
+   * Keep idle connections open through proxies with a comment line
+   */
+  static startHeartbeat() {
+    if (heartbeat) {
+      return;
+    }
+    heartbeat = setInterval(() => {
+      for (const client of clients) {
+        client.write(': ping\n\n');
+      }
+    }, LIVE_EVENTS.HEARTBEAT_MS);
+    heartbeat.unref();
+  }
+
+  /**
+   * Stop the heartbeat when nobody is listening
+   */
+  static stopHeartbeat() {
+    if (heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  }
+}
+
+/**
+ * Promise that resolves after a delay
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = LiveEventService;
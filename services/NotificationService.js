@@ -0,0 +1,143 @@
+const { getConnection } = require('../config/database');
+
+/**
+ * Notification service - การแจ้งเตือนในแอปของสมาชิก
+ *
+ * บริการอื่นสร้างการแจ้งเตือนภายใน transaction ของตัวเองผ่าน notify()
+ * จึงไม่มีการแจ้งเตือนค้างถ้า transaction ถูก rollback
+ */
+class NotificationService {
+  /**
+   * Create a notification inside the caller's transaction
+   * @param {Object} connection - Database connection
+   * @param {Object} notification - Notification data
+   * @param {number} notification.userId - Recipient
+   * @param {string} notification.type - NOTIFICATION_TYPE value
+   * @param {string} notification.title - Short title
+   * @param {string} notification.message - Message text
+   * @param {Object} [notification.data] - Extra data for the app (IDs, numbers)
+   * @returns {Promise<number>} Notification ID
+   */
+  static async notify(connection, { userId, type, title, message, data }) {
+    const [result] = await connection.execute(
+      'INSERT INTO Notification (user_id, type, title, message, data) VALUES (?, ?, ?, ?, ?)',
+      [userId, type, title, message, data ? JSON.stringify(data) : null]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {number} userId - User ID
+   * @param {Object} [options] - { unreadOnly, page, limit }
+   * @returns {Promise<Object>} Paginated notifications with the unread count
+   */
+  static async listNotifications(userId, { unreadOnly = false, page = 1, limit = 20 } = {}) {
+    const safePage = Math.max(1, parseInt(page) || 1);
+    const safeLimit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const offset = (safePage - 1) * safeLimit;
+    const where = unreadOnly ? 'user_id = ? AND read_at IS NULL' : 'user_id = ?';
+
+    const connection = await getConnection();
+    try {
+      const [countResult] = await connection.execute(
+        `SELECT COUNT(*) AS total, SUM(read_at IS NULL) AS unread FROM Notification WHERE ${where}`,
+        [userId]
+      );
+
+      // LIMIT/OFFSET are validated integers, inlined to avoid prepared statement issues
+      const [rows] = await connection.execute(
+        `SELECT * FROM Notification
+         WHERE ${where}
+         ORDER BY notification_id DESC
+         LIMIT ${safeLimit} OFFSET ${offset}`,
+        [userId]
+      );
+
+      return {
+        notifications: rows.map(row => this.formatNotification(row)),
+        unread: Number(countResult[0].unread) || 0,
+        pagination: {
+          page: safePage,
+          limit: safeLimit,
+          total: countResult[0].total,
+          totalPages: Math.ceil(countResult[0].total / safeLimit)
+        }
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Mark one notification as read
+   * @param {number} userId - Owner
+   * @param {number} notificationId - Notification ID
+   * @returns {Promise<Object>} Updated notification
+   */
+  static async markRead(userId, notificationId) {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        'SELECT * FROM Notification WHERE notification_id = ? AND user_id = ?',
+        [notificationId, userId]
+      );
+
+      if (rows.length === 0) {
+        const error = new Error('ไม่พบการแจ้งเตือน');
+        error.code = 'NOTIFICATION_NOT_FOUND';
+        throw error;
+      }
+
+      if (!rows[0].read_at) {
+        await connection.execute(
+          'UPDATE Notification SET read_at = NOW() WHERE notification_id = ?',
+          [notificationId]
+        );
+        rows[0].read_at = new Date();
+      }
+
+      return this.formatNotification(rows[0]);
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Mark every unread notification of a user as read
+   * @param {number} userId - Owner
+   * @returns {Promise<number>} Notifications marked
+   */
+  static async markAllRead(userId) {
+    const connection = await getConnection();
+    try {
+      const [result] = await connection.execute(
+        'UPDATE Notification SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
+        [userId]
+      );
+      return result.affectedRows;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Format a Notification row
+   * @param {Object} row - Notification row
+   * @returns {Object} Notification
+   */
+  static formatNotification(row) {
+    return {
+      id: row.notification_id,
+      type: row.type,
+      title: row.title,
+      message: row.message,
+      data: typeof row.data === 'string' ? JSON.parse(row.data) : row.data,
+      read: row.read_at !== null,
+      readAt: row.read_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = NotificationService;
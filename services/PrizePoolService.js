@@ -0,0 +1,537 @@
+const { getConnection } = require('../config/database');
+const { DEFAULTS, PRIZE_POOL_ENTRY_TYPE, ROLLOVER_TARGET } = require('../constants');
+
+const NAME_PATTERN = /^[a-z0-9_]{1,50}$/;
+const TIER_KEY_PATTERN = /^[a-z0-9_]{1,30}$/;
+const NEXT_ROUND_PREFIX = 'rollover_';
+
+/**
+ * Prize pool service - เงินรางวัลที่ไม่มีผู้ถูกสะสมไว้ในกองรางวัล (PrizePool)
+ *
+ * ทุกการเปลี่ยนแปลงยอดบันทึกเป็นรายการใน PrizePoolEntry พร้อมยอดคงเหลือหลังทำรายการ
+ * กองรางวัลแต่ละกองจ่ายเข้ารางวัลเดียว (payout_tier) โดยแบ่งเท่ากันให้ผู้ถูกรางวัลนั้นของงวดถัดไป
+ * กฎการสะสม (RolloverRule) กำหนดต่อ tier key ว่าเงินที่ไม่มีผู้ถูกไปที่ไหน
+ * - next_round: กอง rollover_<tier key> ที่จ่ายเข้ารางวัลเดิม (สร้างอัตโนมัติ)
+ * - jackpot: กองรางวัลสะสมที่ admin สร้างไว้ (จ่ายเข้ารางวัลใดก็ได้)
+ * - none: ไม่สะสม
+ */
+class PrizePoolService {
+  /**
+   * List prize pools with the rollover rules
+   * @returns {Promise<Object>} { pools, rules, defaultTarget, totalBalance }
+   */
+  static async listPools() {
+    const connection = await getConnection();
+    try {
+      const [pools] = await connection.execute('SELECT * FROM PrizePool ORDER BY name ASC');
+      const rules = await this.listRules(connection);
+
+      return {
+        pools: pools.map(pool => this.formatPool(pool)),
+        rules,
+        defaultTarget: DEFAULTS.ROLLOVER_TARGET,
+        totalBalance: pools.reduce((sum, pool) => sum + parseFloat(pool.balance), 0)
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Prize pool balances for the admin dashboards
+   * @returns {Promise<Object>} { totalBalance, pools }
+   */
+  static async getSummary() {
+    const connection = await getConnection();
+    try {
+      const [pools] = await connection.execute(
+        'SELECT pool_id, name, payout_tier, balance FROM PrizePool ORDER BY balance DESC, name ASC'
+      );
+
+      return {
+        totalBalance: pools.reduce((sum, pool) => sum + parseFloat(pool.balance), 0),
+        pools: pools.map(pool => ({
+          id: pool.pool_id,
+          name: pool.name,
+          payoutTier: pool.payout_tier,
+          balance: parseFloat(pool.balance)
+        }))
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Create a named jackpot
+   * @param {Object} data - Pool data
+   * @param {string} data.name - Unique name (a-z, 0-9, _)
+   * @param {string} data.payoutTier - Tier key the balance is paid into
+   * @param {string} [data.description] - Description
+   * @param {number} data.createdBy - Admin user ID
+   * @returns {Promise<Object>} Created pool
+   */
+  static async createPool({ name, payoutTier, description, createdBy }) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name) || name.startsWith(NEXT_ROUND_PREFIX)) {
+      const error = new Error(`ชื่อกองรางวัลต้องเป็น a-z, 0-9 หรือ _ ไม่เกิน 50 ตัว และห้ามขึ้นต้นด้วย ${NEXT_ROUND_PREFIX}`);
+      error.code = 'INVALID_PRIZE_POOL';
+      throw error;
+    }
+
+    this.assertTierKey(payoutTier, 'INVALID_PRIZE_POOL');
+
+    const connection = await getConnection();
+    try {
+      const [existing] = await connection.execute('SELECT pool_id FROM PrizePool WHERE name = ?', [name]);
+
+      if (existing.length > 0) {
+        const error = new Error(`มีกองรางวัลชื่อ "${name}" อยู่แล้ว`);
+        error.code = 'PRIZE_POOL_EXISTS';
+        throw error;
+      }
+
+      const [result] = await connection.execute(
+        'INSERT INTO PrizePool (name, payout_tier, description, created_by) VALUES (?, ?, ?, ?)',
+        [name, payoutTier, description || null, createdBy || null]
+      );
+
+      return this.formatPool(await this.findPool(connection, result.insertId));
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Top up or withdraw from a pool by hand
+   * @param {number} poolId - Pool ID
+   * @param {Object} data - { amount, reason, createdBy }
+   * @returns {Promise<Object>} { pool, entry }
+   */
+  static async adjustPool(poolId, { amount, reason, createdBy }) {
+    if (typeof amount !== 'number' || !isFinite(amount) || amount === 0 || Math.round(amount * 100) !== amount * 100) {
+      const error = new Error('จำนวนเงินต้องเป็นตัวเลขที่ไม่ใช่ 0 และมีทศนิยมไม่เกิน 2 ตำแหน่ง');
+      error.code = 'INVALID_PRIZE_POOL';
+      throw error;
+    }
+
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const pool = await this.findPool(connection, poolId, { forUpdate: true });
+
+      if (!pool) {
+        const error = new Error(`ไม่พบกองรางวัล ${poolId}`);
+        error.code = 'PRIZE_POOL_NOT_FOUND';
+        throw error;
+      }
+
+      if (parseFloat(pool.balance) + amount < 0) {
+        const error = new Error(`ยอดสะสมของ "${pool.name}" มีเพียง ${parseFloat(pool.balance)} บาท`);
+        error.code = 'INSUFFICIENT_POOL_BALANCE';
+        throw error;
+      }
+
+      const { entryId } = await this.recordEntry(connection, {
+        poolId,
+        amount,
+        type: PRIZE_POOL_ENTRY_TYPE.ADJUSTMENT,
+        description: reason,
+        createdBy
+      });
+
+      await connection.commit();
+
+      const [entries] = await connection.execute('SELECT * FROM PrizePoolEntry WHERE entry_id = ?', [entryId]);
+
+      return {
+        pool: this.formatPool(await this.findPool(connection, poolId)),
+        entry: this.formatEntry(entries[0])
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * List a pool's ledger entries, newest first
+   * @param {number} poolId - Pool ID
+   * @param {Object} [options] - { page, limit }
+   * @returns {Promise<Object>} Pool and paginated entries
+   */
+  static async getEntries(poolId, { page = 1, limit = 20 } = {}) {
+    const safePage = Math.max(1, parseInt(page) || 1);
+    const safeLimit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const offset = (safePage - 1) * safeLimit;
+
+    const connection = await getConnection();
+    try {
+      const pool = await this.findPool(connection, poolId);
+
+      if (!pool) {
+        const error = new Error(`ไม่พบกองรางวัล ${poolId}`);
+        error.code = 'PRIZE_POOL_NOT_FOUND';
+        throw error;
+      }
+
+      const [countResult] = await connection.execute(
+        'SELECT COUNT(*) AS total FROM PrizePoolEntry WHERE pool_id = ?',
+        [poolId]
+      );
+
+      // LIMIT/OFFSET are validated integers, inlined to avoid prepared statement issues
+      const [rows] = await connection.execute(
+        `SELECT * FROM PrizePoolEntry
+         WHERE pool_id = ?
+         ORDER BY entry_id DESC
+         LIMIT ${safeLimit} OFFSET ${offset}`,
+        [poolId]
+      );
+
+      return {
+        pool: this.formatPool(pool),
+        entries: rows.map(row => this.formatEntry(row)),
+        pagination: {
+          page: safePage,
+          limit: safeLimit,
+          total: countResult[0].total,
+          totalPages: Math.ceil(countResult[0].total / safeLimit)
+        }
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * List rollover rules
+   * @param {Object} connection - Database connection
+   * @returns {Promise<Array>} Rules
+   */
+  static async listRules(connection) {
+    const [rules] = await connection.execute(
+      `SELECT r.*, p.name AS pool_name
+       FROM RolloverRule r
+       LEFT JOIN PrizePool p ON p.pool_id = r.pool_id
+       ORDER BY r.tier_key ASC`
+    );
+    return rules.map(rule => this.formatRule(rule));
+  }
+
+  /**
+   * Set where the unwon amount of a tier goes
+   * @param {string} tierKey - Tier key (applies to every prize table using it)
+   * @param {Object} data - { target, poolId, updatedBy }
+   * @returns {Promise<Object>} Rule
+   */
+  static async setRule(tierKey, { target, poolId, updatedBy }) {
+    this.assertTierKey(tierKey, 'INVALID_ROLLOVER_RULE');
+
+    if (!Object.values(ROLLOVER_TARGET).includes(target)) {
+      const error = new Error(`target ต้องเป็น ${Object.values(ROLLOVER_TARGET).join(', ')}`);
+      error.code = 'INVALID_ROLLOVER_RULE';
+      throw error;
+    }
+
+    const connection = await getConnection();
+    try {
+      if (target === ROLLOVER_TARGET.JACKPOT) {
+        const pool = Number.isInteger(poolId) ? await this.findPool(connection, poolId) : null;
+
+        if (!pool) {
+          const error = new Error('กรุณาระบุ poolId ของกองรางวัลสะสมที่มีอยู่');
+          error.code = 'PRIZE_POOL_NOT_FOUND';
+          throw error;
+        }
+      }
+
+      await connection.execute(
+        `INSERT INTO RolloverRule (tier_key, target, pool_id, updated_by)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE target = VALUES(target), pool_id = VALUES(pool_id), updated_by = VALUES(updated_by)`,
+        [tierKey, target, target === ROLLOVER_TARGET.JACKPOT ? poolId : null, updatedBy || null]
+      );
+
+      const rules = await this.listRules(connection);
+      return rules.find(rule => rule.tierKey === tierKey);
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Remove a tier's rule so the default target applies again
+   * @param {string} tierKey - Tier key
+   * @returns {Promise<boolean>} True if removed
+   */
+  static async removeRule(tierKey) {
+    const connection = await getConnection();
+    try {
+      const [result] = await connection.execute('DELETE FROM RolloverRule WHERE tier_key = ?', [tierKey]);
+
+      if (result.affectedRows === 0) {
+        const error = new Error(`ไม่พบกฎการสะสมของรางวัล "${tierKey}"`);
+        error.code = 'ROLLOVER_RULE_NOT_FOUND';
+        throw error;
+      }
+
+      return true;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Pools with a positive balance that pay into the given tiers
+   * @param {Object} connection - Database connection (inside a transaction when locking)
+   * @param {Array<Object>} tiers - Prize tiers of the draw
+   * @param {Object} [options] - { forUpdate }
+   * @returns {Promise<Object>} Pools keyed by tier key
+   */
+  static async loadCarry(connection, tiers, { forUpdate = false } = {}) {
+    const carry = {};
+    const keys = tiers.map(tier => tier.key).filter(Boolean);
+
+    if (keys.length === 0) {
+      return carry;
+    }
+
+    const [pools] = await connection.execute(
+      `SELECT * FROM PrizePool
+       WHERE balance > 0 AND payout_tier IN (${keys.map(() => '?').join(', ')})
+       ORDER BY pool_id ASC
+       ${forUpdate ? 'FOR UPDATE' : ''}`,
+      keys
+    );
+
+    for (const pool of pools) {
+      (carry[pool.payout_tier] = carry[pool.payout_tier] || []).push(pool);
+    }
+
+    return carry;
+  }
+
+  /**
+   * Share pool balances equally between a tier's winners (rounded down to the satang)
+   * @param {Array<Object>} pools - Pools paying into the tier
+   * @param {number} winnerCount - Number of winning tickets in the tier
+   * @returns {Array<Object>} [{ pool, share, total }] - share per winner, total leaving the pool
+   */
+  static splitCarry(pools, winnerCount) {
+    if (!pools || winnerCount === 0) {
+      return [];
+    }
+
+    return pools
+      .map(pool => {
+        const share = Math.floor(Math.round(parseFloat(pool.balance) * 100) / winnerCount) / 100;
+        return { pool, share, total: Math.round(share * winnerCount * 100) / 100 };
+      })
+      .filter(split => split.share > 0);
+  }
+
+  /**
+   * Pool that receives the unwon amount of a tier, following its rule
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Object} tier - Prize tier
+   * @param {number} [createdBy] - Admin who ran the draw
+   * @returns {Promise<Object|null>} Locked pool row, or null when the tier does not roll over
+   */
+  static async findRolloverPool(connection, tier, createdBy) {
+    if (!tier.key) {
+      return null;
+    }
+
+    const [rules] = await connection.execute(
+      'SELECT target, pool_id FROM RolloverRule WHERE tier_key = ?',
+      [tier.key]
+    );
+    // รางวัลเลขตรงที่สุ่มจากทุกเลข (drawFrom = full) แทบทุกงวดไม่มีผู้ถูก ไม่สะสมเว้นแต่ admin ตั้งกฎไว้
+    const defaultTarget = tier.drawFrom === 'full' ? ROLLOVER_TARGET.NONE : DEFAULTS.ROLLOVER_TARGET;
+    const target = rules.length > 0 ? rules[0].target : defaultTarget;
+
+    if (target === ROLLOVER_TARGET.JACKPOT) {
+      return this.findPool(connection, rules[0].pool_id, { forUpdate: true });
+    }
+
+    if (target !== ROLLOVER_TARGET.NEXT_ROUND) {
+      return null;
+    }
+
+    const name = `${NEXT_ROUND_PREFIX}${tier.key}`;
+    await connection.execute(
+      'INSERT IGNORE INTO PrizePool (name, payout_tier, description, created_by) VALUES (?, ?, ?, ?)',
+      [name, tier.key, `เงินสะสม${tier.name}`, createdBy || null]
+    );
+
+    const [pools] = await connection.execute('SELECT * FROM PrizePool WHERE name = ? FOR UPDATE', [name]);
+    return pools[0];
+  }
+
+  /**
+   * Change a pool balance and record the ledger entry, using the caller's transaction
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Object} entry - Ledger entry
+   * @param {number} entry.poolId - Pool
+   * @param {number} entry.amount - Positive into the pool, negative out of it
+   * @param {string} entry.type - One of PRIZE_POOL_ENTRY_TYPE
+   * @param {number} [entry.drawId] - Draw that caused the entry
+   * @param {string} [entry.tierKey] - Tier the money came from or went to
+   * @param {string} [entry.description] - Human readable note
+   * @param {number} [entry.createdBy] - Admin who caused the entry
+   * @returns {Promise<Object>} { entryId, balanceAfter }
+   */
+  static async recordEntry(connection, { poolId, amount, type, drawId, tierKey, description, createdBy }) {
+    const [pools] = await connection.execute(
+      'SELECT balance FROM PrizePool WHERE pool_id = ? FOR UPDATE',
+      [poolId]
+    );
+
+    const balanceAfter = Math.round((parseFloat(pools[0].balance) + amount) * 100) / 100;
+
+    await connection.execute(
+      'UPDATE PrizePool SET balance = ? WHERE pool_id = ?',
+      [balanceAfter, poolId]
+    );
+
+    const [result] = await connection.execute(
+      `INSERT INTO PrizePoolEntry (pool_id, amount, balance_after, type, draw_id, tier_key, description, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [poolId, amount, balanceAfter, type, drawId || null, tierKey || null, description || null, createdBy || null]
+    );
+
+    return { entryId: result.insertId, balanceAfter };
+  }
+
+  /**
+   * Reverse every rollover and payout a draw made (used when the draw is voided)
+   * A pool can go below zero if its rollover was already paid out; later rollovers refill it.
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {number} drawId - Voided draw
+   * @param {number} [createdBy] - Admin who voided the draw
+   * @returns {Promise<Array>} [{ poolId, amount, balanceAfter }]
+   */
+  static async reverseDrawEntries(connection, drawId, createdBy) {
+    const [entries] = await connection.execute(
+      'SELECT pool_id, amount, tier_key FROM PrizePoolEntry WHERE draw_id = ? AND type IN (?, ?) ORDER BY entry_id ASC',
+      [drawId, PRIZE_POOL_ENTRY_TYPE.ROLLOVER, PRIZE_POOL_ENTRY_TYPE.PAYOUT]
+    );
+
+    const reversals = [];
+    for (const entry of entries) {
+      const amount = -parseFloat(entry.amount);
+      const { balanceAfter } = await this.recordEntry(connection, {
+        poolId: entry.pool_id,
+        amount,
+        type: PRIZE_POOL_ENTRY_TYPE.VOID_REVERSAL,
+        drawId,
+        tierKey: entry.tier_key,
+        description: `ยกเลิกผลการออกรางวัล ${drawId}`,
+        createdBy
+      });
+      reversals.push({ poolId: entry.pool_id, amount, balanceAfter });
+    }
+
+    return reversals;
+  }
+
+  /**
+   * Drop the entries made by draws and recompute balances (used when all draws are cleared)
+   * @param {Object} connection - Database connection
+   * @returns {Promise<void>}
+   */
+  static async clearDrawEntries(connection) {
+    await connection.execute('DELETE FROM PrizePoolEntry WHERE draw_id IS NOT NULL');
+    await connection.execute(
+      'UPDATE PrizePool p SET balance = COALESCE((SELECT SUM(e.amount) FROM PrizePoolEntry e WHERE e.pool_id = p.pool_id), 0)'
+    );
+  }
+
+  /**
+   * Find a pool by ID
+   * @param {Object} connection - Database connection
+   * @param {number} poolId - Pool ID
+   * @param {Object} [options] - { forUpdate }
+   * @returns {Promise<Object|null>} Pool row or null
+   */
+  static async findPool(connection, poolId, { forUpdate = false } = {}) {
+    const [pools] = await connection.execute(
+      `SELECT * FROM PrizePool WHERE pool_id = ? ${forUpdate ? 'FOR UPDATE' : ''}`,
+      [poolId]
+    );
+    return pools.length > 0 ? pools[0] : null;
+  }
+
+  /**
+   * Validate a tier key
+   * @param {*} tierKey - Value to check
+   * @param {string} code - Error code to throw
+   */
+  static assertTierKey(tierKey, code) {
+    if (typeof tierKey !== 'string' || !TIER_KEY_PATTERN.test(tierKey)) {
+      const error = new Error('tier key ต้องเป็นตัวอักษร a-z, 0-9 หรือ _ ไม่เกิน 30 ตัว');
+      error.code = code;
+      throw error;
+    }
+  }
+
+  /**
+   * Format a PrizePool row
+   * @param {Object} row - PrizePool row
+   * @returns {Object} Pool
+   */
+  static formatPool(row) {
+    return {
+      id: row.pool_id,
+      name: row.name,
+      payoutTier: row.payout_tier,
+      balance: parseFloat(row.balance),
+      description: row.description,
+      nextRound: row.name.startsWith(NEXT_ROUND_PREFIX),
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Format a PrizePoolEntry row
+   * @param {Object} row - PrizePoolEntry row
+   * @returns {Object} Entry
+   */
+  static formatEntry(row) {
+    return {
+      id: row.entry_id,
+      poolId: row.pool_id,
+      amount: parseFloat(row.amount),
+      balanceAfter: parseFloat(row.balance_after),
+      type: row.type,
+      drawId: row.draw_id,
+      tierKey: row.tier_key,
+      description: row.description,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Format a RolloverRule row
+   * @param {Object} row - RolloverRule row joined with the pool name
+   * @returns {Object} Rule
+   */
+  static formatRule(row) {
+    return {
+      tierKey: row.tier_key,
+      target: row.target,
+      poolId: row.pool_id,
+      poolName: row.pool_name || null,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = PrizePoolService;
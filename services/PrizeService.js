@@ -1,5 +1,7 @@
 const { getConnection } = require('../config/database');
 const { databaseErrorHandler } = require('../utils/databaseErrorHandler');
+const WalletService = require('./WalletService');
+const { WALLET_TRANSACTION_TYPE } = require('../constants');
 
 /**
  * Prize service - ใช้เฉพาะ table ที่มีใน database_me
@@ -12,6 +14,7 @@ class PrizeService {
   static async clearAllPrizes() {
     const connection = await getConnection();
     try {
+      await connection.execute('DELETE FROM TicketPrize');
       const [result] = await connection.execute('DELETE FROM Prize');
       await connection.execute('ALTER TABLE Prize AUTO_INCREMENT = 1');
       return result.affectedRows;
@@ -43,14 +46,14 @@ class PrizeService {
   }
 
   /**
-   * Get latest prizes
+   * Get prizes of the latest draw
    * @returns {Promise<Array>} Array of prizes
    */
   static async getLatestPrizes() {
     const connection = await getConnection();
     try {
       const [prizes] = await connection.execute(
-        'SELECT prize_id, amount, `rank` FROM Prize WHERE `rank` > 0 ORDER BY prize_id DESC LIMIT 5'
+        'SELECT prize_id, draw_id, amount, `rank` FROM Prize WHERE `rank` > 0 AND draw_id = (SELECT MAX(draw_id) FROM DrawResult WHERE status = "completed") ORDER BY prize_id DESC'
       );
       return prizes;
     } finally {
@@ -59,14 +62,14 @@ class PrizeService {
   }
 
   /**
-   * Get prizes by rank
+   * Get prizes of the latest draw by rank
    * @returns {Promise<Array>} Array of prizes ordered by rank
    */
   static async getPrizesByRank() {
     const connection = await getConnection();
     try {
       const [prizes] = await connection.execute(
-        'SELECT prize_id, amount, `rank` FROM Prize WHERE `rank` > 0 ORDER BY `rank` ASC'
+        'SELECT prize_id, draw_id, amount, `rank` FROM Prize WHERE `rank` > 0 AND draw_id = (SELECT MAX(draw_id) FROM DrawResult WHERE status = "completed") ORDER BY `rank` ASC'
       );
       return prizes;
     } finally {
@@ -75,96 +78,185 @@ class PrizeService {
   }
 
   /**
-   * Claim prize - ใช้ prize_id foreign key
+   * Claim prize - pays every unclaimed TicketPrize of the ticket, on every copy of its number the user owns in that round (ลอตเตอรี่ชุด)
    * @param {number} userId - User ID
-   * @param {string} ticketNumber - Ticket number
-   * @returns {Promise<Object>} Claim result
+   * @param {Object} target - { ticketId } (the same number exists in several rounds and sets),
+   *   or { ticketNumber } for older clients: the user's ticket of that number in the latest drawn round
+   * @returns {Promise<Object>} Claim result with the total and each prize paid
    */
-  static async claimPrize(userId, ticketNumber) {
+  static async claimPrize(userId, { ticketId, ticketNumber }) {
     const connection = await getConnection();
     try {
-      // Check if the ticket is a winner using JOIN
-      const [winningTickets] = await connection.execute(`
-        SELECT t.ticket_id, t.status, p.prize_id, p.amount, p.rank, pur.user_id
-        FROM Ticket t 
-        JOIN Prize p ON t.prize_id = p.prize_id
-        JOIN Purchase pur ON t.purchase_id = pur.purchase_id
-        WHERE t.number = ? AND t.status = "sold"
-      `, [ticketNumber]);
+      await connection.beginTransaction();
 
-      if (winningTickets.length === 0) {
-        throw new Error(`Ticket ${ticketNumber} is not a winner or not found`);
+      if (ticketId === undefined) {
+        ticketId = await this.findDrawnTicketId(connection, userId, ticketNumber);
       }
 
-      const winningTicket = winningTickets[0];
-      
-      // Check if the user owns this ticket
-      if (winningTicket.user_id !== userId) {
-        throw new Error(`User does not own ticket ${ticketNumber}`);
+      // The current owner is Ticket.created_by, which changes when a ticket is transferred
+      const [tickets] = await connection.execute(
+        'SELECT ticket_id, number, round_id, created_by FROM Ticket WHERE ticket_id = ? FOR UPDATE',
+        [ticketId]
+      );
+
+      if (tickets.length === 0) {
+        const error = new Error(`ไม่พบลอตเตอรี่ ${ticketId}`);
+        error.code = 'TICKET_NOT_FOUND';
+        throw error;
+      }
+
+      const ticket = tickets[0];
+      if (ticket.created_by !== userId) {
+        const error = new Error('คุณไม่ใช่เจ้าของลอตเตอรี่นี้');
+        error.code = 'NOT_TICKET_OWNER';
+        throw error;
+      }
+
+      // Every copy of the number the user owns in the same round is paid together, the requested copy first
+      const [prizes] = await connection.execute(`
+        SELECT t.ticket_id, t.set_no, t.round_id, tp.ticket_prize_id, tp.prize_id, tp.draw_id, tp.amount, p.rank, dr.round_number
+        FROM TicketPrize tp
+        JOIN Ticket t ON t.ticket_id = tp.ticket_id
+        JOIN Prize p ON p.prize_id = tp.prize_id
+        LEFT JOIN DrawResult dr ON dr.draw_id = tp.draw_id
+        WHERE t.number = ? AND t.round_id <=> ? AND t.created_by = ? AND t.status = "sold" AND tp.status = "unclaimed"
+        ORDER BY t.ticket_id = ? DESC, t.ticket_id ASC, p.rank ASC
+        FOR UPDATE
+      `, [ticket.number, ticket.round_id, userId, ticketId]);
+
+      if (prizes.length === 0) {
+        const error = new Error(`ลอตเตอรี่หมายเลข ${ticket.number} ไม่ถูกรางวัลหรือขึ้นเงินแล้ว`);
+        error.code = 'NOT_WINNER';
+        throw error;
       }
 
+      const winningTicket = prizes[0];
+      const ticketIds = [...new Set(prizes.map(prize => prize.ticket_id))];
+
       // Update ticket status to claimed
       await connection.execute(
-        'UPDATE Ticket SET status = "claimed" WHERE ticket_id = ?',
-        [winningTicket.ticket_id]
+        `UPDATE Ticket SET status = "claimed" WHERE ticket_id IN (${ticketIds.map(() => '?').join(',')})`,
+        ticketIds
       );
 
-      // Get user's current wallet balance
-      const [users] = await connection.execute(
-        'SELECT wallet FROM User WHERE user_id = ?',
-        [userId]
-      );
-      
-      const currentUser = users[0];
-      const prizeAmount = parseFloat(winningTicket.amount);
-      const currentWallet = parseFloat(currentUser.wallet);
-      const newWallet = currentWallet + prizeAmount;
+      // Credit each prize through the ledger so every claim can be traced (and reversed if the draw is voided)
+      let balanceBefore = null;
+      let balanceAfter = null;
+      let prizeAmount = 0;
+
+      for (const prize of prizes) {
+        const amount = parseFloat(prize.amount);
+        const entry = await WalletService.recordTransaction(connection, {
+          userId,
+          amount,
+          type: WALLET_TRANSACTION_TYPE.PRIZE_CLAIM,
+          drawId: prize.draw_id,
+          ticketId: prize.ticket_id,
+          description: `ขึ้นเงินรางวัลที่ ${prize.rank}${prize.round_number ? ` งวดที่ ${prize.round_number}` : ''}${ticketIds.length > 1 ? ` (ชุดที่ ${prize.set_no})` : ''}`
+        });
+
+        if (balanceBefore === null) {
+          balanceBefore = entry.balanceBefore;
+        }
+        balanceAfter = entry.balanceAfter;
+
+        await connection.execute(
+          'UPDATE TicketPrize SET status = "claimed", claimed_by = ?, claimed_at = NOW() WHERE ticket_prize_id = ?',
+          [userId, prize.ticket_prize_id]
+        );
+
+        prizeAmount += amount;
+      }
 
       console.log(`🎉 CLAIM PRIZE DEBUG:`);
-      console.log(`   - Ticket: ${ticketNumber}`);
-      console.log(`   - Prize Rank: ${winningTicket.rank}`);
+      console.log(`   - Ticket: ${ticket.number} (${ticketIds.length} copies)`);
+      console.log(`   - Prize Ranks: ${prizes.map(prize => prize.rank).join(', ')}`);
       console.log(`   - Prize Amount: ${prizeAmount} บาท`);
-      console.log(`   - Current Wallet: ${currentWallet} บาท`);
-      console.log(`   - New Wallet: ${newWallet} บาท`);
+      console.log(`   - Current Wallet: ${balanceBefore} บาท`);
+      console.log(`   - New Wallet: ${balanceAfter} บาท`);
 
-      // Update user's wallet
-      await connection.execute(
-        'UPDATE User SET wallet = ? WHERE user_id = ?',
-        [newWallet, userId]
-      );
+      await connection.commit();
 
       return {
         prizeAmount: prizeAmount,
         prizeRank: winningTicket.rank,
-        newWallet: newWallet,
-        ticketNumber: ticketNumber,
-        drawId: Date.now()
+        prizes: prizes.map(prize => ({
+          prizeId: prize.prize_id,
+          ticketId: prize.ticket_id,
+          setNo: prize.set_no,
+          rank: prize.rank,
+          amount: parseFloat(prize.amount)
+        })),
+        newWallet: balanceAfter,
+        ticketId: ticket.ticket_id,
+        ticketNumber: ticket.number,
+        copies: ticketIds.length,
+        drawId: winningTicket.draw_id
       };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
     } finally {
       await connection.end();
     }
   }
   
   /**
-   * Check if a ticket is a winner using JOIN
+   * The user's ticket of a number in the latest round that has been drawn
+   * @param {Object} connection - Database connection
+   * @param {number} userId - User ID
+   * @param {string} ticketNumber - Ticket number
+   * @returns {Promise<number>} Ticket ID
+   */
+  static async findDrawnTicketId(connection, userId, ticketNumber) {
+    const [tickets] = await connection.execute(`
+      SELECT t.ticket_id
+      FROM Ticket t
+      JOIN DrawResult dr ON dr.round_id <=> t.round_id AND dr.status = "completed"
+      WHERE t.number = ? AND t.created_by = ?
+      ORDER BY dr.draw_id DESC, t.ticket_id ASC
+      LIMIT 1
+    `, [ticketNumber, userId]);
+
+    if (tickets.length === 0) {
+      const error = new Error(`ไม่พบลอตเตอรี่หมายเลข ${ticketNumber} ของคุณในงวดที่ออกรางวัลแล้ว`);
+      error.code = 'TICKET_NOT_FOUND';
+      throw error;
+    }
+
+    return tickets[0].ticket_id;
+  }
+
+  /**
+   * Check if a ticket is a winner using the TicketPrize join
    * @param {string} ticketNumber - Ticket number to check
-   * @returns {Promise<Object|null>} Prize info if winner, null otherwise
+   * @returns {Promise<Object|null>} Best prize, total amount and all prizes if winner, null otherwise
    */
   static async checkTicketWinner(ticketNumber) {
     const connection = await getConnection();
     try {
       const [prizes] = await connection.execute(`
-        SELECT p.prize_id, p.amount, p.rank 
-        FROM Prize p 
-        JOIN Ticket t ON t.prize_id = p.prize_id 
-        WHERE t.number = ?
+        SELECT tp.ticket_id, tp.prize_id, tp.draw_id, tp.amount, tp.status, p.rank
+        FROM TicketPrize tp
+        JOIN Prize p ON p.prize_id = tp.prize_id
+        JOIN Ticket t ON t.ticket_id = tp.ticket_id
+        WHERE t.number = ? AND tp.status <> "voided"
+        ORDER BY tp.ticket_id DESC, p.rank ASC
       `, [ticketNumber]);
 
       if (prizes.length > 0) {
+        const ticketPrizes = prizes.filter(prize => prize.ticket_id === prizes[0].ticket_id);
         return {
-          prize_id: prizes[0].prize_id,
-          amount: parseFloat(prizes[0].amount),
-          rank: prizes[0].rank
+          prize_id: ticketPrizes[0].prize_id,
+          amount: ticketPrizes.reduce((sum, prize) => sum + parseFloat(prize.amount), 0),
+          rank: ticketPrizes[0].rank,
+          prizes: ticketPrizes.map(prize => ({
+            prize_id: prize.prize_id,
+            draw_id: prize.draw_id,
+            amount: parseFloat(prize.amount),
+            rank: prize.rank,
+            claimed: prize.status === 'claimed'
+          }))
         };
       }
       
@@ -175,4 +267,4 @@ class PrizeService {
   }
 }
 
-module.exports = { PrizeService };
\ No newline at end of file
+module.exports = { PrizeService };
@@ -0,0 +1,228 @@
+const { getConnection } = require('../config/database');
+const { PRIZE_TABLES, DEFAULTS } = require('../constants');
+const { PrizeStructureValidator } = require('../utils/businessLogicValidator');
+const PrizeTable = require('../utils/prizeTable');
+
+/**
+ * Prize structure service - ตารางรางวัลที่ admin กำหนดเองสำหรับงวดพิเศษ
+ * ตาราง built-in (glo, classic) อ่านได้อย่างเดียวและไม่ได้เก็บในฐานข้อมูล
+ */
+class PrizeStructureService {
+  /**
+   * List built-in and admin-defined prize structures
+   * @returns {Promise<Array>} Prize structures
+   */
+  static async listStructures() {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        'SELECT * FROM PrizeStructure ORDER BY name ASC'
+      );
+
+      const builtIn = Object.keys(PRIZE_TABLES).map(name => this.formatBuiltIn(name));
+      return [...builtIn, ...rows.map(row => this.formatStructure(row))];
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Get a prize structure by name
+   * @param {string} name - Structure name
+   * @returns {Promise<Object|null>} Prize structure or null
+   */
+  static async getStructure(name) {
+    if (PrizeTable.getBuiltInTable(name)) {
+      return this.formatBuiltIn(name);
+    }
+
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        'SELECT * FROM PrizeStructure WHERE name = ?',
+        [name]
+      );
+      return rows.length > 0 ? this.formatStructure(rows[0]) : null;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Create a prize structure
+   * @param {Object} data - Structure data
+   * @param {string} data.name - Unique name used as prizeTable when drawing
+   * @param {string} [data.description] - Description
+   * @param {Array<Object>} data.tiers - Tier definitions
+   * @param {number} data.createdBy - Admin user ID
+   * @returns {Promise<Object>} Created prize structure
+   */
+  static async createStructure({ name, description, tiers, createdBy }) {
+    PrizeStructureValidator.validateStructureName(name, Object.keys(PRIZE_TABLES));
+    PrizeStructureValidator.validateTiers(tiers, PrizeTable.MATCH_TYPES, PrizeTable.PAYOUT_MODES, PrizeTable.DRAW_FROM);
+
+    const connection = await getConnection();
+    try {
+      const [existing] = await connection.execute(
+        'SELECT structure_id FROM PrizeStructure WHERE name = ?',
+        [name]
+      );
+
+      if (existing.length > 0) {
+        const error = new Error(`มีโครงสร้างรางวัลชื่อ "${name}" อยู่แล้ว`);
+        error.code = 'PRIZE_STRUCTURE_EXISTS';
+        throw error;
+      }
+
+      await connection.execute(
+        'INSERT INTO PrizeStructure (name, description, tiers, created_by) VALUES (?, ?, ?, ?)',
+        [name, description || null, JSON.stringify(PrizeTable.normalizeTiers(tiers)), createdBy || null]
+      );
+
+      const [rows] = await connection.execute('SELECT * FROM PrizeStructure WHERE name = ?', [name]);
+      return this.formatStructure(rows[0]);
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Update the description and/or tiers of a prize structure
+   * @param {string} name - Structure name
+   * @param {Object} data - Fields to update { description, tiers }
+   * @returns {Promise<Object>} Updated prize structure
+   */
+  static async updateStructure(name, { description, tiers }) {
+    this.assertNotBuiltIn(name);
+
+    if (tiers !== undefined) {
+      PrizeStructureValidator.validateTiers(tiers, PrizeTable.MATCH_TYPES, PrizeTable.PAYOUT_MODES, PrizeTable.DRAW_FROM);
+    }
+
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute('SELECT * FROM PrizeStructure WHERE name = ?', [name]);
+
+      if (rows.length === 0) {
+        const error = new Error(`ไม่พบโครงสร้างรางวัล "${name}"`);
+        error.code = 'PRIZE_STRUCTURE_NOT_FOUND';
+        throw error;
+      }
+
+      // งวดที่ออกไปแล้วเก็บ snapshot ของตารางไว้ใน DrawResult จึงแก้ไขได้โดยไม่กระทบผลเดิม
+      await connection.execute(
+        'UPDATE PrizeStructure SET description = ?, tiers = ? WHERE name = ?',
+        [
+          description !== undefined ? description : rows[0].description,
+          tiers !== undefined ? JSON.stringify(PrizeTable.normalizeTiers(tiers)) : JSON.stringify(parseTiers(rows[0].tiers)),
+          name
+        ]
+      );
+
+      const [updated] = await connection.execute('SELECT * FROM PrizeStructure WHERE name = ?', [name]);
+      return this.formatStructure(updated[0]);
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Delete a prize structure
+   * @param {string} name - Structure name
+   * @returns {Promise<boolean>} True if deleted
+   */
+  static async deleteStructure(name) {
+    this.assertNotBuiltIn(name);
+
+    const connection = await getConnection();
+    try {
+      const [result] = await connection.execute('DELETE FROM PrizeStructure WHERE name = ?', [name]);
+
+      if (result.affectedRows === 0) {
+        const error = new Error(`ไม่พบโครงสร้างรางวัล "${name}"`);
+        error.code = 'PRIZE_STRUCTURE_NOT_FOUND';
+        throw error;
+      }
+
+      return true;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Resolve the prize table used by a draw
+   * @param {string} [name] - Built-in or admin-defined structure name
+   * @returns {Promise<Object>} { name, tiers }
+   */
+  static async resolvePrizeTable(name = DEFAULTS.PRIZE_TABLE) {
+    const structure = await this.getStructure(name);
+
+    if (!structure) {
+      const error = new Error(`ไม่พบตารางรางวัล "${name}"`);
+      error.code = 'INVALID_PRIZE_TABLE';
+      throw error;
+    }
+
+    return { name: structure.name, tiers: structure.tiers };
+  }
+
+  /**
+   * Reject changes to built-in tables
+   * @param {string} name - Structure name
+   */
+  static assertNotBuiltIn(name) {
+    if (PrizeTable.getBuiltInTable(name)) {
+      const error = new Error(`ตารางรางวัล "${name}" เป็นของระบบ ไม่สามารถแก้ไขหรือลบได้`);
+      error.code = 'PRIZE_STRUCTURE_READ_ONLY';
+      throw error;
+    }
+  }
+
+  /**
+   * Format a built-in prize table
+   * @param {string} name - Built-in table name
+   * @returns {Object} Prize structure
+   */
+  static formatBuiltIn(name) {
+    return {
+      id: null,
+      name,
+      description: null,
+      builtIn: true,
+      tiers: PrizeTable.getBuiltInTable(name).tiers,
+      createdBy: null,
+      createdAt: null,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Format a PrizeStructure row
+   * @param {Object} row - PrizeStructure row
+   * @returns {Object} Prize structure
+   */
+  static formatStructure(row) {
+    return {
+      id: row.structure_id,
+      name: row.name,
+      description: row.description,
+      builtIn: false,
+      tiers: parseTiers(row.tiers),
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+/**
+ * JSON columns come back parsed from MySQL but as strings from some drivers
+ * @param {Array|string} value - tiers column
+ * @returns {Array} Tiers
+ */
+function parseTiers(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+module.exports = PrizeStructureService;
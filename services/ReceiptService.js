@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { getConnection } = require('../config/database');
+const { JWT_SECRET } = require('../middleware/auth');
+const { RECEIPT, RECEIPT_STATUS, TICKET_STATUS } = require('../constants');
+
+/**
+ * Ticket receipt service - ใบรับรองการซื้อลอตเตอรี่แบบดิจิทัล
+ *
+ * token เป็น JWT ที่ลงนามด้วย secret แยกจาก token เข้าสู่ระบบ เก็บเลข ชุด งวด เจ้าของ และ purchase id
+ * ไม่ได้บันทึกในฐานข้อมูล ตอนตรวจจะเทียบกับสถานะปัจจุบันของตั๋ว
+ * ใบรับรองที่ออกก่อนโอน/ขายต่อจึงยังเป็นของจริง แต่แสดงว่าเปลี่ยนเจ้าของแล้ว
+ */
+class ReceiptService {
+  /**
+   * Signing secret (RECEIPT_SECRET, or derived from JWT_SECRET so it never doubles as a login token)
+   * @returns {string} Secret
+   */
+  static getSecret() {
+    return process.env.RECEIPT_SECRET ||
+      crypto.createHmac('sha256', JWT_SECRET).update('ticket-receipt').digest('hex');
+  }
+
+  /**
+   * Sign a receipt for a purchased ticket
+   * @param {Object} ticket - Receipt data
+   * @param {number} ticket.ticketId - Ticket ID
+   * @param {string} ticket.number - Ticket number
+   * @param {number} ticket.setNo - Set number
+   * @param {number|null} ticket.roundId - Round ID
+   * @param {number} ticket.ownerId - Owner user ID
+   * @param {number} ticket.purchaseId - Purchase ID
+   * @returns {Object} { ticketId, token, verifyUrl }
+   */
+  static createReceipt({ ticketId, number, setNo, roundId, ownerId, purchaseId }) {
+    // ไม่ใส่เวลา: ข้อมูลเดิมได้ token เดิม ขอใบรับรองซ้ำกี่ครั้งก็ได้ QR เดียวกัน
+    const token = jwt.sign(
+      { tid: ticketId, n: number, s: setNo || 1, r: roundId || null, o: ownerId, p: purchaseId },
+      this.getSecret(),
+      { issuer: RECEIPT.ISSUER, noTimestamp: true }
+    );
+
+    return { ticketId, token, verifyUrl: this.getVerifyUrl(token) };
+  }
+
+  /**
+   * Sign receipts for every ticket of a purchase
+   * @param {Array<Object>} tickets - Ticket rows (ticket_id, number, set_no, round_id)
+   * @param {number} ownerId - Buyer
+   * @param {number} purchaseId - Purchase ID
+   * @returns {Array<Object>} Receipts
+   */
+  static createReceipts(tickets, ownerId, purchaseId) {
+    return tickets.map(ticket => this.createReceipt({
+      ticketId: ticket.ticket_id,
+      number: ticket.number,
+      setNo: ticket.set_no,
+      roundId: ticket.round_id,
+      ownerId,
+      purchaseId
+    }));
+  }
+
+  /**
+   * URL encoded in the QR code (RECEIPT_VERIFY_URL, e.g. a shop-facing page, or the API path)
+   * @param {string} token - Receipt token
+   * @returns {string} Verification URL
+   */
+  static getVerifyUrl(token) {
+    const base = (process.env.RECEIPT_VERIFY_URL || '/api/tickets/verify').replace(/\/+$/, '');
+    return `${base}/${token}`;
+  }
+
+  /**
+   * Receipt of a ticket for its current owner
+   * @param {number} userId - Owner
+   * @param {number} ticketId - Ticket ID
+   * @returns {Promise<Object>} Receipt with ticket details
+   */
+  static async getReceipt(userId, ticketId) {
+    const connection = await getConnection();
+    try {
+      const ticket = await this.findTicket(connection, ticketId);
+
+      if (!ticket) {
+        const error = new Error(`ไม่พบลอตเตอรี่ ${ticketId}`);
+        error.code = 'TICKET_NOT_FOUND';
+        throw error;
+      }
+
+      if (!ticket.purchase_id || ticket.created_by !== userId ||
+          (ticket.status !== TICKET_STATUS.SOLD && ticket.status !== TICKET_STATUS.CLAIMED)) {
+        const error = new Error(`ลอตเตอรี่ ${ticket.number} ไม่ใช่ของคุณ`);
+        error.code = 'NOT_TICKET_OWNER';
+        throw error;
+      }
+
+      const receipt = this.createReceipt({
+        ticketId: ticket.ticket_id,
+        number: ticket.number,
+        setNo: ticket.set_no,
+        roundId: ticket.round_id,
+        ownerId: ticket.created_by,
+        purchaseId: ticket.purchase_id
+      });
+
+      return {
+        ...receipt,
+        ticket: this.formatTicket(ticket),
+        purchaseId: ticket.purchase_id,
+        purchasedAt: ticket.purchased_at
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Check a receipt: signature first, then the ticket's current state
+   * @param {string} token - Receipt token
+   * @returns {Promise<Object>} { status, current, ticket, owner, purchaseId, purchasedAt }
+   */
+  static async verify(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.getSecret(), { issuer: RECEIPT.ISSUER });
+    } catch (error) {
+      const invalid = new Error('ใบรับรองไม่ถูกต้องหรือถูกแก้ไข');
+      invalid.code = 'INVALID_RECEIPT';
+      throw invalid;
+    }
+
+    const connection = await getConnection();
+    try {
+      const ticket = await this.findTicket(connection, claims.tid);
+
+      // ตั๋วต้องเป็นใบเดียวกับที่ลงนามไว้ ไม่เช่นนั้นถือว่าไม่พบ (เช่นรีเซ็ทระบบแล้ว ID ถูกใช้ใหม่)
+      if (!ticket || ticket.number !== claims.n || ticket.set_no !== claims.s || (ticket.round_id || null) !== claims.r) {
+        return {
+          status: RECEIPT_STATUS.TICKET_NOT_FOUND,
+          current: false,
+          ticket: { id: claims.tid, number: claims.n, setNo: claims.s, roundId: claims.r },
+          purchaseId: claims.p
+        };
+      }
+
+      let status;
+      if (ticket.purchase_id !== claims.p ||
+          (ticket.status !== TICKET_STATUS.SOLD && ticket.status !== TICKET_STATUS.CLAIMED)) {
+        status = RECEIPT_STATUS.VOIDED;
+      } else if (ticket.created_by !== claims.o) {
+        status = RECEIPT_STATUS.OWNERSHIP_CHANGED;
+      } else if (ticket.status === TICKET_STATUS.CLAIMED) {
+        status = RECEIPT_STATUS.CLAIMED;
+      } else {
+        status = RECEIPT_STATUS.VALID;
+      }
+
+      const [owners] = await connection.execute(
+        'SELECT username FROM User WHERE user_id = ?',
+        [claims.o]
+      );
+
+      return {
+        status,
+        current: status === RECEIPT_STATUS.VALID || status === RECEIPT_STATUS.CLAIMED,
+        ticket: this.formatTicket(ticket),
+        owner: owners.length > 0 ? this.maskName(owners[0].username) : null,
+        purchaseId: claims.p,
+        purchasedAt: ticket.purchase_id === claims.p ? ticket.purchased_at : null
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Render text as a QR code, locally
+   * @param {string} text - Content (the verification URL)
+   * @param {string} format - 'svg' or 'png'
+   * @returns {Promise<string|Buffer>} SVG markup or PNG bytes
+   */
+  static async renderQr(text, format) {
+    const options = { errorCorrectionLevel: 'M', margin: 2 };
+
+    if (format === 'png') {
+      return QRCode.toBuffer(text, { ...options, type: 'png', width: RECEIPT.QR_PNG_WIDTH });
+    }
+    return QRCode.toString(text, { ...options, type: 'svg' });
+  }
+
+  /**
+   * Load a ticket with its round and purchase date
+   * @param {Object} connection - Database connection
+   * @param {number} ticketId - Ticket ID
+   * @returns {Promise<Object|null>} Ticket row
+   */
+  static async findTicket(connection, ticketId) {
+    const [tickets] = await connection.execute(
+      `SELECT t.ticket_id, t.number, t.set_no, t.round_id, t.status, t.created_by, t.purchase_id,
+              r.name AS round_name, DATE_FORMAT(r.draw_date, '%Y-%m-%d') AS draw_date, p.date AS purchased_at
+       FROM Ticket t
+       LEFT JOIN Round r ON r.round_id = t.round_id
+       LEFT JOIN Purchase p ON p.purchase_id = t.purchase_id
+       WHERE t.ticket_id = ?`,
+      [ticketId]
+    );
+    return tickets.length > 0 ? tickets[0] : null;
+  }
+
+  /**
+   * Public ticket details of a receipt
+   * @param {Object} ticket - Row from findTicket
+   * @returns {Object} Ticket
+   */
+  static formatTicket(ticket) {
+    return {
+      id: ticket.ticket_id,
+      number: ticket.number,
+      setNo: ticket.set_no,
+      roundId: ticket.round_id,
+      roundName: ticket.round_name,
+      drawDate: ticket.draw_date,
+      status: ticket.status
+    };
+  }
+
+  /**
+   * Hide most of a username for the public verification page
+   * @param {string} name - Username
+   * @returns {string} Masked name, e.g. "so***"
+   */
+  static maskName(name) {
+    return `${name.slice(0, Math.min(2, Math.max(1, name.length - 1)))}***`;
+  }
+}
+
+module.exports = ReceiptService;
@@ -0,0 +1,311 @@
+const { getConnection } = require('../config/database');
+const {
+  LISTING_STATUS,
+  PURCHASE_STATUS,
+  ROUND_STATUS,
+  TICKET_STATUS,
+  TRANSFER_STATUS,
+  WALLET_TRANSACTION_TYPE
+} = require('../constants');
+const TicketService = require('./TicketService');
+const WalletService = require('./WalletService');
+const WaitlistService = require('./WaitlistService');
+
+/**
+ * Refund service - ยกเลิกการซื้อและคืนเงินเข้ากระเป๋า
+ *
+ * ผู้ซื้อยกเลิกได้ทั้งรายการหรือบางใบ ก่อนปิดการขายของงวด และต้องยังถือตั๋วใบนั้นอยู่ (ไม่ได้โอน/ขายต่อ)
+ * admin คืนเงินแบบบังคับ (กรณีข้อพิพาท) ได้ก่อนปิดการขาย หรือหลังออกรางวัลเฉพาะตั๋วที่ไม่ถูกรางวัล
+ * ระหว่างปิดการขายจนถึงออกรางวัลคืนไม่ได้ เพราะผลยังไม่ออกแต่ตั๋วเข้าร่วมการออกรางวัลแล้ว
+ * ตั๋วที่ยกเลิกกลับเป็น available ผู้ออกตั๋ว (TicketBatch.created_by) กลับเป็นเจ้าของ
+ * ทุกใบบันทึกใน PurchaseRefund และเงินคืนบันทึกใน WalletTransaction
+ */
+class RefundService {
+  /**
+   * Cancel a purchase, or some tickets of it, as the buyer
+   * @param {number} userId - Buyer
+   * @param {number} purchaseId - Purchase ID
+   * @param {Object} [options] - { ticketIds (default: every ticket still in the purchase), reason }
+   * @returns {Promise<Object>} { purchase, refundedTickets, refundedAmount, remainingWallet }
+   */
+  static async cancelPurchase(userId, purchaseId, { ticketIds, reason } = {}) {
+    return this.runRefund(purchaseId, { ticketIds, reason, forced: false, actorId: userId });
+  }
+
+  /**
+   * Refund a purchase as an admin (disputes): before the sales cutoff, or after the draw for tickets that did not win
+   * @param {number} adminId - Admin user ID
+   * @param {number} purchaseId - Purchase ID
+   * @param {Object} options - { ticketIds (default: every ticket still in the purchase), reason }
+   * @returns {Promise<Object>} { purchase, refundedTickets, refundedAmount, remainingWallet }
+   */
+  static async forceRefund(adminId, purchaseId, { ticketIds, reason } = {}) {
+    return this.runRefund(purchaseId, { ticketIds, reason, forced: true, actorId: adminId });
+  }
+
+  /**
+   * Refund tickets of a purchase in one transaction
+   * @param {number} purchaseId - Purchase ID
+   * @param {Object} options - { ticketIds, reason, forced, actorId }
+   * @returns {Promise<Object>} Refund result
+   */
+  static async runRefund(purchaseId, { ticketIds, reason, forced, actorId }) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // 1. การซื้อ (ผู้ซื้อยกเลิกได้เฉพาะของตัวเอง)
+      const [purchases] = await connection.execute(
+        'SELECT * FROM Purchase WHERE purchase_id = ? FOR UPDATE',
+        [purchaseId]
+      );
+
+      if (purchases.length === 0 || (!forced && purchases[0].user_id !== actorId)) {
+        const error = new Error('ไม่พบรายการซื้อ');
+        error.code = 'PURCHASE_NOT_FOUND';
+        throw error;
+      }
+      const purchase = purchases[0];
+
+      // 2. ตั๋วที่ยังอยู่ในรายการซื้อนี้
+      const [tickets] = await connection.execute(
+        `SELECT t.ticket_id, t.number, t.set_no, t.price, t.status, t.created_by, t.prize_id, t.round_id,
+                b.created_by AS issuer_id, r.status AS round_status, DATE_FORMAT(r.draw_date, '%Y-%m-%d') AS draw_date
+         FROM Ticket t
+         LEFT JOIN TicketBatch b ON b.batch_id = t.batch_id
+         LEFT JOIN Round r ON r.round_id = t.round_id
+         WHERE t.purchase_id = ?
+         ORDER BY t.ticket_id
+         FOR UPDATE`,
+        [purchaseId]
+      );
+
+      let selected = tickets;
+      if (ticketIds) {
+        const missing = ticketIds.filter(id => !tickets.some(ticket => ticket.ticket_id === id));
+        if (missing.length > 0) {
+          const error = new Error(`ลอตเตอรี่ ${missing.join(', ')} ไม่อยู่ในรายการซื้อนี้ หรือยกเลิกไปแล้ว`);
+          error.code = 'REFUND_NOT_ALLOWED';
+          throw error;
+        }
+        selected = tickets.filter(ticket => ticketIds.includes(ticket.ticket_id));
+      }
+
+      if (selected.length === 0) {
+        const error = new Error('รายการซื้อนี้ไม่มีลอตเตอรี่ให้ยกเลิกแล้ว');
+        error.code = 'REFUND_NOT_ALLOWED';
+        throw error;
+      }
+
+      // 3. ตรวจทุกใบก่อน คืนเงินทั้งหมดหรือไม่คืนเลย
+      for (const ticket of selected) {
+        await this.assertRefundable(connection, purchase, ticket, forced);
+      }
+
+      // 4. ปิดประกาศขายต่อและคำขอโอนที่ค้างอยู่ของตั๋วเหล่านี้
+      const ids = selected.map(ticket => ticket.ticket_id);
+      const placeholders = ids.map(() => '?').join(',');
+
+      await connection.execute(
+        `UPDATE ResaleListing SET status = ?, closed_at = NOW() WHERE ticket_id IN (${placeholders}) AND status = ?`,
+        [LISTING_STATUS.CANCELLED, ...ids, LISTING_STATUS.ACTIVE]
+      );
+      await connection.execute(
+        `UPDATE TicketTransfer SET status = ?, responded_at = NOW() WHERE ticket_id IN (${placeholders}) AND status = ?`,
+        [TRANSFER_STATUS.CANCELLED, ...ids, TRANSFER_STATUS.PENDING]
+      );
+
+      // 5. ตั๋วกลับเข้าคลัง ผู้ออกตั๋วกลับเป็นเจ้าของ
+      for (const ticket of selected) {
+        await connection.execute(
+          `UPDATE Ticket SET status = ?, created_by = ?, purchase_id = NULL, reserved_by = NULL, reserved_until = NULL
+           WHERE ticket_id = ?`,
+          [TICKET_STATUS.AVAILABLE, ticket.issuer_id, ticket.ticket_id]
+        );
+
+        await connection.execute(
+          `INSERT INTO PurchaseRefund (purchase_id, user_id, ticket_id, number, set_no, round_id, amount, forced, reason, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [purchaseId, purchase.user_id, ticket.ticket_id, ticket.number, ticket.set_no, ticket.round_id,
+            ticket.price, forced ? 1 : 0, reason || null, actorId]
+        );
+      }
+
+      // 6. คืนเงินเข้ากระเป๋าของผู้ซื้อ
+      const amount = Math.round(selected.reduce((sum, ticket) => sum + parseFloat(ticket.price), 0) * 100) / 100;
+      const numbers = selected.map(ticket => ticket.number).join(', ');
+
+      const { balanceAfter } = await WalletService.recordTransaction(connection, {
+        userId: purchase.user_id,
+        amount,
+        type: WALLET_TRANSACTION_TYPE.PURCHASE_REFUND,
+        ticketId: selected.length === 1 ? selected[0].ticket_id : null,
+        description: `${forced ? 'คืนเงินโดยผู้ดูแล' : 'ยกเลิกการซื้อ'} #${purchaseId} ลอตเตอรี่ ${numbers}`.slice(0, 255),
+        createdBy: forced ? actorId : null
+      });
+
+      const refundedAmount = Math.round((parseFloat(purchase.refunded_amount) + amount) * 100) / 100;
+      const status = selected.length === tickets.length ? PURCHASE_STATUS.REFUNDED : PURCHASE_STATUS.PARTIALLY_REFUNDED;
+
+      await connection.execute(
+        'UPDATE Purchase SET status = ?, refunded_amount = ? WHERE purchase_id = ?',
+        [status, refundedAmount, purchaseId]
+      );
+
+      // 7. ตั๋วที่กลับมาว่างในงวดที่เปิดขาย: ให้ผู้ที่รอเลขเหล่านี้ก่อน
+      if (selected.some(ticket => ticket.round_status === ROUND_STATUS.ON_SALE)) {
+        await WaitlistService.offerAvailable(connection);
+      }
+
+      await connection.commit();
+
+      console.log(`💸 Refunded ${selected.length} tickets of purchase ${purchaseId} (${amount} บาท${forced ? ', forced' : ''})`);
+
+      return {
+        purchase: await this.findPurchase(connection, purchaseId),
+        refundedTickets: selected.map(ticket => ({
+          id: ticket.ticket_id,
+          number: ticket.number,
+          set_no: ticket.set_no,
+          price: parseFloat(ticket.price)
+        })),
+        refundedAmount: amount,
+        remainingWallet: balanceAfter
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Check that one ticket of a purchase can be refunded
+   * @param {Object} connection - Database connection
+   * @param {Object} purchase - Purchase row
+   * @param {Object} ticket - Ticket row (runRefund)
+   * @param {boolean} forced - Admin refund: allowed after the draw too, but not while the round awaits its draw
+   * @returns {Promise<void>}
+   */
+  static async assertRefundable(connection, purchase, ticket, forced) {
+    const fail = (message, code = 'REFUND_NOT_ALLOWED') => {
+      const error = new Error(message);
+      error.code = code;
+      throw error;
+    };
+
+    if (ticket.status !== TICKET_STATUS.SOLD) {
+      fail(`ลอตเตอรี่ ${ticket.number} ยกเลิกไม่ได้ (สถานะ ${ticket.status})`);
+    }
+
+    // โอน/ขายต่อไปแล้ว ตั๋วเป็นของคนอื่น คืนเงินให้ผู้ซื้อคนแรกไม่ได้
+    if (ticket.created_by !== purchase.user_id) {
+      fail(`ลอตเตอรี่ ${ticket.number} เปลี่ยนเจ้าของแล้ว ยกเลิกการซื้อไม่ได้`);
+    }
+
+    if (!forced) {
+      if (!ticket.round_id) {
+        fail(`ลอตเตอรี่ ${ticket.number} ไม่มีงวด ติดต่อผู้ดูแลเพื่อขอคืนเงิน`);
+      }
+
+      if (TicketService.isPastSalesCutoff(ticket)) {
+        fail('ยกเลิกการซื้อได้เฉพาะก่อนปิดการขายของงวด', 'REFUND_WINDOW_CLOSED');
+      }
+    } else if (ticket.round_status === ROUND_STATUS.CLOSED ||
+      (ticket.round_status === ROUND_STATUS.ON_SALE && TicketService.isPastSalesCutoff(ticket))) {
+      // ปิดการขายแล้วแต่ยังไม่ออกรางวัล: คืนเงินตอนนี้จะถอนตั๋วที่อาจถูกรางวัลออกจากการออกรางวัลได้
+      fail('คืนเงินแบบบังคับไม่ได้ระหว่างปิดการขายจนถึงออกรางวัล กรุณารอผลการออกรางวัล', 'REFUND_WINDOW_CLOSED');
+    }
+
+    if (await TicketService.hasWon(connection, ticket)) {
+      fail(`ลอตเตอรี่ ${ticket.number} ถูกรางวัลแล้ว คืนเงินไม่ได้`);
+    }
+  }
+
+  /**
+   * Refunded tickets of purchases, grouped by purchase
+   * @param {Object} connection - Database connection
+   * @param {Array<number>} purchaseIds - Purchase IDs
+   * @returns {Promise<Map<number, Array<Object>>>} Refunds per purchase ID
+   */
+  static async getRefundsByPurchase(connection, purchaseIds) {
+    const refunds = new Map();
+    if (purchaseIds.length === 0) {
+      return refunds;
+    }
+
+    const [rows] = await connection.execute(
+      `SELECT * FROM PurchaseRefund
+       WHERE purchase_id IN (${purchaseIds.map(() => '?').join(',')})
+       ORDER BY refund_id`,
+      purchaseIds
+    );
+
+    for (const row of rows) {
+      if (!refunds.has(row.purchase_id)) {
+        refunds.set(row.purchase_id, []);
+      }
+      refunds.get(row.purchase_id).push(this.formatRefund(row));
+    }
+    return refunds;
+  }
+
+  /**
+   * Load a purchase with its refunds
+   * @param {Object} connection - Database connection
+   * @param {number} purchaseId - Purchase ID
+   * @returns {Promise<Object|null>} Purchase
+   */
+  static async findPurchase(connection, purchaseId) {
+    const [purchases] = await connection.execute(
+      `SELECT p.*, COUNT(t.ticket_id) AS ticket_count
+       FROM Purchase p
+       LEFT JOIN Ticket t ON t.purchase_id = p.purchase_id
+       WHERE p.purchase_id = ?
+       GROUP BY p.purchase_id`,
+      [purchaseId]
+    );
+
+    if (purchases.length === 0) {
+      return null;
+    }
+
+    const refunds = await this.getRefundsByPurchase(connection, [purchaseId]);
+    const purchase = purchases[0];
+
+    return {
+      purchase_id: purchase.purchase_id,
+      user_id: purchase.user_id,
+      round_id: purchase.round_id,
+      date: purchase.date,
+      total_price: parseFloat(purchase.total_price),
+      status: purchase.status,
+      refunded_amount: parseFloat(purchase.refunded_amount),
+      ticket_count: purchase.ticket_count,
+      refunds: refunds.get(purchaseId) || []
+    };
+  }
+
+  /**
+   * Format a PurchaseRefund row (snake_case like the purchase history)
+   * @param {Object} row - PurchaseRefund row
+   * @returns {Object} Refund
+   */
+  static formatRefund(row) {
+    return {
+      refund_id: row.refund_id,
+      ticket_id: row.ticket_id,
+      number: row.number,
+      set_no: row.set_no,
+      round_id: row.round_id,
+      amount: parseFloat(row.amount),
+      forced: Boolean(row.forced),
+      reason: row.reason,
+      created_by: row.created_by,
+      created_at: row.created_at
+    };
+  }
+}
+
+module.exports = RefundService;
@@ -0,0 +1,426 @@
+const { getConnection } = require('../config/database');
+const { RESALE, LISTING_STATUS, ROUND_STATUS, TRANSFER_STATUS, WALLET_TRANSACTION_TYPE } = require('../constants');
+const TransferService = require('./TransferService');
+const WalletService = require('./WalletService');
+const WaitlistService = require('./WaitlistService');
+
+/**
+ * Resale service - ตลาดขายต่อลอตเตอรี่ระหว่างสมาชิก
+ *
+ * สมาชิกประกาศขายลอตเตอรี่ที่ซื้อแล้วได้ก่อนปิดการขาย ราคาไม่เกินราคาควบคุม (RESALE_MAX_PRICE)
+ * ผู้ซื้อจ่ายเงินเต็มราคา ผู้ขายได้รับราคาหักค่าธรรมเนียม (RESALE_FEE_PERCENT) ผ่าน WalletTransaction
+ * ประกาศที่ยังขายไม่ได้ถูกปิดอัตโนมัติ (expired) เมื่องวดปิดการขาย
+ * เงื่อนไขของลอตเตอรี่เหมือนการโอน: ต้องเป็นของผู้ขาย ยังไม่ถูกรางวัล และยังไม่เลยเวลาปิดการขาย
+ */
+class ResaleService {
+  /**
+   * List a ticket for resale
+   * @param {number} ticketId - Ticket ID
+   * @param {number} sellerId - Current owner
+   * @param {number} price - Asking price
+   * @returns {Promise<Object>} Active listing
+   */
+  static async createListing(ticketId, sellerId, price) {
+    const askingPrice = this.validatePrice(price);
+    const fee = this.calculateFee(askingPrice);
+
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // 1. ลอตเตอรี่ต้องเป็นของผู้ขายและยังเปลี่ยนมือได้
+      const ticket = await TransferService.lockTicket(connection, ticketId);
+      TransferService.assertOwner(ticket, sellerId);
+      await TransferService.assertTransferable(connection, ticket);
+
+      // 2. ประกาศขายได้ครั้งละหนึ่งรายการ และต้องไม่มีคำขอโอนค้างอยู่
+      const [active] = await connection.execute(
+        'SELECT listing_id FROM ResaleListing WHERE ticket_id = ? AND status = ? FOR UPDATE',
+        [ticketId, LISTING_STATUS.ACTIVE]
+      );
+
+      if (active.length > 0) {
+        const error = new Error(`ลอตเตอรี่ ${ticket.number} ประกาศขายอยู่แล้ว`);
+        error.code = 'TICKET_ALREADY_LISTED';
+        throw error;
+      }
+
+      const [pendingTransfers] = await connection.execute(
+        'SELECT transfer_id FROM TicketTransfer WHERE ticket_id = ? AND status = ?',
+        [ticketId, TRANSFER_STATUS.PENDING]
+      );
+
+      if (pendingTransfers.length > 0) {
+        const error = new Error(`ลอตเตอรี่ ${ticket.number} มีคำขอโอนที่รอผู้รับตอบอยู่ กรุณายกเลิกก่อน`);
+        error.code = 'TRANSFER_PENDING';
+        throw error;
+      }
+
+      const [result] = await connection.execute(
+        'INSERT INTO ResaleListing (ticket_id, seller_id, price, fee, status) VALUES (?, ?, ?, ?, ?)',
+        [ticketId, sellerId, askingPrice, fee, LISTING_STATUS.ACTIVE]
+      );
+
+      // แจ้งผู้ที่รอเลขนี้อยู่
+      const listing = await this.findListing(connection, result.insertId);
+      await WaitlistService.notifyListing(connection, listing);
+
+      await connection.commit();
+      return listing;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Buy a listed ticket: debit the buyer, credit the seller less the fee, move ownership
+   * @param {number} listingId - Listing ID
+   * @param {number} buyerId - Buyer
+   * @returns {Promise<Object>} { listing, remainingWallet }
+   */
+  static async buyListing(listingId, buyerId) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // 1. ล็อกประกาศและลอตเตอรี่ก่อน แล้วจึงล็อกกระเป๋าเงิน (ลำดับเดียวกับการซื้อปกติ)
+      const listing = await this.lockActiveListing(connection, listingId);
+
+      if (listing.seller_id === buyerId) {
+        const error = new Error('ไม่สามารถซื้อลอตเตอรี่ที่ตัวเองประกาศขายได้');
+        error.code = 'INVALID_RESALE_PURCHASE';
+        throw error;
+      }
+
+      const ticket = await TransferService.lockTicket(connection, listing.ticket_id);
+      TransferService.assertOwner(ticket, listing.seller_id);
+      await TransferService.assertTransferable(connection, ticket);
+
+      // 2. ตรวจยอดเงินผู้ซื้อ
+      const price = parseFloat(listing.price);
+      const fee = parseFloat(listing.fee);
+
+      const [buyers] = await connection.execute(
+        'SELECT wallet FROM User WHERE user_id = ? FOR UPDATE',
+        [buyerId]
+      );
+
+      if (buyers.length === 0) {
+        const error = new Error('ไม่พบผู้ใช้ในระบบ');
+        error.code = 'USER_NOT_FOUND';
+        throw error;
+      }
+
+      if (parseFloat(buyers[0].wallet) < price) {
+        const error = new Error(`ยอดเงินไม่เพียงพอ ต้องการ ${price} บาท มีอยู่ ${parseFloat(buyers[0].wallet)} บาท`);
+        error.code = 'INSUFFICIENT_FUNDS';
+        throw error;
+      }
+
+      // 3. โอนเงิน: ผู้ซื้อจ่ายเต็มราคา ผู้ขายได้รับหลังหักค่าธรรมเนียม
+      const debit = await WalletService.recordTransaction(connection, {
+        userId: buyerId,
+        amount: -price,
+        type: WALLET_TRANSACTION_TYPE.RESALE_PURCHASE,
+        ticketId: ticket.ticket_id,
+        description: `ซื้อลอตเตอรี่ ${ticket.number} ต่อจากสมาชิก`
+      });
+
+      await WalletService.recordTransaction(connection, {
+        userId: listing.seller_id,
+        amount: Math.round((price - fee) * 100) / 100,
+        type: WALLET_TRANSACTION_TYPE.RESALE_SALE,
+        ticketId: ticket.ticket_id,
+        description: fee > 0
+          ? `ขายลอตเตอรี่ ${ticket.number} (หักค่าธรรมเนียม ${fee} บาท)`
+          : `ขายลอตเตอรี่ ${ticket.number}`
+      });
+
+      // 4. เปลี่ยนเจ้าของ
+      await connection.execute(
+        'UPDATE Ticket SET created_by = ? WHERE ticket_id = ?',
+        [buyerId, ticket.ticket_id]
+      );
+      await WaitlistService.markFulfilled(connection, buyerId, ticket.round_id, [ticket.number]);
+
+      await connection.execute(
+        'UPDATE ResaleListing SET status = ?, buyer_id = ?, sold_at = NOW(), closed_at = NOW() WHERE listing_id = ?',
+        [LISTING_STATUS.SOLD, buyerId, listingId]
+      );
+
+      await connection.commit();
+
+      return {
+        listing: await this.findListing(connection, listingId),
+        remainingWallet: debit.balanceAfter
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Withdraw a listing (seller)
+   * @param {number} listingId - Listing ID
+   * @param {number} sellerId - Seller
+   * @returns {Promise<Object>} Cancelled listing
+   */
+  static async cancelListing(listingId, sellerId) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const listing = await this.lockActiveListing(connection, listingId);
+      if (listing.seller_id !== sellerId) {
+        const error = new Error(`ไม่พบประกาศขาย ${listingId}`);
+        error.code = 'LISTING_NOT_FOUND';
+        throw error;
+      }
+
+      await connection.execute(
+        'UPDATE ResaleListing SET status = ?, closed_at = NOW() WHERE listing_id = ?',
+        [LISTING_STATUS.CANCELLED, listingId]
+      );
+
+      await connection.commit();
+      return await this.findListing(connection, listingId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Close the active listings of a round when its sales close, using the caller's connection
+   * @param {Object} connection - Database connection
+   * @param {number} roundId - Round ID
+   * @returns {Promise<number>} Listings expired
+   */
+  static async expireRoundListings(connection, roundId) {
+    const [result] = await connection.execute(
+      `UPDATE ResaleListing l
+       JOIN Ticket t ON t.ticket_id = l.ticket_id
+       SET l.status = ?, l.closed_at = NOW()
+       WHERE t.round_id = ? AND l.status = ?`,
+      [LISTING_STATUS.EXPIRED, roundId, LISTING_STATUS.ACTIVE]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Browse active listings of rounds on sale, cheapest first
+   * @param {Object} [options] - { roundId, maxPrice, page, limit }
+   * @returns {Promise<Object>} Paginated listings
+   */
+  static async listActive({ roundId, maxPrice, page = 1, limit = 20 } = {}) {
+    const safePage = Math.max(1, parseInt(page) || 1);
+    const safeLimit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const offset = (safePage - 1) * safeLimit;
+
+    const where = ['l.status = ?', 'r.status = ?'];
+    const params = [LISTING_STATUS.ACTIVE, ROUND_STATUS.ON_SALE];
+
+    if (roundId) {
+      where.push('t.round_id = ?');
+      params.push(roundId);
+    }
+    if (maxPrice !== undefined) {
+      where.push('l.price <= ?');
+      params.push(maxPrice);
+    }
+
+    const connection = await getConnection();
+    try {
+      const [countResult] = await connection.execute(
+        `SELECT COUNT(*) AS total
+         FROM ResaleListing l
+         JOIN Ticket t ON t.ticket_id = l.ticket_id
+         JOIN Round r ON r.round_id = t.round_id
+         WHERE ${where.join(' AND ')}`,
+        params
+      );
+
+      // LIMIT/OFFSET are validated integers, inlined to avoid prepared statement issues
+      const [rows] = await connection.execute(
+        `${this.selectSql()}
+         JOIN Round r ON r.round_id = t.round_id
+         WHERE ${where.join(' AND ')}
+         ORDER BY l.price ASC, l.listing_id ASC
+         LIMIT ${safeLimit} OFFSET ${offset}`,
+        params
+      );
+
+      return {
+        listings: rows.map(row => this.formatListing(row)),
+        pagination: {
+          page: safePage,
+          limit: safeLimit,
+          total: countResult[0].total,
+          totalPages: Math.ceil(countResult[0].total / safeLimit)
+        }
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Listings a member created, newest first
+   * @param {number} sellerId - Seller
+   * @returns {Promise<Array>} Listings
+   */
+  static async listBySeller(sellerId) {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `${this.selectSql()} WHERE l.seller_id = ? ORDER BY l.listing_id DESC`,
+        [sellerId]
+      );
+      return rows.map(row => this.formatListing(row));
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Validate an asking price against the legal maximum
+   * @param {*} price - Asking price from the request
+   * @returns {number} Price rounded to satang
+   */
+  static validatePrice(price) {
+    const value = Number(price);
+    const maxPrice = this.getMaxPrice();
+
+    if (price === null || price === '' || isNaN(value) || value <= 0) {
+      const error = new Error('ราคาขายต้องเป็นตัวเลขที่มากกว่า 0');
+      error.code = 'INVALID_RESALE_PRICE';
+      throw error;
+    }
+
+    if (value > maxPrice) {
+      const error = new Error(`ราคาขายต้องไม่เกินราคาควบคุม ${maxPrice} บาท`);
+      error.code = 'INVALID_RESALE_PRICE';
+      throw error;
+    }
+
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Platform fee of a sale, rounded down to the satang
+   * @param {number} price - Asking price
+   * @returns {number} Fee
+   */
+  static calculateFee(price) {
+    // epsilon กันทศนิยมของ float ปัดลงผิด (เช่น 80 * 2.3 = 183.99999...)
+    return Math.floor(price * this.getFeePercent() + 1e-9) / 100;
+  }
+
+  /**
+   * Legal maximum resale price (RESALE_MAX_PRICE env overrides the default)
+   * @returns {number} Baht
+   */
+  static getMaxPrice() {
+    const price = parseFloat(process.env.RESALE_MAX_PRICE);
+    return price > 0 ? price : RESALE.MAX_PRICE;
+  }
+
+  /**
+   * Platform fee in percent (RESALE_FEE_PERCENT env overrides the default)
+   * @returns {number} Percent
+   */
+  static getFeePercent() {
+    const percent = parseFloat(process.env.RESALE_FEE_PERCENT);
+    return percent >= 0 && percent < 100 ? percent : RESALE.FEE_PERCENT;
+  }
+
+  /**
+   * Lock an active listing
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {number} listingId - Listing ID
+   * @returns {Promise<Object>} ResaleListing row
+   */
+  static async lockActiveListing(connection, listingId) {
+    const [listings] = await connection.execute(
+      'SELECT * FROM ResaleListing WHERE listing_id = ? FOR UPDATE',
+      [listingId]
+    );
+
+    if (listings.length === 0) {
+      const error = new Error(`ไม่พบประกาศขาย ${listingId}`);
+      error.code = 'LISTING_NOT_FOUND';
+      throw error;
+    }
+
+    if (listings[0].status !== LISTING_STATUS.ACTIVE) {
+      const error = new Error(`ประกาศขายนี้ปิดแล้ว (${listings[0].status})`);
+      error.code = 'LISTING_NOT_ACTIVE';
+      throw error;
+    }
+
+    return listings[0];
+  }
+
+  /**
+   * Load a listing by ID
+   * @param {Object} connection - Database connection
+   * @param {number} listingId - Listing ID
+   * @returns {Promise<Object|null>} Listing
+   */
+  static async findListing(connection, listingId) {
+    const [rows] = await connection.execute(
+      `${this.selectSql()} WHERE l.listing_id = ?`,
+      [listingId]
+    );
+    return rows.length > 0 ? this.formatListing(rows[0]) : null;
+  }
+
+  /**
+   * SELECT of a listing with ticket and seller
+   * @returns {string} SQL without WHERE
+   */
+  static selectSql() {
+    return `SELECT l.*, t.number, t.round_id, t.price AS face_value, u.username AS seller_username
+            FROM ResaleListing l
+            JOIN Ticket t ON t.ticket_id = l.ticket_id
+            LEFT JOIN User u ON u.user_id = l.seller_id`;
+  }
+
+  /**
+   * Format a ResaleListing row
+   * @param {Object} row - ResaleListing row joined with ticket and seller
+   * @returns {Object} Listing
+   */
+  static formatListing(row) {
+    const price = parseFloat(row.price);
+    const fee = parseFloat(row.fee);
+
+    return {
+      id: row.listing_id,
+      ticketId: row.ticket_id,
+      ticketNumber: row.number,
+      roundId: row.round_id,
+      faceValue: parseFloat(row.face_value),
+      price,
+      fee,
+      sellerReceives: Math.round((price - fee) * 100) / 100,
+      sellerId: row.seller_id,
+      sellerUsername: row.seller_username,
+      buyerId: row.buyer_id,
+      status: row.status,
+      createdAt: row.created_at,
+      soldAt: row.sold_at,
+      closedAt: row.closed_at
+    };
+  }
+}
+
+module.exports = ResaleService;
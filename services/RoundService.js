@@ -0,0 +1,331 @@
+const { getConnection } = require('../config/database');
+const { ROUND_STATUS, DEFAULTS, ISSUANCE_MODE } = require('../constants');
+const LiveEventService = require('./LiveEventService');
+const ResaleService = require('./ResaleService');
+const WaitlistService = require('./WaitlistService');
+const IssuanceService = require('./IssuanceService');
+
+/**
+ * Round (งวด) service
+ *
+ * วงจรของงวด: scheduled → on_sale → closed → drawn → settled
+ * ตั๋วแต่ละงวดแยกกัน เลขเดียวกันจึงขายซ้ำได้ในงวดถัดไป
+ */
+
+// สถานะที่ต้องเป็นก่อนเปลี่ยนไปแต่ละสถานะ และคอลัมน์เวลาที่บันทึก
+const TRANSITIONS = {
+  [ROUND_STATUS.ON_SALE]: { from: ROUND_STATUS.SCHEDULED, timestamp: 'opened_at' },
+  [ROUND_STATUS.CLOSED]: { from: ROUND_STATUS.ON_SALE, timestamp: 'closed_at' },
+  [ROUND_STATUS.DRAWN]: { from: ROUND_STATUS.CLOSED, timestamp: 'drawn_at' },
+  [ROUND_STATUS.SETTLED]: { from: ROUND_STATUS.DRAWN, timestamp: 'settled_at' }
+};
+
+class RoundService {
+  /**
+   * Create a scheduled round and issue its tickets
+   * @param {Object} data - Round data
+   * @param {string} data.drawDate - Draw date (YYYY-MM-DD)
+   * @param {string} [data.name] - Display name, defaults to "งวดวันที่ <drawDate>"
+   * @param {number} [data.ticketCount] - Number of distinct numbers to issue
+   * @param {Object} [data.range] - { from, to } issue every number in the range instead
+   * @param {number} [data.copies] - Copies of each number (ลอตเตอรี่ชุด), set_no 1..copies
+   * @param {number} [data.price] - Ticket price
+   * @param {Object} [data.rules] - Number rules, see IssuanceService.parseOptions
+   * @param {string} [data.seed] - Seed for a reproducible batch
+   * @param {number} data.createdBy - Admin user ID
+   * @returns {Promise<Object>} Created round
+   */
+  static async createRound({ drawDate, name, ticketCount, range, copies, price, rules, seed, createdBy }) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [existing] = await connection.execute(
+        'SELECT round_id FROM Round WHERE draw_date = ?',
+        [drawDate]
+      );
+
+      if (existing.length > 0) {
+        const error = new Error(`มีงวดวันที่ ${drawDate} อยู่แล้ว`);
+        error.code = 'ROUND_EXISTS';
+        throw error;
+      }
+
+      const [result] = await connection.execute(
+        'INSERT INTO Round (name, draw_date, status, created_by) VALUES (?, ?, ?, ?)',
+        [name || `งวดวันที่ ${drawDate}`, drawDate, ROUND_STATUS.SCHEDULED, createdBy || null]
+      );
+      const roundId = result.insertId;
+
+      // ออกตั๋วของงวดนี้เป็น batch แรก (end_date = วันออกรางวัล) เลขละ copies ใบ
+      await IssuanceService.createBatch(connection, {
+        roundId,
+        count: ticketCount === undefined && !range ? DEFAULTS.TICKET_COUNT : ticketCount,
+        range,
+        copies,
+        price,
+        rules,
+        seed,
+        mode: ISSUANCE_MODE.INITIAL,
+        createdBy
+      });
+
+      await connection.commit();
+
+      return await this.findRound(connection, roundId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * List rounds, newest draw date first
+   * @param {Object} [filters] - { status, page, limit }
+   * @returns {Promise<Object>} Paginated rounds
+   */
+  static async listRounds({ status, page = 1, limit = 20 } = {}) {
+    const safePage = Math.max(1, parseInt(page) || 1);
+    const safeLimit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const offset = (safePage - 1) * safeLimit;
+
+    const where = status ? 'WHERE r.status = ?' : '';
+    const params = status ? [status] : [];
+
+    const connection = await getConnection();
+    try {
+      const [countResult] = await connection.execute(
+        `SELECT COUNT(*) AS total FROM Round r ${where}`,
+        params
+      );
+
+      // LIMIT/OFFSET are validated integers, inlined to avoid prepared statement issues
+      const [rounds] = await connection.execute(
+        `SELECT r.*,
+                COUNT(t.ticket_id) AS total_tickets,
+                SUM(t.status IN ('sold', 'claimed')) AS sold_tickets
+         FROM Round r
+         LEFT JOIN Ticket t ON t.round_id = r.round_id
+         ${where}
+         GROUP BY r.round_id
+         ORDER BY r.draw_date DESC
+         LIMIT ${safeLimit} OFFSET ${offset}`,
+        params
+      );
+
+      return {
+        rounds: rounds.map(round => this.formatRound(round)),
+        pagination: {
+          page: safePage,
+          limit: safeLimit,
+          total: countResult[0].total,
+          totalPages: Math.ceil(countResult[0].total / safeLimit)
+        }
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Get round by ID
+   * @param {number} roundId - Round ID
+   * @returns {Promise<Object|null>} Round or null
+   */
+  static async getRoundById(roundId) {
+    const connection = await getConnection();
+    try {
+      return await this.findRound(connection, roundId);
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Get the round currently on sale
+   * @returns {Promise<Object|null>} Open round or null
+   */
+  static async getOpenRound() {
+    const connection = await getConnection();
+    try {
+      const [rounds] = await connection.execute(
+        'SELECT round_id FROM Round WHERE status = ? ORDER BY draw_date ASC LIMIT 1',
+        [ROUND_STATUS.ON_SALE]
+      );
+      return rounds.length > 0 ? await this.findRound(connection, rounds[0].round_id) : null;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Open a scheduled round for sale (only one round can be on sale at a time)
+   * @param {number} roundId - Round ID
+   * @returns {Promise<Object>} Updated round
+   */
+  static async openRound(roundId) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [openRounds] = await connection.execute(
+        'SELECT round_id, name FROM Round WHERE status = ? FOR UPDATE',
+        [ROUND_STATUS.ON_SALE]
+      );
+
+      if (openRounds.length > 0) {
+        const error = new Error(`${openRounds[0].name} ยังเปิดขายอยู่ กรุณาปิดการขายก่อน`);
+        error.code = 'ROUND_ALREADY_OPEN';
+        throw error;
+      }
+
+      await this.transition(connection, roundId, ROUND_STATUS.ON_SALE);
+      await connection.execute(
+        'UPDATE Ticket SET start_date = CURDATE() WHERE round_id = ?',
+        [roundId]
+      );
+
+      await connection.commit();
+
+      const round = await this.findRound(connection, roundId);
+      LiveEventService.publish('round.opened', { round });
+      return round;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Close sales of a round
+   * @param {number} roundId - Round ID
+   * @returns {Promise<Object>} Updated round
+   */
+  static async closeRound(roundId) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await this.transition(connection, roundId, ROUND_STATUS.CLOSED);
+
+      // ปิดประกาศขายต่อที่ยังขายไม่ได้ และคิวรอเลขของงวดนี้ (ล้มเหลวแล้วงวดยังเปิดขายอยู่)
+      await ResaleService.expireRoundListings(connection, roundId);
+      await WaitlistService.expireRound(connection, roundId);
+
+      await connection.commit();
+
+      const round = await this.findRound(connection, roundId);
+      LiveEventService.publish('round.closed', { round });
+      return round;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Mark a drawn round as settled
+   * @param {number} roundId - Round ID
+   * @returns {Promise<Object>} Updated round
+   */
+  static async settleRound(roundId) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await this.transition(connection, roundId, ROUND_STATUS.SETTLED);
+
+      await connection.commit();
+
+      return await this.findRound(connection, roundId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Move a round to the next status, checking the current one
+   * @param {Object} connection - Database connection
+   * @param {number} roundId - Round ID
+   * @param {string} toStatus - Target status
+   * @returns {Promise<void>}
+   */
+  static async transition(connection, roundId, toStatus) {
+    const { from, timestamp } = TRANSITIONS[toStatus];
+
+    const [rounds] = await connection.execute(
+      'SELECT round_id, status FROM Round WHERE round_id = ? FOR UPDATE',
+      [roundId]
+    );
+
+    if (rounds.length === 0) {
+      const error = new Error(`ไม่พบงวด ${roundId}`);
+      error.code = 'ROUND_NOT_FOUND';
+      throw error;
+    }
+
+    if (rounds[0].status !== from) {
+      const error = new Error(`งวดนี้อยู่ในสถานะ ${rounds[0].status} ต้องเป็น ${from} ก่อนเปลี่ยนเป็น ${toStatus}`);
+      error.code = 'INVALID_ROUND_STATE';
+      throw error;
+    }
+
+    await connection.execute(
+      `UPDATE Round SET status = ?, ${timestamp} = NOW() WHERE round_id = ?`,
+      [toStatus, roundId]
+    );
+  }
+
+  /**
+   * Load a round with its ticket counts using an open connection
+   * @param {Object} connection - Database connection
+   * @param {number} roundId - Round ID
+   * @returns {Promise<Object|null>} Formatted round or null
+   */
+  static async findRound(connection, roundId) {
+    const [rounds] = await connection.execute(
+      `SELECT r.*,
+              (SELECT COUNT(*) FROM Ticket WHERE round_id = r.round_id) AS total_tickets,
+              (SELECT COUNT(*) FROM Ticket WHERE round_id = r.round_id AND status IN ('sold', 'claimed')) AS sold_tickets
+       FROM Round r
+       WHERE r.round_id = ?`,
+      [roundId]
+    );
+
+    return rounds.length > 0 ? this.formatRound(rounds[0]) : null;
+  }
+
+  /**
+   * Format a Round row
+   * @param {Object} round - Round row with ticket counts
+   * @returns {Object} Formatted round
+   */
+  static formatRound(round) {
+    return {
+      id: round.round_id,
+      name: round.name,
+      drawDate: round.draw_date,
+      status: round.status,
+      totalTickets: Number(round.total_tickets) || 0,
+      soldTickets: Number(round.sold_tickets) || 0,
+      createdBy: round.created_by,
+      openedAt: round.opened_at,
+      closedAt: round.closed_at,
+      drawnAt: round.drawn_at,
+      settledAt: round.settled_at,
+      createdAt: round.created_at,
+      updatedAt: round.updated_at
+    };
+  }
+}
+
+module.exports = RoundService;
@@ -6,29 +6,72 @@ const {
   UserValidator,
   RateLimitValidator 
 } = require('../utils/businessLogicValidator');
+const { getRng } = require('../utils/rng');
+const TicketSearch = require('../utils/ticketSearch');
+const DrawCalendar = require('../utils/drawCalendar');
+const { ISSUANCE, ROUND_STATUS, TICKET_STATUS, WALLET_TRANSACTION_TYPE } = require('../constants');
+const WaitlistService = require('./WaitlistService');
+const WalletService = require('./WalletService');
+const ReceiptService = require('./ReceiptService');
 
 /**
  * Ticket database service operations
  */
 class TicketService {
   /**
-   * Get all tickets
-   * @returns {Promise<Array>} Array of tickets
+   * Search the tickets of a round with filters and cursor pagination
+   * @param {number|null} roundId - Round ID, null for tickets issued before rounds existed
+   * @param {Object} options - Parsed search options (utils/ticketSearch parseSearchQuery)
+   * @returns {Promise<Object>} { tickets, pagination: { limit, total, hasMore, nextCursor } } (total is null on cursor pages)
    */
-  static async getAllTickets() {
+  static async searchTickets(roundId, options) {
+    const { where, params } = TicketSearch.buildFilters(roundId, options);
+    const page = TicketSearch.buildPage(options.sort, options.cursor);
+    const pageWhere = page.condition ? [...where, page.condition] : where;
+
     const connection = await getConnection();
     try {
-      const [tickets] = await connection.execute(
-        'SELECT ticket_id, number, price, status, created_by AS owner_id FROM Ticket ORDER BY number'
+      // นับทั้งหมดเฉพาะหน้าแรก หน้าถัดไปใช้ cursor จึงไม่ต้องสแกนซ้ำ
+      let total = null;
+      if (!options.cursor) {
+        const [countResult] = await connection.execute(
+          `SELECT COUNT(*) AS total FROM Ticket t WHERE ${where.join(' AND ')}`,
+          params
+        );
+        total = countResult[0].total;
+      }
+
+      // LIMIT is a validated integer, inlined to avoid prepared statement issues
+      // อ่านเกินหนึ่งแถวเพื่อรู้ว่ายังมีหน้าถัดไป
+      const [rows] = await connection.execute(
+        `SELECT t.ticket_id, t.number, t.set_no, t.price, t.status, t.created_by AS owner_id, t.round_id
+         FROM Ticket t
+         WHERE ${pageWhere.join(' AND ')}
+         ORDER BY ${page.orderBy}
+         LIMIT ${options.limit + 1}`,
+        [...params, ...page.params]
       );
-      
-      return tickets.map(ticket => ({
+
+      const hasMore = rows.length > options.limit;
+      const tickets = rows.slice(0, options.limit).map(ticket => ({
         id: ticket.ticket_id,
         number: ticket.number,
+        set_no: ticket.set_no,
         price: parseFloat(ticket.price),
         status: ticket.status,
-        owner_id: ticket.owner_id
+        owner_id: ticket.owner_id,
+        round_id: ticket.round_id
       }));
+
+      return {
+        tickets,
+        pagination: {
+          limit: options.limit,
+          total,
+          hasMore,
+          nextCursor: hasMore ? TicketSearch.encodeCursor(options.sort, tickets[tickets.length - 1]) : null
+        }
+      };
     } finally {
       await connection.end();
     }
@@ -43,16 +86,18 @@ class TicketService {
     const connection = await getConnection();
     try {
       const [tickets] = await connection.execute(
-        'SELECT ticket_id, number, price, status FROM Ticket WHERE created_by = ? ORDER BY ticket_id DESC',
+        'SELECT ticket_id, number, set_no, price, status, round_id FROM Ticket WHERE created_by = ? ORDER BY ticket_id DESC',
         [userId]
       );
 
       return tickets.map(ticket => ({
         id: ticket.ticket_id,
         number: ticket.number,
+        set_no: ticket.set_no,
         price: parseFloat(ticket.price),
         status: ticket.status,
-        owner_id: userId
+        owner_id: userId,
+        round_id: ticket.round_id
       }));
     } finally {
       await connection.end();
@@ -125,73 +170,115 @@ class TicketService {
     
     try {
       await connection.beginTransaction();
+
+      const result = await this.completePurchase(connection, numericTicketIds, userId);
+
+      await connection.commit();
       
-      // Get available tickets with row lock
-      const placeholders = numericTicketIds.map(() => '?').join(',');
+      return result;
+      
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Get every copy of a number in a round (ลอตเตอรี่ชุด)
+   * @param {number|null} roundId - Round ID, null for tickets issued before rounds existed
+   * @param {string} number - 6-digit ticket number
+   * @returns {Promise<Object|null>} { number, roundId, copies, available, tickets } or null if the number was not issued
+   */
+  static async getSet(roundId, number) {
+    const connection = await getConnection();
+    try {
       const [tickets] = await connection.execute(
-        `SELECT ticket_id, number, price FROM Ticket WHERE ticket_id IN (${placeholders}) AND status = 'available' FOR UPDATE`,
-        numericTicketIds
+        `SELECT ticket_id, number, set_no, price, status, round_id
+         FROM Ticket
+         WHERE ${roundId ? 'round_id = ?' : 'round_id IS NULL'} AND number = ?
+         ORDER BY set_no`,
+        roundId ? [roundId, number] : [number]
       );
-      
-      console.log('🎫 PURCHASE DEBUG: Found available tickets:', tickets.length, 'out of', numericTicketIds.length);
-
-      // Validate ticket availability
-      if (tickets.length !== numericTicketIds.length) {
-        const availableIds = tickets.map(t => t.ticket_id);
-        const unavailableIds = numericTicketIds.filter(id => !availableIds.includes(id));
-        console.log('🎫 PURCHASE DEBUG: Available IDs:', availableIds);
-        console.log('🎫 PURCHASE DEBUG: Unavailable IDs:', unavailableIds);
-        throw new Error(`ลอตเตอรี่บางใบไม่พร้อมใช้งาน (${unavailableIds.length} ใบ)`);
+
+      if (tickets.length === 0) {
+        return null;
       }
 
-      const totalCost = tickets.reduce((sum, ticket) => sum + parseFloat(ticket.price), 0);
+      return {
+        number,
+        roundId: roundId || null,
+        copies: tickets.length,
+        available: tickets.filter(ticket => ticket.status === 'available').length,
+        tickets: tickets.map(ticket => ({
+          id: ticket.ticket_id,
+          set_no: ticket.set_no,
+          price: parseFloat(ticket.price),
+          status: ticket.status
+        }))
+      };
+    } finally {
+      await connection.end();
+    }
+  }
 
-      // Get user wallet with row lock
-      const [userResult] = await connection.execute(
-        'SELECT wallet FROM User WHERE user_id = ? FOR UPDATE',
-        [userId]
+  /**
+   * Buy copies of one number in a round: the whole set, or `quantity` copies (lowest set_no first)
+   * @param {number} userId - User ID making the purchase
+   * @param {Object} options - Set options
+   * @param {number|null} options.roundId - Round ID, null for tickets issued before rounds existed
+   * @param {string} options.number - 6-digit ticket number
+   * @param {number} [options.quantity] - Copies to buy, omit for the full set
+   * @returns {Promise<Object>} Purchase result with the set { number, copies, setNos }
+   */
+  static async purchaseSet(userId, { roundId, number, quantity }) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // 1. ล็อกทุกใบของเลขนี้ในงวด แล้วเลือกใบที่ซื้อได้ (ว่าง / อยู่ในตะกร้าของผู้ซื้อ / หมดเวลาจอง)
+      const [copies] = await connection.execute(
+        `SELECT ticket_id, set_no,
+                (status = 'available' OR (status = 'reserved' AND (reserved_by = ? OR reserved_until <= NOW()))) AS purchasable
+         FROM Ticket
+         WHERE ${roundId ? 'round_id = ?' : 'round_id IS NULL'} AND number = ?
+         ORDER BY set_no
+         FOR UPDATE`,
+        roundId ? [userId, roundId, number] : [userId, number]
       );
 
-      if (userResult.length === 0) {
-        throw new Error('ไม่พบผู้ใช้ในระบบ');
+      if (copies.length === 0) {
+        const error = new Error(`ไม่พบลอตเตอรี่เลข ${number} ในงวดนี้`);
+        error.code = 'TICKET_NOT_FOUND';
+        throw error;
       }
 
-      const currentWallet = parseFloat(userResult[0].wallet);
+      // 2. ซื้อทั้งชุดต้องเหลือครบทุกใบ ซื้อบางใบต้องเหลือพอ
+      const purchasable = copies.filter(copy => Number(copy.purchasable) === 1);
+      const wanted = quantity === undefined ? copies.length : quantity;
 
-      // Validate wallet has sufficient funds
-      if (currentWallet < totalCost) {
-        throw new Error(`ยอดเงินไม่เพียงพอ ต้องการ ${totalCost} บาท มีอยู่ ${currentWallet} บาท`);
+      if (purchasable.length < wanted) {
+        const error = new Error(quantity === undefined ?
+          `ลอตเตอรี่ชุดเลข ${number} เหลือไม่ครบชุด (เหลือ ${purchasable.length} จาก ${copies.length} ใบ)` :
+          `ลอตเตอรี่เลข ${number} เหลือ ${purchasable.length} ใบ ไม่พอสำหรับ ${wanted} ใบ`);
+        error.code = 'SET_NOT_AVAILABLE';
+        throw error;
       }
 
-      // Update user wallet
-      const newWallet = currentWallet - totalCost;
-      await connection.execute(
-        'UPDATE User SET wallet = ? WHERE user_id = ?',
-        [newWallet, userId]
-      );
-
-      // Create purchase record
-      const [purchaseResult] = await connection.execute(
-        'INSERT INTO Purchase (user_id, date, total_price) VALUES (?, NOW(), ?)',
-        [userId, totalCost]
-      );
-
-      // Update ticket status
-      await connection.execute(
-        `UPDATE Ticket SET status = 'sold', created_by = ?, purchase_id = ? WHERE ticket_id IN (${placeholders})`,
-        [userId, purchaseResult.insertId, ...numericTicketIds]
-      );
+      const selected = purchasable.slice(0, wanted);
+      const result = await this.completePurchase(connection, selected.map(copy => copy.ticket_id), userId);
 
       await connection.commit();
-      
+
       return {
-        success: true,
-        purchaseId: purchaseResult.insertId,
-        purchasedTickets: tickets,
-        totalCost: totalCost,
-        remainingWallet: newWallet
+        ...result,
+        set: {
+          number,
+          copies: copies.length,
+          setNos: selected.map(copy => copy.set_no)
+        }
       };
-      
     } catch (error) {
       await connection.rollback();
       throw error;
@@ -201,41 +288,184 @@ class TicketService {
   }
 
   /**
-   * Update ticket status to claimed
+   * Request a specific number: buy one copy if any is free, otherwise join its waitlist
    * @param {number} userId - User ID
-   * @param {string} ticketNumber - Ticket number
-   * @returns {Promise<boolean>} True if updated successfully
+   * @param {Object} round - Round on sale (RoundService.formatRound)
+   * @param {string} number - 6-digit number
+   * @returns {Promise<Object>} { purchased: true, purchase } or { purchased: false, waitlist }
    */
-  static async markAsClaimed(userId, ticketNumber) {
+  static async requestNumber(userId, round, number) {
+    if (round.status !== ROUND_STATUS.ON_SALE) {
+      const error = new Error('งวดนี้ไม่ได้เปิดขายอยู่');
+      error.code = 'ROUND_NOT_ON_SALE';
+      throw error;
+    }
+
     const connection = await getConnection();
     try {
-      const [result] = await connection.execute(
-        'UPDATE Ticket SET status = ? WHERE created_by = ? AND number = ?',
-        ['claimed', userId, ticketNumber]
+      await connection.beginTransaction();
+
+      // 1. มีใบที่ซื้อได้ (ว่าง / อยู่ในตะกร้าของผู้ซื้อ / หมดเวลาจอง) ซื้อทันที
+      const [free] = await connection.execute(
+        `SELECT ticket_id FROM Ticket
+         WHERE round_id = ? AND number = ?
+           AND (status = 'available' OR (status = 'reserved' AND (reserved_by = ? OR reserved_until <= NOW())))
+         ORDER BY set_no
+         LIMIT 1
+         FOR UPDATE`,
+        [round.id, number, userId]
       );
-      return result.affectedRows > 0;
+
+      if (free.length > 0) {
+        const purchase = await this.completePurchase(connection, [free[0].ticket_id], userId);
+        await connection.commit();
+        return { purchased: true, purchase };
+      }
+
+      // 2. ขายหมดหรือไม่มีเลขนี้ในงวด เข้าคิวรอ
+      const waitlist = await WaitlistService.join(connection, userId, round.id, number);
+      await connection.commit();
+      return { purchased: false, waitlist };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
     } finally {
       await connection.end();
     }
   }
 
   /**
-   * Check if user owns a ticket
-   * @param {number} userId - User ID
-   * @param {string} ticketNumber - Ticket number
-   * @returns {Promise<Object|null>} Ticket object if owned, null otherwise
+   * Charge the wallet and mark tickets sold, using the caller's transaction
+   * A ticket can be bought if it is available, held in this user's cart, or its hold has expired.
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Array<number>} ticketIds - Ticket IDs to purchase
+   * @param {number} userId - User ID making the purchase
+   * @returns {Promise<Object>} Purchase result, with a signed receipt per ticket
    */
-  static async getUserTicketByNumber(userId, ticketNumber) {
-    const connection = await getConnection();
-    try {
-      const [tickets] = await connection.execute(
-        'SELECT ticket_id, status FROM Ticket WHERE created_by = ? AND number = ?',
-        [userId, ticketNumber]
-      );
-      return tickets.length > 0 ? tickets[0] : null;
-    } finally {
-      await connection.end();
+  static async completePurchase(connection, ticketIds, userId) {
+    // Get purchasable tickets with row lock
+    const placeholders = ticketIds.map(() => '?').join(',');
+    const [tickets] = await connection.execute(
+      `SELECT t.ticket_id, t.number, t.set_no, t.price, t.round_id, r.status AS round_status,
+              DATE_FORMAT(r.draw_date, '%Y-%m-%d') AS draw_date
+       FROM Ticket t
+       LEFT JOIN Round r ON r.round_id = t.round_id
+       WHERE t.ticket_id IN (${placeholders})
+         AND (t.status = 'available' OR (t.status = 'reserved' AND (t.reserved_by = ? OR t.reserved_until <= NOW())))
+       FOR UPDATE`,
+      [...ticketIds, userId]
+    );
+    
+    console.log('🎫 PURCHASE DEBUG: Found available tickets:', tickets.length, 'out of', ticketIds.length);
+
+    // Validate ticket availability
+    if (tickets.length !== ticketIds.length) {
+      const availableIds = tickets.map(t => t.ticket_id);
+      const unavailableIds = ticketIds.filter(id => !availableIds.includes(id));
+      console.log('🎫 PURCHASE DEBUG: Available IDs:', availableIds);
+      console.log('🎫 PURCHASE DEBUG: Unavailable IDs:', unavailableIds);
+      throw new Error(`ลอตเตอรี่บางใบไม่พร้อมใช้งาน (${unavailableIds.length} ใบ)`);
     }
+
+    // ตั๋วในการซื้อหนึ่งครั้งต้องอยู่งวดเดียวกัน และงวดต้องเปิดขายอยู่และยังไม่ถึงเวลาปิดการขาย
+    // (ระหว่างเวลาปิดการขายกับ tick ของ scheduler งวดยังเป็น on_sale แต่ pool ของการออกรางวัลต้องไม่เปลี่ยนแล้ว)
+    const roundIds = [...new Set(tickets.map(t => t.round_id))];
+    if (roundIds.length > 1) {
+      const error = new Error('ไม่สามารถซื้อลอตเตอรี่ต่างงวดในครั้งเดียวกันได้');
+      error.code = 'MIXED_ROUNDS';
+      throw error;
+    }
+
+    const roundId = roundIds[0];
+    if (roundId !== null && this.isPastSalesCutoff(tickets[0])) {
+      const error = new Error('งวดนี้ไม่ได้เปิดขายอยู่');
+      error.code = 'ROUND_NOT_ON_SALE';
+      throw error;
+    }
+
+    const totalCost = tickets.reduce((sum, ticket) => sum + parseFloat(ticket.price), 0);
+
+    // Get user wallet with row lock
+    const [userResult] = await connection.execute(
+      'SELECT wallet FROM User WHERE user_id = ? FOR UPDATE',
+      [userId]
+    );
+
+    if (userResult.length === 0) {
+      throw new Error('ไม่พบผู้ใช้ในระบบ');
+    }
+
+    const currentWallet = parseFloat(userResult[0].wallet);
+
+    // Validate wallet has sufficient funds
+    if (currentWallet < totalCost) {
+      throw new Error(`ยอดเงินไม่เพียงพอ ต้องการ ${totalCost} บาท มีอยู่ ${currentWallet} บาท`);
+    }
+
+    // Create purchase record
+    const [purchaseResult] = await connection.execute(
+      'INSERT INTO Purchase (user_id, round_id, date, total_price) VALUES (?, ?, NOW(), ?)',
+      [userId, roundId, totalCost]
+    );
+
+    // Debit the wallet through the ledger (ทุกการเปลี่ยนแปลงยอดเงินมีรายการใน WalletTransaction)
+    const numbers = tickets.map(ticket => ticket.number).join(', ');
+    const { balanceAfter: newWallet } = await WalletService.recordTransaction(connection, {
+      userId,
+      amount: -totalCost,
+      type: WALLET_TRANSACTION_TYPE.TICKET_PURCHASE,
+      ticketId: tickets.length === 1 ? tickets[0].ticket_id : null,
+      description: `ซื้อลอตเตอรี่ #${purchaseResult.insertId} ${numbers}`.slice(0, 255)
+    });
+
+    // Update ticket status (and release the cart hold)
+    await connection.execute(
+      `UPDATE Ticket SET status = 'sold', created_by = ?, purchase_id = ?, reserved_by = NULL, reserved_until = NULL
+       WHERE ticket_id IN (${placeholders})`,
+      [userId, purchaseResult.insertId, ...ticketIds]
+    );
+
+    // ปิดคิวรอของเลขที่ซื้อได้แล้ว
+    await WaitlistService.markFulfilled(connection, userId, roundId, tickets.map(t => t.number));
+
+    return {
+      success: true,
+      purchaseId: purchaseResult.insertId,
+      roundId: roundId,
+      purchasedTickets: tickets,
+      totalCost: totalCost,
+      remainingWallet: newWallet,
+      // ใบรับรองที่ลงนามแล้วของแต่ละใบ (ReceiptService)
+      receipts: ReceiptService.createReceipts(tickets, userId, purchaseResult.insertId)
+    };
+  }
+
+  /**
+   * Whether a ticket's round has stopped selling: closed, or past its cutoff before the scheduler closes it
+   * @param {Object} ticket - Ticket row with round_status and draw_date
+   * @returns {boolean} True once the ticket can no longer be refunded or change hands
+   */
+  static isPastSalesCutoff(ticket) {
+    return ticket.round_status !== ROUND_STATUS.ON_SALE ||
+      new Date() >= DrawCalendar.getDrawTimes(ticket.draw_date).closeAt;
+  }
+
+  /**
+   * Whether a ticket has won a prize that has not been voided
+   * @param {Object} connection - Database connection
+   * @param {Object} ticket - Ticket row with ticket_id and prize_id
+   * @returns {Promise<boolean>} True if the ticket has won
+   */
+  static async hasWon(connection, ticket) {
+    if (ticket.prize_id) {
+      return true;
+    }
+
+    const [prizes] = await connection.execute(
+      'SELECT COUNT(*) AS total FROM TicketPrize WHERE ticket_id = ? AND status <> "voided"',
+      [ticket.ticket_id]
+    );
+    return prizes[0].total > 0;
   }
 
   /**
@@ -287,7 +517,7 @@ class TicketService {
   }
 
   /**
-   * Get tickets for draw by pool type
+   * Get tickets for draw by pool type, shuffled with the shared RNG
    * @param {string} poolType - 'sold' or 'all'
    * @returns {Promise<Array>} Array of tickets for drawing
    */
@@ -296,46 +526,60 @@ class TicketService {
     try {
       let query;
       if (poolType === 'sold') {
-        query = 'SELECT ticket_id, number FROM Ticket WHERE status = "sold" ORDER BY RAND()';
+        query = 'SELECT ticket_id, number FROM Ticket WHERE status = "sold" ORDER BY ticket_id';
       } else {
-        query = 'SELECT ticket_id, number FROM Ticket ORDER BY RAND()';
+        query = 'SELECT ticket_id, number FROM Ticket ORDER BY ticket_id';
       }
       
       const [tickets] = await connection.execute(query);
-      return tickets;
+      return getRng().shuffle(tickets);
     } finally {
       await connection.end();
     }
   }
 
   /**
-   * Create lottery tickets
-   * @param {Array} ticketData - Array of ticket data {number, price, adminUserId}
-   * @returns {Promise<number>} Number of tickets created
+   * Read tickets for a CSV export, a chunk at a time (ไม่โหลดทั้งตารางเข้าหน่วยความจำ)
+   * @param {Object} [filters] - Export filters
+   * @param {string} [filters.list] - 'inventory' (available/reserved) or 'sold' (sold/claimed)
+   * @param {number} [filters.roundId] - Only this round
+   * @returns {AsyncGenerator<Object>} Ticket rows in ticket_id order, with owner and purchase date
    */
-  static async createLotteryTickets(ticketData) {
+  static async *exportTickets({ list = 'inventory', roundId } = {}) {
+    const statuses = list === 'sold'
+      ? [TICKET_STATUS.SOLD, TICKET_STATUS.CLAIMED]
+      : [TICKET_STATUS.AVAILABLE, TICKET_STATUS.RESERVED];
+    const roundFilter = roundId ? ' AND t.round_id = ?' : '';
+
     const connection = await getConnection();
     try {
-      const batchSize = 50;
-      let inserted = 0;
-      
-      for (let i = 0; i < ticketData.length; i += batchSize) {
-        const batch = ticketData.slice(i, i + batchSize);
-        const placeholders = batch.map(() => '(?, ?, ?)').join(',');
-        const values = [];
-        
-        for (const ticket of batch) {
-          values.push(ticket.number, ticket.price, ticket.adminUserId);
-        }
-        
-        await connection.execute(
-          `INSERT INTO Ticket (number, price, created_by) VALUES ${placeholders}`,
-          values
+      let lastId = 0;
+
+      while (true) {
+        // เลื่อนด้วย ticket_id แทน OFFSET เพื่อให้แต่ละช่วงเร็วเท่ากัน
+        // LIMIT is a constant, inlined to avoid prepared statement issues
+        const [rows] = await connection.execute(
+          `SELECT t.ticket_id, t.round_id, t.number, t.set_no, t.price, t.status, t.batch_id,
+                  CASE WHEN t.status IN ('sold', 'claimed') THEN u.username END AS owner,
+                  p.date AS purchased_at
+           FROM Ticket t
+           LEFT JOIN User u ON u.user_id = t.created_by
+           LEFT JOIN Purchase p ON p.purchase_id = t.purchase_id
+           WHERE t.ticket_id > ? AND t.status IN (?, ?)${roundFilter}
+           ORDER BY t.ticket_id
+           LIMIT ${ISSUANCE.EXPORT_CHUNK}`,
+          [lastId, ...statuses, ...(roundId ? [roundId] : [])]
         );
-        inserted += batch.length;
+
+        for (const row of rows) {
+          yield row;
+        }
+
+        if (rows.length < ISSUANCE.EXPORT_CHUNK) {
+          return;
+        }
+        lastId = rows[rows.length - 1].ticket_id;
       }
-      
-      return inserted;
     } finally {
       await connection.end();
     }
@@ -348,7 +592,11 @@ class TicketService {
   static async deleteAllTickets() {
     const connection = await getConnection();
     try {
+      await connection.execute('DELETE FROM TicketTransfer');
+      await connection.execute('DELETE FROM ResaleListing');
+      await connection.execute('DELETE FROM NumberWaitlist');
       const [result] = await connection.execute('DELETE FROM Ticket');
+      await connection.execute('DELETE FROM TicketBatch');
       await connection.execute('ALTER TABLE Ticket AUTO_INCREMENT = 1');
       return result.affectedRows;
     } finally {
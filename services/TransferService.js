@@ -0,0 +1,454 @@
+const { getConnection } = require('../config/database');
+const { LISTING_STATUS, TICKET_STATUS, TRANSFER_STATUS } = require('../constants');
+const TicketService = require('./TicketService');
+const WaitlistService = require('./WaitlistService');
+
+/**
+ * Ticket transfer service - โอน/ให้ลอตเตอรี่ที่ซื้อแล้วแก่ผู้ใช้อื่น
+ *
+ * ขั้นตอน: เจ้าของส่งคำขอโอน (pending) → ผู้รับยอมรับ (accepted) หรือปฏิเสธ (declined)
+ * เจ้าของยกเลิกได้ก่อนผู้รับตอบ (cancelled)
+ * เจ้าของปัจจุบันคือ Ticket.created_by ส่วน Purchase.user_id ยังเป็นผู้ซื้อคนแรก
+ * โอนได้เฉพาะก่อนปิดการขายของงวด และลอตเตอรี่ต้องยังไม่ถูกรางวัล
+ */
+class TransferService {
+  /**
+   * Offer a ticket to another user
+   * @param {number} ticketId - Ticket ID
+   * @param {number} fromUserId - Current owner
+   * @param {Object} recipient - { username } or { phone }, with an optional message
+   * @returns {Promise<Object>} Pending transfer
+   */
+  static async createTransfer(ticketId, fromUserId, { username, phone, message }) {
+    if (!username && !phone) {
+      const error = new Error('กรุณาระบุชื่อผู้ใช้หรือเบอร์โทรของผู้รับ');
+      error.code = 'INVALID_TRANSFER';
+      throw error;
+    }
+
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // 1. ลอตเตอรี่ต้องเป็นของผู้โอนและยังโอนได้
+      const ticket = await this.lockTicket(connection, ticketId);
+      this.assertOwner(ticket, fromUserId);
+      await this.assertTransferable(connection, ticket);
+
+      // 2. หาผู้รับ
+      const [recipients] = username
+        ? await connection.execute('SELECT user_id, username FROM User WHERE username = ?', [username])
+        : await connection.execute('SELECT user_id, username FROM User WHERE phone = ?', [phone]);
+
+      if (recipients.length === 0) {
+        const error = new Error(`ไม่พบผู้ใช้ ${username || phone}`);
+        error.code = 'USER_NOT_FOUND';
+        throw error;
+      }
+
+      const recipient = recipients[0];
+      if (recipient.user_id === fromUserId) {
+        const error = new Error('ไม่สามารถโอนลอตเตอรี่ให้ตัวเองได้');
+        error.code = 'INVALID_TRANSFER';
+        throw error;
+      }
+
+      // 3. มีคำขอโอนที่รอตอบได้ครั้งละหนึ่งรายการต่อใบ
+      const [pending] = await connection.execute(
+        'SELECT transfer_id FROM TicketTransfer WHERE ticket_id = ? AND status = ? FOR UPDATE',
+        [ticketId, TRANSFER_STATUS.PENDING]
+      );
+
+      if (pending.length > 0) {
+        const error = new Error(`ลอตเตอรี่ ${ticket.number} มีคำขอโอนที่รอผู้รับตอบอยู่แล้ว`);
+        error.code = 'TRANSFER_PENDING';
+        throw error;
+      }
+
+      const [listings] = await connection.execute(
+        'SELECT listing_id FROM ResaleListing WHERE ticket_id = ? AND status = ?',
+        [ticketId, LISTING_STATUS.ACTIVE]
+      );
+
+      if (listings.length > 0) {
+        const error = new Error(`ลอตเตอรี่ ${ticket.number} ประกาศขายอยู่ กรุณายกเลิกประกาศก่อน`);
+        error.code = 'TICKET_ALREADY_LISTED';
+        throw error;
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO TicketTransfer (ticket_id, from_user_id, to_user_id, status, message)
+         VALUES (?, ?, ?, ?, ?)`,
+        [ticketId, fromUserId, recipient.user_id, TRANSFER_STATUS.PENDING, message || null]
+      );
+
+      await connection.commit();
+      return await this.findTransfer(connection, result.insertId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Accept a transfer, moving the ticket to the recipient
+   * @param {number} transferId - Transfer ID
+   * @param {number} userId - Recipient
+   * @returns {Promise<Object>} Accepted transfer
+   */
+  static async acceptTransfer(transferId, userId) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const transfer = await this.lockPendingTransfer(connection, transferId, 'to_user_id', userId);
+
+      // ตรวจซ้ำตอนรับ: ผู้โอนยังเป็นเจ้าของ และยังไม่เลยเวลาปิดการขาย
+      const ticket = await this.lockTicket(connection, transfer.ticket_id);
+      this.assertOwner(ticket, transfer.from_user_id);
+      await this.assertTransferable(connection, ticket);
+
+      await connection.execute(
+        'UPDATE Ticket SET created_by = ? WHERE ticket_id = ?',
+        [userId, ticket.ticket_id]
+      );
+      await WaitlistService.markFulfilled(connection, userId, ticket.round_id, [ticket.number]);
+
+      await connection.execute(
+        'UPDATE TicketTransfer SET status = ?, responded_at = NOW() WHERE transfer_id = ?',
+        [TRANSFER_STATUS.ACCEPTED, transferId]
+      );
+
+      await connection.commit();
+      return await this.findTransfer(connection, transferId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Decline a transfer (recipient)
+   * @param {number} transferId - Transfer ID
+   * @param {number} userId - Recipient
+   * @returns {Promise<Object>} Declined transfer
+   */
+  static async declineTransfer(transferId, userId) {
+    return this.closeTransfer(transferId, 'to_user_id', userId, TRANSFER_STATUS.DECLINED);
+  }
+
+  /**
+   * Cancel a transfer (sender)
+   * @param {number} transferId - Transfer ID
+   * @param {number} userId - Sender
+   * @returns {Promise<Object>} Cancelled transfer
+   */
+  static async cancelTransfer(transferId, userId) {
+    return this.closeTransfer(transferId, 'from_user_id', userId, TRANSFER_STATUS.CANCELLED);
+  }
+
+  /**
+   * List transfers a user sent or received, newest first
+   * @param {number} userId - User ID
+   * @param {Object} [options] - { direction: 'incoming' | 'outgoing', status }
+   * @returns {Promise<Array>} Transfers
+   */
+  static async listTransfers(userId, { direction, status } = {}) {
+    const where = [];
+    const params = [];
+
+    if (direction === 'incoming') {
+      where.push('tt.to_user_id = ?');
+      params.push(userId);
+    } else if (direction === 'outgoing') {
+      where.push('tt.from_user_id = ?');
+      params.push(userId);
+    } else {
+      where.push('(tt.from_user_id = ? OR tt.to_user_id = ?)');
+      params.push(userId, userId);
+    }
+
+    if (status) {
+      where.push('tt.status = ?');
+      params.push(status);
+    }
+
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `${this.selectSql()}
+         WHERE ${where.join(' AND ')}
+         ORDER BY tt.transfer_id DESC`,
+        params
+      );
+      return rows.map(row => this.formatTransfer(row));
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Ownership history of a ticket's current purchase: the purchase, then every accepted transfer and resale since
+   * Visible to anyone who has owned the ticket since that purchase.
+   * @param {number} ticketId - Ticket ID
+   * @param {number} userId - Requesting user
+   * @returns {Promise<Object|null>} { ticket, history } or null if not found
+   */
+  static async getOwnershipHistory(ticketId, userId) {
+    const connection = await getConnection();
+    try {
+      const [tickets] = await connection.execute(
+        `SELECT t.ticket_id, t.number, t.round_id, t.created_by, p.user_id AS buyer_id, p.date AS purchased_at,
+                u.username AS buyer_username
+         FROM Ticket t
+         LEFT JOIN Purchase p ON p.purchase_id = t.purchase_id
+         LEFT JOIN User u ON u.user_id = p.user_id
+         WHERE t.ticket_id = ?`,
+        [ticketId]
+      );
+
+      if (tickets.length === 0 || !tickets[0].buyer_id) {
+        return null;
+      }
+
+      // ตั๋วที่ถูกยกเลิกการซื้อแล้วขายใหม่: แสดงเฉพาะการเปลี่ยนเจ้าของหลังการซื้อครั้งปัจจุบัน
+      // ไม่เปิดเผยผู้ถือคนก่อนๆ ให้ผู้ซื้อคนใหม่
+      const ticket = tickets[0];
+      const [rows] = await connection.execute(
+        `${this.selectSql()}
+         WHERE tt.ticket_id = ? AND tt.status = ? AND tt.created_at >= ?
+         ORDER BY tt.responded_at, tt.transfer_id`,
+        [ticketId, TRANSFER_STATUS.ACCEPTED, ticket.purchased_at]
+      );
+      const transfers = rows.map(row => this.formatTransfer(row));
+
+      // การขายต่อในตลาดก็เป็นการเปลี่ยนเจ้าของเช่นกัน
+      const [resales] = await connection.execute(
+        `SELECT l.listing_id, l.seller_id, l.buyer_id, l.price, l.sold_at, u.username AS buyer_username
+         FROM ResaleListing l
+         LEFT JOIN User u ON u.user_id = l.buyer_id
+         WHERE l.ticket_id = ? AND l.status = ? AND l.created_at >= ?`,
+        [ticketId, LISTING_STATUS.SOLD, ticket.purchased_at]
+      );
+
+      const changes = [
+        ...transfers.map(transfer => ({
+          type: 'transfer',
+          transferId: transfer.id,
+          fromUserId: transfer.fromUserId,
+          userId: transfer.toUserId,
+          username: transfer.toUsername,
+          at: transfer.respondedAt
+        })),
+        ...resales.map(resale => ({
+          type: 'resale',
+          listingId: resale.listing_id,
+          fromUserId: resale.seller_id,
+          userId: resale.buyer_id,
+          username: resale.buyer_username,
+          price: parseFloat(resale.price),
+          at: resale.sold_at
+        }))
+      ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+      const owners = [ticket.buyer_id, ...changes.map(change => change.userId)];
+      if (!owners.includes(userId)) {
+        const error = new Error('ดูประวัติได้เฉพาะผู้ที่เคยเป็นเจ้าของลอตเตอรี่ใบนี้');
+        error.code = 'NOT_TICKET_OWNER';
+        throw error;
+      }
+
+      return {
+        ticket: {
+          id: ticket.ticket_id,
+          number: ticket.number,
+          roundId: ticket.round_id,
+          ownerId: ticket.created_by
+        },
+        history: [
+          { type: 'purchase', userId: ticket.buyer_id, username: ticket.buyer_username, at: ticket.purchased_at },
+          ...changes
+        ]
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Decline or cancel a pending transfer
+   * @param {number} transferId - Transfer ID
+   * @param {string} party - Column the user must match (from_user_id | to_user_id)
+   * @param {number} userId - User ID
+   * @param {string} status - New status
+   * @returns {Promise<Object>} Updated transfer
+   */
+  static async closeTransfer(transferId, party, userId, status) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await this.lockPendingTransfer(connection, transferId, party, userId);
+      await connection.execute(
+        'UPDATE TicketTransfer SET status = ?, responded_at = NOW() WHERE transfer_id = ?',
+        [status, transferId]
+      );
+
+      await connection.commit();
+      return await this.findTransfer(connection, transferId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Lock a pending transfer that belongs to the user
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {number} transferId - Transfer ID
+   * @param {string} party - from_user_id | to_user_id
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} TicketTransfer row
+   */
+  static async lockPendingTransfer(connection, transferId, party, userId) {
+    const [transfers] = await connection.execute(
+      'SELECT * FROM TicketTransfer WHERE transfer_id = ? FOR UPDATE',
+      [transferId]
+    );
+
+    if (transfers.length === 0 || transfers[0][party] !== userId) {
+      const error = new Error(`ไม่พบคำขอโอน ${transferId}`);
+      error.code = 'TRANSFER_NOT_FOUND';
+      throw error;
+    }
+
+    if (transfers[0].status !== TRANSFER_STATUS.PENDING) {
+      const error = new Error(`คำขอโอนนี้ถูก ${transfers[0].status} ไปแล้ว`);
+      error.code = 'TRANSFER_NOT_PENDING';
+      throw error;
+    }
+
+    return transfers[0];
+  }
+
+  /**
+   * Lock a ticket with its round
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {number} ticketId - Ticket ID
+   * @returns {Promise<Object>} Ticket row
+   */
+  static async lockTicket(connection, ticketId) {
+    const [tickets] = await connection.execute(
+      `SELECT t.ticket_id, t.number, t.status, t.created_by, t.purchase_id, t.prize_id, t.round_id,
+              r.status AS round_status, DATE_FORMAT(r.draw_date, '%Y-%m-%d') AS draw_date
+       FROM Ticket t
+       LEFT JOIN Round r ON r.round_id = t.round_id
+       WHERE t.ticket_id = ?
+       FOR UPDATE`,
+      [ticketId]
+    );
+
+    if (tickets.length === 0) {
+      const error = new Error(`ไม่พบลอตเตอรี่ ${ticketId}`);
+      error.code = 'TICKET_NOT_FOUND';
+      throw error;
+    }
+
+    return tickets[0];
+  }
+
+  /**
+   * Check that a user owns a purchased ticket
+   * @param {Object} ticket - Ticket row
+   * @param {number} userId - Expected owner
+   */
+  static assertOwner(ticket, userId) {
+    if (!ticket.purchase_id || ticket.created_by !== userId) {
+      const error = new Error(`ลอตเตอรี่ ${ticket.number} ไม่ใช่ของผู้โอน`);
+      error.code = 'NOT_TICKET_OWNER';
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a ticket can still change hands: round on sale, before the cutoff, not a winner
+   * @param {Object} connection - Database connection
+   * @param {Object} ticket - Ticket row (lockTicket)
+   * @returns {Promise<void>}
+   */
+  static async assertTransferable(connection, ticket) {
+    if (ticket.status !== TICKET_STATUS.SOLD) {
+      const error = new Error(`ลอตเตอรี่ ${ticket.number} โอนไม่ได้ (สถานะ ${ticket.status})`);
+      error.code = 'TRANSFER_NOT_ALLOWED';
+      throw error;
+    }
+
+    if (TicketService.isPastSalesCutoff(ticket)) {
+      const error = new Error('โอนลอตเตอรี่ได้เฉพาะก่อนปิดการขายของงวด');
+      error.code = 'TRANSFER_NOT_ALLOWED';
+      throw error;
+    }
+
+    if (await TicketService.hasWon(connection, ticket)) {
+      const error = new Error(`ลอตเตอรี่ ${ticket.number} ถูกรางวัลแล้ว โอนไม่ได้`);
+      error.code = 'TRANSFER_NOT_ALLOWED';
+      throw error;
+    }
+  }
+
+  /**
+   * Load a transfer by ID
+   * @param {Object} connection - Database connection
+   * @param {number} transferId - Transfer ID
+   * @returns {Promise<Object|null>} Transfer
+   */
+  static async findTransfer(connection, transferId) {
+    const [rows] = await connection.execute(
+      `${this.selectSql()} WHERE tt.transfer_id = ?`,
+      [transferId]
+    );
+    return rows.length > 0 ? this.formatTransfer(rows[0]) : null;
+  }
+
+  /**
+   * SELECT of a transfer with ticket number and usernames
+   * @returns {string} SQL without WHERE
+   */
+  static selectSql() {
+    return `SELECT tt.*, t.number, t.round_id, fu.username AS from_username, tu.username AS to_username
+            FROM TicketTransfer tt
+            JOIN Ticket t ON t.ticket_id = tt.ticket_id
+            LEFT JOIN User fu ON fu.user_id = tt.from_user_id
+            LEFT JOIN User tu ON tu.user_id = tt.to_user_id`;
+  }
+
+  /**
+   * Format a TicketTransfer row
+   * @param {Object} row - TicketTransfer row joined with ticket and users
+   * @returns {Object} Transfer
+   */
+  static formatTransfer(row) {
+    return {
+      id: row.transfer_id,
+      ticketId: row.ticket_id,
+      ticketNumber: row.number,
+      roundId: row.round_id,
+      fromUserId: row.from_user_id,
+      fromUsername: row.from_username,
+      toUserId: row.to_user_id,
+      toUsername: row.to_username,
+      status: row.status,
+      message: row.message,
+      createdAt: row.created_at,
+      respondedAt: row.responded_at
+    };
+  }
+}
+
+module.exports = TransferService;
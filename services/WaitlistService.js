@@ -0,0 +1,335 @@
+const { getConnection } = require('../config/database');
+const { ROUND_STATUS, TICKET_STATUS, WAITLIST, WAITLIST_STATUS, NOTIFICATION_TYPE } = require('../constants');
+const NotificationService = require('./NotificationService');
+const DrawCalendar = require('../utils/drawCalendar');
+
+/**
+ * Number waitlist service - คิวรอเลขที่ต้องการ
+ *
+ * เลขที่ขายหมดหรือไม่มีในงวดเข้าคิวรอได้ เมื่อมีตั๋วเลขนั้นกลับมาว่าง (ปล่อยจากตะกร้า ยกเลิกการซื้อ เติมตั๋ว)
+ * ผู้ที่รอก่อนได้ตั๋วจองไว้ในตะกร้า (reserved_by) WAITLIST_HOLD_MINUTES นาทีพร้อมการแจ้งเตือน
+ * ถ้าไม่ชำระเงินทันเวลา ตั๋วจะถูกส่งต่อให้คนถัดไปในคิว
+ * ตั๋วที่ประกาศขายต่อจองให้ไม่ได้ (ราคาเป็นของผู้ขาย) จึงแจ้งเตือนผู้รอทุกคนแทน
+ */
+class WaitlistService {
+  /**
+   * Add a user to the waitlist of a number, inside the caller's transaction
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {number} userId - User ID
+   * @param {number} roundId - Round on sale
+   * @param {string} number - 6-digit number
+   * @returns {Promise<Object>} Waitlist entry with its position in the queue
+   */
+  static async join(connection, userId, roundId, number) {
+    const [entries] = await connection.execute(
+      'SELECT waitlist_id, round_id, number FROM NumberWaitlist WHERE user_id = ? AND status IN (?, ?) FOR UPDATE',
+      [userId, WAITLIST_STATUS.WAITING, WAITLIST_STATUS.RESERVED]
+    );
+
+    if (entries.some(entry => entry.round_id === roundId && entry.number === number)) {
+      const error = new Error(`อยู่ในคิวรอเลข ${number} แล้ว`);
+      error.code = 'WAITLIST_EXISTS';
+      throw error;
+    }
+
+    if (entries.length >= WAITLIST.MAX_ENTRIES_PER_USER) {
+      const error = new Error(`รอได้ไม่เกิน ${WAITLIST.MAX_ENTRIES_PER_USER} เลขพร้อมกัน`);
+      error.code = 'WAITLIST_FULL';
+      throw error;
+    }
+
+    const [result] = await connection.execute(
+      'INSERT INTO NumberWaitlist (user_id, round_id, number, status) VALUES (?, ?, ?, ?)',
+      [userId, roundId, number, WAITLIST_STATUS.WAITING]
+    );
+
+    return await this.findEntry(connection, result.insertId);
+  }
+
+  /**
+   * List a user's waitlist entries, newest first
+   * @param {number} userId - User ID
+   * @param {Object} [filters] - { status }
+   * @returns {Promise<Array>} Waitlist entries
+   */
+  static async listWaitlist(userId, { status } = {}) {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `${this.selectSql()}
+         WHERE w.user_id = ?${status ? ' AND w.status = ?' : ''}
+         ORDER BY w.waitlist_id DESC`,
+        status ? [userId, status] : [userId]
+      );
+      return rows.map(row => this.formatEntry(row));
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Leave the waitlist; a ticket already reserved for the entry goes to the next user in line
+   * @param {number} userId - Owner of the entry
+   * @param {number} waitlistId - Waitlist ID
+   * @returns {Promise<Object>} Cancelled entry
+   */
+  static async cancelEntry(userId, waitlistId) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        'SELECT * FROM NumberWaitlist WHERE waitlist_id = ? AND user_id = ? FOR UPDATE',
+        [waitlistId, userId]
+      );
+
+      if (rows.length === 0) {
+        const error = new Error('ไม่พบคิวรอเลข');
+        error.code = 'WAITLIST_NOT_FOUND';
+        throw error;
+      }
+
+      const entry = rows[0];
+      if (entry.status !== WAITLIST_STATUS.WAITING && entry.status !== WAITLIST_STATUS.RESERVED) {
+        const error = new Error(`คิวรอเลข ${entry.number} ปิดแล้ว (${entry.status})`);
+        error.code = 'WAITLIST_CLOSED';
+        throw error;
+      }
+
+      await connection.execute(
+        'UPDATE NumberWaitlist SET status = ?, closed_at = NOW() WHERE waitlist_id = ?',
+        [WAITLIST_STATUS.CANCELLED, waitlistId]
+      );
+
+      // ปล่อยตั๋วที่จองให้ แล้วส่งต่อให้คนถัดไปในคิว
+      if (entry.status === WAITLIST_STATUS.RESERVED && entry.ticket_id) {
+        await connection.execute(
+          `UPDATE Ticket SET status = ?, reserved_by = NULL, reserved_until = NULL
+           WHERE ticket_id = ? AND status = ? AND reserved_by = ?`,
+          [TICKET_STATUS.AVAILABLE, entry.ticket_id, TICKET_STATUS.RESERVED, userId]
+        );
+        await this.offerAvailable(connection);
+      }
+
+      await connection.commit();
+      return await this.findEntry(connection, waitlistId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Reserve tickets that are free again for the first users waiting on their number, and notify them
+   * Entries whose reservation lapsed (hold expired or released) are closed first, so the ticket moves down the queue.
+   * @param {Object} connection - Database connection inside a transaction
+   * @returns {Promise<number>} Tickets reserved
+   */
+  static async offerAvailable(connection) {
+    // 1. ปิดคิวที่จองให้แล้วแต่ไม่ได้ชำระเงินทันเวลา
+    await connection.execute(
+      `UPDATE NumberWaitlist w
+       JOIN Ticket t ON t.ticket_id = w.ticket_id
+       SET w.status = ?, w.closed_at = NOW()
+       WHERE w.status = ?
+         AND NOT (t.status = ? AND t.reserved_by = w.user_id AND t.reserved_until > NOW())`,
+      [WAITLIST_STATUS.EXPIRED, WAITLIST_STATUS.RESERVED, TICKET_STATUS.RESERVED]
+    );
+
+    // 2. จับคู่ตั๋วที่ว่างกับคิวที่รอนานที่สุดของเลขเดียวกันในงวดที่เปิดขาย
+    const [candidates] = await connection.execute(
+      `SELECT w.waitlist_id, w.user_id, w.number, w.round_id, t.ticket_id, t.set_no, t.price,
+              DATE_FORMAT(r.draw_date, '%Y-%m-%d') AS draw_date
+       FROM NumberWaitlist w
+       JOIN Round r ON r.round_id = w.round_id
+       JOIN Ticket t ON t.round_id = w.round_id AND t.number = w.number
+       WHERE w.status = ? AND r.status = ?
+         AND (t.status = ? OR (t.status = ? AND t.reserved_until <= NOW()))
+       ORDER BY w.waitlist_id, t.set_no
+       FOR UPDATE`,
+      [WAITLIST_STATUS.WAITING, ROUND_STATUS.ON_SALE, TICKET_STATUS.AVAILABLE, TICKET_STATUS.RESERVED]
+    );
+
+    const holdMinutes = this.getHoldMinutes();
+    const offeredEntries = new Set();
+    const offeredTickets = new Set();
+
+    const now = new Date();
+
+    for (const candidate of candidates) {
+      if (offeredEntries.has(candidate.waitlist_id) || offeredTickets.has(candidate.ticket_id)) {
+        continue;
+      }
+
+      // หลังปิดการขาย (ก่อน scheduler ปิดงวด) จองให้ไม่ได้ เพราะชำระเงินไม่ได้แล้ว
+      if (now >= DrawCalendar.getDrawTimes(candidate.draw_date).closeAt) {
+        continue;
+      }
+      offeredEntries.add(candidate.waitlist_id);
+      offeredTickets.add(candidate.ticket_id);
+
+      // holdMinutes is a validated integer, inlined into the interval
+      await connection.execute(
+        `UPDATE Ticket
+         SET status = ?, reserved_by = ?, reserved_until = DATE_ADD(NOW(), INTERVAL ${holdMinutes} MINUTE)
+         WHERE ticket_id = ?`,
+        [TICKET_STATUS.RESERVED, candidate.user_id, candidate.ticket_id]
+      );
+
+      await connection.execute(
+        'UPDATE NumberWaitlist SET status = ?, ticket_id = ?, reserved_at = NOW() WHERE waitlist_id = ?',
+        [WAITLIST_STATUS.RESERVED, candidate.ticket_id, candidate.waitlist_id]
+      );
+
+      await NotificationService.notify(connection, {
+        userId: candidate.user_id,
+        type: NOTIFICATION_TYPE.WAITLIST_RESERVED,
+        title: `ได้เลข ${candidate.number} แล้ว`,
+        message: `ลอตเตอรี่เลข ${candidate.number} ที่คุณรออยู่ถูกจองไว้ในตะกร้า กรุณาชำระเงินภายใน ${holdMinutes} นาที`,
+        data: {
+          waitlistId: candidate.waitlist_id,
+          ticketId: candidate.ticket_id,
+          number: candidate.number,
+          setNo: candidate.set_no,
+          roundId: candidate.round_id,
+          price: parseFloat(candidate.price)
+        }
+      });
+    }
+
+    if (offeredTickets.size > 0) {
+      console.log(`🔔 Reserved ${offeredTickets.size} tickets for waitlisted users`);
+    }
+    return offeredTickets.size;
+  }
+
+  /**
+   * Close the entries of numbers the user just bought in the round
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {number} userId - Buyer
+   * @param {number|null} roundId - Round of the purchase
+   * @param {Array<string>} numbers - Numbers bought
+   * @returns {Promise<number>} Entries fulfilled
+   */
+  static async markFulfilled(connection, userId, roundId, numbers) {
+    if (!roundId || numbers.length === 0) {
+      return 0;
+    }
+
+    const unique = [...new Set(numbers)];
+    const [result] = await connection.execute(
+      `UPDATE NumberWaitlist SET status = ?, closed_at = NOW()
+       WHERE user_id = ? AND round_id = ? AND status IN (?, ?) AND number IN (${unique.map(() => '?').join(',')})`,
+      [WAITLIST_STATUS.FULFILLED, userId, roundId, WAITLIST_STATUS.WAITING, WAITLIST_STATUS.RESERVED, ...unique]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Tell everyone waiting on a number that a copy was listed for resale
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Object} listing - Listing (ResaleService.formatListing)
+   * @returns {Promise<number>} Users notified
+   */
+  static async notifyListing(connection, listing) {
+    const [waiting] = await connection.execute(
+      'SELECT waitlist_id, user_id FROM NumberWaitlist WHERE round_id = ? AND number = ? AND status = ? AND user_id <> ?',
+      [listing.roundId, listing.ticketNumber, WAITLIST_STATUS.WAITING, listing.sellerId]
+    );
+
+    for (const entry of waiting) {
+      await NotificationService.notify(connection, {
+        userId: entry.user_id,
+        type: NOTIFICATION_TYPE.WAITLIST_RESALE,
+        title: `มีเลข ${listing.ticketNumber} ประกาศขายต่อ`,
+        message: `ลอตเตอรี่เลข ${listing.ticketNumber} ที่คุณรออยู่ถูกประกาศขายต่อราคา ${listing.price} บาท`,
+        data: {
+          waitlistId: entry.waitlist_id,
+          listingId: listing.id,
+          number: listing.ticketNumber,
+          roundId: listing.roundId,
+          price: listing.price
+        }
+      });
+    }
+    return waiting.length;
+  }
+
+  /**
+   * Expire the open entries of a round when its sales close
+   * @param {Object} connection - Database connection
+   * @param {number} roundId - Round ID
+   * @returns {Promise<number>} Entries expired
+   */
+  static async expireRound(connection, roundId) {
+    const [result] = await connection.execute(
+      'UPDATE NumberWaitlist SET status = ?, closed_at = NOW() WHERE round_id = ? AND status IN (?, ?)',
+      [WAITLIST_STATUS.EXPIRED, roundId, WAITLIST_STATUS.WAITING, WAITLIST_STATUS.RESERVED]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Minutes a ticket is held for a waitlisted user (WAITLIST_HOLD_MINUTES env overrides the default)
+   * @returns {number} Minutes
+   */
+  static getHoldMinutes() {
+    const minutes = parseInt(process.env.WAITLIST_HOLD_MINUTES);
+    return Number.isInteger(minutes) && minutes > 0 ? minutes : WAITLIST.HOLD_MINUTES;
+  }
+
+  /**
+   * Load one entry
+   * @param {Object} connection - Database connection
+   * @param {number} waitlistId - Waitlist ID
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  static async findEntry(connection, waitlistId) {
+    const [rows] = await connection.execute(
+      `${this.selectSql()} WHERE w.waitlist_id = ?`,
+      [waitlistId]
+    );
+    return rows.length > 0 ? this.formatEntry(rows[0]) : null;
+  }
+
+  /**
+   * SELECT of an entry with its round, reserved ticket and queue position
+   * @returns {string} SQL without WHERE
+   */
+  static selectSql() {
+    return `SELECT w.*, r.name AS round_name, t.set_no, t.reserved_until,
+                   (SELECT COUNT(*) FROM NumberWaitlist q
+                    WHERE q.round_id = w.round_id AND q.number = w.number AND q.status = '${WAITLIST_STATUS.WAITING}'
+                      AND q.waitlist_id <= w.waitlist_id) AS position
+            FROM NumberWaitlist w
+            LEFT JOIN Round r ON r.round_id = w.round_id
+            LEFT JOIN Ticket t ON t.ticket_id = w.ticket_id`;
+  }
+
+  /**
+   * Format a NumberWaitlist row
+   * @param {Object} row - Row from selectSql()
+   * @returns {Object} Entry
+   */
+  static formatEntry(row) {
+    return {
+      id: row.waitlist_id,
+      number: row.number,
+      roundId: row.round_id,
+      roundName: row.round_name,
+      status: row.status,
+      // ลำดับในคิว เฉพาะคิวที่ยังรออยู่
+      position: row.status === WAITLIST_STATUS.WAITING ? Number(row.position) : null,
+      ticketId: row.ticket_id,
+      setNo: row.ticket_id ? row.set_no : null,
+      reservedUntil: row.status === WAITLIST_STATUS.RESERVED ? row.reserved_until : null,
+      createdAt: row.created_at,
+      reservedAt: row.reserved_at,
+      closedAt: row.closed_at
+    };
+  }
+}
+
+module.exports = WaitlistService;
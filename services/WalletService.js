@@ -0,0 +1,290 @@
+const { getConnection } = require('../config/database');
+const { RECEIVABLE_STATUS, WALLET_TRANSACTION_TYPE } = require('../constants');
+
+/**
+ * Wallet service - ทุกการเปลี่ยนแปลงยอดเงินที่ระบบทำเองบันทึกเป็นรายการใน WalletTransaction
+ * amount เป็นบวกเมื่อเงินเข้า และติดลบเมื่อเงินออก พร้อมยอดคงเหลือหลังทำรายการ
+ */
+class WalletService {
+  /**
+   * Credit or debit a wallet and record the ledger entry, using the caller's transaction
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Object} entry - Ledger entry
+   * @param {number} entry.userId - Wallet owner
+   * @param {number} entry.amount - Positive to credit, negative to debit
+   * @param {string} entry.type - One of WALLET_TRANSACTION_TYPE
+   * @param {number} [entry.drawId] - Related draw
+   * @param {number} [entry.ticketId] - Related ticket
+   * @param {string} [entry.description] - Human readable note
+   * @param {number} [entry.createdBy] - Admin who caused the entry, null for the user themself
+   * @returns {Promise<Object>} { transactionId, balanceBefore, balanceAfter }
+   */
+  static async recordTransaction(connection, { userId, amount, type, drawId, ticketId, description, createdBy }) {
+    const [users] = await connection.execute(
+      'SELECT wallet FROM User WHERE user_id = ? FOR UPDATE',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      const error = new Error(`ไม่พบผู้ใช้ ${userId}`);
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    const balanceBefore = parseFloat(users[0].wallet);
+    const balanceAfter = Math.round((balanceBefore + amount) * 100) / 100;
+
+    await connection.execute(
+      'UPDATE User SET wallet = ? WHERE user_id = ?',
+      [balanceAfter, userId]
+    );
+
+    const [result] = await connection.execute(
+      `INSERT INTO WalletTransaction (user_id, amount, balance_after, type, draw_id, ticket_id, description, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, amount, balanceAfter, type, drawId || null, ticketId || null, description || null, createdBy || null]
+    );
+
+    return { transactionId: result.insertId, balanceBefore, balanceAfter };
+  }
+
+  /**
+   * Record an amount the user owes that their wallet could not cover, using the caller's transaction
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Object} receivable - Receivable
+   * @param {number} receivable.userId - User who owes the amount
+   * @param {number} receivable.amount - Amount owed (positive)
+   * @param {number} [receivable.drawId] - Related draw
+   * @param {number} [receivable.ticketId] - Related ticket
+   * @param {number} [receivable.transactionId] - Ledger entry that could only take part of the amount
+   * @param {string} [receivable.description] - Human readable note
+   * @param {number} [receivable.createdBy] - Admin who caused the receivable
+   * @returns {Promise<number>} Receivable ID
+   */
+  static async recordReceivable(connection, { userId, amount, drawId, ticketId, transactionId, description, createdBy }) {
+    const [result] = await connection.execute(
+      `INSERT INTO WalletReceivable (user_id, amount, outstanding, status, draw_id, ticket_id, transaction_id, description, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, amount, amount, RECEIVABLE_STATUS.OPEN, drawId || null, ticketId || null, transactionId || null, description || null, createdBy || null]
+    );
+
+    return result.insertId;
+  }
+
+  /**
+   * Collect a user's open receivables, oldest first, from their current balance
+   * Each collected amount is a receivable_recovery ledger entry; what the balance cannot cover stays open.
+   * @param {number} userId - User ID
+   * @param {Object} options - { createdBy }
+   * @returns {Promise<Object>} { recovered, outstanding, balanceAfter, receivables }
+   */
+  static async recoverReceivables(userId, { createdBy }) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [users] = await connection.execute(
+        'SELECT wallet FROM User WHERE user_id = ? FOR UPDATE',
+        [userId]
+      );
+
+      if (users.length === 0) {
+        const error = new Error(`ไม่พบผู้ใช้ ${userId}`);
+        error.code = 'USER_NOT_FOUND';
+        throw error;
+      }
+
+      const [open] = await connection.execute(
+        'SELECT * FROM WalletReceivable WHERE user_id = ? AND status = ? ORDER BY receivable_id ASC FOR UPDATE',
+        [userId, RECEIVABLE_STATUS.OPEN]
+      );
+
+      let balance = parseFloat(users[0].wallet);
+      let recovered = 0;
+      const receivables = [];
+
+      for (const receivable of open) {
+        const outstanding = parseFloat(receivable.outstanding);
+        const amount = Math.round(Math.min(outstanding, Math.max(0, balance)) * 100) / 100;
+
+        if (amount > 0) {
+          const { balanceAfter } = await this.recordTransaction(connection, {
+            userId,
+            amount: -amount,
+            type: WALLET_TRANSACTION_TYPE.RECEIVABLE_RECOVERY,
+            drawId: receivable.draw_id,
+            ticketId: receivable.ticket_id,
+            description: `เรียกเก็บยอดค้าง #${receivable.receivable_id}${receivable.description ? ` (${receivable.description})` : ''}`.slice(0, 255),
+            createdBy
+          });
+          balance = balanceAfter;
+          recovered = Math.round((recovered + amount) * 100) / 100;
+
+          const remaining = Math.round((outstanding - amount) * 100) / 100;
+          await connection.execute(
+            `UPDATE WalletReceivable
+             SET outstanding = ?, status = ?, settled_at = ${remaining > 0 ? 'NULL' : 'NOW()'}
+             WHERE receivable_id = ?`,
+            [remaining, remaining > 0 ? RECEIVABLE_STATUS.OPEN : RECEIVABLE_STATUS.SETTLED, receivable.receivable_id]
+          );
+          receivable.outstanding = remaining;
+          receivable.status = remaining > 0 ? RECEIVABLE_STATUS.OPEN : RECEIVABLE_STATUS.SETTLED;
+        }
+
+        receivables.push(this.formatReceivable(receivable));
+      }
+
+      await connection.commit();
+
+      return {
+        recovered,
+        outstanding: Math.round(receivables.reduce((sum, receivable) => sum + receivable.outstanding, 0) * 100) / 100,
+        balanceAfter: balance,
+        receivables
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * List receivables, newest first
+   * @param {Object} [options] - { userId, status, page, limit }
+   * @returns {Promise<Object>} Paginated receivables with the total outstanding
+   */
+  static async getReceivables({ userId, status, page = 1, limit = 20 } = {}) {
+    const safePage = Math.max(1, parseInt(page) || 1);
+    const safeLimit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const offset = (safePage - 1) * safeLimit;
+
+    const conditions = [];
+    const params = [];
+    if (userId) {
+      conditions.push('user_id = ?');
+      params.push(userId);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const connection = await getConnection();
+    try {
+      const [countResult] = await connection.execute(
+        `SELECT COUNT(*) AS total, COALESCE(SUM(outstanding), 0) AS outstanding FROM WalletReceivable ${where}`,
+        params
+      );
+
+      // LIMIT/OFFSET are validated integers, inlined to avoid prepared statement issues
+      const [rows] = await connection.execute(
+        `SELECT * FROM WalletReceivable ${where} ORDER BY receivable_id DESC LIMIT ${safeLimit} OFFSET ${offset}`,
+        params
+      );
+
+      return {
+        receivables: rows.map(row => this.formatReceivable(row)),
+        totalOutstanding: parseFloat(countResult[0].outstanding),
+        pagination: {
+          page: safePage,
+          limit: safeLimit,
+          total: countResult[0].total,
+          totalPages: Math.ceil(countResult[0].total / safeLimit)
+        }
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * List a user's ledger entries, newest first
+   * @param {number} userId - User ID
+   * @param {Object} [options] - { page, limit }
+   * @returns {Promise<Object>} Paginated transactions
+   */
+  static async getTransactions(userId, { page = 1, limit = 20 } = {}) {
+    const safePage = Math.max(1, parseInt(page) || 1);
+    const safeLimit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const offset = (safePage - 1) * safeLimit;
+
+    const connection = await getConnection();
+    try {
+      const [countResult] = await connection.execute(
+        'SELECT COUNT(*) AS total FROM WalletTransaction WHERE user_id = ?',
+        [userId]
+      );
+
+      // LIMIT/OFFSET are validated integers, inlined to avoid prepared statement issues
+      const [rows] = await connection.execute(
+        `SELECT wt.*, t.number AS ticket_number
+         FROM WalletTransaction wt
+         LEFT JOIN Ticket t ON t.ticket_id = wt.ticket_id
+         WHERE wt.user_id = ?
+         ORDER BY wt.transaction_id DESC
+         LIMIT ${safeLimit} OFFSET ${offset}`,
+        [userId]
+      );
+
+      return {
+        transactions: rows.map(row => this.formatTransaction(row)),
+        pagination: {
+          page: safePage,
+          limit: safeLimit,
+          total: countResult[0].total,
+          totalPages: Math.ceil(countResult[0].total / safeLimit)
+        }
+      };
+    } finally {
+      await connection.end();
+    }
+  }
+
+  /**
+   * Format a WalletTransaction row
+   * @param {Object} row - WalletTransaction row
+   * @returns {Object} Transaction
+   */
+  static formatTransaction(row) {
+    return {
+      id: row.transaction_id,
+      userId: row.user_id,
+      amount: parseFloat(row.amount),
+      balanceAfter: parseFloat(row.balance_after),
+      type: row.type,
+      drawId: row.draw_id,
+      ticketId: row.ticket_id,
+      ticketNumber: row.ticket_number,
+      description: row.description,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Format a WalletReceivable row
+   * @param {Object} row - WalletReceivable row
+   * @returns {Object} Receivable
+   */
+  static formatReceivable(row) {
+    return {
+      id: row.receivable_id,
+      userId: row.user_id,
+      amount: parseFloat(row.amount),
+      outstanding: parseFloat(row.outstanding),
+      status: row.status,
+      drawId: row.draw_id,
+      ticketId: row.ticket_id,
+      transactionId: row.transaction_id,
+      description: row.description,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      settledAt: row.settled_at || null
+    };
+  }
+}
+
+module.exports = WalletService;
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, formatCsvRow } = require('../utils/csv');
+
+test('parseCsv keeps the starting line of each row and skips blank lines', () => {
+  const { rows, errors } = parseCsv('﻿tier,number\r\n\r\nfirst, 012345 \n');
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(rows, [
+    { line: 1, fields: ['tier', 'number'] },
+    { line: 3, fields: ['first', '012345'] }
+  ]);
+});
+
+test('parseCsv reads quoted fields with commas, escaped quotes and line breaks', () => {
+  const { rows } = parseCsv('note,number\n"a, ""b""\nc",012345\nlast,1\n');
+
+  assert.deepStrictEqual(rows[1], { line: 2, fields: ['a, "b"\nc', '012345'] });
+  assert.strictEqual(rows[2].line, 4);
+});
+
+test('parseCsv reports an unclosed quote', () => {
+  const { errors } = parseCsv('tier,number\nfirst,"012345\n');
+  assert.deepStrictEqual(errors, [{ line: 2, message: 'เครื่องหมายคำพูด (") ไม่ได้ปิด' }]);
+});
+
+test('formatCsvRow quotes special characters and neutralises formulas', () => {
+  assert.strictEqual(formatCsvRow(['012345', null, 'a,b', 'say "hi"']), '012345,,"a,b","say ""hi"""\r\n');
+  assert.strictEqual(formatCsvRow(['=SUM(A1)', -5]), "'=SUM(A1),-5\r\n");
+});
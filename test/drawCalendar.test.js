@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DrawCalendar = require('../utils/drawCalendar');
+
+/**
+ * Run a function with environment variables temporarily set
+ * @param {Object} env - Variables to set (undefined deletes)
+ * @param {Function} fn - Function to run
+ */
+function withEnv(env, fn) {
+  const saved = {};
+  for (const [key, value] of Object.entries(env)) {
+    saved[key] = process.env[key];
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  }
+
+  try {
+    fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  }
+}
+
+test('getDrawTimes uses the Bangkok +07:00 offset and closes sales before the draw', () => {
+  withEnv({ DRAW_TIME: undefined, SALES_CUTOFF_MINUTES: undefined }, () => {
+    const { drawAt, closeAt } = DrawCalendar.getDrawTimes('2026-11-01');
+
+    assert.strictEqual(drawAt.toISOString(), '2026-11-01T09:00:00.000Z');
+    assert.strictEqual(closeAt.toISOString(), '2026-11-01T08:00:00.000Z');
+  });
+});
+
+test('getDrawTimes follows DRAW_TIME and SALES_CUTOFF_MINUTES overrides and ignores invalid ones', () => {
+  withEnv({ DRAW_TIME: '14:30', SALES_CUTOFF_MINUTES: '0' }, () => {
+    const { drawAt, closeAt } = DrawCalendar.getDrawTimes('2026-11-16');
+
+    assert.strictEqual(drawAt.toISOString(), '2026-11-16T07:30:00.000Z');
+    assert.strictEqual(closeAt.getTime(), drawAt.getTime());
+  });
+
+  withEnv({ DRAW_TIME: '25:00', SALES_CUTOFF_MINUTES: '-5' }, () => {
+    const { drawAt, closeAt } = DrawCalendar.getDrawTimes('2026-11-16');
+
+    assert.strictEqual(drawAt.toISOString(), '2026-11-16T09:00:00.000Z');
+    assert.strictEqual(closeAt.toISOString(), '2026-11-16T08:00:00.000Z');
+  });
+});
+
+test('a draw at midnight Bangkok time falls on the previous UTC day', () => {
+  withEnv({ DRAW_TIME: '00:30', SALES_CUTOFF_MINUTES: '60' }, () => {
+    const { drawAt, closeAt } = DrawCalendar.getDrawTimes('2027-01-01');
+
+    assert.strictEqual(drawAt.toISOString(), '2026-12-31T17:30:00.000Z');
+    assert.strictEqual(DrawCalendar.toBangkokDate(closeAt), '2026-12-31');
+    assert.strictEqual(DrawCalendar.toBangkokDate(drawAt), '2027-01-01');
+  });
+});
+
+test('getUpcomingDrawDates lists the 1st and 16th across month and year boundaries', () => {
+  const dates = DrawCalendar.getUpcomingDrawDates('2026-12-02', 4);
+
+  assert.deepStrictEqual(dates.map(date => date.drawDate), ['2026-12-16', '2027-01-01', '2027-01-16', '2027-02-01']);
+  assert.ok(dates.every(date => !date.moved));
+});
+
+test('getUpcomingDrawDates includes the start date itself', () => {
+  const dates = DrawCalendar.getUpcomingDrawDates('2026-11-16', 1);
+  assert.deepStrictEqual(dates, [{ regularDate: '2026-11-16', drawDate: '2026-11-16', moved: false }]);
+});
+
+test('getUpcomingDrawDates applies overrides, including dates moved across a month boundary', () => {
+  const overrides = {
+    '2026-11-01': '2026-10-31',
+    '2027-01-01': '2026-12-30'
+  };
+
+  // วันที่ 1 พ.ย. ถูกเลื่อนมาเป็น 31 ต.ค. จึงต้องปรากฏแม้เริ่มนับจากเดือนตุลาคม
+  const fromOctober = DrawCalendar.getUpcomingDrawDates('2026-10-17', 2, overrides);
+  assert.deepStrictEqual(fromOctober, [
+    { regularDate: '2026-11-01', drawDate: '2026-10-31', moved: true },
+    { regularDate: '2026-11-16', drawDate: '2026-11-16', moved: false }
+  ]);
+
+  // งวดถัดไปหลัง 16 ธ.ค. คือ 1 ม.ค. ที่เลื่อนมาเป็น 30 ธ.ค.
+  const fromDecember = DrawCalendar.getUpcomingDrawDates('2026-12-17', 1, overrides);
+  assert.deepStrictEqual(fromDecember, [{ regularDate: '2027-01-01', drawDate: '2026-12-30', moved: true }]);
+});
+
+test('getUpcomingDrawDates returns the earliest dates when a date is moved past the next regular one', () => {
+  // 16 ต.ค. ถูกเลื่อนไปหลัง 1 พ.ย. งวดถัดไปจึงเป็น 1 พ.ย.
+  const overrides = { '2026-10-16': '2026-11-02' };
+
+  assert.deepStrictEqual(DrawCalendar.getUpcomingDrawDates('2026-10-02', 1, overrides).map(date => date.drawDate), ['2026-11-01']);
+  assert.deepStrictEqual(DrawCalendar.getUpcomingDrawDates('2026-10-02', 2, overrides).map(date => date.drawDate), ['2026-11-01', '2026-11-02']);
+});
+
+test('a regular date moved to before the start date is skipped', () => {
+  const dates = DrawCalendar.getUpcomingDrawDates('2026-11-01', 1, { '2026-11-01': '2026-10-30' });
+  assert.deepStrictEqual(dates.map(date => date.drawDate), ['2026-11-16']);
+});
@@ -0,0 +1,255 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const database = require('../config/database');
+const IdempotencyScope = require('../utils/idempotencyScope');
+const { IDEMPOTENCY, IDEMPOTENCY_STATUS } = require('../constants');
+
+/**
+ * In-memory IdempotencyKey table that answers the statements of IdempotencyService and bindCommit
+ * Rows carry ageMinutes instead of created_at so tests can age a key.
+ * @returns {Object} { rows, commits, connection }
+ */
+function createFakeDb() {
+  const db = { rows: [], commits: 0, nextId: 1 };
+  const find = id => db.rows.find(row => row.idempotency_id === id);
+
+  const execute = async (sql, params) => {
+    const statement = sql.replace(/\s+/g, ' ').trim();
+
+    if (statement.startsWith('DELETE FROM IdempotencyKey WHERE user_id = ?')) {
+      const [userId, key, status] = params;
+      const before = db.rows.length;
+      db.rows = db.rows.filter(row => !(row.user_id === userId && row.idem_key === key &&
+        (row.ageMinutes > IDEMPOTENCY.TTL_HOURS * 60 ||
+          (row.status === status && row.ageMinutes > IDEMPOTENCY.STALE_MINUTES))));
+      return [{ affectedRows: before - db.rows.length }];
+    }
+
+    if (statement.startsWith('INSERT IGNORE INTO IdempotencyKey')) {
+      const [userId, key, method, path, requestHash, status] = params;
+      if (db.rows.some(row => row.user_id === userId && row.idem_key === key)) {
+        return [{ affectedRows: 0, insertId: 0 }];
+      }
+      const row = {
+        idempotency_id: db.nextId++, user_id: userId, idem_key: key, method, path,
+        request_hash: requestHash, status, response_status: null, response_body: null, ageMinutes: 0
+      };
+      db.rows.push(row);
+      return [{ affectedRows: 1, insertId: row.idempotency_id }];
+    }
+
+    if (statement.startsWith('SELECT *, created_at <')) {
+      const [userId, key] = params;
+      return [db.rows
+        .filter(row => row.user_id === userId && row.idem_key === key)
+        .map(row => ({ ...row, stale: row.ageMinutes > IDEMPOTENCY.STALE_MINUTES ? 1 : 0 }))];
+    }
+
+    if (statement.startsWith('UPDATE IdempotencyKey SET status = ?, response_status = ?')) {
+      const [status, responseStatus, responseBody, id, expectedStatus] = params;
+      const row = find(id);
+      if (!row || (expectedStatus !== undefined && row.status !== expectedStatus)) {
+        return [{ affectedRows: 0 }];
+      }
+      Object.assign(row, { status, response_status: responseStatus, response_body: responseBody });
+      return [{ affectedRows: 1 }];
+    }
+
+    if (statement.startsWith('DELETE FROM IdempotencyKey WHERE idempotency_id = ?')) {
+      const [id, status] = params;
+      const before = db.rows.length;
+      db.rows = db.rows.filter(row => !(row.idempotency_id === id && row.status === status));
+      return [{ affectedRows: before - db.rows.length }];
+    }
+
+    if (statement.startsWith('SELECT status FROM IdempotencyKey WHERE idempotency_id = ?')) {
+      const row = find(params[0]);
+      return [row ? [{ status: row.status }] : []];
+    }
+
+    if (statement.startsWith('UPDATE IdempotencyKey SET status = ? WHERE idempotency_id = ?')) {
+      find(params[1]).status = params[0];
+      return [{ affectedRows: 1 }];
+    }
+
+    throw new Error(`Unexpected statement: ${statement}`);
+  };
+
+  db.connection = () => ({
+    execute,
+    commit: async () => {
+      db.commits++;
+    },
+    end: async () => {}
+  });
+
+  return db;
+}
+
+let db = createFakeDb();
+database.getConnection = async () => db.connection();
+// IdempotencyService reads getConnection when it is loaded, so it is required after the stub
+const IdempotencyService = require('../services/IdempotencyService');
+
+test.beforeEach(() => {
+  db = createFakeDb();
+});
+
+/**
+ * Begin a POST /purchase request of user 1
+ * @param {string} key - Idempotency-Key
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Result of IdempotencyService.begin
+ */
+function beginPurchase(key, body) {
+  return IdempotencyService.begin(1, {
+    key,
+    method: 'POST',
+    path: '/api/purchase',
+    requestHash: IdempotencyService.hashRequest('POST', '/api/purchase', {}, body)
+  });
+}
+
+test('hashRequest ignores key order and undefined fields but not values', () => {
+  const hash = IdempotencyService.hashRequest('post', '/api/purchase', { a: '1' }, { ticketIds: [1, 2], note: 'x' });
+
+  assert.strictEqual(hash, IdempotencyService.hashRequest('POST', '/api/purchase', { a: '1' },
+    { note: 'x', ticketIds: [1, 2], extra: undefined }));
+  assert.notStrictEqual(hash, IdempotencyService.hashRequest('POST', '/api/purchase', { a: '1' },
+    { ticketIds: [2, 1], note: 'x' }));
+  assert.notStrictEqual(hash, IdempotencyService.hashRequest('POST', '/api/purchase', {},
+    { ticketIds: [1, 2], note: 'x' }));
+  assert.notStrictEqual(hash, IdempotencyService.hashRequest('POST', '/api/wallet', { a: '1' },
+    { ticketIds: [1, 2], note: 'x' }));
+});
+
+test('begin reserves a new key as processing', async () => {
+  const result = await beginPurchase('k1', { ticketIds: [1] });
+
+  assert.deepStrictEqual(result, { idempotencyId: 1 });
+  assert.strictEqual(db.rows[0].status, IDEMPOTENCY_STATUS.PROCESSING);
+});
+
+test('a completed key replays the stored response', async () => {
+  const { idempotencyId } = await beginPurchase('k1', { ticketIds: [1] });
+  await IdempotencyService.complete(idempotencyId, 201, { success: true, data: { purchaseId: 7 } });
+
+  const result = await beginPurchase('k1', { ticketIds: [1] });
+
+  assert.deepStrictEqual(result, { replay: { status: 201, body: { success: true, data: { purchaseId: 7 } } } });
+  assert.strictEqual(db.rows.length, 1);
+});
+
+test('the same key with a different body is rejected', async () => {
+  const { idempotencyId } = await beginPurchase('k1', { ticketIds: [1] });
+  await IdempotencyService.complete(idempotencyId, 201, { success: true });
+
+  await assert.rejects(beginPurchase('k1', { ticketIds: [2] }), { code: 'IDEMPOTENCY_KEY_REUSED' });
+});
+
+test('keys belong to one user', async () => {
+  await beginPurchase('k1', { ticketIds: [1] });
+
+  const result = await IdempotencyService.begin(2, {
+    key: 'k1',
+    method: 'POST',
+    path: '/api/purchase',
+    requestHash: IdempotencyService.hashRequest('POST', '/api/purchase', {}, { ticketIds: [1] })
+  });
+
+  assert.deepStrictEqual(result, { idempotencyId: 2 });
+});
+
+test('a key still processing is in progress', async () => {
+  await beginPurchase('k1', { ticketIds: [1] });
+
+  await assert.rejects(beginPurchase('k1', { ticketIds: [1] }), { code: 'IDEMPOTENCY_KEY_IN_PROGRESS' });
+});
+
+test('a stale processing key is taken over by the retry', async () => {
+  await beginPurchase('k1', { ticketIds: [1] });
+  db.rows[0].ageMinutes = IDEMPOTENCY.STALE_MINUTES + 1;
+
+  const result = await beginPurchase('k1', { ticketIds: [1] });
+
+  assert.deepStrictEqual(result, { idempotencyId: 2 });
+  assert.deepStrictEqual(db.rows.map(row => row.idempotency_id), [2]);
+});
+
+test('a committed key is in progress while fresh and reported as committed once stale', async () => {
+  await beginPurchase('k1', { ticketIds: [1] });
+  db.rows[0].status = IDEMPOTENCY_STATUS.COMMITTED;
+
+  await assert.rejects(beginPurchase('k1', { ticketIds: [1] }), { code: 'IDEMPOTENCY_KEY_IN_PROGRESS' });
+
+  // committed ไม่ถูกลบเมื่อค้าง: คำขอแรกเปลี่ยนเงินไปแล้ว ห้ามทำซ้ำ
+  db.rows[0].ageMinutes = IDEMPOTENCY.STALE_MINUTES + 1;
+  await assert.rejects(beginPurchase('k1', { ticketIds: [1] }), { code: 'IDEMPOTENCY_KEY_COMMITTED' });
+  assert.strictEqual(db.rows.length, 1);
+});
+
+test('an expired key can be reused for another request', async () => {
+  const { idempotencyId } = await beginPurchase('k1', { ticketIds: [1] });
+  await IdempotencyService.complete(idempotencyId, 201, { success: true });
+  db.rows[0].ageMinutes = IDEMPOTENCY.TTL_HOURS * 60 + 1;
+
+  const result = await beginPurchase('k1', { ticketIds: [2] });
+
+  assert.deepStrictEqual(result, { idempotencyId: 2 });
+});
+
+test('release frees a processing key for a retry', async () => {
+  const { idempotencyId } = await beginPurchase('k1', { ticketIds: [1] });
+  await IdempotencyService.release(idempotencyId, 400, { success: false });
+
+  assert.strictEqual(db.rows.length, 0);
+  assert.deepStrictEqual(await beginPurchase('k1', { ticketIds: [1] }), { idempotencyId: 2 });
+});
+
+test('release of a committed key stores the response instead', async () => {
+  const { idempotencyId } = await beginPurchase('k1', { ticketIds: [1] });
+  db.rows[0].status = IDEMPOTENCY_STATUS.COMMITTED;
+
+  await IdempotencyService.release(idempotencyId, 500, { success: false });
+
+  assert.strictEqual(db.rows[0].status, IDEMPOTENCY_STATUS.COMPLETED);
+  assert.deepStrictEqual(await beginPurchase('k1', { ticketIds: [1] }),
+    { replay: { status: 500, body: { success: false } } });
+});
+
+test('bindCommit marks the key committed inside the business transaction', async () => {
+  const { idempotencyId } = await beginPurchase('k1', { ticketIds: [1] });
+  const connection = IdempotencyScope.bindCommit(db.connection());
+
+  await IdempotencyScope.run(IdempotencyScope.createScope(idempotencyId), () => connection.commit());
+
+  assert.strictEqual(db.rows[0].status, IDEMPOTENCY_STATUS.COMMITTED);
+  assert.strictEqual(db.commits, 1);
+});
+
+test('bindCommit leaves the key alone outside a scope or after the key is settled', async () => {
+  const { idempotencyId } = await beginPurchase('k1', { ticketIds: [1] });
+  const connection = IdempotencyScope.bindCommit(db.connection());
+
+  await connection.commit();
+  const scope = IdempotencyScope.createScope(idempotencyId);
+  scope.closed = true;
+  await IdempotencyScope.run(scope, () => connection.commit());
+
+  assert.strictEqual(db.rows[0].status, IDEMPOTENCY_STATUS.PROCESSING);
+  assert.strictEqual(db.commits, 2);
+});
+
+test('bindCommit refuses to commit once the key was taken over', async () => {
+  const { idempotencyId } = await beginPurchase('k1', { ticketIds: [1] });
+  db.rows[0].ageMinutes = IDEMPOTENCY.STALE_MINUTES + 1;
+  await beginPurchase('k1', { ticketIds: [1] });
+  const connection = IdempotencyScope.bindCommit(db.connection());
+
+  await assert.rejects(
+    IdempotencyScope.run(IdempotencyScope.createScope(idempotencyId), () => connection.commit()),
+    { code: 'IDEMPOTENCY_KEY_IN_PROGRESS' }
+  );
+  assert.strictEqual(db.commits, 0);
+  assert.strictEqual(db.rows[0].status, IDEMPOTENCY_STATUS.PROCESSING);
+});
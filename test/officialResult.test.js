@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseOfficialResult } = require('../utils/officialResult');
+const PrizeTable = require('../utils/prizeTable');
+
+const classic = PrizeTable.getBuiltInTable('classic');
+
+/**
+ * Parse a result and return the thrown validation errors
+ * @param {Array<Object>} tiers - Prize tiers
+ * @param {Object} input - { format, data }
+ * @returns {Array<Object>} validationErrors of the INVALID_OFFICIAL_RESULT error
+ */
+function validationErrors(tiers, input) {
+  try {
+    parseOfficialResult(tiers, input);
+  } catch (error) {
+    assert.strictEqual(error.code, 'INVALID_OFFICIAL_RESULT');
+    return error.validationErrors;
+  }
+  assert.fail('expected INVALID_OFFICIAL_RESULT');
+}
+
+test('a valid CSV result maps tier keys and ranks to winning numbers', () => {
+  const csv = 'tier,number\nfirst,012345\n2,543210\nthird,999999\nlast3,007\nlast2,45\n';
+  assert.deepStrictEqual(parseOfficialResult(classic.tiers, { format: 'csv', data: csv }), {
+    1: ['012345'],
+    2: ['543210'],
+    3: ['999999'],
+    4: ['007'],
+    5: ['45']
+  });
+});
+
+test('a valid JSON result accepts single numbers and arrays, and derives the adjacent tier', () => {
+  const glo = PrizeTable.getBuiltInTable('glo');
+  const results = {
+    first: '100000',
+    second: ['200001', '200002', '200003', '200004', '200005'],
+    third: Array.from({ length: 10 }, (_, i) => `30000${i}`),
+    fourth: Array.from({ length: 50 }, (_, i) => `4000${String(i).padStart(2, '0')}`),
+    fifth: Array.from({ length: 100 }, (_, i) => `500${String(i).padStart(3, '0')}`),
+    front3: ['123', '456'],
+    last3: ['789', '012'],
+    last2: '34'
+  };
+
+  const winningNumbers = parseOfficialResult(glo.tiers, { format: 'json', data: results });
+  assert.deepStrictEqual(winningNumbers[1], ['100000']);
+  assert.deepStrictEqual(winningNumbers[2], ['099999', '100001']);
+  assert.strictEqual(winningNumbers[6].length, 100);
+});
+
+test('malformed input is rejected with the line or path of each problem', () => {
+  assert.deepStrictEqual(validationErrors(classic.tiers, { format: 'csv', data: '' })[0], { line: 1, message: 'ไฟล์ไม่มีข้อมูล' });
+
+  const noHeader = validationErrors(classic.tiers, { format: 'csv', data: 'first,012345\n' });
+  assert.strictEqual(noHeader[0].line, 1);
+  assert.match(noHeader[0].message, /tier และ number/);
+
+  const columns = validationErrors(classic.tiers, { format: 'csv', data: 'tier,number\nfirst,012345,extra\n' });
+  assert.strictEqual(columns[0].line, 2);
+
+  const unknownTier = validationErrors(classic.tiers, { format: 'csv', data: 'tier,number\njackpot,012345\n' });
+  assert.strictEqual(unknownTier[0].line, 2);
+  assert.match(unknownTier[0].message, /jackpot/);
+
+  assert.strictEqual(validationErrors(classic.tiers, { format: 'json', data: ['012345'] })[0].path, 'results');
+
+  // เลขต้องเป็นข้อความเพื่อไม่ให้ 0 นำหน้าหาย
+  const numeric = validationErrors(classic.tiers, { format: 'json', data: { first: 12345 } });
+  assert.strictEqual(numeric[0].path, 'results.first');
+});
+
+test('numbers with the wrong digit count are rejected per tier', () => {
+  const csv = 'tier,number\nfirst,12345\nsecond,543210\nthird,99999a\nlast3,07\nlast2,045\n';
+  const errors = validationErrors(classic.tiers, { format: 'csv', data: csv });
+
+  assert.deepStrictEqual(errors.filter(error => error.line !== undefined).map(error => error.line), [2, 4, 5, 6]);
+  assert.match(errors.find(error => error.line === 5).message, /3 หลัก/);
+  assert.match(errors.find(error => error.line === 6).message, /2 หลัก/);
+});
+
+test('duplicate numbers within a tier or across exact tiers are rejected', () => {
+  const withinTier = validationErrors(classic.tiers, {
+    format: 'json',
+    data: { first: ['012345', '012345'], second: '543210', third: '999999', last3: '007', last2: '45' }
+  });
+  assert.ok(withinTier.some(error => error.path === 'results.first[1]' && /ซ้ำ/.test(error.message)));
+
+  const acrossTiers = validationErrors(classic.tiers, {
+    format: 'csv',
+    data: 'tier,number\nfirst,012345\nsecond,012345\nthird,999999\nlast3,007\nlast2,45\n'
+  });
+  assert.deepStrictEqual(acrossTiers, [{ tier: 'second', message: 'เลข 012345 ซ้ำกับรางวัลที่ 1' }]);
+});
+
+test('a tier with too few or too many numbers is rejected', () => {
+  const errors = validationErrors(classic.tiers, {
+    format: 'csv',
+    data: 'tier,number\nfirst,012345\nfirst,111111\nthird,999999\nlast3,007\nlast2,45\n'
+  });
+
+  assert.deepStrictEqual(errors.map(error => error.tier), ['first', 'second']);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitTierPayout } = require('../utils/prizeTable');
+
+const sharedTier = { key: 'first', rank: 1, match: 'exact', count: 1, amount: 100, payout: 'shared', roundTo: 0.01 };
+
+/**
+ * Winning tickets for the given numbers
+ * @param {...string} numbers - Ticket numbers
+ * @returns {Array<Object>} Tickets { ticket_id, number }
+ */
+function tickets(...numbers) {
+  return numbers.map((number, index) => ({ ticket_id: index + 1, number }));
+}
+
+test('an evenly divisible shared tier pays every winner the same and leaves no remainder', () => {
+  const result = splitTierPayout(sharedTier, ['123456'], tickets('123456', '123456', '123456', '123456'));
+
+  assert.deepStrictEqual(result.payouts.map(payout => payout.amount), [25, 25, 25, 25]);
+  assert.deepStrictEqual(result.shares, [{ number: '123456', winners: 4, perWinner: 25, remainder: 0 }]);
+  assert.strictEqual(result.remainder, 0);
+  assert.strictEqual(result.total, 100);
+});
+
+test('an uneven split rounds each share down and reports the leftover satang as remainder', () => {
+  const result = splitTierPayout(sharedTier, ['123456'], tickets('123456', '123456', '123456'));
+
+  assert.deepStrictEqual(result.payouts.map(payout => payout.amount), [33.33, 33.33, 33.33]);
+  assert.strictEqual(result.remainder, 0.01);
+  assert.strictEqual(result.total, 99.99);
+  // ยอดที่จ่ายรวมกับเศษที่ยกไปงวดหน้าต้องเท่ากับเงินรางวัลพอดี
+  assert.strictEqual(Math.round((result.total + result.remainder) * 100), 10000);
+});
+
+test('roundTo rounds shares down to whole units and the rest rolls over', () => {
+  const tier = { ...sharedTier, amount: 1000, roundTo: 10 };
+  const result = splitTierPayout(tier, ['123456'], tickets('123456', '123456', '123456'));
+
+  assert.deepStrictEqual(result.payouts.map(payout => payout.amount), [330, 330, 330]);
+  assert.strictEqual(result.remainder, 10);
+  assert.strictEqual(result.total, 990);
+});
+
+test('each winning number splits its own amount and unwon numbers are reported', () => {
+  const tier = { key: 'last2', rank: 5, match: 'suffix', digits: 2, count: 3, amount: 10, payout: 'shared', roundTo: 0.01 };
+  const result = splitTierPayout(tier, ['11', '22', '33'], tickets('000011', '999911', '123422'));
+
+  assert.deepStrictEqual(result.shares, [
+    { number: '11', winners: 2, perWinner: 5, remainder: 0 },
+    { number: '22', winners: 1, perWinner: 10, remainder: 0 }
+  ]);
+  assert.deepStrictEqual(result.unwonNumbers, ['33']);
+  assert.strictEqual(result.total, 20);
+});
+
+test('fixed tiers pay the full amount to every winner regardless of how many match', () => {
+  const tier = { ...sharedTier, payout: 'fixed' };
+  const result = splitTierPayout(tier, ['123456'], tickets('123456', '123456', '654321'));
+
+  assert.deepStrictEqual(result.payouts.map(payout => payout.ticket.ticket_id), [1, 2]);
+  assert.deepStrictEqual(result.payouts.map(payout => payout.amount), [100, 100]);
+  assert.deepStrictEqual(result.shares, []);
+  assert.strictEqual(result.remainder, 0);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ProvablyFair = require('../utils/provablyFair');
+const PrizeTable = require('../utils/prizeTable');
+const { createSeededRng } = require('../utils/rng');
+
+/**
+ * Distinct 6-digit numbers like one round of the default inventory
+ * @param {number} size - Pool size
+ * @returns {Array<string>} Ticket numbers
+ */
+function soldPool(size) {
+  const rng = createSeededRng('test-pool', 'tickets');
+  const numbers = new Set();
+  while (numbers.size < size) {
+    numbers.add(rng.randomDigits(6));
+  }
+  return [...numbers];
+}
+
+/**
+ * Run one draw and collect the winning tickets
+ * @param {Object} table - Prize table { tiers }
+ * @param {Array<string>} pool - Ticket numbers
+ * @param {number} drawId - Draw ID (varies the outcome)
+ * @returns {Object} { winningNumbers, winners, exactWinners, payout }
+ */
+function runDraw(table, pool, drawId) {
+  const winningNumbers = ProvablyFair.deriveDrawOutcome({
+    serverSeed: 'a'.repeat(64),
+    publicEntropy: 'test-entropy',
+    drawId,
+    poolNumbers: pool,
+    tiers: table.tiers
+  });
+
+  let winners = 0;
+  let exactWinners = 0;
+  let payout = 0;
+  for (const number of pool) {
+    const matches = PrizeTable.matchTicket(table.tiers, winningNumbers, number);
+    if (matches.length > 0) {
+      winners++;
+    }
+    for (const match of matches) {
+      payout += match.amount;
+      if (table.tiers.find(tier => tier.rank === match.rank).match === 'exact') {
+        exactWinners++;
+      }
+    }
+  }
+
+  return { winningNumbers, winners, exactWinners, payout };
+}
+
+test('GLO draws a small sold pool with a realistic number of winners', () => {
+  const table = PrizeTable.getBuiltInTable('glo');
+  const pool = soldPool(120);
+  const draws = Array.from({ length: 30 }, (_, index) => runDraw(table, pool, index + 1));
+
+  // เลขตรง 166 เลขจาก 1,000,000 เลข: 120 ใบคาดว่าถูกรางวัลเลขตรงราว 0.02 ใบต่องวด
+  const exactWinners = draws.reduce((sum, draw) => sum + draw.exactWinners, 0);
+  assert.ok(exactWinners <= 3, `exact-match winners over 30 draws: ${exactWinners}`);
+
+  // เลขหน้า/เลขท้ายคาดว่าถูกราว 1.7 ใบต่องวด
+  for (const draw of draws) {
+    assert.ok(draw.winners <= 10, `winners in one draw: ${draw.winners}`);
+  }
+  const averageWinners = draws.reduce((sum, draw) => sum + draw.winners, 0) / draws.length;
+  assert.ok(averageWinners < 5, `average winners per draw: ${averageWinners}`);
+});
+
+test('GLO exact numbers are drawn from the full number space, not the pool', () => {
+  const table = PrizeTable.getBuiltInTable('glo');
+  const pool = soldPool(120);
+  const { winningNumbers } = runDraw(table, pool, 1);
+
+  const exactNumbers = table.tiers
+    .filter(tier => tier.match === 'exact')
+    .flatMap(tier => winningNumbers[tier.rank]);
+
+  assert.strictEqual(exactNumbers.length, 166);
+  assert.strictEqual(new Set(exactNumbers).size, 166);
+  assert.ok(exactNumbers.filter(number => pool.includes(number)).length <= 1);
+});
+
+test('exact tiers without drawFrom (classic and custom tables) draw winners from the pool', () => {
+  const pool = soldPool(120);
+
+  const classic = PrizeTable.getBuiltInTable('classic');
+  const { exactWinners } = runDraw(classic, pool, 1);
+  assert.strictEqual(exactWinners, 3);
+
+  // tier ที่ไม่ระบุ drawFrom สุ่มจาก pool
+  const withoutDrawFrom = { tiers: PrizeTable.getBuiltInTable('glo').tiers.map(({ drawFrom, ...tier }) => tier) };
+  const { winningNumbers } = runDraw(withoutDrawFrom, pool, 1);
+  assert.ok(winningNumbers[1].every(number => pool.includes(number)));
+});
+
+test('the same inputs always derive the same outcome', () => {
+  const table = PrizeTable.getBuiltInTable('glo');
+  const pool = soldPool(120);
+  assert.deepStrictEqual(runDraw(table, pool, 7).winningNumbers, runDraw(table, pool, 7).winningNumbers);
+});
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RefundService = require('../services/RefundService');
+const TransferService = require('../services/TransferService');
+const ResaleService = require('../services/ResaleService');
+const TicketService = require('../services/TicketService');
+const { ROUND_STATUS, TICKET_STATUS } = require('../constants');
+
+/**
+ * Draw date a number of days from today (YYYY-MM-DD)
+ * @param {number} days - Days from today (negative for the past)
+ * @returns {string} Date
+ */
+function daysFromToday(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Sold ticket of user 1 in a round on sale, before the cutoff
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Ticket row
+ */
+function soldTicket(overrides = {}) {
+  return {
+    ticket_id: 10,
+    number: '123456',
+    status: TICKET_STATUS.SOLD,
+    created_by: 1,
+    purchase_id: 5,
+    prize_id: null,
+    round_id: 3,
+    round_status: ROUND_STATUS.ON_SALE,
+    draw_date: daysFromToday(10),
+    ...overrides
+  };
+}
+
+/**
+ * Connection that answers the TicketPrize count of TicketService.hasWon
+ * @param {number} prizes - Prizes of the ticket that are not voided
+ * @returns {Object} Connection with the executed statements in queries
+ */
+function prizeConnection(prizes = 0) {
+  const queries = [];
+  return {
+    queries,
+    execute: async (sql, params) => {
+      queries.push({ sql, params });
+      return [[{ total: prizes }]];
+    }
+  };
+}
+
+const purchase = { purchase_id: 5, user_id: 1 };
+
+test('isPastSalesCutoff is false only on sale before the cutoff', () => {
+  assert.strictEqual(TicketService.isPastSalesCutoff(soldTicket()), false);
+  assert.strictEqual(TicketService.isPastSalesCutoff(soldTicket({ draw_date: daysFromToday(-10) })), true);
+  assert.strictEqual(TicketService.isPastSalesCutoff(soldTicket({ round_status: ROUND_STATUS.CLOSED })), true);
+  assert.strictEqual(TicketService.isPastSalesCutoff(soldTicket({ round_status: ROUND_STATUS.SCHEDULED })), true);
+});
+
+test('assertRefundable allows a sold ticket before the cutoff', async () => {
+  const connection = prizeConnection();
+
+  await RefundService.assertRefundable(connection, purchase, soldTicket(), false);
+
+  assert.strictEqual(connection.queries.length, 1);
+  assert.deepStrictEqual(connection.queries[0].params, [10]);
+});
+
+test('assertRefundable refuses tickets that are not the buyer\'s sold ticket', async () => {
+  await assert.rejects(
+    RefundService.assertRefundable(prizeConnection(), purchase, soldTicket({ status: TICKET_STATUS.CLAIMED }), false),
+    { code: 'REFUND_NOT_ALLOWED' }
+  );
+  await assert.rejects(
+    RefundService.assertRefundable(prizeConnection(), purchase, soldTicket({ created_by: 2 }), true),
+    { code: 'REFUND_NOT_ALLOWED' }
+  );
+  await assert.rejects(
+    RefundService.assertRefundable(prizeConnection(), purchase, soldTicket({ round_id: null }), false),
+    { code: 'REFUND_NOT_ALLOWED' }
+  );
+});
+
+test('assertRefundable closes buyer refunds at the sales cutoff', async () => {
+  await assert.rejects(
+    RefundService.assertRefundable(prizeConnection(), purchase, soldTicket({ draw_date: daysFromToday(-10) }), false),
+    { code: 'REFUND_WINDOW_CLOSED' }
+  );
+  await assert.rejects(
+    RefundService.assertRefundable(prizeConnection(), purchase, soldTicket({ round_status: ROUND_STATUS.DRAWN }), false),
+    { code: 'REFUND_WINDOW_CLOSED' }
+  );
+});
+
+test('assertRefundable refuses forced refunds between the cutoff and the draw', async () => {
+  await assert.rejects(
+    RefundService.assertRefundable(prizeConnection(), purchase, soldTicket({ round_status: ROUND_STATUS.CLOSED }), true),
+    { code: 'REFUND_WINDOW_CLOSED' }
+  );
+  await assert.rejects(
+    RefundService.assertRefundable(prizeConnection(), purchase, soldTicket({ draw_date: daysFromToday(-10) }), true),
+    { code: 'REFUND_WINDOW_CLOSED' }
+  );
+});
+
+test('assertRefundable allows forced refunds of losing tickets after the draw', async () => {
+  const drawn = soldTicket({ round_status: ROUND_STATUS.DRAWN, draw_date: daysFromToday(-10) });
+
+  await RefundService.assertRefundable(prizeConnection(0), purchase, drawn, true);
+  await RefundService.assertRefundable(prizeConnection(0), purchase, soldTicket({ round_id: null, round_status: null }), true);
+});
+
+test('assertRefundable refuses winning tickets', async () => {
+  const drawn = soldTicket({ round_status: ROUND_STATUS.DRAWN, draw_date: daysFromToday(-10) });
+
+  await assert.rejects(
+    RefundService.assertRefundable(prizeConnection(1), purchase, drawn, true),
+    { code: 'REFUND_NOT_ALLOWED' }
+  );
+
+  // prize_id ของตั๋วเพียงพอ ไม่ต้องนับ TicketPrize
+  const connection = prizeConnection(0);
+  await assert.rejects(
+    RefundService.assertRefundable(connection, purchase, { ...drawn, prize_id: 2 }, true),
+    { code: 'REFUND_NOT_ALLOWED' }
+  );
+  assert.strictEqual(connection.queries.length, 0);
+});
+
+test('assertOwner requires the purchased ticket of the user', () => {
+  TransferService.assertOwner(soldTicket(), 1);
+
+  assert.throws(() => TransferService.assertOwner(soldTicket(), 2), { code: 'NOT_TICKET_OWNER' });
+  assert.throws(() => TransferService.assertOwner(soldTicket({ purchase_id: null }), 1), { code: 'NOT_TICKET_OWNER' });
+});
+
+test('assertTransferable allows a sold ticket before the cutoff', async () => {
+  await TransferService.assertTransferable(prizeConnection(0), soldTicket());
+});
+
+test('assertTransferable refuses unsold tickets, closed sales and winners', async () => {
+  await assert.rejects(
+    TransferService.assertTransferable(prizeConnection(0), soldTicket({ status: TICKET_STATUS.RESERVED })),
+    { code: 'TRANSFER_NOT_ALLOWED' }
+  );
+  await assert.rejects(
+    TransferService.assertTransferable(prizeConnection(0), soldTicket({ draw_date: daysFromToday(-10) })),
+    { code: 'TRANSFER_NOT_ALLOWED' }
+  );
+  await assert.rejects(
+    TransferService.assertTransferable(prizeConnection(0), soldTicket({ round_status: ROUND_STATUS.CLOSED })),
+    { code: 'TRANSFER_NOT_ALLOWED' }
+  );
+  await assert.rejects(
+    TransferService.assertTransferable(prizeConnection(1), soldTicket()),
+    { code: 'TRANSFER_NOT_ALLOWED' }
+  );
+});
+
+test('validatePrice keeps resale prices between 0 and the legal maximum', () => {
+  assert.strictEqual(ResaleService.validatePrice('79.999'), 80);
+  assert.strictEqual(ResaleService.validatePrice(50.5), 50.5);
+
+  for (const price of [0, -1, '', null, 'abc', 80.01]) {
+    assert.throws(() => ResaleService.validatePrice(price), { code: 'INVALID_RESALE_PRICE' });
+  }
+});
+
+test('calculateFee rounds the platform fee down to the satang', () => {
+  const saved = process.env.RESALE_FEE_PERCENT;
+  process.env.RESALE_FEE_PERCENT = '2.3';
+  try {
+    assert.strictEqual(ResaleService.calculateFee(80), 1.84);
+    assert.strictEqual(ResaleService.calculateFee(33.33), 0.76);
+  } finally {
+    if (saved === undefined) {
+      delete process.env.RESALE_FEE_PERCENT;
+    } else {
+      process.env.RESALE_FEE_PERCENT = saved;
+    }
+  }
+});
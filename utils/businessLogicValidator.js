@@ -380,6 +380,172 @@ class DrawValidator {
   }
 }
 
+/**
+ * Prize structure validation utilities
+ */
+class PrizeStructureValidator {
+  /**
+   * Validate prize structure name
+   * @param {string} name - Structure name used as prizeTable in draws
+   * @param {Array<string>} reservedNames - Built-in table names
+   * @throws {BusinessLogicError} If name validation fails
+   */
+  static validateStructureName(name, reservedNames = []) {
+    if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]{1,49}$/.test(name)) {
+      throw new BusinessLogicError(
+        'ชื่อโครงสร้างรางวัลต้องเป็นตัวอักษร a-z, 0-9, _ หรือ - ความยาว 2-50 ตัว',
+        'INVALID_PRIZE_STRUCTURE',
+        { name }
+      );
+    }
+
+    if (reservedNames.includes(name)) {
+      throw new BusinessLogicError(
+        `ชื่อ "${name}" เป็นตารางรางวัลของระบบ ไม่สามารถใช้ได้`,
+        'PRIZE_STRUCTURE_READ_ONLY',
+        { name }
+      );
+    }
+  }
+
+  /**
+   * Validate tier definitions of a prize structure
+   * @param {Array} tiers - Tier definitions { key, name, match, drawFrom, digits, count, amount, payout, roundTo }
+   * @param {Array<string>} matchTypes - Supported match rules
+   * @param {Array<string>} payoutModes - Supported payout modes
+   * @param {Array<string>} drawFromModes - Number spaces exact tiers can be drawn from
+   * @throws {BusinessLogicError} If tier validation fails
+   */
+  static validateTiers(tiers, matchTypes, payoutModes, drawFromModes) {
+    if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > 30) {
+      throw new BusinessLogicError(
+        'กรุณาระบุรางวัล 1-30 รางวัล',
+        'INVALID_PRIZE_STRUCTURE',
+        { tierCount: Array.isArray(tiers) ? tiers.length : null }
+      );
+    }
+
+    const keys = new Set();
+    let exactTotal = 0;
+
+    tiers.forEach((tier, index) => {
+      const position = `รางวัลลำดับที่ ${index + 1}`;
+
+      if (!tier || typeof tier.key !== 'string' || !/^[a-z0-9_]{1,30}$/.test(tier.key)) {
+        throw new BusinessLogicError(
+          `${position}: key ต้องเป็นตัวอักษร a-z, 0-9 หรือ _ ไม่เกิน 30 ตัว`,
+          'INVALID_PRIZE_STRUCTURE',
+          { tier, index }
+        );
+      }
+
+      if (keys.has(tier.key)) {
+        throw new BusinessLogicError(
+          `${position}: key "${tier.key}" ซ้ำ`,
+          'INVALID_PRIZE_STRUCTURE',
+          { tier, index }
+        );
+      }
+      keys.add(tier.key);
+
+      if (typeof tier.name !== 'string' || tier.name.trim() === '' || tier.name.length > 100) {
+        throw new BusinessLogicError(
+          `${position}: กรุณาระบุชื่อรางวัลไม่เกิน 100 ตัวอักษร`,
+          'INVALID_PRIZE_STRUCTURE',
+          { tier, index }
+        );
+      }
+
+      if (!matchTypes.includes(tier.match)) {
+        throw new BusinessLogicError(
+          `${position}: match ต้องเป็น ${matchTypes.join(', ')}`,
+          'INVALID_PRIZE_STRUCTURE',
+          { tier, index }
+        );
+      }
+
+      if (tier.drawFrom !== undefined && (tier.match !== 'exact' || !drawFromModes.includes(tier.drawFrom))) {
+        throw new BusinessLogicError(
+          `${position}: drawFrom ใช้ได้กับรางวัลเลขตรงเท่านั้น และต้องเป็น ${drawFromModes.join(', ')}`,
+          'INVALID_PRIZE_STRUCTURE',
+          { tier, index }
+        );
+      }
+
+      const digits = tier.digits === undefined ? 6 : tier.digits;
+      const partial = tier.match === 'prefix' || tier.match === 'suffix';
+
+      if (partial ? !(Number.isInteger(digits) && digits >= 1 && digits <= 5) : digits !== 6) {
+        throw new BusinessLogicError(
+          `${position}: เลขหน้า/เลขท้ายใช้ได้ 1-5 หลัก ส่วนรางวัลเลขตรงต้องเป็น 6 หลัก`,
+          'INVALID_PRIZE_STRUCTURE',
+          { tier, index }
+        );
+      }
+
+      const maxCount = partial ? Math.pow(10, digits) : 1000;
+      if (!Number.isInteger(tier.count) || tier.count < 1 || tier.count > maxCount) {
+        throw new BusinessLogicError(
+          `${position}: จำนวนเลขที่ออกต้องอยู่ระหว่าง 1-${maxCount}`,
+          'INVALID_PRIZE_STRUCTURE',
+          { tier, index }
+        );
+      }
+
+      if (tier.match === 'adjacent' && tier.count !== 2) {
+        throw new BusinessLogicError(
+          `${position}: รางวัลข้างเคียงต้องมี 2 เลขเสมอ`,
+          'INVALID_PRIZE_STRUCTURE',
+          { tier, index }
+        );
+      }
+
+      if (tier.match === 'exact') {
+        exactTotal += tier.count;
+      }
+
+      PrizeValidator.validatePrizeAmount(tier.amount);
+
+      if (tier.payout !== undefined && !payoutModes.includes(tier.payout)) {
+        throw new BusinessLogicError(
+          `${position}: payout ต้องเป็น ${payoutModes.join(', ')}`,
+          'INVALID_PRIZE_STRUCTURE',
+          { tier, index }
+        );
+      }
+
+      if (tier.roundTo !== undefined) {
+        const validUnit = typeof tier.roundTo === 'number' && tier.roundTo >= 0.01 &&
+          Math.abs(Math.round(tier.roundTo * 100) - tier.roundTo * 100) < 1e-9 && tier.roundTo <= tier.amount;
+
+        if (tier.payout !== 'shared' || !validUnit) {
+          throw new BusinessLogicError(
+            `${position}: roundTo ใช้ได้กับ payout แบบ shared เท่านั้น และต้องเป็นจำนวนเงินตั้งแต่ 0.01 บาทแต่ไม่เกินเงินรางวัล`,
+            'INVALID_PRIZE_STRUCTURE',
+            { tier, index }
+          );
+        }
+      }
+    });
+
+    if (exactTotal > 1000) {
+      throw new BusinessLogicError(
+        'รางวัลเลขตรงรวมกันต้องไม่เกิน 1000 เลข',
+        'INVALID_PRIZE_STRUCTURE',
+        { exactTotal }
+      );
+    }
+
+    if (tiers.some(t => t.match === 'adjacent') && exactTotal === 0) {
+      throw new BusinessLogicError(
+        'รางวัลข้างเคียงต้องมีรางวัลเลขตรงอย่างน้อยหนึ่งรางวัล',
+        'INVALID_PRIZE_STRUCTURE',
+        { tiers }
+      );
+    }
+  }
+}
+
 /**
  * Rate limiting validation
  */
@@ -669,6 +835,7 @@ module.exports = {
   PrizeValidator,
   UserValidator,
   DrawValidator,
+  PrizeStructureValidator,
   RateLimitValidator,
   SystemValidator,
   InputValidator
@@ -0,0 +1,106 @@
+/**
+ * Minimal CSV helpers (RFC 4180: comma separated, double-quoted fields, "" escapes)
+ */
+
+/**
+ * Parse CSV text into rows, keeping the line each row starts on
+ * Blank lines are skipped. A quoted field may span several lines.
+ * @param {string} text - CSV text
+ * @returns {Object} { rows: [{ line, fields }], errors: [{ line, message }] }
+ */
+function parseCsv(text) {
+  const rows = [];
+  const errors = [];
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  let fieldStarted = false;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowLine, fields: fields.map(value => value.trim()) });
+    }
+    fields = [];
+    field = '';
+    fieldStarted = false;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && !fieldStarted) {
+      quoted = true;
+      fieldStarted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+      fieldStarted = false;
+    } else if (char === '\r' && input[i + 1] === '\n') {
+      continue;
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+      if (char.trim() !== '') {
+        fieldStarted = true;
+      }
+    }
+  }
+
+  if (quoted) {
+    errors.push({ line: rowLine, message: 'เครื่องหมายคำพูด (") ไม่ได้ปิด' });
+  } else {
+    endRow();
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Format one CSV line (with the trailing CRLF)
+ * Fields with a comma, quote or line break are quoted. Text starting with = + - @
+ * gets a leading ' so spreadsheets do not run it as a formula.
+ * @param {Array<*>} values - Field values (null/undefined become empty fields)
+ * @returns {string} CSV line
+ */
+function formatCsvRow(values) {
+  return values.map(value => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let field = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(field)) {
+      field = `'${field}`;
+    }
+
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }).join(',') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvRow
+};
@@ -0,0 +1,109 @@
+const { DRAW_SCHEDULE } = require('../constants');
+
+/**
+ * Draw calendar helpers (Asia/Bangkok)
+ *
+ * ประเทศไทยไม่มี daylight saving จึงใช้ offset +07:00 คงที่
+ * วันที่ทั้งหมดในโมดูลนี้เป็น string YYYY-MM-DD ตามเวลาประเทศไทย
+ */
+
+const BANGKOK_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+/**
+ * Bangkok calendar date of an instant
+ * @param {Date} [date] - Instant, defaults to now
+ * @returns {string} YYYY-MM-DD
+ */
+function toBangkokDate(date = new Date()) {
+  return new Date(date.getTime() + BANGKOK_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Instant of a Bangkok wall-clock time
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {string} [time] - HH:mm, defaults to the configured draw time
+ * @returns {Date} Instant
+ */
+function bangkokDateTime(dateString, time = getDrawTime()) {
+  return new Date(`${dateString}T${time}:00${DRAW_SCHEDULE.UTC_OFFSET}`);
+}
+
+/**
+ * Scheduled draw time (DRAW_TIME env overrides the default)
+ * @returns {string} HH:mm
+ */
+function getDrawTime() {
+  const time = process.env.DRAW_TIME;
+  return time && /^([01]\d|2[0-3]):[0-5]\d$/.test(time) ? time : DRAW_SCHEDULE.DRAW_TIME;
+}
+
+/**
+ * Minutes before the draw when sales close (SALES_CUTOFF_MINUTES env overrides the default)
+ * @returns {number} Minutes
+ */
+function getSalesCutoffMinutes() {
+  const minutes = parseInt(process.env.SALES_CUTOFF_MINUTES);
+  return Number.isInteger(minutes) && minutes >= 0 ? minutes : DRAW_SCHEDULE.SALES_CUTOFF_MINUTES;
+}
+
+/**
+ * When sales close and the draw runs for a draw date
+ * @param {string} drawDate - YYYY-MM-DD
+ * @returns {Object} { drawAt, closeAt }
+ */
+function getDrawTimes(drawDate) {
+  const drawAt = bangkokDateTime(drawDate);
+  const closeAt = new Date(drawAt.getTime() - getSalesCutoffMinutes() * 60 * 1000);
+  return { drawAt, closeAt };
+}
+
+/**
+ * Upcoming regular draw dates (1st and 16th) with holiday overrides applied
+ * @param {string} fromDate - First date to consider (YYYY-MM-DD, inclusive)
+ * @param {number} count - Number of dates to return
+ * @param {Object} [overrides] - Map of regular date → moved date
+ * @returns {Array<Object>} [{ regularDate, drawDate, moved }]
+ */
+function getUpcomingDrawDates(fromDate, count, overrides = {}) {
+  const dates = [];
+  let [year, month] = fromDate.split('-').map(Number);
+
+  // เริ่มจากเดือนก่อนหน้า เผื่อวันที่ถูกเลื่อนข้ามเดือนมา
+  month -= 1;
+  if (month < 1) {
+    month = 12;
+    year -= 1;
+  }
+
+  // เก็บต่ออีกหนึ่งเดือนหลังครบจำนวน เผื่อวันในเดือนถัดไปถูกเลื่อนมาก่อนวันที่เก็บไว้แล้ว
+  let extraMonths = 1;
+  while (dates.length < count || extraMonths-- > 0) {
+    for (const day of DRAW_SCHEDULE.DAYS_OF_MONTH) {
+      const regularDate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+      const drawDate = overrides[regularDate] || regularDate;
+
+      if (drawDate >= fromDate) {
+        dates.push({ regularDate, drawDate, moved: drawDate !== regularDate });
+      }
+    }
+
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+
+  return dates
+    .sort((a, b) => a.drawDate.localeCompare(b.drawDate))
+    .slice(0, count);
+}
+
+module.exports = {
+  toBangkokDate,
+  bangkokDateTime,
+  getDrawTime,
+  getSalesCutoffMinutes,
+  getDrawTimes,
+  getUpcomingDrawDates
+};
@@ -0,0 +1,117 @@
+const axios = require('axios');
+const { ENTROPY_BEACON } = require('../constants');
+
+/**
+ * Public entropy beacon for commit–reveal draws
+ *
+ * ตอน commit ระบบเผยแพร่ "แหล่ง" ของ public entropy ไว้พร้อม hash ของ server seed:
+ * hash ของบล็อก Bitcoin บล็อกแรกที่ขุดได้หลังเวลาปิดการขายของงวด
+ * ค่านี้ไม่มีใคร (รวมถึงผู้ถือ seed) รู้ได้ตอน commit และไม่ขึ้นกับตั๋วที่ขาย
+ * จึงซื้อหรือยกเลิกตั๋วเพื่อเลือกผลไม่ได้ ใครก็ตรวจ hash ของบล็อกนั้นได้จาก block explorer
+ */
+
+const SOURCE_PREFIX = 'bitcoin-block-after:';
+const BLOCK_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Entropy source committed for a draw
+ * @param {Date} after - Sales cutoff; the first block mined after it supplies the entropy
+ * @returns {string} Source identifier stored in DrawResult.entropy_source
+ */
+function createSource(after) {
+  return `${SOURCE_PREFIX}${after.toISOString()}`;
+}
+
+/**
+ * Parse a committed entropy source
+ * @param {string|null} source - DrawResult.entropy_source
+ * @returns {Object|null} { type, after } or null if the source is missing or unknown
+ */
+function parseSource(source) {
+  if (typeof source !== 'string' || !source.startsWith(SOURCE_PREFIX)) {
+    return null;
+  }
+
+  const after = new Date(source.slice(SOURCE_PREFIX.length));
+  return isNaN(after.getTime()) ? null : { type: 'bitcoin-block', after };
+}
+
+/**
+ * Human-readable description of a source for the published commitment
+ * @param {string|null} source - DrawResult.entropy_source
+ * @returns {string|null} Description or null
+ */
+function describeSource(source) {
+  const parsed = parseSource(source);
+  return parsed ? `hash ของบล็อก Bitcoin บล็อกแรกที่ขุดได้หลัง ${parsed.after.toISOString()}` : null;
+}
+
+/**
+ * Whether a value has the shape of the committed source's entropy (a block hash)
+ * @param {string} value - Public entropy
+ * @returns {boolean} True for a 64-character lowercase hex block hash
+ */
+function isValidEntropy(value) {
+  return typeof value === 'string' && BLOCK_HASH_PATTERN.test(value);
+}
+
+/**
+ * Fetch the entropy of a committed source from the block explorer API (ENTROPY_BEACON_URL env overrides the default)
+ * @param {string} source - DrawResult.entropy_source
+ * @returns {Promise<string>} Block hash
+ */
+async function fetchEntropy(source) {
+  const parsed = parseSource(source);
+  if (!parsed) {
+    const error = new Error('ไม่รู้จักแหล่ง public entropy ที่ commit ไว้');
+    error.code = 'INVALID_ENTROPY_SOURCE';
+    throw error;
+  }
+
+  if (new Date() <= parsed.after) {
+    throw notAvailable(parsed.after);
+  }
+
+  const baseUrl = process.env.ENTROPY_BEACON_URL || ENTROPY_BEACON.URL;
+  const timeout = ENTROPY_BEACON.TIMEOUT_MS;
+
+  try {
+    // บล็อกสุดท้ายที่ timestamp ไม่เกินเวลาปิดการขาย แล้วใช้บล็อกถัดไป
+    const timestamp = Math.floor(parsed.after.getTime() / 1000);
+    const { data: lastBlock } = await axios.get(`${baseUrl}/v1/mining/blocks/timestamp/${timestamp}`, { timeout });
+    const { data: hash } = await axios.get(`${baseUrl}/block-height/${lastBlock.height + 1}`, { timeout, responseType: 'text' });
+
+    const entropy = String(hash).trim();
+    if (!isValidEntropy(entropy)) {
+      throw new Error(`unexpected block hash: ${entropy.slice(0, 80)}`);
+    }
+    return entropy;
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      throw notAvailable(parsed.after);
+    }
+
+    const beaconError = new Error(`ดึง public entropy จาก ${baseUrl} ไม่สำเร็จ: ${error.message}`);
+    beaconError.code = 'ENTROPY_BEACON_UNAVAILABLE';
+    throw beaconError;
+  }
+}
+
+/**
+ * Error for a source whose block has not been mined yet
+ * @param {Date} after - Source time
+ * @returns {Error} Error with code ENTROPY_NOT_AVAILABLE
+ */
+function notAvailable(after) {
+  const error = new Error(`ยังไม่มีบล็อก Bitcoin หลัง ${after.toISOString()} กรุณาลองใหม่ภายหลัง`);
+  error.code = 'ENTROPY_NOT_AVAILABLE';
+  return error;
+}
+
+module.exports = {
+  createSource,
+  parseSource,
+  describeSource,
+  isValidEntropy,
+  fetchEntropy
+};
@@ -2,6 +2,8 @@
  * Utility functions for validation and helpers
  */
 
+const { getRng } = require('./rng');
+
 /**
  * Validate login input
  * @param {Object} data - Login data {username, password}
@@ -93,15 +95,18 @@ function validateClaimInput(data) {
 /**
  * Generate random lottery numbers
  * @param {number} count - Number of tickets to generate
+ * @param {Object} rng - Random source (defaults to the process-wide RNG)
  * @returns {Array} Array of unique 6-digit numbers
  */
-function generateLotteryNumbers(count) {
+function generateLotteryNumbers(count, rng = getRng()) {
+  if (count > 1000000) {
+    throw new RangeError('ไม่สามารถสร้างเลขไม่ซ้ำเกิน 1,000,000 ใบได้');
+  }
+
   const numbersSet = new Set();
   
   while (numbersSet.size < count) {
-    const n = Math.floor(Math.random() * 1000000); // 0-999999
-    const s = n.toString().padStart(6, '0'); // เติม 0 ข้างหน้าให้ครบ 6 หลัก
-    numbersSet.add(s);
+    numbersSet.add(rng.randomDigits(6)); // 000000-999999
   }
   
   return Array.from(numbersSet);
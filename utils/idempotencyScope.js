@@ -0,0 +1,76 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { IDEMPOTENCY_STATUS } = require('../constants');
+
+/**
+ * Idempotency scope of a request
+ *
+ * middleware idempotent รันคำขอภายใน scope ของ key ที่จองไว้
+ * ทุก transaction ที่ commit ภายในคำขอนั้นจะเปลี่ยน key เป็น committed ใน transaction เดียวกัน
+ * key ที่ค้างเป็น processing จึงแปลว่ายังไม่มีการเปลี่ยนแปลงเงินแน่นอน (ลองใหม่ได้)
+ * ส่วน key ที่เป็น committed แปลว่าคำขอสำเร็จแล้วแม้จะเก็บผลลัพธ์ไม่ทัน
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Scope of a reserved key
+ * @param {number} idempotencyId - Reserved key
+ * @returns {Object} { idempotencyId, closed } - set closed once the key is settled
+ */
+function createScope(idempotencyId) {
+  return { idempotencyId, closed: false };
+}
+
+/**
+ * Run a request inside a scope
+ * @param {Object} scope - Scope from createScope
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function run(scope, fn) {
+  return storage.run(scope, fn);
+}
+
+/**
+ * Make a connection's commit mark the current request's key as committed in the same transaction
+ * @param {Object} connection - mysql2 connection
+ * @returns {Object} The same connection
+ */
+function bindCommit(connection) {
+  const commit = connection.commit.bind(connection);
+
+  connection.commit = async (...args) => {
+    const scope = storage.getStore();
+    // งานที่เริ่มจากคำขอแต่ทำงานหลังปิด key แล้ว (เช่น แจ้งเตือน) ไม่เกี่ยวกับ key
+    if (scope && !scope.closed) {
+      const [keys] = await connection.execute(
+        'SELECT status FROM IdempotencyKey WHERE idempotency_id = ? FOR UPDATE',
+        [scope.idempotencyId]
+      );
+
+      // key ถูกคำขอใหม่รับช่วงไปแล้ว (คำขอนี้ค้างนานเกินไป) ต้องไม่ commit ซ้ำ
+      if (keys.length === 0) {
+        const error = new Error('คำขอที่ใช้ Idempotency-Key นี้ถูกดำเนินการใหม่แล้ว');
+        error.code = 'IDEMPOTENCY_KEY_IN_PROGRESS';
+        throw error;
+      }
+
+      if (keys[0].status === IDEMPOTENCY_STATUS.PROCESSING) {
+        await connection.execute(
+          'UPDATE IdempotencyKey SET status = ? WHERE idempotency_id = ?',
+          [IDEMPOTENCY_STATUS.COMMITTED, scope.idempotencyId]
+        );
+      }
+    }
+
+    return commit(...args);
+  };
+
+  return connection;
+}
+
+module.exports = {
+  createScope,
+  run,
+  bindCommit
+};
@@ -0,0 +1,161 @@
+const { parseCsv } = require('./csv');
+const { adjacentNumbers } = require('./prizeTable');
+
+/**
+ * Official result import (ผลรางวัลจากการประกาศของกองสลาก)
+ *
+ * รับได้สองรูปแบบ
+ * - CSV: แถวหัวตาราง tier,number แล้วหนึ่งแถวต่อหนึ่งเลข (tier เป็น key หรือ rank ของตารางรางวัล)
+ * - JSON: object ที่ key เป็น tier และค่าเป็นเลขหรือ array ของเลข เช่น { "first": "123456", "last2": ["45"] }
+ *
+ * ข้อผิดพลาดทั้งหมดถูกรวบรวมเป็นรายการ { line | path, message } แล้วโยนครั้งเดียว
+ * รางวัลข้างเคียงไม่ต้องระบุ ถ้าระบุต้องตรงกับเลขข้างเคียงของรางวัลที่ 1
+ */
+
+/**
+ * Read official result entries from CSV text
+ * @param {string} text - CSV text with a tier,number header
+ * @returns {Object} { entries: [{ line, tier, number }], errors }
+ */
+function entriesFromCsv(text) {
+  const { rows, errors } = parseCsv(text);
+  const entries = [];
+
+  if (rows.length === 0) {
+    errors.push({ line: 1, message: 'ไฟล์ไม่มีข้อมูล' });
+    return { entries, errors };
+  }
+
+  const header = rows[0].fields.map(name => name.toLowerCase());
+  const tierColumn = header.indexOf('tier');
+  const numberColumn = header.indexOf('number');
+
+  if (tierColumn === -1 || numberColumn === -1) {
+    errors.push({ line: rows[0].line, message: 'แถวแรกต้องเป็นหัวตารางที่มีคอลัมน์ tier และ number' });
+    return { entries, errors };
+  }
+
+  for (const row of rows.slice(1)) {
+    if (row.fields.length !== header.length) {
+      errors.push({ line: row.line, message: `ต้องมี ${header.length} คอลัมน์ (พบ ${row.fields.length})` });
+      continue;
+    }
+    entries.push({ line: row.line, tier: row.fields[tierColumn], number: row.fields[numberColumn] });
+  }
+
+  return { entries, errors };
+}
+
+/**
+ * Read official result entries from a JSON object keyed by tier
+ * @param {Object} results - { tierKeyOrRank: number | [numbers] }
+ * @returns {Object} { entries: [{ path, tier, number }], errors }
+ */
+function entriesFromJson(results) {
+  const entries = [];
+  const errors = [];
+
+  if (!results || typeof results !== 'object' || Array.isArray(results)) {
+    errors.push({ path: 'results', message: 'results ต้องเป็น object ที่ key เป็นรางวัล' });
+    return { entries, errors };
+  }
+
+  for (const [tier, value] of Object.entries(results)) {
+    const numbers = Array.isArray(value) ? value : [value];
+    numbers.forEach((number, index) => {
+      const path = Array.isArray(value) ? `results.${tier}[${index}]` : `results.${tier}`;
+      if (typeof number !== 'string') {
+        errors.push({ path, message: 'เลขรางวัลต้องเป็นข้อความ (เช่น "012345") เพื่อไม่ให้เลข 0 นำหน้าหาย' });
+        return;
+      }
+      entries.push({ path, tier, number: number.trim() });
+    });
+  }
+
+  return { entries, errors };
+}
+
+/**
+ * Parse and validate an official result against a prize table
+ * @param {Array<Object>} tiers - Prize tiers of the draw
+ * @param {Object} input - { format: 'csv' | 'json', data }
+ * @returns {Object} Winning numbers keyed by rank
+ * @throws {Error} INVALID_OFFICIAL_RESULT with validationErrors
+ */
+function parseOfficialResult(tiers, { format, data }) {
+  const { entries, errors } = format === 'csv' ? entriesFromCsv(data) : entriesFromJson(data);
+  const winningNumbers = {};
+  const where = entry => (entry.line !== undefined ? { line: entry.line } : { path: entry.path });
+
+  for (const tier of tiers) {
+    winningNumbers[tier.rank] = [];
+  }
+
+  // 1. ตรวจทีละแถว: รางวัลต้องมีในตาราง และเลขต้องมีจำนวนหลักถูกต้อง
+  for (const entry of entries) {
+    const tier = tiers.find(t => t.key === entry.tier || String(t.rank) === entry.tier);
+
+    if (!tier) {
+      errors.push({ ...where(entry), message: `ไม่พบรางวัล "${entry.tier}" ในตารางรางวัล` });
+      continue;
+    }
+
+    const digits = tier.match === 'prefix' || tier.match === 'suffix' ? tier.digits : 6;
+    if (!new RegExp(`^[0-9]{${digits}}$`).test(entry.number)) {
+      errors.push({ ...where(entry), message: `${tier.name} ต้องเป็นตัวเลข ${digits} หลัก (พบ "${entry.number}")` });
+      continue;
+    }
+
+    if (winningNumbers[tier.rank].includes(entry.number)) {
+      errors.push({ ...where(entry), message: `เลข ${entry.number} ซ้ำใน${tier.name}` });
+      continue;
+    }
+
+    winningNumbers[tier.rank].push(entry.number);
+  }
+
+  // 2. ตรวจจำนวนเลขของแต่ละรางวัล (รางวัลข้างเคียงคำนวณจากรางวัลที่ 1)
+  const firstTier = tiers.find(t => t.match === 'exact');
+
+  for (const tier of tiers) {
+    if (tier.match === 'adjacent' && firstTier && winningNumbers[firstTier.rank].length > 0) {
+      const expected = adjacentNumbers(winningNumbers[firstTier.rank][0]);
+      const given = winningNumbers[tier.rank];
+
+      if (given.length > 0 && (given.length !== expected.length || !expected.every(n => given.includes(n)))) {
+        errors.push({ tier: tier.key, message: `${tier.name} ต้องเป็น ${expected.join(', ')}` });
+      }
+      winningNumbers[tier.rank] = expected;
+      continue;
+    }
+
+    if (winningNumbers[tier.rank].length !== tier.count) {
+      errors.push({ tier: tier.key, message: `${tier.name} ต้องมี ${tier.count} เลข (พบ ${winningNumbers[tier.rank].length})` });
+    }
+  }
+
+  // 3. เลข 6 หลักของรางวัลต่างกันต้องไม่ซ้ำกัน
+  const seen = new Map();
+  for (const tier of tiers.filter(t => t.match === 'exact')) {
+    for (const number of winningNumbers[tier.rank]) {
+      if (seen.has(number)) {
+        errors.push({ tier: tier.key, message: `เลข ${number} ซ้ำกับ${seen.get(number)}` });
+      }
+      seen.set(number, tier.name);
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`ผลรางวัลไม่ถูกต้อง ${errors.length} รายการ`);
+    error.code = 'INVALID_OFFICIAL_RESULT';
+    // เรียงตามบรรทัดของไฟล์ ส่วนข้อผิดพลาดระดับรางวัลอยู่ท้ายสุด
+    error.validationErrors = errors.sort((a, b) => (a.line === undefined) - (b.line === undefined) || (a.line || 0) - (b.line || 0));
+    throw error;
+  }
+
+  return winningNumbers;
+}
+
+module.exports = {
+  parseOfficialResult
+};
@@ -0,0 +1,253 @@
+const { PRIZE_TABLES } = require('../constants');
+
+/**
+ * Prize table helpers
+ *
+ * ตารางรางวัลหนึ่งชุดคือ array ของ tier: { rank, key, name, match, drawFrom, digits, count, amount, payout, roundTo }
+ * drawFrom (เฉพาะ exact): pool = สุ่มจากเลขของตั๋วใน pool (ค่าเริ่มต้น), full = สุ่มจาก 000000-999999
+ * payout: fixed = ทุกใบที่ถูกได้ amount เต็ม (ค่าเริ่มต้น),
+ *         shared = amount ของแต่ละเลขที่ออกแบ่งเท่ากันให้ทุกใบที่ถูกเลขนั้น ปัดลงตาม roundTo (บาท)
+ * DrawResult เก็บ snapshot ของตารางที่ใช้ไว้ใน prize_table เพื่อให้ตรวจผลย้อนหลังได้
+ * ตาราง built-in อยู่ใน constants ส่วนตารางที่ admin สร้างเองอยู่ใน PrizeStructure
+ * งวดที่ออกก่อนมี snapshot ถือว่าใช้ตาราง classic (5 รางวัล)
+ */
+
+const MATCH_TYPES = ['exact', 'adjacent', 'prefix', 'suffix'];
+const PAYOUT_MODES = ['fixed', 'shared'];
+const DRAW_FROM = ['pool', 'full'];
+
+/**
+ * Built-in prize table defined in constants
+ * @param {string} name - Prize table name
+ * @returns {Object|null} { name, tiers } or null if not built in
+ */
+function getBuiltInTable(name) {
+  if (!Object.prototype.hasOwnProperty.call(PRIZE_TABLES, name)) {
+    return null;
+  }
+  return { name, tiers: PRIZE_TABLES[name].map(tier => ({ ...tier })) };
+}
+
+/**
+ * Normalize admin-supplied tiers: rank follows array order, digits defaults to 6, exact tiers draw from the pool
+ * @param {Array<Object>} tiers - Tier definitions
+ * @returns {Array<Object>} Tiers with only the known fields
+ */
+function normalizeTiers(tiers) {
+  return tiers.map((tier, index) => ({
+    rank: index + 1,
+    key: tier.key,
+    name: tier.name,
+    match: tier.match,
+    drawFrom: tier.match === 'exact' ? tier.drawFrom || 'pool' : undefined,
+    digits: tier.digits === undefined ? 6 : tier.digits,
+    count: tier.count,
+    amount: tier.amount,
+    payout: tier.payout || 'fixed',
+    roundTo: tier.payout === 'shared' ? (tier.roundTo === undefined ? 0.01 : tier.roundTo) : undefined
+  }));
+}
+
+/**
+ * Build the prize table for a draw with optional reward overrides
+ * @param {Object} base - Prize table { name, tiers }
+ * @param {Array<number>|Object} [rewards] - Amounts in rank order, or an object keyed by tier key
+ * @returns {Object} { name, tiers }
+ */
+function buildPrizeTable(base, rewards) {
+  const name = base.name;
+  const tiers = base.tiers.map(tier => ({ ...tier }));
+
+  if (rewards === undefined) {
+    return { name, tiers };
+  }
+
+  if (Array.isArray(rewards)) {
+    if (rewards.length !== tiers.length) {
+      const error = new Error(`กรุณาระบุรางวัล ${tiers.length} รางวัล`);
+      error.code = 'INVALID_REWARDS';
+      throw error;
+    }
+    rewards.forEach((amount, index) => {
+      tiers[index].amount = amount;
+    });
+  } else if (rewards && typeof rewards === 'object') {
+    for (const key of Object.keys(rewards)) {
+      const tier = tiers.find(t => t.key === key);
+      if (!tier) {
+        const error = new Error(`ไม่พบรางวัล "${key}" ในตาราง ${name}`);
+        error.code = 'INVALID_REWARDS';
+        throw error;
+      }
+      tier.amount = rewards[key];
+    }
+  } else {
+    const error = new Error('rewards ต้องเป็น array หรือ object ของจำนวนเงินรางวัล');
+    error.code = 'INVALID_REWARDS';
+    throw error;
+  }
+
+  for (const tier of tiers) {
+    if (typeof tier.amount !== 'number' || !isFinite(tier.amount) || tier.amount < 0) {
+      const error = new Error(`${tier.name} ต้องเป็นตัวเลขที่มากกว่าหรือเท่ากับ 0`);
+      error.code = 'INVALID_REWARD_AMOUNT';
+      throw error;
+    }
+  }
+
+  return { name, tiers };
+}
+
+/**
+ * Prize table stored on a DrawResult row, falling back to classic for older draws
+ * @param {Object|null} snapshot - Parsed prize_table column
+ * @returns {Object} { name, tiers }
+ */
+function resolveDrawTable(snapshot) {
+  if (snapshot && Array.isArray(snapshot.tiers)) {
+    return snapshot;
+  }
+  return getBuiltInTable('classic');
+}
+
+/**
+ * The two numbers either side of the first prize (wraps around 000000/999999)
+ * @param {string} number - First prize number
+ * @returns {Array<string>} [number - 1, number + 1]
+ */
+function adjacentNumbers(number) {
+  const value = parseInt(number, 10);
+  return [
+    String((value + 999999) % 1000000).padStart(6, '0'),
+    String((value + 1) % 1000000).padStart(6, '0')
+  ];
+}
+
+/**
+ * Part of a ticket number compared against a tier's winning numbers
+ * @param {Object} tier - Prize tier
+ * @param {string} ticketNumber - 6-digit ticket number
+ * @returns {string} Digits to compare
+ */
+function ticketDigitsForTier(tier, ticketNumber) {
+  if (tier.match === 'prefix') {
+    return ticketNumber.slice(0, tier.digits);
+  }
+  if (tier.match === 'suffix') {
+    return ticketNumber.slice(-tier.digits);
+  }
+  return ticketNumber;
+}
+
+/**
+ * Find every tier a ticket wins, best tier first
+ * @param {Array<Object>} tiers - Prize tiers
+ * @param {Object} winningNumbers - Winning numbers keyed by rank
+ * @param {string} ticketNumber - 6-digit ticket number
+ * @returns {Array<Object>} Matched tiers with the winning digits
+ */
+function matchTicket(tiers, winningNumbers, ticketNumber) {
+  const matches = [];
+
+  for (const tier of tiers) {
+    const numbers = winningNumbers[tier.rank] || [];
+    const digits = ticketDigitsForTier(tier, ticketNumber);
+
+    if (numbers.includes(digits)) {
+      matches.push({
+        rank: tier.rank,
+        key: tier.key,
+        name: tier.name,
+        amount: tier.amount,
+        winningDigits: digits
+      });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Amount each winning ticket of a tier receives
+ * shared tiers split the amount of every winning number between the tickets that matched it,
+ * rounded down to roundTo; the remainder is reported so it can roll over
+ * @param {Object} tier - Prize tier
+ * @param {Array<string>} numbers - Winning numbers of the tier
+ * @param {Array<Object>} winners - Winning tickets { ticket_id, number }
+ * @returns {Object} { payouts: [{ ticket, amount }], shares, unwonNumbers, remainder, total }
+ */
+function splitTierPayout(tier, numbers, winners) {
+  const byNumber = new Map(numbers.map(number => [number, []]));
+  for (const ticket of winners) {
+    const digits = ticketDigitsForTier(tier, ticket.number);
+    if (byNumber.has(digits)) {
+      byNumber.get(digits).push(ticket);
+    }
+  }
+
+  const payouts = [];
+  const shares = [];
+  const unwonNumbers = [];
+  let remainder = 0;
+
+  for (const [number, tickets] of byNumber) {
+    if (tickets.length === 0) {
+      unwonNumbers.push(number);
+      continue;
+    }
+
+    if (tier.payout !== 'shared') {
+      tickets.forEach(ticket => payouts.push({ ticket, amount: tier.amount }));
+      continue;
+    }
+
+    // คำนวณเป็นสตางค์เพื่อไม่ให้ทศนิยมคลาดเคลื่อน
+    const pot = Math.round(tier.amount * 100);
+    const unit = Math.max(1, Math.round((tier.roundTo || 0.01) * 100));
+    const perWinner = Math.floor(pot / tickets.length / unit) * unit;
+    const left = pot - perWinner * tickets.length;
+
+    tickets.forEach(ticket => payouts.push({ ticket, amount: perWinner / 100 }));
+    shares.push({ number, winners: tickets.length, perWinner: perWinner / 100, remainder: left / 100 });
+    remainder += left;
+  }
+
+  return {
+    payouts,
+    shares,
+    unwonNumbers,
+    remainder: remainder / 100,
+    total: Math.round(payouts.reduce((sum, payout) => sum + payout.amount, 0) * 100) / 100
+  };
+}
+
+/**
+ * Display label for one winning number of a tier
+ * @param {Object} tier - Prize tier
+ * @param {string} number - Winning number or digits
+ * @returns {string} Label such as "เลขท้าย 3 ตัว: 123"
+ */
+function formatWinningNumber(tier, number) {
+  if (tier.match === 'prefix') {
+    return `เลขหน้า ${tier.digits} ตัว: ${number}`;
+  }
+  if (tier.match === 'suffix') {
+    return `เลขท้าย ${tier.digits} ตัว: ${number}`;
+  }
+  return number;
+}
+
+module.exports = {
+  MATCH_TYPES,
+  PAYOUT_MODES,
+  DRAW_FROM,
+  getBuiltInTable,
+  normalizeTiers,
+  buildPrizeTable,
+  resolveDrawTable,
+  adjacentNumbers,
+  ticketDigitsForTier,
+  matchTicket,
+  splitTierPayout,
+  formatWinningNumber
+};
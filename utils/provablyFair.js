@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { createSeededRng } = require('./rng');
+const { adjacentNumbers } = require('./prizeTable');
+
+/**
+ * Provably fair draw utilities (commit–reveal)
+ *
+ * ก่อนปิดการขาย ระบบจะเผยแพร่ SHA-256 ของ server seed (commitment) พร้อมแหล่งของ public entropy
+ * public entropy คือ hash ของบล็อก Bitcoin บล็อกแรกหลังปิดการขาย (utils/entropyBeacon) ซึ่งยังไม่มีใครรู้ตอน commit
+ * (รวมถึงผู้ถือ seed) และไม่ขึ้นกับตั๋วที่ขาย ผู้ออกรางวัลจึงคำนวณหรือเลือกผลล่วงหน้าไม่ได้
+ * เมื่อออกรางวัล server seed จะถูกเปิดเผย และเลขที่ออกทั้งหมดคำนวณจาก
+ * HMAC-SHA256(serverSeed, publicEntropy:drawId:counter) ร่วมกับตารางรางวัลของงวด ทำให้ใครก็ตรวจสอบซ้ำได้
+ */
+
+const ALGORITHM = 'hmac-sha256-v1';
+
+/**
+ * Generate a new secret server seed
+ * @returns {string} 64-character hex seed
+ */
+function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash a server seed for publishing as the commitment
+ * @param {string} serverSeed - Server seed
+ * @returns {string} SHA-256 hex digest
+ */
+function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Canonical form of the ticket pool used for a draw
+ * @param {Array<string>} numbers - Ticket numbers in the pool
+ * @returns {Array<string>} Sorted ticket numbers
+ */
+function normalizePool(numbers) {
+  return [...numbers].sort();
+}
+
+/**
+ * Hash the ticket pool so the snapshot can be checked later
+ * @param {Array<string>} numbers - Ticket numbers in the pool
+ * @returns {string} SHA-256 hex digest
+ */
+function hashPool(numbers) {
+  return crypto.createHash('sha256').update(normalizePool(numbers).join(',')).digest('hex');
+}
+
+/**
+ * Create the deterministic RNG for a draw from the revealed inputs
+ * @param {string} serverSeed - Revealed server seed
+ * @param {string} publicEntropy - Public entropy input
+ * @param {number} drawId - Draw ID
+ * @returns {Object} Seeded RNG
+ */
+function createDrawStream(serverSeed, publicEntropy, drawId) {
+  return createSeededRng(serverSeed, `${publicEntropy}:${drawId}`);
+}
+
+/**
+ * Derive the winning numbers of every tier from the revealed seed, public entropy and pool
+ *
+ * ลำดับการสุ่มคงที่เพื่อให้ตรวจซ้ำได้: (1) รางวัลแบบ exact ที่ drawFrom = pool (ค่าเริ่มต้น) สุ่มจากเลขที่ไม่ซ้ำของ pool
+ * ใน Fisher–Yates รอบเดียวตามลำดับ rank ถ้า pool ไม่พอจะสุ่มเลข 6 หลักที่ยังไม่ออกมาเติม
+ * จากนั้นรางวัล exact ที่ drawFrom = full สุ่มเลข 6 หลักจาก 000000-999999 ที่ยังไม่ออกตามลำดับ rank
+ * (2) รางวัลข้างเคียงคำนวณจากรางวัลที่ 1 (3) เลขหน้า/เลขท้ายสุ่มตามลำดับ rank ไม่ซ้ำกันภายใน tier
+ * @param {Object} inputs - Draw inputs
+ * @param {string} inputs.serverSeed - Revealed server seed
+ * @param {string} inputs.publicEntropy - Public entropy input
+ * @param {number} inputs.drawId - Draw ID
+ * @param {Array<string>} inputs.poolNumbers - Ticket numbers in the pool
+ * @param {Array<Object>} inputs.tiers - Prize tiers of the draw
+ * @returns {Object} Winning numbers keyed by rank
+ */
+function deriveDrawOutcome({ serverSeed, publicEntropy, drawId, poolNumbers, tiers }) {
+  const stream = createDrawStream(serverSeed, publicEntropy, drawId);
+  const winningNumbers = {};
+
+  // 1. รางวัลเลขตรงทั้ง 6 หลัก
+  const exactTiers = tiers.filter(tier => tier.match === 'exact');
+  const poolTiers = exactTiers.filter(tier => tier.drawFrom !== 'full');
+  const fullTiers = exactTiers.filter(tier => tier.drawFrom === 'full');
+
+  const poolTotal = poolTiers.reduce((sum, tier) => sum + tier.count, 0);
+  // ลอตเตอรี่ชุดมีเลขซ้ำใน pool สุ่มจากเลขที่ไม่ซ้ำเพื่อให้ทุกเลขมีโอกาสเท่ากัน
+  const poolDrawn = stream.sample([...new Set(normalizePool(poolNumbers))], poolTotal);
+  const used = new Set(poolDrawn);
+
+  const drawUnused = (numbers, total) => {
+    while (numbers.length < total) {
+      const number = stream.randomDigits(6);
+      if (!used.has(number)) {
+        used.add(number);
+        numbers.push(number);
+      }
+    }
+    return numbers;
+  };
+
+  drawUnused(poolDrawn, poolTotal);
+  // แบบสลากกินแบ่งรัฐบาล: เลขที่ออกไม่ขึ้นกับตั๋วที่ขาย แล้วจึงตรวจกับตั๋วใน pool
+  const fullDrawn = drawUnused([], fullTiers.reduce((sum, tier) => sum + tier.count, 0));
+
+  for (const [group, numbers] of [[poolTiers, poolDrawn], [fullTiers, fullDrawn]]) {
+    let offset = 0;
+    for (const tier of group) {
+      winningNumbers[tier.rank] = numbers.slice(offset, offset + tier.count);
+      offset += tier.count;
+    }
+  }
+
+  // 2. รางวัลข้างเคียงรางวัลที่ 1
+  const firstTier = exactTiers[0];
+  for (const tier of tiers.filter(t => t.match === 'adjacent')) {
+    winningNumbers[tier.rank] = firstTier ? adjacentNumbers(winningNumbers[firstTier.rank][0]) : [];
+  }
+
+  // 3. เลขหน้า / เลขท้าย
+  for (const tier of tiers.filter(t => t.match === 'prefix' || t.match === 'suffix')) {
+    const numbers = [];
+    const maxDistinct = Math.pow(10, tier.digits);
+    while (numbers.length < Math.min(tier.count, maxDistinct)) {
+      const digits = stream.randomDigits(tier.digits);
+      if (!numbers.includes(digits)) {
+        numbers.push(digits);
+      }
+    }
+    winningNumbers[tier.rank] = numbers;
+  }
+
+  return winningNumbers;
+}
+
+module.exports = {
+  ALGORITHM,
+  generateServerSeed,
+  hashServerSeed,
+  normalizePool,
+  hashPool,
+  createDrawStream,
+  deriveDrawOutcome
+};
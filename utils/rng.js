@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+/**
+ * Random number source for draws and ticket generation
+ *
+ * ทุกจุดที่สุ่มเลขหรือสุ่มผู้ชนะต้องใช้โมดูลนี้แทน Math.random
+ * - โหมดปกติ: ใช้ crypto.randomBytes
+ * - โหมด seeded: HMAC-SHA256(seed, label:counter) ให้ผลเหมือนเดิมทุกครั้ง (ใช้ทดสอบ / replay)
+ * ทั้งสองโหมดใช้ rejection sampling จึงไม่มี modulo bias
+ */
+
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * Build an RNG from a function that returns uniform 32-bit unsigned integers
+ * @param {Function} nextUint32 - Source of uniform uint32 values
+ * @param {string} mode - 'crypto' or 'seeded'
+ * @returns {Object} RNG with nextInt, shuffle, sample and randomDigits
+ */
+function createRng(nextUint32, mode) {
+  const rng = {
+    mode,
+
+    /**
+     * Uniform integer in [0, max) using rejection sampling
+     * @param {number} max - Exclusive upper bound (1 .. 2^32)
+     * @returns {number} Random integer
+     */
+    nextInt(max) {
+      if (!Number.isInteger(max) || max <= 0 || max > UINT32_RANGE) {
+        throw new RangeError(`max must be an integer between 1 and ${UINT32_RANGE}`);
+      }
+      const limit = UINT32_RANGE - (UINT32_RANGE % max);
+      let value;
+      do {
+        value = nextUint32();
+      } while (value >= limit);
+      return value % max;
+    },
+
+    /**
+     * Fisher–Yates shuffle in place. With count, only the first count positions are shuffled.
+     * @param {Array} array - Array to shuffle
+     * @param {number} [count] - Number of leading positions to fill
+     * @returns {Array} The same array
+     */
+    shuffle(array, count = array.length) {
+      const n = Math.min(count, array.length);
+      for (let i = 0; i < n; i++) {
+        const j = i + rng.nextInt(array.length - i);
+        [array[i], array[j]] = [array[j], array[i]];
+      }
+      return array;
+    },
+
+    /**
+     * Pick count distinct items without modifying the input
+     * @param {Array} array - Items to pick from
+     * @param {number} count - Number of items
+     * @returns {Array} Picked items in draw order
+     */
+    sample(array, count) {
+      const n = Math.min(count, array.length);
+      return rng.shuffle([...array], n).slice(0, n);
+    },
+
+    /**
+     * Zero-padded random digit string
+     * @param {number} length - Number of digits
+     * @returns {string} Digits
+     */
+    randomDigits(length) {
+      return String(rng.nextInt(Math.pow(10, length))).padStart(length, '0');
+    }
+  };
+
+  return rng;
+}
+
+/**
+ * Cryptographically secure RNG backed by crypto.randomBytes
+ * @returns {Object} RNG
+ */
+function createCryptoRng() {
+  let buffer = Buffer.alloc(0);
+
+  return createRng(() => {
+    if (buffer.length < 4) {
+      buffer = crypto.randomBytes(256);
+    }
+    const value = buffer.readUInt32BE(0);
+    buffer = buffer.subarray(4);
+    return value;
+  }, 'crypto');
+}
+
+/**
+ * Deterministic RNG: blocks are HMAC-SHA256(seed, `${label}:${counter}`)
+ * @param {string} seed - Secret or test seed
+ * @param {string} [label] - Domain separation label
+ * @returns {Object} RNG
+ */
+function createSeededRng(seed, label = 'rng') {
+  let counter = 0;
+  let buffer = Buffer.alloc(0);
+
+  return createRng(() => {
+    if (buffer.length < 4) {
+      buffer = crypto
+        .createHmac('sha256', String(seed))
+        .update(`${label}:${counter++}`)
+        .digest();
+    }
+    const value = buffer.readUInt32BE(0);
+    buffer = buffer.subarray(4);
+    return value;
+  }, 'seeded');
+}
+
+// RNG ที่ใช้ทั้งระบบ - ตั้ง RNG_SEED เพื่อให้ผลสุ่มเหมือนเดิมทุกครั้ง
+let currentRng = process.env.RNG_SEED
+  ? createSeededRng(process.env.RNG_SEED)
+  : createCryptoRng();
+
+/**
+ * Get the process-wide RNG
+ * @returns {Object} RNG
+ */
+function getRng() {
+  return currentRng;
+}
+
+/**
+ * Replace the process-wide RNG (e.g. a seeded one for tests or replay)
+ * @param {Object} rng - RNG created by this module
+ */
+function setRng(rng) {
+  currentRng = rng;
+}
+
+/**
+ * Restore the crypto-backed RNG
+ */
+function resetRng() {
+  currentRng = createCryptoRng();
+}
+
+module.exports = {
+  createCryptoRng,
+  createSeededRng,
+  getRng,
+  setRng,
+  resetRng
+};
@@ -0,0 +1,110 @@
+const { parseCsv } = require('./csv');
+const { DEFAULTS, ISSUANCE, TICKET_SETS } = require('../constants');
+
+/**
+ * Ticket CSV (ไฟล์จัดสรรตั๋วจากผู้จัดจำหน่าย)
+ *
+ * แถวแรกเป็นหัวตาราง ต้องมีคอลัมน์ number ส่วน set, price, round ไม่บังคับ
+ * - set ว่าง = ชุดที่ 1, price ว่าง = ราคาตั๋วมาตรฐาน
+ * - round ว่าง = งวดที่ระบุตอนนำเข้า (ถ้าไม่ระบุ = ตั๋วที่ไม่มีงวด)
+ * คอลัมน์อื่นถูกข้าม จึงนำไฟล์ที่ส่งออกกลับเข้ามาได้
+ */
+
+// คอลัมน์ของไฟล์ส่งออก (number, set, price, round ตรงกับไฟล์นำเข้า)
+const EXPORT_COLUMNS = ['ticket_id', 'round', 'number', 'set', 'price', 'status', 'batch', 'owner', 'purchased_at'];
+
+/**
+ * Parse an optional positive integer column
+ * @param {string} value - Field value
+ * @returns {number|null|undefined} Integer, null when empty, undefined when invalid
+ */
+function optionalInteger(value) {
+  if (value === '') {
+    return null;
+  }
+  return /^[0-9]+$/.test(value) && Number(value) > 0 ? Number(value) : undefined;
+}
+
+/**
+ * Read and validate ticket rows from CSV text
+ * ตรวจเฉพาะรูปแบบของแต่ละแถวและเลขซ้ำภายในไฟล์ (งวดและเลขที่มีอยู่แล้วตรวจในฐานข้อมูลภายหลัง)
+ * @param {string} text - CSV text with a header row
+ * @param {Object} [defaults] - { roundId } used when the round column is empty
+ * @returns {Object} { rows: total data rows, entries: [{ line, roundId, number, setNo, price }], errors: [{ line, message }] }
+ */
+function parseTicketCsv(text, { roundId = null } = {}) {
+  const { rows, errors } = parseCsv(text);
+  const entries = [];
+
+  if (rows.length === 0) {
+    errors.push({ line: 1, message: 'ไฟล์ไม่มีข้อมูล' });
+    return { rows: 0, entries, errors };
+  }
+
+  const header = rows[0].fields.map(name => name.toLowerCase());
+  const column = name => header.indexOf(name);
+  const numberColumn = column('number');
+
+  if (numberColumn === -1) {
+    errors.push({ line: rows[0].line, message: 'แถวแรกต้องเป็นหัวตารางที่มีคอลัมน์ number (และ set, price, round ถ้ามี)' });
+    return { rows: 0, entries, errors };
+  }
+
+  const dataRows = rows.slice(1);
+  if (dataRows.length > ISSUANCE.MAX_IMPORT_ROWS) {
+    errors.push({ line: rows[0].line, message: `นำเข้าได้ไม่เกิน ${ISSUANCE.MAX_IMPORT_ROWS} แถวต่อไฟล์ (พบ ${dataRows.length})` });
+    return { rows: dataRows.length, entries, errors };
+  }
+
+  const seen = new Map();
+  const field = (row, name) => (column(name) === -1 ? '' : row.fields[column(name)]);
+
+  for (const row of dataRows) {
+    if (row.fields.length !== header.length) {
+      errors.push({ line: row.line, message: `ต้องมี ${header.length} คอลัมน์ (พบ ${row.fields.length})` });
+      continue;
+    }
+
+    const number = row.fields[numberColumn];
+    if (!/^[0-9]{6}$/.test(number)) {
+      errors.push({ line: row.line, message: `เลขต้องเป็นตัวเลข 6 หลัก (พบ "${number}")` });
+      continue;
+    }
+
+    const setNo = optionalInteger(field(row, 'set'));
+    if (setNo === undefined || (setNo !== null && setNo > TICKET_SETS.MAX_COPIES)) {
+      errors.push({ line: row.line, message: `ชุดที่ต้องเป็นจำนวนเต็มระหว่าง 1-${TICKET_SETS.MAX_COPIES} (พบ "${field(row, 'set')}")` });
+      continue;
+    }
+
+    const priceText = field(row, 'price');
+    const price = priceText === '' ? DEFAULTS.TICKET_PRICE : Number(priceText);
+    if (!isFinite(price) || price <= 0 || !/^[0-9]+(\.[0-9]{1,2})?$/.test(priceText || '0')) {
+      errors.push({ line: row.line, message: `ราคาต้องเป็นตัวเลขที่มากกว่า 0 ทศนิยมไม่เกิน 2 ตำแหน่ง (พบ "${priceText}")` });
+      continue;
+    }
+
+    const rowRoundId = optionalInteger(field(row, 'round'));
+    if (rowRoundId === undefined) {
+      errors.push({ line: row.line, message: `รหัสงวดต้องเป็นตัวเลขที่มากกว่า 0 (พบ "${field(row, 'round')}")` });
+      continue;
+    }
+
+    const entry = { line: row.line, roundId: rowRoundId || roundId, number, setNo: setNo || 1, price };
+    const key = `${entry.roundId}:${number}:${entry.setNo}`;
+    if (seen.has(key)) {
+      errors.push({ line: row.line, message: `เลข ${number} ชุดที่ ${entry.setNo} ซ้ำกับบรรทัด ${seen.get(key)}` });
+      continue;
+    }
+
+    seen.set(key, row.line);
+    entries.push(entry);
+  }
+
+  return { rows: dataRows.length, entries, errors };
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  parseTicketCsv
+};
@@ -1,6 +1,7 @@
 const TicketService = require('../services/TicketService');
 const UserService = require('../services/UserService');
-const { generateLotteryNumbers } = require('../utils/helpers');
+const IssuanceService = require('../services/IssuanceService');
+const { DEFAULTS, ISSUANCE_MODE } = require('../constants');
 
 /**
  * Initialize lottery tickets if none exist
@@ -15,21 +16,12 @@ async function initializeLotteryTickets() {
       const adminUser = await UserService.getAdminUser();
       const adminUserId = adminUser ? adminUser.user_id : 1; // fallback to 1
       
-      const desiredCount = 120;
-      const price = 80.00;
-      
-      // Generate unique lottery numbers
-      const numbers = generateLotteryNumbers(desiredCount);
-      
-      // Prepare ticket data
-      const ticketData = numbers.map(number => ({
-        number,
-        price,
-        adminUserId
-      }));
-      
-      // Create tickets in database
-      const inserted = await TicketService.createLotteryTickets(ticketData);
+      // Issue the initial batch (ตั๋วทุกใบผูกกับ batch)
+      await IssuanceService.issueBatch({
+        count: DEFAULTS.TICKET_COUNT,
+        mode: ISSUANCE_MODE.INITIAL,
+        createdBy: adminUserId
+      });
     }
   } catch (error) {
     throw error;
@@ -0,0 +1,219 @@
+const { TICKET_STATUS, TICKET_SEARCH } = require('../constants');
+
+/**
+ * Ticket search (GET /api/tickets)
+ *
+ * ค้นหาเลขได้สามแบบ: prefix (ขึ้นต้นด้วย), suffix (ลงท้ายด้วย), contains (มีเลขนี้อยู่)
+ * หรือ pattern ที่ใช้ * แทนเลขกี่หลักก็ได้ และ ? แทนเลขหนึ่งหลัก เช่น "*99", "12*", "*12*34", "??5???"
+ *
+ * เลขที่ลงท้ายถูกค้นจากคอลัมน์ number_reversed (เลขกลับด้าน) เพื่อให้ใช้ index ได้
+ * การแบ่งหน้าใช้ cursor (ค่าที่เรียง + ticket_id ของแถวสุดท้าย) แทน OFFSET จึงเร็วเท่ากันทุกหน้า
+ */
+
+const SORTS = {
+  number: { column: 't.number', field: 'number', direction: 'ASC' },
+  '-number': { column: 't.number', field: 'number', direction: 'DESC' },
+  price: { column: 't.price', field: 'price', direction: 'ASC' },
+  '-price': { column: 't.price', field: 'price', direction: 'DESC' }
+};
+
+/**
+ * Build an INVALID_TICKET_SEARCH error
+ * @param {string} message - Thai message
+ * @returns {Error} Error with code
+ */
+function searchError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TICKET_SEARCH';
+  return error;
+}
+
+/**
+ * Turn a number pattern into LIKE conditions
+ * @param {string} pattern - Digits with * (any digits) and ? (one digit)
+ * @returns {Object} { exact } or { like, reversedLike } (reversedLike is set when the pattern ends in digits)
+ */
+function parseNumberPattern(pattern) {
+  if (!/^[0-9*?]+$/.test(pattern) || pattern.replace(/\*/g, '').length > TICKET_SEARCH.NUMBER_DIGITS) {
+    throw searchError(`pattern ใช้ได้เฉพาะตัวเลข * และ ? ไม่เกิน ${TICKET_SEARCH.NUMBER_DIGITS} หลัก`);
+  }
+
+  if (/^[0-9]+$/.test(pattern)) {
+    return { exact: pattern };
+  }
+
+  // มีแต่ตัวเลข % และ _ จึงไม่ต้อง escape
+  const like = pattern.replace(/\*+/g, '%').replace(/\?/g, '_');
+
+  // เลขท้ายที่ระบุแน่นอน (เช่น "*12*34" → "34") ใช้ index ของเลขกลับด้านได้
+  const trailing = like.match(/[0-9]+$/);
+  const reversedLike = like.startsWith('%') || like.startsWith('_')
+    ? (trailing ? `${trailing[0].split('').reverse().join('')}%` : null)
+    : null;
+
+  return { like, reversedLike };
+}
+
+/**
+ * Validate the query string of a ticket search
+ * @param {Object} query - req.query
+ * @returns {Object} { status, minPrice, maxPrice, pattern, sort, limit, cursor }
+ * @throws {Error} INVALID_TICKET_SEARCH
+ */
+function parseSearchQuery(query) {
+  const options = { sort: query.sort || 'number' };
+
+  if (query.status !== undefined) {
+    const statuses = Object.values(TICKET_STATUS);
+    if (!statuses.includes(query.status)) {
+      throw searchError(`status ต้องเป็น ${statuses.join(', ')}`);
+    }
+    options.status = query.status;
+  }
+
+  for (const key of ['minPrice', 'maxPrice']) {
+    if (query[key] !== undefined) {
+      const price = Number(query[key]);
+      if (query[key] === '' || isNaN(price) || price < 0) {
+        throw searchError(`${key} ต้องเป็นตัวเลขที่ไม่ติดลบ`);
+      }
+      options[key] = price;
+    }
+  }
+
+  if (options.minPrice !== undefined && options.maxPrice !== undefined && options.minPrice > options.maxPrice) {
+    throw searchError('minPrice ต้องไม่มากกว่า maxPrice');
+  }
+
+  // prefix/suffix/contains เป็นรูปย่อของ pattern
+  const patterns = [];
+  if (query.pattern !== undefined) patterns.push(String(query.pattern));
+  if (query.prefix !== undefined) patterns.push(`${query.prefix}*`);
+  if (query.suffix !== undefined) patterns.push(`*${query.suffix}`);
+  if (query.contains !== undefined) patterns.push(`*${query.contains}*`);
+
+  if (patterns.length > 1) {
+    throw searchError('ระบุได้เพียงอย่างเดียวจาก pattern, prefix, suffix, contains');
+  }
+  if (patterns.length === 1) {
+    options.pattern = parseNumberPattern(patterns[0]);
+  }
+
+  if (!SORTS[options.sort]) {
+    throw searchError(`sort ต้องเป็น ${Object.keys(SORTS).join(', ')}`);
+  }
+
+  // ต้องเป็นจำนวนเต็มล้วน ไม่รับ "10abc" หรือ "5.9"
+  const limit = query.limit === undefined ? TICKET_SEARCH.DEFAULT_LIMIT :
+    /^[0-9]+$/.test(query.limit) ? Number(query.limit) : NaN;
+  if (isNaN(limit) || limit < 1 || limit > TICKET_SEARCH.MAX_LIMIT) {
+    throw searchError(`limit ต้องอยู่ระหว่าง 1 ถึง ${TICKET_SEARCH.MAX_LIMIT}`);
+  }
+  options.limit = limit;
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(query.cursor, options.sort);
+  }
+
+  return options;
+}
+
+/**
+ * Encode the position after a row
+ * @param {string} sort - Sort option
+ * @param {Object} ticket - Last formatted ticket of the page
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(sort, ticket) {
+  const value = ticket[SORTS[sort].field];
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id: ticket.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor, which must come from a search with the same sort
+ * @param {string} cursor - Opaque cursor
+ * @param {string} sort - Sort option of the current search
+ * @returns {Object} { value, id }
+ * @throws {Error} INVALID_CURSOR
+ */
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (parseError) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.s !== sort || decoded.v === undefined || !Number.isInteger(decoded.id)) {
+    const error = new Error('cursor ไม่ถูกต้องหรือใช้กับการเรียงลำดับอื่น');
+    error.code = 'INVALID_CURSOR';
+    throw error;
+  }
+
+  return { value: decoded.v, id: decoded.id };
+}
+
+/**
+ * Build the WHERE clause of a search (without the cursor)
+ * @param {number|null} roundId - Round ID, null for tickets issued before rounds existed
+ * @param {Object} options - Parsed search options
+ * @returns {Object} { where, params }
+ */
+function buildFilters(roundId, options) {
+  const where = [roundId ? 't.round_id = ?' : 't.round_id IS NULL'];
+  const params = roundId ? [roundId] : [];
+
+  if (options.status) {
+    where.push('t.status = ?');
+    params.push(options.status);
+  }
+  if (options.minPrice !== undefined) {
+    where.push('t.price >= ?');
+    params.push(options.minPrice);
+  }
+  if (options.maxPrice !== undefined) {
+    where.push('t.price <= ?');
+    params.push(options.maxPrice);
+  }
+
+  const pattern = options.pattern;
+  if (pattern && pattern.exact) {
+    where.push('t.number = ?');
+    params.push(pattern.exact);
+  } else if (pattern) {
+    where.push('t.number LIKE ?');
+    params.push(pattern.like);
+    if (pattern.reversedLike) {
+      where.push('t.number_reversed LIKE ?');
+      params.push(pattern.reversedLike);
+    }
+  }
+
+  return { where, params };
+}
+
+/**
+ * Build the keyset condition and ORDER BY of a sort
+ * @param {string} sort - Sort option
+ * @param {Object} [cursor] - Decoded cursor
+ * @returns {Object} { condition, params, orderBy }
+ */
+function buildPage(sort, cursor) {
+  const { column, direction } = SORTS[sort];
+  const op = direction === 'ASC' ? '>' : '<';
+
+  return {
+    condition: cursor ? `(${column} ${op} ? OR (${column} = ? AND t.ticket_id ${op} ?))` : null,
+    params: cursor ? [cursor.value, cursor.value, cursor.id] : [],
+    orderBy: `${column} ${direction}, t.ticket_id ${direction}`
+  };
+}
+
+module.exports = {
+  parseSearchQuery,
+  parseNumberPattern,
+  buildFilters,
+  buildPage,
+  encodeCursor,
+  decodeCursor
+};